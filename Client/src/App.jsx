@@ -1,17 +1,29 @@
 import { createBrowserRouter, RouterProvider, Outlet } from 'react-router-dom';
 import { ChatProvider } from './context/ChatContext';
 import { ThemeProvider } from './context/ThemeContext';
+import { AuthProvider, useAuthContext } from './context/AuthContext';
+import { KioskProvider, useKioskContext } from './context/KioskContext';
 import { useLocalStorage } from './hooks/useLocalStorage';
 import Landing from './pages/LandingPage';
 import Error404 from './pages/Error404';
+import SignInPage from './pages/SignInPage';
+import AdminPage from './pages/AdminPage';
+import { AttractScreen } from './components/Kiosk/AttractScreen';
 
 /**
  * Root Layout Component.
  * Acts as a wrapper for routes that need shared access to the Tour state.
+ * Shows the sign-in page instead while the visitor is signing in (chatting needs no account),
+ * and the attract screen between visitors in kiosk mode.
  * @returns {JSX.Element} The outlet context provider.
  */
 const RootLayout = () => {
   const [hasCompletedTour, setHasCompletedTour] = useLocalStorage('marcus-tour-complete', false);
+  const { isSignInOpen } = useAuthContext();
+  const { isAttractVisible } = useKioskContext();
+
+  if (isAttractVisible) return <AttractScreen />;
+  if (isSignInOpen) return <SignInPage />;
 
   return (
     <Outlet context={{ hasCompletedTour, setHasCompletedTour }} />
@@ -29,6 +41,10 @@ const router = createBrowserRouter([
         index: true,
         element: <Landing />,
       },
+      {
+        path: "admin",
+        element: <AdminPage />,
+      },
       {
         path: "*",
         element: <Error404 />,
@@ -44,14 +60,18 @@ const router = createBrowserRouter([
 
 /**
  * Main Application Component.
- * Wraps the router with global context providers (Theme, Chat).
+ * Wraps the router with global context providers (Theme, Auth, Chat, Kiosk).
  */
 function App() {
   return (
     <ThemeProvider>
-      <ChatProvider>
-        <RouterProvider router={ router } />
-      </ChatProvider>
+      <AuthProvider>
+        <ChatProvider>
+          <KioskProvider>
+            <RouterProvider router={ router } />
+          </KioskProvider>
+        </ChatProvider>
+      </AuthProvider>
     </ThemeProvider>
   );
 }
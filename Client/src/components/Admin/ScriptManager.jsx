@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import clsx from 'clsx';
+import { useAdminApi } from '../../hooks/useAdminApi';
+import { DEFAULT_PERSONA_ID } from '../../hooks/usePersonas';
+
+const SECTIONS = [
+  { id: 'rules', label: 'Rules' },
+  { id: 'general-responses', label: 'General responses' },
+  { id: 'persona', label: 'Persona' },
+  { id: 'versions', label: 'Versions' }
+];
+
+// Starting point for a new rule (see the script format in Server/data/scripts)
+const NEW_RULE = { id: '', priority: 0, keywords: [], examples: [], response_pool: [{ probability: 1, response: '' }] };
+
+const fieldClass = "w-full px-3 py-2 text-sm rounded-lg border bg-[var(--bg-secondary)] border-[var(--border)] text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent)]";
+const buttonClass = "px-3 py-1.5 text-sm rounded-lg border transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+/**
+ * Scripts tab of the Curator Console, built on the Script Admin API.
+ * Rules, general responses and the persona are edited as JSON; every save is validated by the server,
+ * becomes a new script version (with the curator as author) and goes live immediately.
+ * @param {Object} props
+ * @param {Array<Object>} props.personas - Persona profiles; each has its own script.
+ */
+export const ScriptManager = ({ personas }) => {
+  const request = useAdminApi();
+  const [personaId, setPersonaId] = useState(DEFAULT_PERSONA_ID);
+  const [section, setSection] = useState('rules');
+  const [rules, setRules] = useState([]);
+  const [versions, setVersions] = useState(null);
+  const [editing, setEditing] = useState(null); // { ruleId } for a rule (null id = new rule), or {} for other sections
+  const [draft, setDraft] = useState('');
+  const [changeNote, setChangeNote] = useState('');
+  const [status, setStatus] = useState({ error: '', details: [], notice: '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const scriptPath = `/personas/${ personaId }/script`;
+
+  const report = (notice, requestError) => setStatus({
+    notice: notice || '',
+    error: requestError?.message || '',
+    details: requestError?.details || []
+  });
+
+  const load = useCallback(async () => {
+    setEditing(null);
+    setStatus({ error: '', details: [], notice: '' });
+    try {
+      if (section === 'rules') setRules(await request(`${ scriptPath }/rules`));
+      else if (section === 'versions') setVersions(await request(`${ scriptPath }/versions`));
+      else {
+        const content = await request(`${ scriptPath }/${ section }`);
+        setDraft(JSON.stringify(content, null, 2));
+        setEditing({});
+      }
+    } catch (requestError) {
+      report('', requestError);
+    }
+  }, [section, scriptPath, request]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const editRule = (rule) => {
+    setEditing({ ruleId: rule?.id ?? null });
+    setDraft(JSON.stringify(rule || NEW_RULE, null, 2));
+    report();
+  };
+
+  const save = async () => {
+    let body;
+    try {
+      body = JSON.parse(draft);
+    } catch (parseError) {
+      return report('', { message: `Invalid JSON: ${ parseError.message }` });
+    }
+
+    setIsSaving(true);
+    const headers = changeNote.trim() ? { 'X-Change-Note': changeNote.trim() } : {};
+    try {
+      if (section === 'rules') {
+        const isNew = editing.ruleId === null;
+        const result = await request(
+          isNew ? `${ scriptPath }/rules` : `${ scriptPath }/rules/${ encodeURIComponent(editing.ruleId) }`,
+          { method: isNew ? 'POST' : 'PUT', headers, body }
+        );
+        setRules(await request(`${ scriptPath }/rules`));
+        setEditing({ ruleId: result.rule.id });
+        report(`Saved as version ${ result.version }.${ result.warnings?.length ? ` Warnings: ${ result.warnings.join(' ') }` : '' }`);
+      } else {
+        const payload = section === 'persona' ? { persona: body } : { responses: body };
+        const saved = await request(`${ scriptPath }/${ section }`, { method: 'PUT', headers, body: payload });
+        setDraft(JSON.stringify(saved, null, 2));
+        report('Saved as a new version.');
+      }
+      setChangeNote('');
+    } catch (requestError) {
+      report('', requestError);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deleteRule = async () => {
+    if (!window.confirm(`Delete rule "${ editing.ruleId }"? You can restore it from Versions.`)) return;
+    try {
+      const headers = changeNote.trim() ? { 'X-Change-Note': changeNote.trim() } : {};
+      const result = await request(`${ scriptPath }/rules/${ encodeURIComponent(editing.ruleId) }`, { method: 'DELETE', headers });
+      setRules(await request(`${ scriptPath }/rules`));
+      setEditing(null);
+      setChangeNote('');
+      report(`Deleted; saved as version ${ result.version }.`);
+    } catch (requestError) {
+      report('', requestError);
+    }
+  };
+
+  const rollback = async (version) => {
+    if (!window.confirm(`Restore version ${ version }? It becomes the newest version and goes live.`)) return;
+    try {
+      const result = await request(`${ scriptPath }/versions/${ version }/rollback`, { method: 'POST', headers: { 'X-Change-Note': changeNote.trim() || `Rollback to version ${ version }` } });
+      setVersions(await request(`${ scriptPath }/versions`));
+      setChangeNote('');
+      report(`${ result.message } as version ${ result.version }.`);
+    } catch (requestError) {
+      report('', requestError);
+    }
+  };
+
+  const editor = editing && (
+    <div className="space-y-3">
+      <textarea
+        value={ draft }
+        onChange={ (event) => setDraft(event.target.value) }
+        spellCheck={ false }
+        rows={ 18 }
+        aria-label="JSON"
+        className={ clsx(fieldClass, "font-mono text-xs") }
+      />
+      <input
+        value={ changeNote }
+        onChange={ (event) => setChangeNote(event.target.value) }
+        placeholder="Change note (optional)"
+        aria-label="Change note"
+        className={ fieldClass }
+      />
+      <div className="flex gap-2">
+        <button onClick={ save } disabled={ isSaving } className={ clsx(buttonClass, "border-[var(--accent)] bg-[var(--accent)] text-white hover:opacity-90") }>
+          { isSaving ? 'Saving…' : 'Save' }
+        </button>
+        { section === 'rules' && editing.ruleId && (
+          <button onClick={ deleteRule } className={ clsx(buttonClass, "border-red-500/50 text-red-500 hover:bg-red-500/10") }>Delete rule</button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold text-[var(--text-primary)]">Scripts</h2>
+        <label className="flex items-center gap-2 text-sm text-[var(--text-secondary)]">
+          Persona
+          <select value={ personaId } onChange={ (event) => setPersonaId(event.target.value) } className={ clsx(fieldClass, "w-auto py-1.5") }>
+            { personas.map(profile => <option key={ profile.id } value={ profile.id }>{ profile.name }</option>) }
+          </select>
+        </label>
+      </div>
+
+      <div className="flex gap-1 border-b border-[var(--border)]" role="tablist">
+        { SECTIONS.map(({ id, label }) => (
+          <button
+            key={ id }
+            role="tab"
+            aria-selected={ section === id }
+            onClick={ () => setSection(id) }
+            className={ clsx("px-3 py-2 text-sm border-b-2 -mb-px transition-colors", section === id ? "border-[var(--accent)] text-[var(--accent)]" : "border-transparent text-[var(--text-secondary)] hover:text-[var(--text-primary)]") }
+          >
+            { label }
+          </button>
+        ))}
+      </div>
+
+      { status.error && (
+        <div className="text-sm text-red-500" role="alert">
+          <p>{ status.error }</p>
+          { status.details.length > 0 && <ul className="list-disc pl-5 mt-1">{ status.details.map(detail => <li key={ detail }>{ detail }</li>) }</ul> }
+        </div>
+      )}
+      { status.notice && <p className="text-sm text-green-600 dark:text-green-400" role="status">{ status.notice }</p> }
+
+      { section === 'rules' && (
+        <div className="grid lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-6">
+          <div>
+            <button onClick={ () => editRule(null) } className={ clsx(buttonClass, "w-full mb-3 border-[var(--accent)] text-[var(--accent)] hover:bg-[var(--accent)]/10") }>+ New rule</button>
+            <ul className="space-y-1 max-h-[32rem] overflow-y-auto">
+              { rules.map(rule => (
+                <li key={ rule.id }>
+                  <button
+                    onClick={ () => editRule(rule) }
+                    aria-current={ editing?.ruleId === rule.id }
+                    className={ clsx("w-full text-left px-3 py-2 rounded-lg text-sm transition-colors", editing?.ruleId === rule.id ? "bg-[var(--accent)]/10 text-[var(--accent)]" : "text-[var(--text-primary)] hover:bg-[var(--bg-secondary)]") }
+                  >
+                    <span className="font-mono">{ rule.id }</span>
+                    <span className="block text-xs text-[var(--text-secondary)] truncate">{ rule.keywords?.join(', ') }</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <div>{ editor || <p className="text-sm text-[var(--text-secondary)]">Select a rule to edit it, or add a new one. Rules are matched in order.</p> }</div>
+        </div>
+      )}
+
+      { (section === 'general-responses' || section === 'persona') && editor }
+
+      { section === 'versions' && versions && (
+        <div className="space-y-3">
+          <input
+            value={ changeNote }
+            onChange={ (event) => setChangeNote(event.target.value) }
+            placeholder="Change note for a rollback (optional)"
+            aria-label="Change note"
+            className={ fieldClass }
+          />
+          <ul className="divide-y divide-[var(--border)] border border-[var(--border)] rounded-xl">
+            { versions.versions.map(entry => (
+              <li key={ entry.version } className="flex items-center justify-between gap-4 p-3 text-sm">
+                <div className="min-w-0">
+                  <div className="font-medium text-[var(--text-primary)]">
+                    Version { entry.version }{ entry.version === versions.loaded && <span className="ml-2 text-xs text-[var(--accent)]">live</span> }
+                  </div>
+                  <div className="text-xs text-[var(--text-secondary)] truncate">
+                    { entry.changeNote } • { entry.author } • { new Date(entry.createdAt).toLocaleString() }
+                  </div>
+                </div>
+                { entry.version !== versions.loaded && (
+                  <button onClick={ () => rollback(entry.version) } className={ clsx(buttonClass, "border-[var(--border)] text-[var(--text-secondary)] hover:text-[var(--accent)] hover:border-[var(--accent)]") }>
+                    Restore
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
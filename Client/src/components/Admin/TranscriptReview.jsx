@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import clsx from 'clsx';
+import { useAdminApi } from '../../hooks/useAdminApi';
+import { DeleteConfirmationModal } from '../UI/DeleteConfirmationModal';
+
+const PAGE_SIZE = 20;
+
+const selectClass = "px-3 py-1.5 text-sm rounded-lg border bg-[var(--bg-secondary)] border-[var(--border)] text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent)]";
+
+/**
+ * One message of a transcript, with how the reply was produced for bot messages.
+ * @param {Object} props
+ * @param {Object} props.message - { isUser, text, timestamp, provenance }.
+ * @param {string} props.personaName - Who the bot speaks as.
+ */
+const TranscriptMessage = ({ message, personaName }) => {
+  const provenance = message.provenance;
+  const details = provenance && [
+    provenance.source,
+    provenance.ruleId && `rule ${ provenance.ruleId }`,
+    provenance.matchedKeyword && `matched "${ provenance.matchedKeyword }"`,
+    typeof provenance.score === 'number' && `${ (provenance.score * 100).toFixed(0) }% similar`,
+    provenance.model,
+    typeof provenance.latencyMs === 'number' && `${ provenance.latencyMs } ms`
+  ].filter(Boolean).join(' • ');
+
+  return (
+    <li className={ clsx("p-3 rounded-lg text-sm", message.isUser ? "bg-[var(--bg-secondary)]" : "border border-[var(--border)]") }>
+      <div className="flex justify-between text-xs text-[var(--text-secondary)] mb-1">
+        <span className="font-semibold">{ message.isUser ? 'Visitor' : personaName }</span>
+        { message.timestamp && <span>{ new Date(message.timestamp).toLocaleString() }</span> }
+      </div>
+      <p className="whitespace-pre-wrap text-[var(--text-primary)]">{ message.text }</p>
+      { details && <p className="mt-1 text-xs text-[var(--text-secondary)]">{ details }</p> }
+    </li>
+  );
+};
+
+/**
+ * Transcripts tab of the Curator Console: every visitor's conversations, newest first.
+ * Curators read them (with reply provenance) to improve the scripts; admins can delete them.
+ * @param {Object} props
+ * @param {Array<Object>} props.personas - Persona profiles, for the filter.
+ * @param {Function} props.getPersona - Looks up a persona profile by id.
+ * @param {boolean} props.canDelete - Whether the curator is an admin.
+ */
+export const TranscriptReview = ({ personas, getPersona, canDelete }) => {
+  const request = useAdminApi();
+  const [persona, setPersona] = useState('');
+  const [page, setPage] = useState(1);
+  const [list, setList] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadList = useCallback(async () => {
+    setError('');
+    try {
+      const query = new URLSearchParams({ page, limit: PAGE_SIZE });
+      if (persona) query.set('persona', persona);
+      setList(await request(`/admin/conversations?${ query }`));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  }, [page, persona, request]);
+
+  useEffect(() => { loadList(); }, [loadList]);
+
+  const openTranscript = async (id) => {
+    setError('');
+    try {
+      setSelected(await request(`/admin/conversations/${ encodeURIComponent(id) }`));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  };
+
+  const confirmDelete = async () => {
+    const target = pendingDelete;
+    setPendingDelete(null);
+    try {
+      await request(`/admin/conversations/${ encodeURIComponent(target.id) }`, { method: 'DELETE' });
+      if (selected?.id === target.id) setSelected(null);
+      await loadList();
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold text-[var(--text-primary)]">Transcripts</h2>
+        <label className="flex items-center gap-2 text-sm text-[var(--text-secondary)]">
+          Persona
+          <select value={ persona } onChange={ (event) => { setPersona(event.target.value); setPage(1); } } className={ selectClass }>
+            <option value="">All</option>
+            { personas.map(profile => <option key={ profile.id } value={ profile.id }>{ profile.name }</option>) }
+          </select>
+        </label>
+      </div>
+
+      { error && <p className="text-sm text-red-500" role="alert">{ error }</p> }
+
+      <div className="grid lg:grid-cols-[minmax(0,1fr)_minmax(0,1.5fr)] gap-6">
+        <div>
+          { !list && !error && <p className="text-sm text-[var(--text-secondary)]">Loading…</p> }
+          { list?.conversations.length === 0 && <p className="text-sm text-[var(--text-secondary)]">No conversations yet.</p> }
+          <ul className="space-y-2">
+            { list?.conversations.map(convo => (
+              <li key={ convo.id }>
+                <button
+                  onClick={ () => openTranscript(convo.id) }
+                  aria-current={ selected?.id === convo.id }
+                  className={ clsx("w-full text-left p-3 rounded-lg border transition-colors", selected?.id === convo.id ? "border-[var(--accent)]" : "border-[var(--border)] hover:border-[var(--accent)]/50") }
+                >
+                  <div className="font-medium text-sm text-[var(--text-primary)] truncate">{ convo.title }</div>
+                  <div className="text-xs text-[var(--text-secondary)] mt-0.5">
+                    { getPersona(convo.personaId).name } • { convo.messageCount } messages • { convo.ownerEmail || 'anonymous visitor' } • { new Date(convo.updatedAt).toLocaleDateString() }
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+          { list && list.pages > 1 && (
+            <div className="flex items-center justify-between mt-4 text-sm text-[var(--text-secondary)]">
+              <button onClick={ () => setPage(page - 1) } disabled={ page <= 1 } className="hover:text-[var(--accent)] disabled:opacity-40">← Newer</button>
+              <span>Page { list.page } of { list.pages } ({ list.total })</span>
+              <button onClick={ () => setPage(page + 1) } disabled={ page >= list.pages } className="hover:text-[var(--accent)] disabled:opacity-40">Older →</button>
+            </div>
+          )}
+        </div>
+
+        <div className="p-4 bg-[var(--bg-primary)] rounded-xl border border-[var(--border)] min-h-[12rem]">
+          { !selected && <p className="text-sm text-[var(--text-secondary)]">Select a conversation to read it.</p> }
+          { selected && (
+            <>
+              <div className="flex items-start justify-between gap-4 mb-4">
+                <div>
+                  <h3 className="font-semibold text-[var(--text-primary)]">{ selected.title }</h3>
+                  <p className="text-xs text-[var(--text-secondary)]">Started { new Date(selected.createdAt).toLocaleString() }</p>
+                </div>
+                { canDelete && (
+                  <button onClick={ () => setPendingDelete(selected) } className="px-3 py-1.5 text-sm rounded-lg border border-red-500/50 text-red-500 hover:bg-red-500/10 transition-colors">
+                    Delete
+                  </button>
+                )}
+              </div>
+              <ul className="space-y-2">
+                { selected.messages.map((message, index) => (
+                  <TranscriptMessage key={ message.id || index } message={ message } personaName={ getPersona(selected.personaId).name }/>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+
+      <DeleteConfirmationModal
+        isOpen={ Boolean(pendingDelete) }
+        onClose={ () => setPendingDelete(null) }
+        onConfirm={ confirmDelete }
+        conversationTitle={ pendingDelete?.title }
+      />
+    </div>
+  );
+};
@@ -0,0 +1,109 @@
+import React, { useState, useEffect } from 'react';
+import clsx from 'clsx';
+import { useAdminApi } from '../../hooks/useAdminApi';
+
+const RANGES = [7, 30, 90];
+
+/**
+ * One headline figure.
+ * @param {Object} props
+ * @param {string} props.label - What is counted.
+ * @param {number|string} props.value - The figure.
+ */
+const Stat = ({ label, value }) => (
+  <div className="p-4 bg-[var(--bg-primary)] rounded-xl border border-[var(--border)]">
+    <div className="text-2xl font-bold text-[var(--text-primary)]">{ value }</div>
+    <div className="text-xs text-[var(--text-secondary)] mt-1">{ label }</div>
+  </div>
+);
+
+/**
+ * Horizontal bar list (persona, reply source, rule...).
+ * @param {Object} props
+ * @param {string} props.title - Heading.
+ * @param {Array<{label: string, value: number, note?: string}>} props.rows - Bars, largest first.
+ */
+const BarList = ({ title, rows }) => {
+  const max = Math.max(1, ...rows.map(row => row.value));
+  return (
+    <div className="p-4 bg-[var(--bg-primary)] rounded-xl border border-[var(--border)]">
+      <h3 className="font-semibold text-sm text-[var(--text-primary)] mb-3">{ title }</h3>
+      { rows.length === 0 && <p className="text-xs text-[var(--text-secondary)]">No data yet.</p> }
+      <ul className="space-y-2">
+        { rows.map(row => (
+          <li key={ row.label } className="text-xs">
+            <div className="flex justify-between text-[var(--text-secondary)] mb-0.5">
+              <span className="truncate">{ row.label }</span>
+              <span>{ row.value }{ row.note ? ` • ${ row.note }` : '' }</span>
+            </div>
+            <div className="h-1.5 rounded-full bg-[var(--bg-secondary)]">
+              <div className="h-1.5 rounded-full bg-[var(--accent)]" style={{ width: `${ (row.value / max) * 100 }%` }} />
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * Usage tab of the Curator Console: conversations, messages and how replies were produced.
+ * @param {Object} props
+ * @param {Function} props.getPersona - Looks up a persona profile by id.
+ */
+export const UsageDashboard = ({ getPersona }) => {
+  const request = useAdminApi();
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+    request(`/admin/usage?days=${ days }`)
+      .then(data => { if (!cancelled) setUsage(data); })
+      .catch(requestError => { if (!cancelled) setError(requestError.message); });
+    return () => { cancelled = true; };
+  }, [days, request]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-[var(--text-primary)]">Usage</h2>
+        <div className="flex gap-1" role="group" aria-label="Time range">
+          { RANGES.map(range => (
+            <button
+              key={ range }
+              onClick={ () => setDays(range) }
+              aria-pressed={ days === range }
+              className={ clsx("px-3 py-1 text-sm rounded-lg border transition-colors", days === range ? "border-[var(--accent)] text-[var(--accent)]" : "border-[var(--border)] text-[var(--text-secondary)] hover:text-[var(--text-primary)]") }
+            >
+              { range } days
+            </button>
+          ))}
+        </div>
+      </div>
+
+      { error && <p className="text-sm text-red-500" role="alert">{ error }</p> }
+      { !usage && !error && <p className="text-sm text-[var(--text-secondary)]">Loading…</p> }
+
+      { usage && (
+        <>
+          <p className="text-xs text-[var(--text-secondary)]">Conversations started since { new Date(usage.since).toLocaleDateString() }.</p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <Stat label="Conversations" value={ usage.conversations }/>
+            <Stat label="Visitor messages" value={ usage.visitorMessages }/>
+            <Stat label="Visitors (devices and accounts)" value={ usage.visitors }/>
+            <Stat label="Accounts (curators / admins)" value={ `${ Object.values(usage.accounts).reduce((sum, count) => sum + count, 0) } (${ usage.accounts.curator || 0 } / ${ usage.accounts.admin || 0 })` }/>
+          </div>
+          <div className="grid md:grid-cols-2 gap-4">
+            <BarList title="Conversations per persona" rows={ usage.byPersona.map(row => ({ label: getPersona(row.personaId).name, value: row.conversations })) }/>
+            <BarList title="How replies were chosen" rows={ usage.replySources.map(row => ({ label: row.source, value: row.count, note: row.avgLatencyMs !== null ? `${ row.avgLatencyMs } ms` : '' })) }/>
+            <BarList title="Most used rules" rows={ usage.topRules.map(row => ({ label: `${ getPersona(row.personaId).name } • ${ row.ruleId }`, value: row.count })) }/>
+            <BarList title="Conversations per day" rows={ usage.perDay.slice(-14).reverse().map(row => ({ label: row.date, value: row.conversations })) }/>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
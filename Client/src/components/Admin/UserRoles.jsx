@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { useAdminApi } from '../../hooks/useAdminApi';
+
+/**
+ * Users tab of the Curator Console (admins only): promote visitors to curators or admins, or demote them.
+ * Changes apply on the account's next request.
+ * @param {Object} props
+ * @param {Object} props.currentUser - The signed-in admin (who cannot demote themselves).
+ */
+export const UserRoles = ({ currentUser }) => {
+  const request = useAdminApi();
+  const [users, setUsers] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    request('/admin/users')
+      .then(data => { setUsers(data.users); setRoles(data.roles); })
+      .catch(requestError => setError(requestError.message));
+  }, [request]);
+
+  const changeRole = async (account, role) => {
+    setError('');
+    try {
+      const updated = await request(`/admin/users/${ encodeURIComponent(account.id) }/role`, { method: 'PUT', body: { role } });
+      setUsers(prev => prev.map(user => (user.id === updated.id ? { ...user, ...updated } : user)));
+    } catch (requestError) {
+      setError(requestError.message);
+    }
+  };
+
+  const visible = users?.filter(user => user.email.includes(filter.trim().toLowerCase())) || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h2 className="text-2xl font-bold text-[var(--text-primary)]">Users</h2>
+        <input
+          type="search"
+          value={ filter }
+          onChange={ (event) => setFilter(event.target.value) }
+          placeholder="Filter by email"
+          aria-label="Filter by email"
+          className="px-3 py-1.5 text-sm rounded-lg border bg-[var(--bg-secondary)] border-[var(--border)] text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent)]"
+        />
+      </div>
+
+      { error && <p className="text-sm text-red-500" role="alert">{ error }</p> }
+      { !users && !error && <p className="text-sm text-[var(--text-secondary)]">Loading…</p> }
+
+      { users && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-[var(--text-secondary)] border-b border-[var(--border)]">
+              <th className="py-2 font-medium">Email</th>
+              <th className="py-2 font-medium">Last sign-in</th>
+              <th className="py-2 font-medium">Role</th>
+            </tr>
+          </thead>
+          <tbody>
+            { visible.map(account => (
+              <tr key={ account.id } className="border-b border-[var(--border)] text-[var(--text-primary)]">
+                <td className="py-2 pr-4 break-all">{ account.email }{ account.id === currentUser.id && <span className="ml-2 text-xs text-[var(--text-secondary)]">(you)</span> }</td>
+                <td className="py-2 pr-4 text-[var(--text-secondary)]">{ account.lastLoginAt ? new Date(account.lastLoginAt).toLocaleDateString() : 'Never' }</td>
+                <td className="py-2">
+                  <select
+                    value={ account.role }
+                    onChange={ (event) => changeRole(account, event.target.value) }
+                    disabled={ account.id === currentUser.id }
+                    aria-label={ `Role of ${ account.email }` }
+                    className="px-2 py-1 rounded-lg border bg-[var(--bg-secondary)] border-[var(--border)] disabled:opacity-60"
+                  >
+                    { roles.map(role => <option key={ role } value={ role }>{ role }</option>) }
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
@@ -2,15 +2,92 @@ import React, { useState, useRef, useEffect } from 'react';
 import { useChatContext } from '../../context/ChatContext';
 import { useBackendHealth } from '../../hooks/useBackendHealth';
 import { useTypewriter } from '../../hooks/useTypewriter';
+import { useQuoteLookup, findQuotations } from '../../hooks/useQuoteLookup';
 import { AttachmentButton } from './AttachmentButton';
 import { VoiceInputButton } from './VoiceInputButton';
+import { PersonaPortrait } from '../UI/PersonaPortrait';
+import { DEFAULT_PERSONA_ID } from '../../hooks/usePersonas';
 
 const BackgroundImage = '/icons/BackgroundImage/roman-pillars.png';
 
-const Message = ({ msg, idx }) => {
+// Human-readable names for each response stage
+const SOURCE_LABELS = {
+  dialogue: 'Scripted rule (answer to a follow-up question)',
+  keyword: 'Scripted rule (keyword match)',
+  fuzzy: 'Scripted rule (approximate spelling match)',
+  semantic: 'Scripted rule (similar meaning)',
+  llm: 'Generated by the language model',
+  fallback: 'General Stoic reflection'
+};
+
+/**
+ * "Why this answer?" disclosure for bot messages.
+ * Collapsed by default; shows which stage produced the reply and how confidently.
+ */
+const ProvenanceDetails = ({ provenance }) => {
+  const rows = [
+    ['Source', SOURCE_LABELS[provenance.source] || provenance.source],
+    ['Rule', provenance.ruleId],
+    ['Matched on', provenance.matchedKeyword && `"${ provenance.matchedKeyword }"`],
+    ['Language', provenance.language && provenance.language !== 'en' && provenance.language.toUpperCase()],
+    ['Similarity', typeof provenance.score === 'number' && `${ (provenance.score * 100).toFixed(0) }%`],
+    ['Model', provenance.model],
+    ['Sources', provenance.citations?.length > 0 && provenance.citations.map(citation => `Meditations ${ citation.reference }`).join(', ')],
+    ['Response time', typeof provenance.latencyMs === 'number' && `${ provenance.latencyMs } ms`]
+  ].filter(([, value]) => value);
+
+  return (
+    <details className="mt-2 text-xs text-[var(--text-secondary)]">
+      <summary className="cursor-pointer select-none hover:text-[var(--accent)]">Why this answer?</summary>
+      <dl className="mt-1.5 grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5">
+        { rows.map(([label, value]) => (
+          <React.Fragment key={ label }>
+            <dt className="font-medium">{ label }</dt>
+            <dd className="truncate">{ value }</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </details>
+  );
+};
+
+/**
+ * "Source passage" disclosure for bot messages that quote or cite the Meditations.
+ * Fetches the passages on first open.
+ */
+const QuoteSources = ({ text, citations }) => {
+  const { status, sources, lookUp } = useQuoteLookup(text, citations);
+
+  return (
+    <details className="mt-2 text-xs text-[var(--text-secondary)]" onToggle={ (event) => event.currentTarget.open && lookUp() }>
+      <summary className="cursor-pointer select-none hover:text-[var(--accent)]">Source passage</summary>
+      <div className="mt-1.5 space-y-2" aria-live="polite">
+        { status === 'loading' && <p>Searching the <em>Meditations</em>...</p> }
+        { status === 'error' && <p>The source could not be loaded. Close and reopen to try again.</p> }
+        { status === 'done' && sources.map((source, index) => (
+          source.reference && source.text ? (
+            <blockquote key={ index } className="border-l-2 border-[var(--accent)] pl-2">
+              <p className="italic text-[var(--text-primary)]">{ source.text }</p>
+              <footer className="mt-0.5">
+                <em>Meditations</em> { source.reference }{ source.translator && `, tr. ${ source.translator }` }
+              </footer>
+            </blockquote>
+          ) : (
+            <p key={ index }>
+              { source.quote ? `"${ source.quote }" was not found in the text of the Meditations available here.` : `Meditations ${ source.reference } is not in the text available here.` }
+            </p>
+          )
+        ))}
+      </div>
+    </details>
+  );
+};
+
+const Message = ({ msg, idx, persona, isFocused }) => {
   // Only apply typewriter effect to the most recent bot message for better UX
   // Previous messages appear instantly to avoid re-animation on scroll
-  const isLastBotMessage = !msg.isUser && idx === msg.isLastBotIndex;
+  // Streamed replies already arrive token-by-token, so they skip the simulated effect
+  const isLastBotMessage = !msg.isUser && idx === msg.isLastBotIndex && !msg.streamed;
   const { displayedText } = useTypewriter(
     msg.text || '',
     8,  // 8ms delay per character = ~125 chars/second (natural reading pace)
@@ -19,17 +96,17 @@ const Message = ({ msg, idx }) => {
 
   const displayText = isLastBotMessage ? displayedText : msg.text;
 
+  // Quotations are looked up in the Meditations, which only Marcus wrote
+  const canLookUpQuotes = persona.id === DEFAULT_PERSONA_ID
+    && (msg.provenance?.citations?.length > 0 || findQuotations(msg.text).length > 0);
+
   return (
-    <div className={ `flex ${ msg.isUser ? 'justify-end' : 'justify-start' }` }>
-      { !msg.isUser && (
-        <div className="w-10 h-10 mr-3 bg-[var(--bg-secondary)] rounded-full flex items-center justify-center border mb-6 shadow-sm">
-          <img src="/icons/marcus-aurelius.png" alt="" className="w-full h-full object-cover rounded-full" aria-hidden="true"/>
-        </div>
-      )}
+    <div id={ `message-${ msg.id }` } className={ `flex ${ msg.isUser ? 'justify-end' : 'justify-start' }` }>
+      { !msg.isUser && <PersonaPortrait persona={ persona } className="w-10 h-10 mr-3 border mb-6 shadow-sm text-sm"/> }
       <div
-        className={ `max-w-[85%] md:max-w-[75%] px-5 py-3.5 rounded-2xl text-sm md:text-base leading-relaxed shadow-sm ${ msg.isUser ? 'bg-[var(--accent)] text-white rounded-br-sm' : 'bg-[var(--bg-secondary)] text-[var(--text-primary)] border border-[var(--border)] rounded-bl-sm' }` }
+        className={ `max-w-[85%] md:max-w-[75%] px-5 py-3.5 rounded-2xl text-sm md:text-base leading-relaxed shadow-sm ${ msg.isUser ? 'bg-[var(--accent)] text-white rounded-br-sm' : 'bg-[var(--bg-secondary)] text-[var(--text-primary)] border border-[var(--border)] rounded-bl-sm' }${ isFocused ? ' ring-2 ring-offset-2 ring-[var(--accent)] ring-offset-[var(--bg-primary)]' : '' }` }
         role="article"
-        aria-label={ msg.isUser ? "You said" : "Marcus Aurelius said" }
+        aria-label={ msg.isUser ? "You said" : `${ persona.name } said` }
       >
         { msg.attachment && (
           <div className="mb-3 p-2 bg-black/10 rounded-lg flex gap-2 text-xs">
@@ -41,7 +118,14 @@ const Message = ({ msg, idx }) => {
             <audio controls src={ msg.audio } className="h-8 w-full max-w-[200px]" aria-label="Audio message" />
           </div>
         )}
-        <div className="whitespace-pre-wrap">{ displayText }</div>
+        <div className="whitespace-pre-wrap" aria-busy={ msg.isStreaming ? 'true' : undefined }>{ displayText }</div>
+        { !msg.isUser && msg.interrupted && (
+          <p className="mt-2 text-xs italic text-[var(--text-secondary)]">Reply interrupted: you left before it was finished.</p>
+        )}
+        { !msg.isUser && msg.provenance && !msg.isStreaming && <ProvenanceDetails provenance={ msg.provenance } /> }
+        { !msg.isUser && !msg.isStreaming && canLookUpQuotes && (
+          <QuoteSources text={ msg.text } citations={ msg.provenance?.citations } />
+        )}
       </div>
     </div>
   );
@@ -60,7 +144,10 @@ export const ChatPanel = ({ toggleMobile }) => {
     loadConversation,
     isLoading,
     startNewChat,
-    newChatTrigger
+    newChatTrigger,
+    activePersona,
+    focusedMessageId,
+    clearFocusedMessage
   } = useChatContext();
 
   const { isConnected } = useBackendHealth();
@@ -84,6 +171,12 @@ export const ChatPanel = ({ toggleMobile }) => {
   const activeConversation = getActiveConversation();
   const messages = activeConversation?.messages || [];
 
+  // A search result was opened: show that message instead of the latest one
+  const hasFocusedMessage = Boolean(focusedMessageId) && messages.some(m => m.id === focusedMessageId);
+
+  // Once the first streamed delta lands, the reply bubble replaces the thinking dots
+  const isStreamingReply = messages.some(m => m.isStreaming);
+
   // When the ID changes, fetch history UNLESS we are in the middle of creating it
   useEffect(() => {
     if (activeConversationId) {
@@ -95,11 +188,15 @@ export const ChatPanel = ({ toggleMobile }) => {
   }, [activeConversationId, loadConversation]);
 
   /**
-   * Effect: Auto-scroll to bottom
+   * Effect: Auto-scroll to bottom (or to the message a search result pointed at)
    */
   useEffect(() => {
+    if (hasFocusedMessage) {
+      document.getElementById(`message-${ focusedMessageId }`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages, isRecording, isLoading])
+  }, [messages, isRecording, isLoading, hasFocusedMessage, focusedMessageId])
 
   /**
    * Effect: Auto-focus textarea when conversation changes or becomes null
@@ -140,6 +237,7 @@ export const ChatPanel = ({ toggleMobile }) => {
     if (!messageText && !attachedFile && !audioData) return;
 
     let conversationId = activeConversationId;
+    clearFocusedMessage();
 
     try {
       if (!conversationId) {
@@ -196,7 +294,7 @@ export const ChatPanel = ({ toggleMobile }) => {
           </h2>
           <span className="text-xs text-[var(--text-secondary)] flex items-center gap-1.5" aria-label={ isConnected ? "System Online" : "System Offline" }>
             <span className={ `w-1.5 h-1.5 rounded-full ${ isConnected ? 'bg-green-500' : 'bg-red-500' }` } aria-hidden="true"></span>
-            { isLoading ? 'Thinking...' : 'Marcus Aurelius' }
+            { isLoading ? 'Thinking...' : activePersona.name }
           </span>
         </div>
       </div>
@@ -205,13 +303,17 @@ export const ChatPanel = ({ toggleMobile }) => {
         <div className="absolute inset-0 z-10 overflow-y-auto p-4 md:p-8 space-y-6 scroll-smooth" role="log" aria-label="Message History">
           { messages.length === 0 ? (
             <div className="h-full flex flex-col items-center justify-center text-center opacity-60">
-              <div className="w-20 h-20 bg-[var(--bg-secondary)] rounded-full flex items-center justify-center mb-6 shadow-sm border border-[var(--border)] overflow-hidden">
-                <img src="/icons/marcus-aurelius.png" alt="Portrait bust of Marcus Aurelius, Roman Emperor and Stoic philosopher" className="w-full h-full object-cover rounded-full"/>
-              </div>
-              <h1 className="text-2xl font-serif font-bold text-[var(--text-primary)] mb-2">Marcus Aurelius</h1>
-              <p className="text-sm text-[var(--text-secondary)] max-w-sm leading-relaxed">
-                Emperor of Rome (161–180 AD) and Stoic philosopher. His <em>Meditations</em> offer timeless wisdom on duty, resilience, and the nature of the human mind.
-              </p>
+              <PersonaPortrait
+                persona={ activePersona }
+                className="w-20 h-20 mb-6 shadow-sm border border-[var(--border)] text-2xl"
+                alt={ `Portrait of ${ activePersona.name }${ activePersona.title ? `, ${ activePersona.title }` : '' }` }
+              />
+              <h1 className="text-2xl font-serif font-bold text-[var(--text-primary)] mb-2">{ activePersona.name }</h1>
+              { activePersona.title && (
+                <p className="text-sm text-[var(--text-secondary)] max-w-sm leading-relaxed">
+                  { activePersona.title }{ activePersona.lifespan && ` • ${ activePersona.lifespan }` }
+                </p>
+              )}
             </div>
           ) : (
             // IIFE to find last bot message for typewriter effect
@@ -229,12 +331,14 @@ export const ChatPanel = ({ toggleMobile }) => {
                   key={ msg.id || idx }
                   msg={{ ...msg, isLastBotIndex: idx === lastBotIndex ? idx : -1 }}
                   idx={ idx }
+                  persona={ activePersona }
+                  isFocused={ hasFocusedMessage && msg.id === focusedMessageId }
                 />
               ));
             })()
           )}
-          { isLoading && (
-            <div className="flex justify-start ml-11" role="status" aria-live="polite" aria-label="Marcus Aurelius is thinking">
+          { isLoading && !isStreamingReply && (
+            <div className="flex justify-start ml-11" role="status" aria-live="polite" aria-label={ `${ activePersona.name } is thinking` }>
               <div className="bg-[var(--bg-secondary)] px-4 py-3 rounded-2xl border border-[var(--border)] flex gap-1.5">
                 {/* Three dots with staggered animation delays */}
                 <div className="w-2 h-2 bg-[var(--text-secondary)] rounded-full animate-bounce" aria-hidden="true" />
@@ -284,11 +388,11 @@ export const ChatPanel = ({ toggleMobile }) => {
               value={ transcribedText || input }
               onChange={ handleInputChange }
               onKeyDown={ handleKeyDown }
-              placeholder={ isRecording ? "Listening..." : "Ask the Emperor..." }
+              placeholder={ isRecording ? "Listening..." : `Ask ${ activePersona.name }...` }
               className="w-full bg-transparent border-none outline-none focus-visible:outline-none text-[var(--text-primary)] placeholder-[var(--text-secondary)] resize-none max-h-[150px]"
               rows={ 1 }
               style={{ minHeight: '24px' }}
-              aria-label="Type your message to Marcus Aurelius"
+              aria-label={ `Type your message to ${ activePersona.name }` }
               aria-describedby="message-help"
               tabIndex={1}
             />
@@ -300,7 +404,7 @@ export const ChatPanel = ({ toggleMobile }) => {
             onClick={ handleSend } 
             disabled={( !input.trim() && !transcribedText && !attachedFile && !audioData) || isLoading } 
             className="p-2 rounded-xl bg-[var(--accent)] text-white hover:opacity-90 shadow-sm disabled:opacity-50 disabled:cursor-not-allowed" 
-            aria-label={isLoading ? "Sending message, please wait" : "Send message to Marcus Aurelius"}
+            aria-label={isLoading ? "Sending message, please wait" : `Send message to ${ activePersona.name }`}
             type="button"
             tabIndex={1}
           >
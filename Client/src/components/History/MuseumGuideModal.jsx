@@ -1,9 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { useChatContext } from '../../context/ChatContext';
 
 /**
- * Modal displaying context about the AI Persona (Marcus Aurelius).
- * Features historical biography, philosophy summary, and suggested prompts.
+ * Modal displaying context about the active AI Persona (Marcus Aurelius unless another was picked).
+ * Features historical biography, philosophy summary, and suggested prompts from the persona's profile.
  * * Updated to support "Tour Mode".
  * @param {object} props
  * @param {boolean} props.isOpen - Visibility state.
@@ -11,35 +11,14 @@ import { useChatContext } from '../../context/ChatContext';
  * @param {function} [props.onStartTour] - Optional. If provided, changes button to "Start Tour".
  */
 export const MuseumGuideModal = ({ isOpen, onClose, onStartTour }) => {
-  const { startConversationWithPrompt } = useChatContext();
-  const [suggestedPrompts, setSuggestedPrompts] = useState([]);
-
-  useEffect(() => {
-    const controller = new AbortController();
-
-    fetch('/data/suggested-prompts.json', { signal: controller.signal })
-      .then(response => response.json())
-      .then(data => setSuggestedPrompts(data))
-      .catch(error => {
-        if (error.name !== 'AbortError') {
-          console.error('Failed to load suggested prompts:', error);
-
-          // Fallback prompts if file missing
-          setSuggestedPrompts([
-            "How do I deal with difficult people?",
-            "I feel overwhelmed by the future.",
-            "What is the nature of the human mind?"
-          ]);
-        }
-      });
-
-    return () => controller.abort();
-  }, []);
+  const { startConversationWithPrompt, activePersona: persona } = useChatContext();
+  const suggestedPrompts = persona.suggested_prompts || [];
+  const principles = persona.principles || [];
 
   const handlePromptClick = async (text) => {
     try {
       if (onClose) onClose();
-      await startConversationWithPrompt(text);
+      await startConversationWithPrompt(text, persona.id);
     } catch (error) {
       console.error('Failed to start conversation from prompt:', error);
     }
@@ -67,7 +46,7 @@ export const MuseumGuideModal = ({ isOpen, onClose, onStartTour }) => {
             <button
               onClick={ onClose }
               className="absolute top-4 right-4 text-[var(--text-secondary)] hover:text-[var(--text-primary)] transition-colors"
-              aria-label="Close Marcus Aurelius information modal"
+              aria-label={ `Close ${ persona.name } information modal` }
               type="button"
             >
               <span aria-hidden="true">✕</span>
@@ -81,33 +60,33 @@ export const MuseumGuideModal = ({ isOpen, onClose, onStartTour }) => {
             </span>
             <h2 className="text-xs font-bold uppercase tracking-widest text-[var(--text-secondary)]">Interactive Exhibit</h2>
           </div>
-          <h1 id="modal-title" className="text-2xl font-serif font-bold text-[var(--text-primary)]">Marcus Aurelius</h1>
-          <p className="text-sm text-[var(--text-secondary)] italic">121 AD – 180 AD • Rome</p>
+          <h1 id="modal-title" className="text-2xl font-serif font-bold text-[var(--text-primary)]">{ persona.name }</h1>
+          { persona.lifespan && <p className="text-sm text-[var(--text-secondary)] italic">{ persona.lifespan }</p> }
         </div>
         <div id="modal-description" className="p-6 overflow-y-auto custom-scrollbar space-y-6 flex-1" role="document">
-          <section className="prose prose-sm prose-invert max-w-none" aria-labelledby="philosopher-king-heading">
-            <h3 id="philosopher-king-heading" className="text-[var(--text-primary)] font-serif font-bold text-lg mb-2">The Philosopher King</h3>
-            <p className="text-[var(--text-secondary)] leading-relaxed">
-              Marcus Aurelius was the last of the "Five Good Emperors" of Rome. Despite being the most powerful man in the world, he is best known for his humility and his private journal, <em>Meditations</em>. Written during military campaigns, these writings were never meant for publication but have become the cornerstone of Stoic philosophy.
-            </p>
-          </section>
-          <section className="bg-[var(--bg-primary)] p-4 rounded-lg border border-[var(--border)]" aria-labelledby="core-principles-heading">
-            <h4 id="core-principles-heading" className="text-xs font-bold uppercase text-[var(--accent)] mb-2 tracking-wide">Core Principles</h4>
-            <ul className="space-y-2 text-sm text-[var(--text-primary)]" aria-label="Marcus Aurelius's philosophical principles">
-              <li className="flex gap-2 items-start">
-                <span className="text-[var(--accent)] mt-1">•</span>
-                <span><strong>Dichotomy of Control:</strong> Focus only on what you can control (your mind and actions); accept what you cannot.</span>
-              </li>
-              <li className="flex gap-2 items-start">
-                <span className="text-[var(--accent)] mt-1">•</span>
-                <span><strong>Memento Mori:</strong> Remember that you will die. Use this not to despair, but to live with urgency and virtue.</span>
-              </li>
-            </ul>
-          </section>
+          { persona.summary && (
+            <section className="prose prose-sm prose-invert max-w-none" aria-labelledby="persona-title-heading">
+              <h3 id="persona-title-heading" className="text-[var(--text-primary)] font-serif font-bold text-lg mb-2">{ persona.title || 'Biography' }</h3>
+              <p className="text-[var(--text-secondary)] leading-relaxed">{ persona.summary }</p>
+            </section>
+          )}
+          { principles.length > 0 && (
+            <section className="bg-[var(--bg-primary)] p-4 rounded-lg border border-[var(--border)]" aria-labelledby="core-principles-heading">
+              <h4 id="core-principles-heading" className="text-xs font-bold uppercase text-[var(--accent)] mb-2 tracking-wide">Core Principles</h4>
+              <ul className="space-y-2 text-sm text-[var(--text-primary)]" aria-label={ `${ persona.name }'s philosophical principles` }>
+                { principles.map(principle => (
+                  <li key={ principle.name } className="flex gap-2 items-start">
+                    <span className="text-[var(--accent)] mt-1">•</span>
+                    <span><strong>{ principle.name }:</strong> { principle.description }</span>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
           <section aria-labelledby="consulting-heading">
-            <h3 id="consulting-heading" className="text-[var(--text-primary)] font-serif font-bold text-lg mb-3">Consulting the Emperor</h3>
+            <h3 id="consulting-heading" className="text-[var(--text-primary)] font-serif font-bold text-lg mb-3">Consulting { persona.name }</h3>
             <p className="text-xs text-[var(--text-secondary)] mb-3">
-              This AI simulates Marcus's perspective. He will not give modern technical advice, but will frame your problems through Stoic reason.
+              This AI simulates { persona.name }'s perspective. It will not give modern technical advice, but will frame your problems through Stoic reason.
             </p>
             <div className="space-y-2">
               <p className="text-xs font-bold text-[var(--text-secondary)] uppercase" id="suggested-prompts-label">Suggested Inquiries</p>
@@ -134,7 +113,7 @@ export const MuseumGuideModal = ({ isOpen, onClose, onStartTour }) => {
             onClick={ handleAction }
             className="px-6 py-2 bg-[var(--accent)] text-white rounded-lg hover:shadow-lg hover:opacity-90 transition-all text-sm font-medium flex items-center gap-2"
             type="button"
-            aria-label={ isTourMode ? "Start guided tour of the application" : "Close modal and enter discussion with Marcus Aurelius" }
+            aria-label={ isTourMode ? "Start guided tour of the application" : `Close modal and enter discussion with ${ persona.name }` }
           >
             { buttonText }
             { isTourMode && (
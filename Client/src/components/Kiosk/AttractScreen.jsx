@@ -0,0 +1,53 @@
+import React from 'react';
+import { useChatContext } from '../../context/ChatContext';
+import { useKioskContext } from '../../context/KioskContext';
+import { PersonaPortrait } from '../UI/PersonaPortrait';
+
+const BackgroundImage = '/icons/BackgroundImage/roman-pillars.png';
+
+/**
+ * Attract screen shown by kiosk mode between visitors.
+ * Touching a persona starts a conversation with them; touching anywhere else starts one with the default persona.
+ */
+export const AttractScreen = () => {
+  const { personas } = useChatContext();
+  const { start, idleMinutes } = useKioskContext();
+
+  return (
+    <div
+      className="relative min-h-screen flex flex-col items-center justify-center gap-10 p-8 bg-[var(--bg-primary)] text-[var(--text-primary)] text-center cursor-pointer select-none transition-colors duration-200"
+      onClick={ () => start() }
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="attract-title"
+    >
+      <div className="absolute inset-0 bg-center bg-cover opacity-10 pointer-events-none" style={{ backgroundImage: `url(${ BackgroundImage })` }} aria-hidden="true" />
+
+      <div className="relative">
+        <h1 id="attract-title" className="text-4xl md:text-6xl font-serif font-bold text-[var(--accent)]">Speak with the Stoics</h1>
+        <p className="mt-4 text-lg text-[var(--text-secondary)] max-w-xl">Ask a question and hear how a philosopher of ancient Rome would answer.</p>
+      </div>
+
+      <div className="relative flex flex-wrap justify-center gap-6">
+        { personas.map(persona => (
+          <button
+            key={ persona.id }
+            onClick={ (event) => { event.stopPropagation(); start(persona.id); } }
+            className="w-48 p-5 flex flex-col items-center gap-3 rounded-2xl border border-[var(--border)] bg-[var(--bg-secondary)]/80 hover:border-[var(--accent)] transition-all active:scale-95"
+            aria-label={ `Talk to ${ persona.name }${ persona.title ? `, ${ persona.title }` : '' }` }
+            type="button"
+          >
+            <PersonaPortrait persona={ persona } className="w-24 h-24 border-2 border-[var(--accent)] text-2xl"/>
+            <span className="font-serif font-bold text-lg">{ persona.name }</span>
+            { persona.lifespan && <span className="text-xs text-[var(--text-secondary)]">{ persona.lifespan }</span> }
+          </button>
+        ))}
+      </div>
+
+      <p className="relative text-xl font-medium text-[var(--accent)] motion-safe:animate-pulse">Touch to begin</p>
+      <p className="relative text-xs text-[var(--text-secondary)] max-w-md">
+        Your conversation is not kept. It is cleared after { idleMinutes } { idleMinutes === 1 ? 'minute' : 'minutes' } without activity.
+      </p>
+    </div>
+  );
+};
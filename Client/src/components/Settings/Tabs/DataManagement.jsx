@@ -1,5 +1,6 @@
 import React, { useRef, useState } from 'react';
 import { useChatContext } from '../../../context/ChatContext';
+import { useAuthContext } from '../../../context/AuthContext';
 import { DeleteConfirmationModal } from '../../UI/DeleteConfirmationModal';
 import clsx from 'clsx';
 import { get } from 'lodash';
@@ -16,6 +17,13 @@ export const DataManagement = () => {
    */
   const { conversations, clearAllConversations, importConversations } = useChatContext();
 
+  /**
+   * Visitor session, sign-in and sign-out, from the auth context.
+   * @type {{user: {email: string, anonymous: boolean}|null, logout: function(): void, openSignIn: function(): void}}
+   */
+  const { user, logout, openSignIn } = useAuthContext();
+  const isAnonymous = !user || user.anonymous;
+
   /**
    * Ref for accessing the hidden file input element.
    * @type {React.RefObject<HTMLInputElement>}
@@ -117,6 +125,19 @@ export const DataManagement = () => {
         <p className="text-[var(--text-secondary)]">Control your conversation data.</p>
       </div>
       <div className="grid gap-4">
+        <div className="p-6 bg-[var(--bg-primary)] rounded-xl border border-[var(--border)] flex items-center justify-between">
+          <div className="min-w-0">
+            <h3 className="font-semibold text-lg text-[var(--text-primary)]">Account</h3>
+            <p className="text-sm text-[var(--text-secondary)] mt-1">
+              { isAnonymous
+                ? "You are chatting anonymously. Your conversations are forgotten after a while without activity; sign in to keep them."
+                : `Signed in as ${ user.email }. Only you can see your conversations.` }
+            </p>
+          </div>
+          <button onClick={ isAnonymous ? openSignIn : logout } className={ clsx( "shrink-0 ml-4 px-4 py-2 border rounded-lg transition-colors", "bg-[var(--bg-secondary)] border-[var(--border)] text-[var(--text-primary)]", "hover:border-[var(--accent)] hover:text-[var(--accent)]" )}>
+            { isAnonymous ? 'Sign in' : 'Sign out' }
+          </button>
+        </div>
         <div className="p-6 bg-[var(--bg-primary)] rounded-xl border border-[var(--border)] flex items-center justify-between">
           <div>
             <h3 className="font-semibold text-lg text-[var(--text-primary)]">Export History</h3>
@@ -149,7 +170,7 @@ export const DataManagement = () => {
         <div className="p-6 bg-red-50/50 dark:bg-red-900/10 rounded-xl border border-red-100 dark:border-red-900/30 flex items-center justify-between">
           <div>
             <h3 className="font-semibold text-lg text-red-600 dark:text-red-400">Clear Data </h3>
-            <p className="text-sm text-red-600/70 dark:text-red-400/70 mt-1">Permanently delete all chats from server & local.</p>
+            <p className="text-sm text-red-600/70 dark:text-red-400/70 mt-1">Permanently delete all your chats from server & local.</p>
           </div>
           <button onClick={ handleDeleteAllClick } className={ clsx("px-4 py-2 border rounded-lg transition-colors", "bg-white dark:bg-red-950/30 border-red-200 dark:border-red-800", "text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20") }>
             Delete All
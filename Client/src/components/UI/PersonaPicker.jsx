@@ -0,0 +1,46 @@
+import React from 'react';
+import clsx from 'clsx';
+import { PersonaPortrait } from './PersonaPortrait';
+
+/**
+ * Persona list shown by the Sidebar's "New Chat" button.
+ * Picking a persona starts a new chat with them.
+ * @component
+ * @param {Object} props
+ * @param {Array<Object>} props.personas - Persona profiles.
+ * @param {string} props.selectedId - Persona picked last (highlighted).
+ * @param {Function} props.onSelect - Called with the chosen persona's id.
+ * @param {Function} props.onClose - Closes the picker (Escape).
+ */
+export const PersonaPicker = ({ personas, selectedId, onSelect, onClose }) => {
+  return (
+    <div
+      className="rounded-xl border border-[var(--border)] bg-[var(--bg-primary)] p-1.5 shadow-md animate-in fade-in slide-in-from-top-2 duration-200"
+      role="listbox"
+      aria-label="Choose who to talk to"
+      onKeyDown={ (event) => { if (event.key === 'Escape') onClose(); } }
+    >
+      { personas.map(persona => (
+        <button
+          key={ persona.id }
+          onClick={ () => onSelect(persona.id) }
+          className={ clsx(
+            "w-full flex items-center gap-3 px-2.5 py-2 rounded-lg text-left transition-colors",
+            persona.id === selectedId ? "bg-[var(--accent)]/10" : "hover:bg-[var(--bg-secondary)]"
+          )}
+          role="option"
+          aria-selected={ persona.id === selectedId }
+          aria-label={ `Start a new chat with ${ persona.name }${ persona.title ? `, ${ persona.title }` : '' }` }
+          tabIndex={2}
+          type="button"
+        >
+          <PersonaPortrait persona={ persona } className="w-9 h-9 border text-xs"/>
+          <span className="min-w-0">
+            <span className="block text-sm font-medium text-[var(--text-primary)] truncate">{ persona.name }</span>
+            { persona.title && <span className="block text-xs text-[var(--text-secondary)] truncate">{ persona.title }</span> }
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,23 @@
+import clsx from 'clsx';
+
+/**
+ * Round portrait of a persona.
+ * Personas without a portrait image show their initials instead.
+ * @param {object} props
+ * @param {object} props.persona - Persona profile ({ name, portrait }).
+ * @param {string} [props.className] - Size and border classes for the frame.
+ * @param {string} [props.alt] - Alternative text; omit for decorative portraits.
+ */
+export const PersonaPortrait = ({ persona, className, alt }) => {
+  const initials = (persona?.name || '?').split(/\s+/).map(word => word[0]).slice(0, 2).join('').toUpperCase();
+
+  return (
+    <div className={ clsx("bg-[var(--bg-secondary)] rounded-full flex items-center justify-center flex-shrink-0 overflow-hidden", className) } aria-hidden={ alt ? undefined : 'true' }>
+      { persona?.portrait ? (
+        <img src={ persona.portrait } alt={ alt || '' } className="w-full h-full object-cover rounded-full"/>
+      ) : (
+        <span className="font-serif font-bold text-[var(--accent)]" role={ alt ? 'img' : undefined } aria-label={ alt }>{ initials }</span>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,104 @@
+import React from 'react';
+import clsx from 'clsx';
+import { useConversationSearch } from '../../hooks/useConversationSearch';
+import { PersonaPortrait } from './PersonaPortrait';
+
+/**
+ * Text with the matched words highlighted.
+ * @param {Object} props
+ * @param {Array<{text: string, match: boolean}>} props.segments - Segments from the search API.
+ */
+const HighlightedText = ({ segments }) => (
+  <>
+    { segments.map((segment, index) => (segment.match
+      ? <mark key={ index } className="bg-[var(--accent)]/25 text-inherit rounded-sm px-0.5">{ segment.text }</mark>
+      : <React.Fragment key={ index }>{ segment.text }</React.Fragment>
+    ))}
+  </>
+);
+
+/**
+ * Sidebar search results: the visitor's conversations whose title or messages match, best first.
+ * Each result shows snippets of its matched messages; choosing one opens the conversation at that message.
+ * @component
+ * @param {Object} props
+ * @param {string} props.query - Debounced search query.
+ * @param {string} props.activeConversationId - Open conversation (highlighted).
+ * @param {Function} props.getPersona - Looks up a persona profile by id.
+ * @param {boolean} props.showPersonas - Whether to show persona portraits (several personas).
+ * @param {Function} props.onOpen - Called with (conversationId, messageId?) to open a result.
+ */
+export const SearchResults = ({ query, activeConversationId, getPersona, showPersonas, onOpen }) => {
+  const { results, total, hasMore, status, loadMore } = useConversationSearch(query);
+
+  return (
+    <div className="space-y-1 animate-in fade-in duration-200">
+      <div className="flex items-center justify-between px-3 mb-2">
+        <div className="text-xs font-bold text-[var(--text-secondary)] uppercase tracking-widest" id="search-results-heading">Results</div>
+        <span className="text-[10px] text-[var(--text-secondary)] bg-[var(--bg-primary)] px-1.5 py-0.5 rounded border border-[var(--border)]">
+          { total }
+        </span>
+      </div>
+
+      <div role="status" aria-live="polite" className="px-3 text-xs text-[var(--text-secondary)] opacity-60">
+        { status === 'loading' && results.length === 0 && 'Searching…' }
+        { status === 'done' && results.length === 0 && 'No conversations found.' }
+        { status === 'error' && 'Search is unavailable right now.' }
+      </div>
+
+      <div role="list" aria-labelledby="search-results-heading">
+        { results.map(result => {
+          const persona = getPersona(result.personaId);
+          return (
+            <div key={ result.id } role="listitem" className={ clsx("rounded-lg border border-transparent", activeConversationId === result.id && "bg-[var(--accent)]/10") }>
+              <button
+                onClick={ () => onOpen(result.id) }
+                className="w-full flex items-center gap-3 px-3 py-2 text-left text-sm text-[var(--text-primary)] rounded-lg hover:bg-[var(--bg-primary)] transition-colors"
+                aria-label={ `Open conversation: ${ result.title || 'New Chat' }${ showPersonas ? ` with ${ persona.name }` : '' }` }
+                tabIndex={2}
+                type="button"
+              >
+                { showPersonas && <PersonaPortrait persona={ persona } className="w-5 h-5 text-[8px]"/> }
+                <span className="truncate flex-1 font-medium">
+                  { result.titleHighlights ? <HighlightedText segments={ result.titleHighlights }/> : (result.title || 'New Chat') }
+                </span>
+              </button>
+              { result.matches.map(match => (
+                <button
+                  key={ match.messageId }
+                  onClick={ () => onOpen(result.id, match.messageId) }
+                  className="w-full pl-11 pr-3 py-1.5 text-left text-xs text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-primary)] rounded-lg transition-colors"
+                  aria-label={ `Go to the matching message from ${ match.isUser ? 'you' : persona.name }` }
+                  tabIndex={2}
+                  type="button"
+                >
+                  <span className="line-clamp-2">
+                    <span className="font-semibold">{ match.isUser ? 'You' : persona.name.split(' ').pop() }: </span>
+                    <HighlightedText segments={ match.snippet }/>
+                  </span>
+                </button>
+              ))}
+              { result.matchCount > result.matches.length && (
+                <p className="pl-11 pr-3 pb-1.5 text-[10px] text-[var(--text-secondary)] opacity-60">
+                  +{ result.matchCount - result.matches.length } more matching { result.matchCount - result.matches.length === 1 ? 'message' : 'messages' }
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      { hasMore && (
+        <button
+          onClick={ loadMore }
+          disabled={ status === 'loading' }
+          className="w-full mt-2 px-3 py-2 text-xs font-medium text-[var(--accent)] hover:bg-[var(--bg-primary)] rounded-lg transition-colors disabled:opacity-50"
+          tabIndex={2}
+          type="button"
+        >
+          { status === 'loading' ? 'Loading…' : 'Show more results' }
+        </button>
+      )}
+    </div>
+  );
+};
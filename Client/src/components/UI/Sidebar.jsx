@@ -1,29 +1,40 @@
-import { useEffect, useState, useMemo } from 'react';
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { ThemeToggle } from './ThemeToggle';
 import { SettingsButton } from './SettingsButton';
 import { SidebarSearch } from './SidebarSearch';
+import { SearchResults } from './SearchResults';
 import { MuseumGuideModal } from '../History/MuseumGuideModal';
 import { DeleteConfirmationModal } from './DeleteConfirmationModal';
+import { PersonaPicker } from './PersonaPicker';
+import { PersonaPortrait } from './PersonaPortrait';
 import { useChatContext } from '../../context/ChatContext';
+import { useAuthContext } from '../../context/AuthContext';
+import { useKioskContext } from '../../context/KioskContext';
+import { hasRole } from '../../hooks/useAuth';
 import { useDebounce } from '../../hooks/useDebounce';
 import clsx from 'clsx';
-import { get } from 'lodash';
 
 /**
  * Navigation Sidebar.
+ * In kiosk mode the history, search, settings and Curator Console are hidden; visitors can end their visit instead.
  */
 export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse, isMobileOpen, toggleMobile, sidebarWidth, startResizing, isResizing, sidebarRef }) => {
-  const { conversations, activeConversationId, setActiveConversationId, startNewChat, deleteConversation, syncConversations, loadConversation } = useChatContext();
+  const { conversations, activeConversationId, setActiveConversationId, openConversationAtMessage, startNewChat, deleteConversation, syncConversations, loadConversation, personas, getPersona, activePersona } = useChatContext();
+  const { user } = useAuthContext();
+  const { isKiosk, idleMinutes, resetSession } = useKioskContext();
 
   const [searchTerm, setSearchTerm] = useState('');
   const [showMuseumModal, setShowMuseumModal] = useState(false);
+  const [showPersonaPicker, setShowPersonaPicker] = useState(false);
   const [deleteModalState, setDeleteModalState] = useState({ isOpen: false, conversationId: null, conversationTitle: '' });
-  // Debouncing prevents filtering on every keystroke (reduces re-renders from 10/sec to 3/sec)
-  // 300ms is the sweet spot: feels instant to users but dramatically improves performance
+  // Debouncing sends one search request once typing pauses, instead of one per keystroke
+  // 300ms is the sweet spot: feels instant to users without flooding the server
   const debouncedSearchTerm = useDebounce(searchTerm, 300);
 
-  // Dynamic Title logic
-  const displayTitle = (sidebarWidth < 240 && !isCollapsed) ? 'Aurelius' : 'Marcus Aurelius';
+  // Dynamic Title logic: narrow sidebars show the last name only ("Aurelius")
+  const displayTitle = (sidebarWidth < 240 && !isCollapsed) ? activePersona.name.split(' ').pop() : activePersona.name;
+  const hasPersonaChoice = personas.length > 1;
 
   // Effects
   useEffect(() => {
@@ -36,33 +47,28 @@ export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse
     }
   }, [activeConversationId, loadConversation]);
 
-  // Filtering with useMemo to avoid re-filtering on every render
-  // Only recalculates when conversations list or search term actually changes
-  // For 100 conversations, this optimization saves ~5ms per render (60fps → no lag)
-  const filteredConversations = useMemo(() => {
-    if (!debouncedSearchTerm) return conversations;
-
-    const term = debouncedSearchTerm.toLowerCase();
-
-    return conversations.filter(conversation => {
-      const title = get(conversation, 'title', '').toLowerCase();
-
-      // Access the first message text, default to empty string
-      // Lodash 'get' prevents crashes if message structure is malformed
-      const firstMessage = get(conversation, 'messages[0].text', '').toLowerCase();
-
-      return title.includes(term) || firstMessage.includes(term);
-    });
-  }, [conversations, debouncedSearchTerm]);
-
   // Handlers
-  const handleNewChat = () => {
-    startNewChat();
+  const handleNewChat = (personaId) => {
+    setShowPersonaPicker(false);
+    startNewChat(personaId);
     setActiveView('chat');
     setSearchTerm('');
     if (window.innerWidth < 1024) toggleMobile();
   };
 
+  // With several personas the button opens the picker; the collapsed sidebar reuses the last pick
+  const handleNewChatClick = () => {
+    if (hasPersonaChoice && !isCollapsed) setShowPersonaPicker(open => !open);
+    else handleNewChat();
+  };
+
+  // Search results open their conversation, scrolled to the matched message if one was chosen
+  const handleOpenResult = (conversationId, messageId) => {
+    openConversationAtMessage(conversationId, messageId);
+    setActiveView('chat');
+    if (window.innerWidth < 1024) toggleMobile();
+  };
+
   const handleDeleteClick = (event, conversationId, conversationTitle) => {
     event.stopPropagation();
     setDeleteModalState({ isOpen: true, conversationId, conversationTitle });
@@ -102,9 +108,7 @@ export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse
           <div className={ clsx("flex items-center", isCollapsed ? "justify-center" : "justify-between") }>
             { !isCollapsed && (
               <div className="flex items-center gap-3 pl-1 animate-in fade-in duration-200 overflow-hidden">
-                <div className="w-12 h-12 bg-[var(--bg-secondary)] rounded-full flex items-center justify-center border shadow-sm flex-shrink-0" aria-hidden="true">
-                  <img src="/icons/marcus-aurelius.png" alt="" className="w-full h-full object-cover rounded-full" aria-hidden="true"/>
-                </div>
+                <PersonaPortrait persona={ activePersona } className="w-12 h-12 border shadow-sm text-base"/>
                 <h1 className="text-lg font-serif font-bold text-[var(--text-primary)] tracking-tight whitespace-nowrap overflow-hidden text-ellipsis">
                   { displayTitle }
                 </h1>
@@ -135,7 +139,7 @@ export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse
           </div>
           {/* New Chat button: switches between icon-only and full button based on collapse state */}
           <button
-            onClick={ handleNewChat }
+            onClick={ handleNewChatClick }
             className={ clsx(
               "flex items-center gap-3 transition-all duration-200 group",
               isCollapsed
@@ -143,7 +147,8 @@ export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse
                 : "px-4 py-3 rounded-xl bg-[var(--bg-primary)] hover:shadow-md text-[var(--text-secondary)] hover:text-[var(--accent)]"
             )}
             title="New Chat"
-            aria-label="Start a new chat conversation"
+            aria-label={ hasPersonaChoice && !isCollapsed ? "Start a new chat: choose who to talk to" : "Start a new chat conversation" }
+            aria-expanded={ hasPersonaChoice && !isCollapsed ? showPersonaPicker : undefined }
             tabIndex={2}
             type="button"
           >
@@ -152,31 +157,53 @@ export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse
             </svg>
             { !isCollapsed && <span className="font-medium text-sm whitespace-nowrap">New Chat</span> }
           </button>
+          { showPersonaPicker && !isCollapsed && (
+            <PersonaPicker
+              personas={ personas }
+              selectedId={ activePersona.id }
+              onSelect={ handleNewChat }
+              onClose={ () => setShowPersonaPicker(false) }
+            />
+          )}
         </div>
         {/* Scrollable conversation history list with search */}
         <div className="flex-1 overflow-y-auto overflow-x-hidden custom-scrollbar px-3 py-2">
-          { !isCollapsed && (
+          { !isCollapsed && !isKiosk && (
             <div className="mb-4 animate-in fade-in duration-200">
               <div tabIndex={2} className="focus-within:ring-2 ring-[var(--accent)] rounded-lg">
                 <SidebarSearch searchTerm={ searchTerm } onSearchChange={ setSearchTerm } />
               </div>
             </div>
           )}
-          { !isCollapsed && <div className="border-t border-[var(--border)] mx-2 mb-4" role="presentation" /> }
-          { !isCollapsed ? (
+          { !isCollapsed && !isKiosk && <div className="border-t border-[var(--border)] mx-2 mb-4" role="presentation" /> }
+          { isKiosk ? (
+            !isCollapsed && (
+              <p className="px-3 text-xs text-[var(--text-secondary)] leading-relaxed">
+                This is a shared screen. Your conversation is cleared when you end your visit, or after { idleMinutes } { idleMinutes === 1 ? 'minute' : 'minutes' } without activity.
+              </p>
+            )
+          ) : !isCollapsed && debouncedSearchTerm ? (
+            <SearchResults
+              query={ debouncedSearchTerm }
+              activeConversationId={ activeConversationId }
+              getPersona={ getPersona }
+              showPersonas={ hasPersonaChoice }
+              onOpen={ handleOpenResult }
+            />
+          ) : !isCollapsed ? (
             <div className="space-y-1 animate-in fade-in slide-in-from-left-4 duration-300">
               <div className="flex items-center justify-between px-3 mb-2">
                 <div className="text-xs font-bold text-[var(--text-secondary)] uppercase tracking-widest" id="history-heading">
-                  { debouncedSearchTerm ? 'Results' : 'Recent' }
+                  Recent
                 </div>
                 <span className="text-[10px] text-[var(--text-secondary)] bg-[var(--bg-primary)] px-1.5 py-0.5 rounded border border-[var(--border)]">
-                  { filteredConversations.length }
+                  { conversations.length }
                 </span>
               </div>
               {/* Conversation list items with hover-reveal delete buttons */}
               <div role="list" aria-labelledby="history-heading">
-                { filteredConversations.length === 0 && (<p className="px-3 text-xs text-[var(--text-secondary)] opacity-60">No history found.</p>) }
-                { filteredConversations.map(conversation => (
+                { conversations.length === 0 && (<p className="px-3 text-xs text-[var(--text-secondary)] opacity-60">No history found.</p>) }
+                { conversations.map(conversation => (
                   <div
                     key={ conversation.id }
                     role="listitem"
@@ -184,12 +211,16 @@ export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse
                     tabIndex={2}
                     className={ clsx( "group relative flex items-center gap-3 px-3 py-2.5 rounded-lg cursor-pointer transition-all duration-200 border border-transparent", activeConversationId === conversation.id ? "bg-[var(--accent)]/10 text-[var(--accent)] font-medium" : "text-[var(--text-primary)] hover:bg-[var(--bg-primary)] hover:border-[var(--border)]" )}
                     onKeyDown={(e) => { if(e.key === 'Enter' || e.key === ' ') { e.preventDefault(); setActiveConversationId(conversation.id); } }}
-                    aria-label={`${activeConversationId === conversation.id ? 'Current conversation: ' : 'Select conversation: '}${conversation.title || 'New Chat'}`}
+                    aria-label={`${activeConversationId === conversation.id ? 'Current conversation: ' : 'Select conversation: '}${conversation.title || 'New Chat'}${hasPersonaChoice ? ` with ${getPersona(conversation.personaId).name}` : ''}`}
                     aria-current={activeConversationId === conversation.id ? 'true' : 'false'}
                   >
-                    <svg className="w-4 h-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 } d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
-                    </svg>
+                    { hasPersonaChoice ? (
+                      <PersonaPortrait persona={ getPersona(conversation.personaId) } className="w-5 h-5 text-[8px]"/>
+                    ) : (
+                      <svg className="w-4 h-4 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 } d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z" />
+                      </svg>
+                    )}
                     <span className="truncate flex-1 text-sm">{ conversation.title || 'New Chat' }</span>
                     <button
                       onClick={ (event) => handleDeleteClick(event, conversation.id, conversation.title) } 
@@ -214,13 +245,27 @@ export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse
             </div>
           )}
         </div>
-        {/* Footer: Museum Guide, theme toggle, and settings buttons */}
+        {/* Footer: Curator Console (curators only), Museum Guide, theme toggle, and settings buttons (End my visit in kiosk mode) */}
         <div className="p-4 border-t border-[var(--border)] flex flex-col gap-3">
+          { hasRole(user, 'curator') && !isKiosk && (
+            <Link
+              to="/admin"
+              className={ clsx("flex items-center gap-3 px-3 py-2 rounded-lg transition-all", "text-[var(--text-secondary)] hover:text-[var(--accent)] hover:bg-[var(--bg-primary)]", isCollapsed ? "justify-center w-full" : "w-full") }
+              title="Curator Console"
+              aria-label="Open the Curator Console"
+              tabIndex={2}
+            >
+              <svg className="w-5 h-5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 } d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+              </svg>
+              { !isCollapsed && <span className="text-sm font-medium">Curator Console</span> }
+            </Link>
+          )}
           <button 
             onClick={ () => setShowMuseumModal(true) } 
             className={ clsx("flex items-center gap-3 px-3 py-2 rounded-lg transition-all", "text-[var(--text-secondary)] hover:text-[var(--accent)] hover:bg-[var(--bg-primary)]", isCollapsed ? "justify-center w-full" : "w-full") } 
-            title="About Marcus Aurelius" 
-            aria-label="Open Exhibit Guide to learn about Marcus Aurelius" 
+            title={ `About ${ activePersona.name }` }
+            aria-label={ `Open Exhibit Guide to learn about ${ activePersona.name }` }
             tabIndex={2}
             type="button"
           >
@@ -229,11 +274,26 @@ export const Sidebar = ({ activeView, setActiveView, isCollapsed, toggleCollapse
             </svg>
             { !isCollapsed && <span className="text-sm font-medium">Exhibit Guide</span> }
           </button>
-          <div className={ clsx("flex items-center", isCollapsed ? "flex-col gap-4" : "justify-between border-t border-[var(--border)] pt-3 gap-2") }>
-            <ThemeToggle isCollapsed={ isCollapsed } />
-            { !isCollapsed && <div className="h-4 w-px bg-[var(--border)]" role="presentation" /> }
-            <SettingsButton activeView={ activeView } setActiveView={ setActiveView } isCollapsed={ isCollapsed } />
-          </div>
+          { isKiosk ? (
+            <button
+              onClick={ resetSession }
+              className={ clsx("flex items-center gap-3 px-3 py-2 rounded-lg transition-all", "text-[var(--text-secondary)] hover:text-red-500 hover:bg-[var(--bg-primary)]", isCollapsed ? "justify-center w-full" : "w-full") }
+              title="End my visit"
+              aria-label="End my visit and clear this conversation"
+              tabIndex={2}
+            >
+              <svg className="w-5 h-5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 } d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+              </svg>
+              { !isCollapsed && <span className="text-sm font-medium">End my visit</span> }
+            </button>
+          ) : (
+            <div className={ clsx("flex items-center", isCollapsed ? "flex-col gap-4" : "justify-between border-t border-[var(--border)] pt-3 gap-2") }>
+              <ThemeToggle isCollapsed={ isCollapsed } />
+              { !isCollapsed && <div className="h-4 w-px bg-[var(--border)]" role="presentation" /> }
+              <SettingsButton activeView={ activeView } setActiveView={ setActiveView } isCollapsed={ isCollapsed } />
+            </div>
+          )}
         </div>
       </aside>
     </>
@@ -2,7 +2,7 @@ import React from 'react';
 
 /**
  * Search Input Component for the Sidebar.
- * Filters conversation history based on title/content matches.
+ * Searches the visitor's conversations, titles and every message, on the server (results are shown by SearchResults).
  * @component
  * @param {Object} props
  * @param {string} props.searchTerm - The current search query string.
@@ -0,0 +1,37 @@
+import React, { createContext, useContext } from 'react';
+import { useAuth } from '../hooks/useAuth';
+
+/**
+ * Context for the signed-in visitor's session.
+ */
+const AuthContext = createContext(null);
+
+/**
+ * AuthProvider Component
+ * Initializes the useAuth hook once and passes the session down (useChat reads it for API calls).
+ * @param {Object} props - Component props.
+ * @param {React.ReactNode} props.children - Child components.
+ * @returns {JSX.Element} Provider component.
+ */
+export const AuthProvider = ({ children }) => {
+  const auth = useAuth();
+
+  return (
+    <AuthContext.Provider value={ auth }>
+      { children }
+    </AuthContext.Provider>
+  );
+};
+
+/**
+ * Hook to consume the AuthContext.
+ * @throws {Error} If used outside of an AuthProvider.
+ * @returns {Object} The auth state returned by useAuth().
+ */
+export const useAuthContext = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuthContext must be used within an AuthProvider');
+  }
+  return context;
+};
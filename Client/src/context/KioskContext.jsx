@@ -0,0 +1,37 @@
+import React, { createContext, useContext } from 'react';
+import { useKioskMode } from '../hooks/useKioskMode';
+
+/**
+ * Context for kiosk mode (shared museum touchscreens).
+ */
+const KioskContext = createContext(null);
+
+/**
+ * KioskProvider Component
+ * Initializes the useKioskMode hook once. Must sit inside the Auth and Chat providers, whose state it resets.
+ * @param {Object} props - Component props.
+ * @param {React.ReactNode} props.children - Child components.
+ * @returns {JSX.Element} Provider component.
+ */
+export const KioskProvider = ({ children }) => {
+  const kiosk = useKioskMode();
+
+  return (
+    <KioskContext.Provider value={ kiosk }>
+      { children }
+    </KioskContext.Provider>
+  );
+};
+
+/**
+ * Hook to consume the KioskContext.
+ * @throws {Error} If used outside of a KioskProvider.
+ * @returns {Object} The kiosk state returned by useKioskMode().
+ */
+export const useKioskContext = () => {
+  const context = useContext(KioskContext);
+  if (!context) {
+    throw new Error('useKioskContext must be used within a KioskProvider');
+  }
+  return context;
+};
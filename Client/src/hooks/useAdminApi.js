@@ -0,0 +1,34 @@
+import { useCallback } from 'react';
+import { useAuthContext } from '../context/AuthContext';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+/**
+ * Custom hook for the curator console's API calls (Script Admin API and /admin endpoints).
+ * Requests carry the curator's session; errors carry the server's message and validation details.
+ * @returns {Function} request - (endpoint, options) => Promise resolving to the JSON body.
+ */
+export const useAdminApi = () => {
+  const { authHeaders, logout } = useAuthContext();
+
+  return useCallback(async (endpoint, options = {}) => {
+    const headers = { ...(await authHeaders()), ...options.headers };
+    if (options.body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${ API_BASE_URL }${ endpoint }`, {
+      ...options,
+      headers,
+      body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+    });
+    const data = await response.json().catch(() => null);
+
+    if (response.status === 401) logout();
+    if (!response.ok) {
+      const error = new Error(data?.error || `HTTP error: ${ response.status }`);
+      error.details = data?.details || [];
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }, [authHeaders, logout]);
+};
@@ -0,0 +1,222 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useLocalStorage } from './useLocalStorage';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Query parameter of the sign-in links emailed by the server
+const MAGIC_TOKEN_PARAM = 'magic_token';
+
+// Response headers carrying a refreshed anonymous session
+const SESSION_TOKEN_HEADER = 'X-Session-Token';
+const SESSION_EXPIRES_HEADER = 'X-Session-Expires';
+
+// Account roles, least privileged first (mirrors Server/utils/roles.js)
+export const ROLES = ['visitor', 'curator', 'admin'];
+
+/**
+ * Whether a visitor's account has at least the given role. Anonymous visitors have none.
+ * @param {Object|null} user - { role, anonymous } from the session.
+ * @param {string} minimum - 'curator' or 'admin'.
+ * @returns {boolean} True if allowed.
+ */
+export const hasRole = (user, minimum) => Boolean(user && !user.anonymous && ROLES.indexOf(user.role) >= ROLES.indexOf(minimum));
+
+/**
+ * Posts to an /auth endpoint and returns the JSON body, throwing the server's message on failure.
+ * @param {string} endpoint - Path under /auth.
+ * @param {Object} body - JSON body.
+ * @param {Object} headers - Extra headers (the anonymous session being signed in from).
+ * @returns {Promise<Object>} Response body.
+ */
+const postAuth = async (endpoint, body, headers = {}) => {
+  const response = await fetch(`${ API_BASE_URL }/auth${ endpoint }`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.details?.join('. ') || data.error || `HTTP error: ${ response.status }`);
+  }
+  return data;
+};
+
+/**
+ * Reads the user id from a session token's payload (the server checks the signature, not us).
+ * @param {string} token - Session token.
+ * @returns {string|null} User or device id.
+ */
+const readTokenSubject = (token) => {
+  try {
+    const payload = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).sub || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Authorization header of the stored anonymous session, sent when signing in so the server
+ * moves its conversations to the account.
+ * @returns {Object} Headers (empty if the visitor has no anonymous session).
+ */
+const readDeviceHeaders = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem('auth-session') || 'null');
+    return stored?.user?.anonymous ? { Authorization: `Bearer ${ stored.token }` } : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Custom hook for visitor sessions.
+ * Visitors who do not sign in get an anonymous device session, started on the first visit and ended
+ * after a period of inactivity; the server slides its expiry with every request. Visitors may sign in
+ * (email/password or emailed magic link) to keep their conversations; opening a magic link
+ * (?magic_token=...) signs them in. The session ({ token, expiresAt, user }) is kept in localStorage.
+ * @returns {Object} authState
+ * @returns {Object|null} authState.session - Current session, or null before one has started.
+ * @returns {Object|null} authState.user - { id, email, role, anonymous } of the visitor.
+ * @returns {boolean} authState.isVerifying - True while a magic link is being exchanged.
+ * @returns {string} authState.linkError - Why the last magic link failed ('' if it did not).
+ * @returns {boolean} authState.isSignInOpen - Whether the sign-in page is showing.
+ * @returns {Function} authState.openSignIn - Shows the sign-in page.
+ * @returns {Function} authState.closeSignIn - Goes back to the chat.
+ * @returns {Function} authState.login - (email, password) => Promise.
+ * @returns {Function} authState.register - (email, password) => Promise.
+ * @returns {Function} authState.requestMagicLink - (email) => Promise.
+ * @returns {Function} authState.logout - Ends the session (an anonymous one starts on the next request).
+ * @returns {Function} authState.authHeaders - Resolves to the Authorization header, starting a session if needed.
+ * @returns {Function} authState.updateSessionFromResponse - Stores a refreshed anonymous session from response headers.
+ */
+export const useAuth = () => {
+  const [session, setSession] = useLocalStorage('auth-session', null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [linkError, setLinkError] = useState('');
+  const [isSignInOpen, setIsSignInOpen] = useState(false);
+
+  // Shared by requests made before the first session arrives, so they all use the same one
+  const pendingSession = useRef(null);
+
+  // Expired sessions are dropped on load rather than failing on the first request
+  const isExpired = session?.expiresAt && new Date(session.expiresAt) <= new Date();
+  const activeSession = session && !isExpired ? session : null;
+
+  // Read through a ref so API helpers keep their identity while the anonymous token slides
+  const tokenRef = useRef(null);
+  tokenRef.current = activeSession?.token || null;
+
+  useEffect(() => {
+    if (activeSession) pendingSession.current = null;
+  }, [activeSession]);
+
+  // Refresh the account's role once per sign-in or page load, since curators can be promoted or demoted meanwhile
+  const accountToken = activeSession && !activeSession.user?.anonymous ? activeSession.token : null;
+  useEffect(() => {
+    if (!accountToken) return;
+    const controller = new AbortController();
+
+    fetch(`${ API_BASE_URL }/auth/me`, { headers: { Authorization: `Bearer ${ accountToken }` }, signal: controller.signal })
+      .then(response => {
+        if (response.status === 401) setSession(prev => (prev?.token === accountToken ? null : prev));
+        if (!response.ok) throw new Error(`HTTP error: ${ response.status }`);
+        return response.json();
+      })
+      .then(({ user }) => setSession(prev => (prev?.token === accountToken ? { ...prev, user } : prev)))
+      .catch(error => {
+        if (error.name !== 'AbortError') console.warn('Could not refresh the account:', error.message);
+      });
+
+    return () => controller.abort();
+  }, [accountToken, setSession]);
+
+  useEffect(() => {
+    if (isExpired) setSession(null);
+  }, [isExpired, setSession]);
+
+  // Exchange a magic link token from the URL for a session
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get(MAGIC_TOKEN_PARAM);
+    if (!token) return;
+
+    // Remove the token from the address bar and history straight away; it works once
+    url.searchParams.delete(MAGIC_TOKEN_PARAM);
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+
+    setIsVerifying(true);
+    setIsSignInOpen(true);
+    postAuth('/magic-link/verify', { token }, readDeviceHeaders())
+      .then(data => { setSession(data); setLinkError(''); setIsSignInOpen(false); })
+      .catch(error => setLinkError(error.message))
+      .finally(() => setIsVerifying(false));
+  }, [setSession]);
+
+  const signIn = useCallback(async (endpoint, body) => {
+    setSession(await postAuth(endpoint, body, readDeviceHeaders()));
+    setIsSignInOpen(false);
+  }, [setSession]);
+
+  const login = useCallback((email, password) => signIn('/login', { email, password }), [signIn]);
+
+  const register = useCallback((email, password) => signIn('/register', { email, password }), [signIn]);
+
+  const requestMagicLink = useCallback((email) => postAuth('/magic-link', { email }), []);
+
+  const logout = useCallback(() => {
+    pendingSession.current = null;
+    setSession(null);
+  }, [setSession]);
+
+  const authHeaders = useCallback(async () => {
+    if (tokenRef.current) return { Authorization: `Bearer ${ tokenRef.current }` };
+
+    if (!pendingSession.current) {
+      pendingSession.current = postAuth('/session', {}).then(data => {
+        setSession(data);
+        return data;
+      });
+      pendingSession.current.catch(() => { pendingSession.current = null; });
+    }
+    try {
+      const started = await pendingSession.current;
+      return { Authorization: `Bearer ${ started.token }` };
+    } catch (error) {
+      // Server offline: let the request go out without a session and fail (or start one) on its own
+      console.warn('Could not start a session:', error.message);
+      return {};
+    }
+  }, [setSession]);
+
+  const updateSessionFromResponse = useCallback((response) => {
+    const refreshed = response.headers.get(SESSION_TOKEN_HEADER);
+    if (!refreshed) return;
+
+    // Only anonymous sessions slide; never replace an account's session with one
+    setSession(prev => {
+      if ((prev && !prev.user?.anonymous) || prev?.token === refreshed) return prev;
+      return {
+        token: refreshed,
+        expiresAt: response.headers.get(SESSION_EXPIRES_HEADER),
+        user: { id: readTokenSubject(refreshed), email: null, anonymous: true }
+      };
+    });
+  }, [setSession]);
+
+  return {
+    session: activeSession,
+    user: activeSession?.user || null,
+    isVerifying,
+    linkError,
+    isSignInOpen,
+    openSignIn: () => setIsSignInOpen(true),
+    closeSignIn: () => { setIsSignInOpen(false); setLinkError(''); },
+    login,
+    register,
+    requestMagicLink,
+    logout,
+    authHeaders,
+    updateSessionFromResponse
+  };
+};
@@ -1,18 +1,60 @@
 import { useLocalStorage } from './useLocalStorage';
-import { useState, useCallback } from 'react';
+import { usePersonas, DEFAULT_PERSONA_ID } from './usePersonas';
+import { useAuthContext } from '../context/AuthContext';
+import { useState, useCallback, useEffect } from 'react';
 
 // ✅ UPDATE: Production-Ready URL Selector
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
+/**
+ * Reads a Server-Sent Events response body and dispatches each parsed event.
+ * EventSource only supports GET, so the POST stream is parsed by hand.
+ * @param {Response} response - A fetch response with a text/event-stream body.
+ * @param {Function} onEvent - Called with (eventName, data) for each event.
+ */
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line; keep any partial event in the buffer
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      let eventName = 'message';
+      let data = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(eventName, JSON.parse(data));
+    }
+  }
+};
+
 /**
  * Main chat logic hook.
- * Features: Auto-Sync, Optimistic UI, File Uploads, Backup Restore.
+ * Features: Auto-Sync, Optimistic UI, File Uploads, Backup Restore, Personas, Full-Text Search.
+ * Each conversation is held with one persona; new chats use the persona picked last.
+ * Every request carries the visitor's session (their account, or an anonymous device session started
+ * on the first visit), so the server only returns their own conversations.
  */
 export const useChat = () => {
   const [conversations, setConversations] = useLocalStorage('chat-conversations', []);
   const [activeConversationId, setActiveConversationId] = useLocalStorage('active-conversation', null);
+  const [selectedPersonaId, setSelectedPersonaId] = useLocalStorage('selected-persona', DEFAULT_PERSONA_ID);
+  const { personas, getPersona } = usePersonas();
   const [isLoading, setIsLoading] = useState(false);
   const [newChatTrigger, setNewChatTrigger] = useState(0);
+  // Message to scroll to once its conversation is open (a search result)
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+  const { user, authHeaders, updateSessionFromResponse, logout } = useAuthContext();
 
   /**
    * Helper for API calls with standardized error handling.
@@ -20,7 +62,7 @@ export const useChat = () => {
   const apiCall = useCallback(async (endpoint, options = {}) => {
     try {
       const isFormData = options.body instanceof FormData;
-      const headers = { ...options.headers };
+      const headers = { ...(await authHeaders()), ...options.headers };
 
       if (!isFormData) {
         headers['Content-Type'] = 'application/json';
@@ -30,7 +72,13 @@ export const useChat = () => {
         ...options,
         headers,
       });
+      updateSessionFromResponse(response);
 
+      // Session expired or revoked: forget it (an anonymous one starts on the next request)
+      if (response.status === 401) {
+        logout();
+        throw new Error('UNAUTHORIZED');
+      }
       if (response.status === 404) throw new Error('NOT_FOUND');
       if (!response.ok) throw new Error(`API error: ${ response.status }`);
 
@@ -39,7 +87,7 @@ export const useChat = () => {
       console.error(`API Call Failed [${ endpoint }]:`, error);
       throw error;
     }
-  }, []);
+  }, [authHeaders, updateSessionFromResponse, logout]);
 
   /**
    * Syncs frontend list with backend reality.
@@ -69,13 +117,24 @@ export const useChat = () => {
     }
   }, [activeConversationId, apiCall, setConversations, setActiveConversationId]);
 
+  // Forget the cached history when the session ends (sign-out or inactivity), so the next visitor starts clean.
+  // A new session (including signing in, which keeps the anonymous conversations) loads its own list.
+  useEffect(() => {
+    if (!user) {
+      setConversations([]);
+      setActiveConversationId(null);
+    } else {
+      syncConversations();
+    }
+  }, [user?.id]);
+
   /**
-   * Creates a new conversation session.
+   * Creates a new conversation session with a persona (default: the selected one).
    */
-  const createNewConversation = async () => {
+  const createNewConversation = async (personaId = selectedPersonaId) => {
     setIsLoading(true);
     try {
-      const data = await apiCall('/conversations', { method: 'POST' });
+      const data = await apiCall('/conversations', { method: 'POST', body: JSON.stringify({ personaId }) });
       setConversations(prev => [data, ...prev]);
       setActiveConversationId(data.id);
       setIsLoading(false);
@@ -86,6 +145,7 @@ export const useChat = () => {
       const newConv = {
         id: Date.now().toString(),
         title: 'New Conversation',
+        personaId,
         messages: [],
         createdAt: new Date().toISOString()
       };
@@ -107,53 +167,60 @@ export const useChat = () => {
 
     try {
       // Send Data to Backend
-      const response = await fetch(`${API_BASE_URL}/conversations/import`, {
+      const result = await apiCall('/conversations/import', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(fileData)
       });
 
-      if (!response.ok) throw new Error("Failed to save backup to server.");
-
       // Refresh State from Backend
-      const refreshRes = await fetch(`${API_BASE_URL}/conversations`);
-      const freshData = await refreshRes.json();
+      const freshData = await apiCall('/conversations');
 
       setConversations(freshData);
-      alert("Backup restored successfully!");
+      alert(result.message || "Backup restored successfully!");
 
     } catch (error) {
       console.error("Import Failed:", error);
       alert("Error restoring backup. Check console details.");
     }
-  }, [setConversations]);
+  }, [apiCall, setConversations]);
 
   /**
-   * Sends a message to the backend.
+   * Sends a message to the backend and streams the persona's reply.
+   * The reply is rendered delta-by-delta from the SSE stream, then swapped for the saved message.
    * ✅ FIX: Prevents "Derendering" by merging specific server messages 
    * instead of overwriting with potentially stale conversation objects.
    */
   const addMessageToConversation = async (conversationId, message) => {
-    // Generate a temporary ID for the optimistic message
+    // Generate temporary IDs for the optimistic message and the streaming reply
     const tempId = `temp-${Date.now()}`;
+    const streamId = `stream-${Date.now()}`;
     const optimisticMessage = { ...message, id: tempId };
 
+    /**
+     * Applies an update to the messages of this conversation only.
+     */
+    const updateMessages = (updater, metadata = {}) => {
+      setConversations(prev => prev.map(conversation => {
+        if (conversation.id === conversationId) {
+          return {
+            ...conversation,
+            ...metadata,
+            messages: updater(conversation.messages || []),
+            updatedAt: new Date().toISOString()
+          };
+        }
+        return conversation;
+      }));
+    };
+
     // 1. Optimistic UI Update (Renders immediately)
-    setConversations(prev => prev.map(conversation => {
-      if (conversation.id === conversationId) {
-        return {
-          ...conversation,
-          messages: [...(conversation.messages || []), optimisticMessage],
-          updatedAt: new Date().toISOString()
-        };
-      }
-      return conversation;
-    }));
+    updateMessages(messages => [...messages, optimisticMessage]);
 
     setIsLoading(true);
 
     try {
       let body;
+      const headers = { ...(await authHeaders()), Accept: 'text/event-stream' };
       // Check if we have an attachment to send
       if (message.attachment) {
         const formData = new FormData();
@@ -162,56 +229,78 @@ export const useChat = () => {
         body = formData;
       } else {
         // Standard JSON for text-only
+        headers['Content-Type'] = 'application/json';
         body = JSON.stringify({ text: message.text });
       }
 
-      // API Call
-      const data = await apiCall(`/conversations/${ conversationId }/messages`, {
+      const response = await fetch(`${API_BASE_URL}/conversations/${ conversationId }/messages/stream`, {
         method: 'POST',
-        body: body
+        headers,
+        body
       });
+      updateSessionFromResponse(response);
 
-      // 2. Safe State Update
-      setConversations(prev => prev.map(conversation => {
-        if (conversation.id === conversationId) {
-          
-          const localMessages = conversation.messages || [];
-          
-          // Remove the temporary optimistic message we added earlier
-          const filteredMessages = localMessages.filter(m => m.id !== tempId);
-          
-          // Retrieve the guaranteed messages from the server response
-          const newMessages = [];
-          if (data.userMessage) newMessages.push(data.userMessage);
-          if (data.marcusMessage) newMessages.push(data.marcusMessage);
-
-          return {
-            ...conversation,
+      if (response.status === 401) {
+        logout();
+        throw new Error('UNAUTHORIZED');
+      }
+      if (response.status === 404) throw new Error('NOT_FOUND');
+      if (!response.ok || !response.body) throw new Error(`API error: ${ response.status }`);
+
+      let result = null;
+
+      // 2. Safe State Updates, one per stream event
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'user-message-saved':
+            // Swap the optimistic message for the persisted one
+            updateMessages(
+              messages => messages.map(m => (m.id === tempId ? data.userMessage : m)),
+              data.title ? { title: data.title } : {}
+            );
+            break;
+
+          case 'delta':
+            updateMessages(messages => {
+              const existing = messages.find(m => m.id === streamId);
+              if (!existing) {
+                return [...messages, { id: streamId, text: data.text, isUser: false, isStreaming: true, streamed: true, timestamp: new Date().toISOString() }];
+              }
+              return messages.map(m => (m.id === streamId ? { ...m, text: data.replace ? data.text : m.text + data.text } : m));
+            });
+            break;
+
+          case 'done': {
+            result = data;
             // Merge metadata (like updated title) from server, but safeguard the messages
-            ...(data.conversation || {}), 
-            // Forcefully append the new messages to our filtered list
-            messages: [...filteredMessages, ...newMessages], 
-            updatedAt: new Date().toISOString()
-          };
+            const { messages: _serverMessages, ...metadata } = data.conversation || {};
+            const finalMessage = { ...data.marcusMessage, streamed: true };
+            updateMessages(messages => {
+              const hasStream = messages.some(m => m.id === streamId);
+              return hasStream
+                ? messages.map(m => (m.id === streamId ? finalMessage : m))
+                : [...messages, finalMessage];
+            }, metadata);
+            break;
+          }
+
+          case 'error':
+            throw new Error(data.error || 'Stream failed');
+
+          default:
+            break;
         }
-        return conversation;
-      }));
+      });
+
+      if (!result) throw new Error('Stream ended before the reply was saved');
 
       setIsLoading(false);
-      return data;
+      return result;
     } catch (error) {
       console.warn('Message failed, rolling back optimistic update');
 
-      // Rollback: Remove the temp message if API failed
-      setConversations(prev => prev.map(conversation => {
-        if (conversation.id === conversationId) {
-          return {
-            ...conversation,
-            messages: (conversation.messages || []).filter(m => m.id !== tempId)
-          };
-        }
-        return conversation;
-      }));
+      // Rollback: Remove the temp message and any partial reply if API failed
+      updateMessages(messages => messages.filter(m => m.id !== tempId && m.id !== streamId));
 
       // Turn off loading.
       setIsLoading(false);
@@ -263,9 +352,37 @@ export const useChat = () => {
     }
   }, [apiCall, activeConversationId, setConversations, setActiveConversationId]);
 
-  const startConversationWithPrompt = async (promptText) => {
+  /**
+   * Full-text search of the visitor's conversations on the server (titles and every message).
+   * Resolves to { query, results, total, page, pages }; see GET /api/conversations/search.
+   */
+  const searchConversations = useCallback((query, page = 1) => (
+    apiCall(`/conversations/search?${ new URLSearchParams({ q: query, page }) }`)
+  ), [apiCall]);
+
+  /**
+   * Opens a conversation and scrolls to one of its messages.
+   */
+  const openConversationAtMessage = useCallback((conversationId, messageId) => {
+    setActiveConversationId(conversationId);
+    setFocusedMessageId(messageId || null);
+  }, [setActiveConversationId]);
+
+  /**
+   * Forgets every conversation on this device and opens a new chat with the default persona.
+   * Used by kiosk mode between visitors; nothing is deleted on the server.
+   */
+  const resetChat = useCallback(() => {
+    setConversations([]);
+    setActiveConversationId(null);
+    setSelectedPersonaId(DEFAULT_PERSONA_ID);
+    setFocusedMessageId(null);
+    setNewChatTrigger(prev => prev + 1);
+  }, [setConversations, setActiveConversationId, setSelectedPersonaId]);
+
+  const startConversationWithPrompt = async (promptText, personaId) => {
     try {
-      const newId = await createNewConversation();
+      const newId = await createNewConversation(personaId);
       setActiveConversationId(newId);
       await addMessageToConversation(newId, {
         text: promptText,
@@ -279,6 +396,8 @@ export const useChat = () => {
     }
   };
 
+  const activeConversation = conversations.find(conversation => conversation.id === activeConversationId);
+
   return {
     conversations,
     activeConversationId,
@@ -287,12 +406,26 @@ export const useChat = () => {
     addMessageToConversation,
     deleteConversation,
     clearAllConversations,
+    resetChat,
+    searchConversations,
+    openConversationAtMessage,
+    focusedMessageId,
+    clearFocusedMessage: () => setFocusedMessageId(null),
     loadConversation,
     syncConversations,
     importConversations,
     startConversationWithPrompt,
-    getActiveConversation: () => conversations.find(conversation => conversation.id === activeConversationId),
-    startNewChat: () => { setActiveConversationId(null); setNewChatTrigger(prev => prev + 1); },
+    getActiveConversation: () => activeConversation,
+    personas,
+    getPersona,
+    // Persona of the open conversation, or of the next new chat
+    activePersona: getPersona(activeConversation ? activeConversation.personaId : selectedPersonaId),
+    startNewChat: (personaId) => {
+      if (personaId) setSelectedPersonaId(personaId);
+      setActiveConversationId(null);
+      setFocusedMessageId(null);
+      setNewChatTrigger(prev => prev + 1);
+    },
     newChatTrigger,
     isLoading
   };
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useChatContext } from '../context/ChatContext';
+
+const EMPTY_SEARCH = { results: [], total: 0, page: 0, pages: 0 };
+
+/**
+ * Custom hook for the Sidebar's conversation search, run on the server over titles and every message.
+ * Pass an already-debounced query; an empty query clears the results.
+ * @param {string} query - Search string (words, "phrases", -excluded words).
+ * @returns {Object} searchState
+ * @returns {Array<Object>} searchState.results - Matching conversations, best first, with highlighted snippets.
+ * @returns {number} searchState.total - Number of matching conversations.
+ * @returns {boolean} searchState.hasMore - Whether more pages can be loaded.
+ * @returns {string} searchState.status - 'idle', 'loading', 'done' or 'error'.
+ * @returns {Function} searchState.loadMore - Appends the next page of results.
+ */
+export const useConversationSearch = (query) => {
+  const { searchConversations } = useChatContext();
+  const [search, setSearch] = useState(EMPTY_SEARCH);
+  const [status, setStatus] = useState('idle');
+  const term = query.trim();
+
+  useEffect(() => {
+    setSearch(EMPTY_SEARCH);
+    if (!term) {
+      setStatus('idle');
+      return;
+    }
+
+    let cancelled = false;
+    setStatus('loading');
+    searchConversations(term)
+      .then(data => { if (!cancelled) { setSearch(data); setStatus('done'); } })
+      .catch(() => { if (!cancelled) setStatus('error'); });
+    return () => { cancelled = true; };
+  }, [term, searchConversations]);
+
+  const loadMore = useCallback(async () => {
+    setStatus('loading');
+    try {
+      const next = await searchConversations(term, search.page + 1);
+      // Ignore a page that arrives after the query has changed
+      if (next.query !== term) return;
+      setSearch(prev => ({ ...next, results: [...prev.results, ...next.results] }));
+      setStatus('done');
+    } catch {
+      setStatus('error');
+    }
+  }, [term, search.page, searchConversations]);
+
+  return {
+    results: search.results,
+    total: search.total,
+    hasMore: search.page < search.pages,
+    status,
+    loadMore
+  };
+};
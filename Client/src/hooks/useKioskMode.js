@@ -0,0 +1,125 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useChatContext } from '../context/ChatContext';
+import { useAuthContext } from '../context/AuthContext';
+
+// Remembers a kiosk mode chosen by URL for the rest of the browser session (reloads, in-app navigation)
+const KIOSK_STORAGE_KEY = 'kiosk-mode';
+const DEFAULT_IDLE_MINUTES = 3;
+
+// Anything a visitor does counts as activity; the idle check runs every few seconds
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+const IDLE_CHECK_MS = 5000;
+
+/**
+ * Parses an on/off setting ("1", "true", "0", "false"...).
+ * @param {string|undefined|null} value - Raw value.
+ * @returns {boolean|null} The flag, or null if not set.
+ */
+const parseFlag = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  return !['0', 'false', 'off', 'no'].includes(String(value).toLowerCase());
+};
+
+/**
+ * Parses a positive number of minutes.
+ * @param {string|undefined|null} value - Raw value.
+ * @returns {number|null} Minutes, or null if not set or invalid.
+ */
+const parseMinutes = (value) => {
+  const minutes = Number(value);
+  return value && Number.isFinite(minutes) && minutes > 0 ? minutes : null;
+};
+
+/**
+ * Reads the kiosk settings: the URL (?kiosk=1&idle=5) wins over an earlier URL in this browser session,
+ * which wins over the build's VITE_KIOSK_MODE / VITE_KIOSK_IDLE_MINUTES.
+ * @returns {{ enabled: boolean, idleMinutes: number }} Kiosk settings.
+ */
+const readKioskConfig = () => {
+  const params = new URLSearchParams(window.location.search);
+  let stored = {};
+  try {
+    stored = JSON.parse(window.sessionStorage.getItem(KIOSK_STORAGE_KEY) || '{}');
+  } catch {
+    stored = {};
+  }
+
+  const fromUrl = { enabled: parseFlag(params.get('kiosk')), idleMinutes: parseMinutes(params.get('idle')) };
+  const chosen = {
+    enabled: fromUrl.enabled ?? stored.enabled ?? null,
+    idleMinutes: fromUrl.idleMinutes ?? stored.idleMinutes ?? null
+  };
+  if (fromUrl.enabled !== null || fromUrl.idleMinutes !== null) {
+    window.sessionStorage.setItem(KIOSK_STORAGE_KEY, JSON.stringify(chosen));
+  }
+
+  return {
+    enabled: chosen.enabled ?? parseFlag(import.meta.env.VITE_KIOSK_MODE) ?? false,
+    idleMinutes: chosen.idleMinutes ?? parseMinutes(import.meta.env.VITE_KIOSK_IDLE_MINUTES) ?? DEFAULT_IDLE_MINUTES
+  };
+};
+
+/**
+ * Custom hook for kiosk mode, used on the museum's shared touchscreens.
+ * In kiosk mode history and settings are hidden, an attract screen invites visitors to start, and after
+ * idleMinutes without activity the device forgets everything (conversations, session, chosen persona)
+ * and goes back to the attract screen, so the next visitor starts a fresh conversation.
+ * @returns {Object} kioskState
+ * @returns {boolean} kioskState.isKiosk - Whether kiosk mode is on.
+ * @returns {number} kioskState.idleMinutes - Minutes of inactivity before the reset.
+ * @returns {boolean} kioskState.isAttractVisible - Whether the attract screen is showing.
+ * @returns {Function} kioskState.start - Leaves the attract screen, optionally with a persona ((personaId?) => void).
+ * @returns {Function} kioskState.resetSession - Wipes this visitor's state and shows the attract screen.
+ */
+export const useKioskMode = () => {
+  const [config] = useState(readKioskConfig);
+  const [isAttractVisible, setIsAttractVisible] = useState(config.enabled);
+  const { resetChat, startNewChat, isLoading } = useChatContext();
+  const { logout } = useAuthContext();
+  const lastActivity = useRef(Date.now());
+
+  const resetSession = useCallback(() => {
+    resetChat();
+    logout();
+    setIsAttractVisible(true);
+  }, [resetChat, logout]);
+
+  const start = useCallback((personaId) => {
+    if (personaId) startNewChat(personaId);
+    setIsAttractVisible(false);
+  }, [startNewChat]);
+
+  // Whatever a reload left behind belongs to an earlier visitor
+  useEffect(() => {
+    if (config.enabled) resetSession();
+  }, [config.enabled]);
+
+  // A reply being written (or just finished) counts as activity, so slow replies do not end the visit
+  useEffect(() => {
+    lastActivity.current = Date.now();
+  }, [isLoading]);
+
+  useEffect(() => {
+    if (!config.enabled || isAttractVisible) return;
+
+    const markActive = () => { lastActivity.current = Date.now(); };
+    markActive();
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, markActive, { passive: true }));
+    const timer = window.setInterval(() => {
+      if (Date.now() - lastActivity.current >= config.idleMinutes * 60 * 1000) resetSession();
+    }, IDLE_CHECK_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, markActive));
+      window.clearInterval(timer);
+    };
+  }, [config, isAttractVisible, resetSession]);
+
+  return {
+    isKiosk: config.enabled,
+    idleMinutes: config.idleMinutes,
+    isAttractVisible: config.enabled && isAttractVisible,
+    start,
+    resetSession
+  };
+};
@@ -0,0 +1,58 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+export const DEFAULT_PERSONA_ID = 'marcus_aurelius';
+
+// Used until the server answers (and when it is offline), so the exhibit always has someone to talk to
+const FALLBACK_PERSONAS = [{
+  id: DEFAULT_PERSONA_ID,
+  name: 'Marcus Aurelius',
+  title: 'Emperor of Rome and Stoic philosopher',
+  lifespan: 'AD 121 – 180 • Rome',
+  portrait: '/icons/marcus-aurelius.png',
+  summary: 'Marcus Aurelius was the last of the "Five Good Emperors" of Rome. Despite being the most powerful man in the world, he is best known for his humility and his private journal, the Meditations. Written during military campaigns, these writings were never meant for publication but have become the cornerstone of Stoic philosophy.',
+  principles: [
+    { name: 'Dichotomy of Control', description: 'Focus only on what you can control (your mind and actions); accept what you cannot.' },
+    { name: 'Memento Mori', description: 'Remember that you will die. Use this not to despair, but to live with urgency and virtue.' }
+  ],
+  suggested_prompts: [
+    "I am angry at a colleague's incompetence. How should I react?",
+    'I feel anxiety about the uncertainty of the future.',
+    'What is the best way to begin my day?'
+  ]
+}];
+
+/**
+ * Custom hook to load the personas visitors can talk to.
+ * @returns {Object} personaState
+ * @returns {Array<Object>} personaState.personas - Public profiles ({ id, name, title, lifespan, portrait, summary, principles, suggested_prompts }).
+ * @returns {Function} personaState.getPersona - Looks up a profile by id (unknown ids get Marcus Aurelius).
+ */
+export const usePersonas = () => {
+  const [personas, setPersonas] = useState(FALLBACK_PERSONAS);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetch(`${ API_BASE_URL }/personas`, { signal: controller.signal })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP error: ${ response.status }`);
+        return response.json();
+      })
+      .then(data => { if (Array.isArray(data) && data.length > 0) setPersonas(data); })
+      .catch(error => {
+        if (error.name !== 'AbortError') console.warn('Failed to load personas, using Marcus Aurelius only:', error.message);
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  const getPersona = useCallback((id) => (
+    personas.find(persona => persona.id === (id || DEFAULT_PERSONA_ID))
+      || personas.find(persona => persona.id === DEFAULT_PERSONA_ID)
+      || FALLBACK_PERSONAS[0]
+  ), [personas]);
+
+  return { personas, getPersona };
+};
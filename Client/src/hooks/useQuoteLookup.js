@@ -0,0 +1,71 @@
+import { useState, useCallback } from 'react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+// Quotations shorter than this are usually scare quotes ("the good life"), not citations
+const MIN_QUOTE_WORDS = 4;
+const MAX_LOOKUPS = 3;
+
+/**
+ * Extracts quoted passages from a reply.
+ * @param {string} text - Bot reply.
+ * @returns {Array<string>} Quoted text, without the quotation marks.
+ */
+export const findQuotations = (text) => {
+  const quotations = [];
+  for (const match of (text || '').matchAll(/[“"]([^”"]+)[”"]/g)) {
+    const quote = match[1].trim();
+    if (quote.split(/\s+/).length >= MIN_QUOTE_WORDS) quotations.push(quote);
+  }
+  return quotations;
+};
+
+/**
+ * Custom hook to find where a reply's quotations come from in the Meditations.
+ * Cited sections (provenance.citations) are fetched by reference; other quotations are searched.
+ * @param {string} text - Bot reply.
+ * @param {Array<Object>} citations - provenance.citations of the reply, if any.
+ * @returns {Object} lookup
+ * @returns {string} lookup.status - 'idle', 'loading', 'done' or 'error'.
+ * @returns {Array<Object>} lookup.sources - { quote, reference, text, translator } per quotation; reference is null when not found.
+ * @returns {Function} lookup.lookUp - Starts the lookup (fetches once; retries after an error).
+ */
+export const useQuoteLookup = (text, citations = []) => {
+  const [status, setStatus] = useState('idle');
+  const [sources, setSources] = useState([]);
+
+  const lookUp = useCallback(async () => {
+    if (status === 'loading' || status === 'done') return;
+    setStatus('loading');
+
+    const fetchJson = async (endpoint) => {
+      const response = await fetch(`${ API_BASE_URL }${ endpoint }`);
+      if (response.status === 404) return null;
+      if (!response.ok) throw new Error(`HTTP error: ${ response.status }`);
+      return response.json();
+    };
+
+    try {
+      let found;
+      if (citations.length > 0) {
+        found = await Promise.all(citations.slice(0, MAX_LOOKUPS).map(async (citation) => {
+          const section = await fetchJson(`/quotes/${ encodeURIComponent(citation.reference) }`);
+          return { quote: null, reference: citation.reference, text: section?.text, translator: section?.translator };
+        }));
+      } else {
+        found = await Promise.all(findQuotations(text).slice(0, MAX_LOOKUPS).map(async (quote) => {
+          const data = await fetchJson(`/quotes/search?q=${ encodeURIComponent(quote) }&limit=1`);
+          const best = data?.results?.[0];
+          return { quote, reference: best?.reference || null, text: best?.text, translator: data?.corpus?.translator };
+        }));
+      }
+      setSources(found);
+      setStatus('done');
+    } catch (error) {
+      console.warn('Quote lookup failed:', error.message);
+      setStatus('error');
+    }
+  }, [status, text, citations]);
+
+  return { status, sources, lookUp };
+};
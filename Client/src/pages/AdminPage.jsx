@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import clsx from 'clsx';
+import { useAuthContext } from '../context/AuthContext';
+import { hasRole } from '../hooks/useAuth';
+import { usePersonas } from '../hooks/usePersonas';
+import { UsageDashboard } from '../components/Admin/UsageDashboard';
+import { TranscriptReview } from '../components/Admin/TranscriptReview';
+import { ScriptManager } from '../components/Admin/ScriptManager';
+import { UserRoles } from '../components/Admin/UserRoles';
+
+const TABS = [
+  { id: 'usage', label: 'Usage', role: 'curator' },
+  { id: 'transcripts', label: 'Transcripts', role: 'curator' },
+  { id: 'scripts', label: 'Scripts', role: 'curator' },
+  { id: 'users', label: 'Users', role: 'admin' }
+];
+
+/**
+ * Curator Console Page (/admin).
+ * Curators manage the personas' scripts, review visitors' transcripts and see usage; admins also manage roles
+ * and delete transcripts. The server enforces the same roles, so this page only hides what would be refused.
+ */
+const AdminPage = () => {
+  const { user, openSignIn } = useAuthContext();
+  const { personas, getPersona } = usePersonas();
+  const [tab, setTab] = useState('usage');
+
+  if (!hasRole(user, 'curator')) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center bg-[var(--bg-primary)] text-[var(--text-primary)] p-6 text-center transition-colors duration-200">
+        <h1 className="text-3xl font-serif font-bold text-[var(--accent)] mb-2">Curator Console</h1>
+        <p className="text-sm text-[var(--text-secondary)] mb-6 max-w-sm">
+          { user && !user.anonymous ? 'Your account does not have curator access. Ask an admin to grant it.' : 'Sign in with a curator account to continue.' }
+        </p>
+        <div className="flex gap-3">
+          { (!user || user.anonymous) && (
+            <button onClick={ openSignIn } className="px-4 py-2 rounded-lg font-medium bg-[var(--accent)] text-white hover:opacity-90 transition-all active:scale-95">
+              Sign in
+            </button>
+          )}
+          <Link to="/" className="px-4 py-2 rounded-lg border border-[var(--border)] text-[var(--text-secondary)] hover:text-[var(--accent)] transition-colors">
+            Back to chat
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const tabs = TABS.filter(({ role }) => hasRole(user, role));
+
+  return (
+    <div className="min-h-screen bg-[var(--bg-primary)] text-[var(--text-primary)] transition-colors duration-200">
+      <header className="flex flex-wrap items-center justify-between gap-4 px-6 py-4 border-b border-[var(--border)] bg-[var(--bg-secondary)]/40">
+        <div>
+          <h1 className="text-xl font-serif font-bold text-[var(--accent)]">Curator Console</h1>
+          <p className="text-xs text-[var(--text-secondary)]">Signed in as { user.email } ({ user.role })</p>
+        </div>
+        <Link to="/" className="text-sm text-[var(--text-secondary)] hover:text-[var(--accent)] transition-colors">← Back to chat</Link>
+      </header>
+
+      <nav className="flex gap-1 px-6 border-b border-[var(--border)]" role="tablist" aria-label="Curator Console sections">
+        { tabs.map(({ id, label }) => (
+          <button
+            key={ id }
+            role="tab"
+            aria-selected={ tab === id }
+            onClick={ () => setTab(id) }
+            className={ clsx("px-4 py-3 text-sm font-medium border-b-2 -mb-px transition-colors", tab === id ? "border-[var(--accent)] text-[var(--accent)]" : "border-transparent text-[var(--text-secondary)] hover:text-[var(--text-primary)]") }
+          >
+            { label }
+          </button>
+        ))}
+      </nav>
+
+      <main className="max-w-6xl mx-auto p-6">
+        { tab === 'usage' && <UsageDashboard getPersona={ getPersona }/> }
+        { tab === 'transcripts' && <TranscriptReview personas={ personas } getPersona={ getPersona } canDelete={ hasRole(user, 'admin') }/> }
+        { tab === 'scripts' && <ScriptManager personas={ personas }/> }
+        { tab === 'users' && hasRole(user, 'admin') && <UserRoles currentUser={ user }/> }
+      </main>
+    </div>
+  );
+};
+
+export default AdminPage;
@@ -5,12 +5,14 @@ import { ChatPanel } from '../components/Chat/ChatPanel';
 import { SettingsPanel } from '../components/Settings/SettingsPanel';
 import { MuseumTour } from '../components/Settings/Tabs/MuseumTour';
 import { useSidebarResizer } from '../hooks/useSidebarResizer';
+import { useKioskContext } from '../context/KioskContext';
 import clsx from 'clsx';
 
 
 /**
 * Landing Page Layout.
 * Refactored for WCAG Reflow (400% zoom) by moving breakpoints to lg.
+* In kiosk mode the tour and settings are left out (the attract screen welcomes visitors instead).
 */
 const Landing = () => {
 const { hasCompletedTour, setHasCompletedTour } = useOutletContext();
@@ -19,6 +21,7 @@ const [isCollapsed, setIsCollapsed] = useState(false);
 const [isMobileOpen, setIsMobileOpen] = useState(false);
 const [isSettingsOpen, setIsSettingsOpen] = useState(false);
 const [isTourOpen, setIsTourOpen] = useState(false);
+const { isKiosk } = useKioskContext();
 
 
 // Initialize the Resizer Hook here
@@ -27,10 +30,10 @@ const { sidebarWidth, startResizing, isResizing, sidebarRef } = useSidebarResize
   // Show welcome tour on first visit (localStorage persistence)
   // Tour explains Stoic philosophy and UI features to new users
 useEffect(() => {
-  if (!hasCompletedTour) {
+  if (!hasCompletedTour && !isKiosk) {
     setIsTourOpen(true);
   }
-}, [hasCompletedTour]);
+}, [hasCompletedTour, isKiosk]);
 
 
 const handleTourClose = () => {
@@ -41,7 +44,7 @@ const handleTourClose = () => {
 
 const handleViewChange = (view) => {
   setActiveView(view);
-  if (view === 'settings') setIsSettingsOpen(true);
+  if (view === 'settings' && !isKiosk) setIsSettingsOpen(true);
 };
 
 
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import clsx from 'clsx';
+import { useAuthContext } from '../context/AuthContext';
+
+const inputClass = clsx(
+  "w-full px-4 py-2.5 rounded-lg border transition-colors",
+  "bg-[var(--bg-secondary)] border-[var(--border)] text-[var(--text-primary)]",
+  "focus:outline-none focus:border-[var(--accent)]"
+);
+
+const MODES = {
+  login: { title: 'Sign in', submit: 'Sign in' },
+  register: { title: 'Create an account', submit: 'Create account' },
+  magic: { title: 'Sign in with an email link', submit: 'Send me a link' }
+};
+
+/**
+ * Sign-In Page.
+ * Visitors chat anonymously by default; signing in keeps their conversations beyond this visit and device.
+ * Offers email/password sign-in, registration, and a one-time link sent by email.
+ */
+const SignInPage = () => {
+  const { login, register, requestMagicLink, isVerifying, linkError, closeSignIn } = useAuthContext();
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError('');
+    setNotice('');
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError('');
+    setNotice('');
+    setIsSubmitting(true);
+    try {
+      if (mode === 'login') await login(email, password);
+      else if (mode === 'register') await register(email, password);
+      else {
+        await requestMagicLink(email);
+        setNotice(`We sent a sign-in link to ${ email }. It works once and expires in 15 minutes.`);
+      }
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const message = error || linkError;
+
+  return (
+    <div className="min-h-screen flex flex-col items-center justify-center bg-[var(--bg-primary)] text-[var(--text-primary)] p-6 transition-colors duration-200">
+      <div className="w-full max-w-sm">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-serif font-bold text-[var(--accent)]">Marcus Aurelius</h1>
+          <p className="mt-2 text-sm text-[var(--text-secondary)]">Sign in to keep your councils with the Stoics and pick them up later, on any device.</p>
+        </div>
+
+        <form onSubmit={ handleSubmit } className="p-6 bg-[var(--bg-secondary)]/40 rounded-xl border border-[var(--border)] space-y-4" aria-busy={ isSubmitting || isVerifying }>
+          <h2 className="text-lg font-semibold">{ MODES[mode].title }</h2>
+
+          <div>
+            <label htmlFor="auth-email" className="block text-sm font-medium mb-1">Email</label>
+            <input id="auth-email" type="email" autoComplete="email" required value={ email } onChange={ (event) => setEmail(event.target.value) } className={ inputClass }/>
+          </div>
+
+          { mode !== 'magic' && (
+            <div>
+              <label htmlFor="auth-password" className="block text-sm font-medium mb-1">Password</label>
+              <input
+                id="auth-password"
+                type="password"
+                autoComplete={ mode === 'register' ? 'new-password' : 'current-password' }
+                minLength={ mode === 'register' ? 8 : undefined }
+                required
+                value={ password }
+                onChange={ (event) => setPassword(event.target.value) }
+                className={ inputClass }
+              />
+              { mode === 'register' && <p className="mt-1 text-xs text-[var(--text-secondary)]">At least 8 characters.</p> }
+            </div>
+          )}
+
+          { message && <p className="text-sm text-red-500" role="alert">{ message }</p> }
+          { notice && <p className="text-sm text-green-600 dark:text-green-400" role="status">{ notice }</p> }
+          { isVerifying && <p className="text-sm text-[var(--text-secondary)]" role="status">Checking your sign-in link…</p> }
+
+          <button
+            type="submit"
+            disabled={ isSubmitting || isVerifying }
+            className={ clsx("w-full px-4 py-2.5 rounded-lg font-medium transition-all active:scale-95", "bg-[var(--accent)] text-white hover:opacity-90", "disabled:opacity-50 disabled:cursor-not-allowed") }>
+            { MODES[mode].submit }
+          </button>
+        </form>
+
+        <div className="mt-4 flex flex-col items-center gap-2 text-sm">
+          { Object.keys(MODES).filter(key => key !== mode).map(key => (
+            <button key={ key } type="button" onClick={ () => switchMode(key) } className="text-[var(--accent)] hover:underline">
+              { key === 'login' ? 'I already have an account' : key === 'register' ? 'Create an account with a password' : 'Email me a sign-in link instead' }
+            </button>
+          ))}
+          <button type="button" onClick={ closeSignIn } className="mt-2 text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:underline">
+            Continue without an account
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignInPage;
@@ -0,0 +1,140 @@
+/**
+ * @file adminController.js
+ * @description Controller logic for the curator console: transcript review, usage figures and account roles.
+ * Routes are guarded by requireRole (see adminRoutes.js); scripts are managed through the Script Admin API.
+ * @author Group 1
+ */
+
+import { Conversation, User } from '../models/Conversations.js';
+import connectToDatabase from '../utils/db.js';
+import { isValidRole, ROLES } from '../utils/roles.js';
+import { isValidPersonaId } from '../utils/personas.js';
+import { getUsage as aggregateUsage } from '../services/usageService.js';
+import { listAccounts, setAccountRole } from '../services/authService.js';
+
+const MAX_PAGE_SIZE = 100;
+const MAX_USAGE_DAYS = 365;
+
+/**
+ * @function listTranscripts
+ * @description Lists every visitor's conversations, newest first, with their owner and message count.
+ * Query: page (from 1), limit (default 20), persona.
+ */
+export const listTranscripts = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const filter = {};
+    if (req.query.persona) {
+      if (!isValidPersonaId(req.query.persona)) return res.status(400).json({ error: 'Invalid persona id' });
+      filter.personaId = req.query.persona;
+    }
+
+    await connectToDatabase();
+    const [total, conversations] = await Promise.all([
+      Conversation.countDocuments(filter),
+      Conversation.aggregate([
+        { $match: filter },
+        { $sort: { updatedAt: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { _id: 0, id: 1, title: 1, personaId: 1, ownerId: 1, createdAt: 1, updatedAt: 1, messageCount: { $size: { $ifNull: ['$messages', []] } } } }
+      ])
+    ]);
+
+    // Owners without an account are anonymous device sessions
+    const ownerIds = [...new Set(conversations.map(convo => convo.ownerId).filter(Boolean))];
+    const owners = new Map((await User.find({ id: { $in: ownerIds } }, 'id email').lean()).map(user => [user.id, user.email]));
+
+    res.json({
+      conversations: conversations.map(convo => ({ ...convo, ownerEmail: owners.get(convo.ownerId) || null })),
+      total,
+      page,
+      pages: Math.max(1, Math.ceil(total / limit))
+    });
+  } catch (error) {
+    console.error("Transcript List Error:", error);
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function getTranscript
+ * @description Gets any conversation in full, including reply provenance.
+ */
+export const getTranscript = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const convo = await Conversation.findOne({ id: req.params.id });
+    if (!convo) return res.status(404).json({ error: 'Conversation not found' });
+    res.json(convo);
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function deleteTranscript
+ * @description Deletes any conversation (e.g. abusive content).
+ */
+export const deleteTranscript = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const result = await Conversation.deleteOne({ id: req.params.id });
+    if (result.deletedCount === 0) return res.status(404).json({ error: 'Conversation not found' });
+    console.log(`[Admin] ${ req.user.email } deleted conversation ${ req.params.id }`);
+    res.json({ message: 'Deleted' });
+  } catch (error) {
+    res.status(500).json({ error: "Delete failed" });
+  }
+};
+
+/**
+ * @function getUsage
+ * @description Usage figures for the last `days` days (default 30).
+ */
+export const getUsage = async (req, res) => {
+  try {
+    const days = Math.min(MAX_USAGE_DAYS, Math.max(1, parseInt(req.query.days, 10) || 30));
+    await connectToDatabase();
+    res.json(await aggregateUsage({ days }));
+  } catch (error) {
+    console.error("Usage Error:", error);
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function listUsers
+ * @description Lists accounts and their roles.
+ */
+export const listUsers = async (req, res) => {
+  try {
+    await connectToDatabase();
+    res.json({ users: await listAccounts(), roles: ROLES });
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function updateUserRole
+ * @description Changes an account's role (body.role). Admins cannot demote themselves,
+ * so there is always someone left to manage roles.
+ */
+export const updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body || {};
+    if (!isValidRole(role)) return res.status(400).json({ error: `Role must be one of: ${ ROLES.join(', ') }` });
+    if (req.params.id === req.user.id && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role.' });
+    }
+
+    await connectToDatabase();
+    const account = await setAccountRole(req.params.id, role);
+    if (!account) return res.status(404).json({ error: 'User not found' });
+    res.json(account);
+  } catch (error) {
+    res.status(500).json({ error: "Role update failed" });
+  }
+};
@@ -0,0 +1,154 @@
+/**
+ * @file authController.js
+ * @description Controller logic for visitor accounts: registration, password and magic-link sign-in.
+ * Successful sign-ins respond with { token, expiresAt, user }; the client sends the token as a Bearer header.
+ * Signing in from an anonymous device session (req.deviceSession) keeps that session's conversations.
+ * @author Group 1
+ */
+
+import connectToDatabase from '../utils/db.js';
+import {
+  validateCredentials,
+  registerUser,
+  setAccountPassword,
+  validatePassword,
+  loginWithPassword,
+  requestMagicLink as sendMagicLink,
+  verifyMagicLink as redeemMagicLink,
+  claimDeviceConversations,
+  createDeviceSession,
+  getAccount
+} from '../services/authService.js';
+
+/**
+ * @function keepDeviceConversations
+ * @description Moves the conversations of the anonymous session the request came from to the new session's account.
+ * @param {object} req - Express request (req.deviceSession set by readDeviceSession).
+ * @param {object} session - Session returned by the auth service.
+ * @returns {Promise<object>} The session.
+ */
+async function keepDeviceConversations(req, session) {
+  if (req.deviceSession) await claimDeviceConversations(req.deviceSession.id, session.user.id);
+  return session;
+}
+
+/**
+ * @function register
+ * @description Creates an account with an email and password.
+ */
+export const register = async (req, res) => {
+  try {
+    const errors = validateCredentials(req.body || {});
+    if (errors.length > 0) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    await connectToDatabase();
+    const session = await registerUser(req.body);
+    if (!session) {
+      return res.status(409).json({ error: 'An account with this email already exists. Sign in instead, or with an email link if it has no password yet.' });
+    }
+    res.status(201).json(await keepDeviceConversations(req, session));
+  } catch (error) {
+    // Two registrations for the same address at once
+    if (error.code === 11000) return res.status(409).json({ error: 'An account with this email already exists. Sign in instead.' });
+    console.error("Register Error:", error);
+    res.status(500).json({ error: "Registration failed" });
+  }
+};
+
+/**
+ * @function login
+ * @description Signs in with an email and password.
+ */
+export const login = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const session = await loginWithPassword(req.body || {});
+    if (!session) return res.status(401).json({ error: 'Incorrect email or password' });
+    res.json(await keepDeviceConversations(req, session));
+  } catch (error) {
+    console.error("Login Error:", error);
+    res.status(500).json({ error: "Sign-in failed" });
+  }
+};
+
+/**
+ * @function requestMagicLink
+ * @description Emails a one-time sign-in link (written to the local outbox).
+ */
+export const requestMagicLink = async (req, res) => {
+  try {
+    const errors = validateCredentials(req.body || {}, { requirePassword: false });
+    if (errors.length > 0) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    await connectToDatabase();
+    if (!await sendMagicLink(req.body.email)) {
+      return res.status(503).json({ error: 'Could not send a sign-in link. Please try again later.' });
+    }
+    res.status(202).json({ message: 'Check your inbox for a sign-in link.' });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: 'Please try again.' });
+    console.error("Magic Link Error:", error);
+    res.status(500).json({ error: "Could not send a sign-in link" });
+  }
+};
+
+/**
+ * @function verifyMagicLink
+ * @description Exchanges the token from a magic link for a session.
+ */
+export const verifyMagicLink = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const session = await redeemMagicLink(req.body?.token);
+    if (!session) return res.status(401).json({ error: 'This sign-in link is invalid or has expired. Request a new one.' });
+    res.json(await keepDeviceConversations(req, session));
+  } catch (error) {
+    console.error("Magic Link Error:", error);
+    res.status(500).json({ error: "Sign-in failed" });
+  }
+};
+
+/**
+ * @function startDeviceSession
+ * @description Starts an anonymous device session for a visitor who has not signed in.
+ * Conversation requests without a token start one too; clients call this first so parallel requests share it.
+ */
+export const startDeviceSession = (req, res) => {
+  res.status(201).json(createDeviceSession());
+};
+
+/**
+ * @function setPassword
+ * @description Sets the signed-in visitor's password (body: password, and currentPassword if one is set already).
+ */
+export const setPassword = async (req, res) => {
+  try {
+    const { password, currentPassword } = req.body || {};
+    const errors = validatePassword(password);
+    if (errors.length > 0) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    await connectToDatabase();
+    const saved = await setAccountPassword(req.user.id, { password, currentPassword });
+    if (saved === null) return res.status(401).json({ error: 'This account no longer exists.' });
+    if (!saved) return res.status(403).json({ error: 'Current password is incorrect' });
+    res.json({ message: 'Password saved' });
+  } catch (error) {
+    console.error("Set Password Error:", error);
+    res.status(500).json({ error: "Could not save the password" });
+  }
+};
+
+/**
+ * @function getCurrentUser
+ * @description Returns the signed-in visitor's account, with their current role.
+ */
+export const getCurrentUser = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const account = await getAccount(req.user.id);
+    if (!account) return res.status(401).json({ error: 'This account no longer exists.' });
+    res.json({ user: account });
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
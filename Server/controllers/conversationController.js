@@ -1,38 +1,69 @@
 /**
  * @file conversationController.js
  * @description Controller logic for handling conversation CRUD and messaging.
+ * Every handler runs behind resolveSession and only sees the caller's conversations (ownerId is the id of
+ * their account or anonymous device session).
  * @author Group 1
  */
 
 import { v4 as uuidv4 } from 'uuid';
 import { Conversation } from '../models/Conversations.js';
 import connectToDatabase from '../utils/db.js';
-import { checkScriptedResponse, getFallback } from '../utils/logicEngine.js';
-import { generateAIResponse } from '../services/aiService.js';
+import { getProviderInfo } from '../services/aiService.js';
+import { routeResponse } from '../services/responsePipeline.js';
+import { personaExists } from '../services/personaService.js';
+import { DEFAULT_PERSONA_ID } from '../utils/personas.js';
+import { searchConversations as searchOwnConversations } from '../services/conversationSearchService.js';
+
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const MAX_SEARCH_PAGE_SIZE = 50;
 
 /**
  * @function getHealth
  * @description Checks Health of System.
  */
 export const getHealth = (req, res) => {
-  res.json({ status: 'OK', db: 'MongoDB Atlas' });
+  res.json({ status: 'OK', db: 'MongoDB Atlas', llm: getProviderInfo() });
 };
 
 /**
  * @function getAllConversations
- * @description Gets All Conversations (Lean query).
+ * @description Gets the visitor's Conversations (Lean query).
  */
 export const getAllConversations = async (req, res) => {
   try {
     await connectToDatabase();
     // Return only IDs and Titles to save bandwidth (lean query)
-    const convos = await Conversation.find({}, 'id title updatedAt createdAt').sort({ updatedAt: -1 });
+    const convos = await Conversation.find({ ownerId: req.user.id }, 'id title personaId updatedAt createdAt').sort({ updatedAt: -1 });
     res.json(convos);
   } catch (error) {
     res.status(500).json({ error: "DB Error" });
   }
 };
 
+/**
+ * @function searchConversations
+ * @description Full-text search of the visitor's conversations (titles and every message), best match first,
+ * with highlighted snippets of the matched messages. Query: q, page (from 1), limit (default 10).
+ */
+export const searchConversations = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) return res.status(400).json({ error: 'Search query (q) is required' });
+    if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({ error: `Search query must be at most ${ MAX_SEARCH_QUERY_LENGTH } characters` });
+    }
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(MAX_SEARCH_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+    await connectToDatabase();
+    res.json({ query, ...await searchOwnConversations(req.user.id, query, { page, limit }) });
+  } catch (error) {
+    console.error("Search Error:", error);
+    res.status(500).json({ error: "Search failed" });
+  }
+};
+
 /**
  * @function getConversationById
  * @description Get A Conversation by ID.
@@ -40,7 +71,7 @@ export const getAllConversations = async (req, res) => {
 export const getConversationById = async (req, res) => {
   try {
     await connectToDatabase();
-    const convo = await Conversation.findOne({ id: req.params.id });
+    const convo = await Conversation.findOne({ id: req.params.id, ownerId: req.user.id });
     if (!convo) return res.status(404).json({ error: 'Conversation not found' });
     res.json(convo);
   } catch (error) {
@@ -50,14 +81,19 @@ export const getConversationById = async (req, res) => {
 
 /**
  * @function createConversation
- * @description Creates a new Conversation.
+ * @description Creates a new Conversation with a persona (body.personaId, default Marcus Aurelius).
  */
 export const createConversation = async (req, res) => {
   try {
     await connectToDatabase();
+    const personaId = req.body?.personaId || DEFAULT_PERSONA_ID;
+    if (!await personaExists(personaId)) return res.status(400).json({ error: `Unknown persona "${ personaId }"` });
+
     const newConvo = await Conversation.create({
       id: uuidv4(),
       title: 'New Council',
+      personaId,
+      ownerId: req.user.id,
       messages: []
     });
     res.status(201).json(newConvo);
@@ -68,12 +104,12 @@ export const createConversation = async (req, res) => {
 
 /**
  * @function deleteConversation
- * @description Deletes a specific conversation.
+ * @description Deletes one of the visitor's conversations.
  */
 export const deleteConversation = async (req, res) => {
   try {
     await connectToDatabase();
-    await Conversation.deleteOne({ id: req.params.id });
+    await Conversation.deleteOne({ id: req.params.id, ownerId: req.user.id });
     res.json({ message: 'Deleted' });
   } catch (error) {
     res.status(500).json({ error: "Delete failed" });
@@ -82,12 +118,12 @@ export const deleteConversation = async (req, res) => {
 
 /**
  * @function deleteAllConversations
- * @description Deletes All conversations.
+ * @description Deletes All of the visitor's conversations.
  */
 export const deleteAllConversations = async (req, res) => {
   try {
     await connectToDatabase();
-    await Conversation.deleteMany({});
+    await Conversation.deleteMany({ ownerId: req.user.id });
     res.json({ message: 'All history erased' });
   } catch (error) {
     res.status(500).json({ error: "Wipe failed" });
@@ -96,7 +132,8 @@ export const deleteAllConversations = async (req, res) => {
 
 /**
  * @function importConversations
- * @description Imports conversations via bulk write.
+ * @description Imports conversations into the visitor's history via bulk write.
+ * Conversations whose id belongs to another visitor are skipped.
  */
 export const importConversations = async (req, res) => {
   try {
@@ -110,11 +147,16 @@ export const importConversations = async (req, res) => {
 
     console.log(`[Import] Processing ${conversations.length} conversations...`);
 
+    // Ids already taken by someone else's conversations (including legacy ones without an owner)
+    const ids = conversations.map(convo => convo?.id).filter(id => typeof id === 'string');
+    const taken = new Set(await Conversation.distinct('id', { id: { $in: ids }, ownerId: { $ne: req.user.id } }));
+    const allowed = conversations.filter(convo => typeof convo?.id === 'string' && !taken.has(convo.id));
+
     // Create Bulk Operations
-    const operations = conversations.map(convo => ({
+    const operations = allowed.map(convo => ({
       updateOne: {
-        filter: { id: convo.id },
-        update: { $set: convo },
+        filter: { id: convo.id, ownerId: req.user.id },
+        update: { $set: { ...convo, ownerId: req.user.id } },
         upsert: true
       }
     }));
@@ -124,8 +166,11 @@ export const importConversations = async (req, res) => {
       await Conversation.bulkWrite(operations);
     }
 
-    console.log(`[Import] Success!`);
-    res.json({ message: `Successfully imported ${conversations.length} conversations.` });
+    const skipped = conversations.length - allowed.length;
+    console.log(`[Import] Success! ${allowed.length} imported, ${skipped} skipped.`);
+    res.json({
+      message: `Successfully imported ${allowed.length} conversations.${ skipped > 0 ? ` ${ skipped } skipped (missing or unavailable id).` : '' }`
+    });
 
   } catch (error) {
     console.error("Import Error:", error);
@@ -133,6 +178,83 @@ export const importConversations = async (req, res) => {
   }
 };
 
+/**
+ * @function buildUserMessage
+ * @description Builds the user message document and the prompt sent to the AI.
+ * Attachments are converted from Buffer to a Base64 data URI.
+ * @param {string} text - The user's message text.
+ * @param {object} file - Optional Multer file.
+ * @returns {{ userMsg: object, fullPrompt: string }} The message and the AI prompt.
+ */
+function buildUserMessage(text, file) {
+  // Process Attachment (Buffer -> Base64)
+  let fileData = null;
+  let attachmentContext = '';
+
+  if (file) {
+    const base64String = file.buffer.toString('base64');
+    const mimeType = file.mimetype;
+
+    fileData = {
+      name: file.originalname,
+      type: mimeType,
+      size: file.size,
+      data: `data:${mimeType};base64,${base64String}`
+    };
+
+    if (mimeType.includes('text')) {
+      attachmentContext = `[USER UPLOADED FILE: ${file.originalname}]:\n${file.buffer.toString('utf8')}\n`;
+    } else {
+      attachmentContext = `[SYSTEM: User uploaded an image/file named "${file.originalname}". Acknowledge this.]`;
+    }
+  }
+
+  const userMsg = {
+    id: uuidv4(),
+    text,
+    isUser: true,
+    timestamp: new Date(),
+    attachment: fileData
+  };
+
+  const fullPrompt = attachmentContext ? `${attachmentContext}\n\n${text}` : text;
+  return { userMsg, fullPrompt };
+}
+
+/**
+ * @function applyAutoTitle
+ * @description Titles a conversation after its first user message. Call it right after that message is added.
+ * @param {object} conversation - The conversation document.
+ * @param {string} text - The user's message text.
+ */
+function applyAutoTitle(conversation, text) {
+  if (conversation.messages.filter(message => message.isUser).length === 1) {
+    conversation.title = text.substring(0, 40) + (text.length > 40 ? '...' : '');
+  }
+}
+
+/**
+ * @function applyDialogue
+ * @description Stores the conversation's next follow-up state and any slots the message filled.
+ * @param {object} conversation - The conversation document.
+ * @param {object} reply - { dialogueState, slots } from routeResponse.
+ */
+function applyDialogue(conversation, { dialogueState, slots = {} }) {
+  conversation.dialogueState = dialogueState;
+  for (const [name, value] of Object.entries(slots)) conversation.slots.set(name, value);
+}
+
+/**
+ * @function sendEvent
+ * @description Writes a single Server-Sent Event to the response.
+ * @param {object} res - Express response.
+ * @param {string} event - Event name.
+ * @param {object} data - JSON payload.
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
 /**
  * @function sendMessage
  * @description Handles user messages, file attachments, and AI responses.
@@ -144,72 +266,37 @@ export const sendMessage = async (req, res) => {
     const text = req.body.text || '';
     const file = req.file;
 
-    const conversation = await Conversation.findOne({ id });
+    const conversation = await Conversation.findOne({ id, ownerId: req.user.id });
     if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
 
-    // Process Attachment (Buffer -> Base64)
-    let fileData = null;
-    let attachmentContext = '';
-
-    if (file) {
-      const base64String = file.buffer.toString('base64');
-      const mimeType = file.mimetype;
-
-      fileData = {
-        name: file.originalname,
-        type: mimeType,
-        size: file.size,
-        data: `data:${mimeType};base64,${base64String}`
-      };
-
-      if (mimeType.includes('text')) {
-        attachmentContext = `[USER UPLOADED FILE: ${file.originalname}]:\n${file.buffer.toString('utf8')}\n`;
-      } else {
-        attachmentContext = `[SYSTEM: User uploaded an image/file named "${file.originalname}". Acknowledge this.]`;
-      }
-    }
-
     // Prepare User Message
-    const userMsg = {
-      id: uuidv4(),
-      text,
-      isUser: true,
-      timestamp: new Date(),
-      attachment: fileData
-    };
-
-    // Logic Engine / AI Response
-    const fullPrompt = attachmentContext ? `${attachmentContext}\n\n${text}` : text;
-
-    // Get the scripted response (awaited correctly)
-    const scriptResponse = await checkScriptedResponse(text);
+    const { userMsg, fullPrompt } = buildUserMessage(text, file);
 
-    // Use the variable 'scriptResponse'. Do not call the function again.
-    let aiText = scriptResponse || getFallback();
-
-    // Only call expensive API if no script match found
-    if (!scriptResponse) {
-      const generatedText = await generateAIResponse(fullPrompt);
-      if (generatedText) {
-        aiText = generatedText;
-      }
-    }
+    // Route through pending follow-up → keyword → semantic → LLM → fallback
+    const reply = await routeResponse({
+      text,
+      fullPrompt,
+      history: conversation.messages,
+      persona: conversation.personaId || DEFAULT_PERSONA_ID,
+      dialogueState: conversation.dialogueState,
+      slots: Object.fromEntries(conversation.slots)
+    });
+    const { text: aiText, provenance } = reply;
 
     // Prepare AI Message
     const aiMsg = {
       id: uuidv4(),
       text: aiText,
       isUser: false,
-      timestamp: new Date()
+      timestamp: new Date(),
+      provenance
     };
 
     // Update DB (Atomic Push)
-    conversation.messages.push(userMsg, aiMsg);
-
-    // Auto-Title Logic
-    if (conversation.messages.length <= 2) {
-      conversation.title = text.substring(0, 40) + (text.length > 40 ? '...' : '');
-    }
+    conversation.messages.push(userMsg);
+    applyAutoTitle(conversation, text);
+    conversation.messages.push(aiMsg);
+    applyDialogue(conversation, reply);
 
     await conversation.save();
 
@@ -220,4 +307,104 @@ export const sendMessage = async (req, res) => {
     console.error("Server Error:", error);
     res.status(500).json({ error: "Internal Server Error" });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @function streamMessage
+ * @description Streaming variant of sendMessage. Replies are relayed as Server-Sent Events:
+ * `user-message-saved`, `delta` (one per chunk), `done` (final message) or `error`.
+ * If the visitor disconnects mid-reply, what was generated so far is saved as an interrupted reply.
+ */
+export const streamMessage = async (req, res) => {
+  let conversation;
+
+  try {
+    await connectToDatabase();
+    conversation = await Conversation.findOne({ id: req.params.id, ownerId: req.user.id });
+    if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  } catch (error) {
+    console.error("Server Error:", error);
+    return res.status(500).json({ error: "Internal Server Error" });
+  }
+
+  // Open the event stream
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop generating if the visitor navigates away mid-reply
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const text = req.body.text || '';
+    const { userMsg, fullPrompt } = buildUserMessage(text, req.file);
+
+    // Snapshot prior turns before the new message joins the conversation
+    const history = conversation.messages.slice();
+
+    // Persist the user's message first so it survives a dropped stream
+    conversation.messages.push(userMsg);
+    applyAutoTitle(conversation, text);
+    await conversation.save();
+    sendEvent(res, 'user-message-saved', { userMessage: userMsg, title: conversation.title });
+
+    // What the visitor has seen so far, kept if they leave before the reply is finished
+    let streamedText = '';
+    const reply = await routeResponse({
+      text,
+      fullPrompt,
+      history,
+      persona: conversation.personaId || DEFAULT_PERSONA_ID,
+      dialogueState: conversation.dialogueState,
+      slots: Object.fromEntries(conversation.slots),
+      onDelta: (delta) => {
+        streamedText += delta;
+        sendEvent(res, 'delta', { text: delta });
+      },
+      signal: controller.signal
+    });
+
+    // The reply was never delivered, so the dialogue does not advance; the partial text marks the gap
+    if (controller.signal.aborted) {
+      conversation.messages.push({
+        id: uuidv4(),
+        text: streamedText.trim(),
+        isUser: false,
+        timestamp: new Date(),
+        interrupted: true
+      });
+      await conversation.save();
+      return;
+    }
+    const { text: aiText, provenance } = reply;
+
+    // Non-LLM replies arrive whole; replace also discards partial output if the LLM stream broke off
+    if (provenance.source !== 'llm') {
+      sendEvent(res, 'delta', { text: aiText, replace: true });
+    }
+
+    const aiMsg = {
+      id: uuidv4(),
+      text: aiText,
+      isUser: false,
+      timestamp: new Date(),
+      provenance
+    };
+
+    conversation.messages.push(aiMsg);
+    applyDialogue(conversation, reply);
+    await conversation.save();
+
+    sendEvent(res, 'done', { userMessage: userMsg, marcusMessage: aiMsg, conversation });
+  } catch (error) {
+    console.error("Stream Error:", error);
+    sendEvent(res, 'error', { error: "Internal Server Error" });
+  } finally {
+    res.end();
+  }
+};
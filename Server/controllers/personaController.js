@@ -0,0 +1,36 @@
+/**
+ * @file personaController.js
+ * @description Controller logic for the personas visitors can choose between.
+ * @author Group 1
+ */
+
+import connectToDatabase from '../utils/db.js';
+import { listPersonas as findPersonas, getPersonaProfile } from '../services/personaService.js';
+
+/**
+ * @function listPersonas
+ * @description Lists the personas' public profiles, for the persona picker.
+ */
+export const listPersonas = async (req, res) => {
+  try {
+    await connectToDatabase();
+    res.json(await findPersonas());
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function getPersona
+ * @description Gets one persona's public profile.
+ */
+export const getPersona = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const profile = await getPersonaProfile(req.params.personaId);
+    if (!profile) return res.status(404).json({ error: 'Persona not found' });
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * @file quoteController.js
+ * @description Controller logic for checking quotations against the text of the Meditations.
+ * @author Group 1
+ */
+
+import { searchQuotes as searchCorpus, getQuote as findQuote } from '../services/quoteService.js';
+import { getCorpusError } from '../utils/meditationsCorpus.js';
+
+// Longer queries are passages to paste into search engines, not quotations
+const MAX_QUERY_LENGTH = 500;
+const MAX_RESULTS = 20;
+
+/**
+ * @function searchQuotes
+ * @description Searches the Meditations for a quotation or paraphrase.
+ * Query: q (required), limit (default 5, at most 20), minScore (default 0.5).
+ */
+export const searchQuotes = async (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!query) return res.status(400).json({ error: 'Query parameter "q" is required' });
+  if (query.length > MAX_QUERY_LENGTH) {
+    return res.status(400).json({ error: `Query is too long (max ${ MAX_QUERY_LENGTH } characters)` });
+  }
+
+  // minScore=0 is a real choice (keep every section), so only a missing value uses the default
+  const hasMinScore = req.query.minScore !== undefined && req.query.minScore !== '';
+  const minScore = Number(req.query.minScore);
+  if (hasMinScore && (!Number.isFinite(minScore) || minScore < 0 || minScore > 1)) {
+    return res.status(400).json({ error: 'minScore must be a number between 0 and 1' });
+  }
+
+  const hasLimit = req.query.limit !== undefined && req.query.limit !== '';
+  const limit = Number(req.query.limit);
+  if (hasLimit && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: 'limit must be a whole number of at least 1' });
+  }
+
+  const corpusError = getCorpusError();
+  if (corpusError) return res.status(503).json({ error: corpusError });
+
+  try {
+    res.json(await searchCorpus(query, {
+      limit: hasLimit ? Math.min(limit, MAX_RESULTS) : 5,
+      minScore: hasMinScore ? minScore : undefined
+    }));
+  } catch (error) {
+    console.error("Quote Search Error:", error);
+    res.status(500).json({ error: "Could not search the Meditations" });
+  }
+};
+
+/**
+ * @function getQuote
+ * @description Gets one section of the Meditations by citation (e.g. /quotes/IV.49).
+ */
+export const getQuote = (req, res) => {
+  const corpusError = getCorpusError();
+  if (corpusError) return res.status(503).json({ error: corpusError });
+
+  const quote = findQuote(req.params.reference);
+  if (!quote) return res.status(404).json({ error: `No section "${ req.params.reference }" in the Meditations corpus` });
+  res.json(quote);
+};
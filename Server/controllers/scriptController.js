@@ -0,0 +1,453 @@
+/**
+ * @file scriptController.js
+ * @description Controller logic for administering the logic engine script (rules and response pools).
+ * Every successful write commits a new script version and hot-reloads the cached script and keyword embeddings.
+ * Requests act on the persona in req.personaId (set by resolvePersona; Marcus Aurelius on the unscoped routes).
+ * @author Group 1
+ */
+
+import connectToDatabase from '../utils/db.js';
+import { DEFAULT_PERSONA_ID } from '../utils/personas.js';
+import { reloadScript, getLoadedScriptVersion, findKeywordOverlaps } from '../utils/logicEngine.js';
+import { validateRules, validateResponsePool, validatePersona } from '../utils/scriptValidator.js';
+import {
+  getLatestScript,
+  getScriptVersion,
+  listScriptVersions,
+  commitScriptVersion,
+  rollbackToVersion
+} from '../services/scriptVersionService.js';
+import { suggestExamples } from '../services/exampleSuggestionService.js';
+
+// Stand-in for an unversioned, empty database
+const EMPTY_SCRIPT = { version: 0, rules: [], general_responses: [] };
+
+// Two edits read the same version and the other was committed first (duplicate configId/version key)
+const VERSION_CONFLICT = 'The script was changed by someone else at the same time. Reload it and try again.';
+
+/**
+ * @function getPersonaId
+ * @description The persona a request is about.
+ * @param {object} req - Express request.
+ * @returns {string} Persona id.
+ */
+function getPersonaId(req) {
+  return req.personaId || DEFAULT_PERSONA_ID;
+}
+
+/**
+ * @function findScript
+ * @description Loads a persona's live script version (or an empty script before the first commit).
+ * @param {string} personaId - Persona id.
+ * @returns {Promise<object>} The Script document or EMPTY_SCRIPT.
+ */
+async function findScript(personaId) {
+  return (await getLatestScript(personaId)) || EMPTY_SCRIPT;
+}
+
+/**
+ * @function toPlainRules
+ * @description Converts rule subdocuments into plain objects.
+ * @param {object} scriptDoc - The Script document.
+ * @returns {Array} Plain rule objects.
+ */
+function toPlainRules(scriptDoc) {
+  return scriptDoc.rules.map(rule => (rule.toObject ? rule.toObject() : rule));
+}
+
+/**
+ * @function getChangeMeta
+ * @description Reads version metadata from the request. The author is the signed-in curator; the note comes from
+ * the X-Change-Note header or body field (X-Author / body.author are only used if there is no account).
+ * @param {object} req - Express request.
+ * @param {string} defaultNote - Note used when none was given.
+ * @returns {{ author: string, changeNote: string }} Change metadata.
+ */
+function getChangeMeta(req, defaultNote) {
+  const body = req.body && !Array.isArray(req.body) ? req.body : {};
+  return {
+    author: req.user?.email || req.get('X-Author') || body.author || 'anonymous',
+    changeNote: req.get('X-Change-Note') || body.changeNote || defaultNote
+  };
+}
+
+/**
+ * @function normalizeRule
+ * @description Picks the rule fields from a request body and trims keywords.
+ * @param {object} body - Request body.
+ * @returns {object} The rule.
+ */
+function normalizeRule(body = {}) {
+  return {
+    id: typeof body.id === 'string' ? body.id.trim() : body.id,
+    priority: body.priority ?? 0,
+    keywords: Array.isArray(body.keywords)
+      ? body.keywords.map(keyword => (typeof keyword === 'string' ? keyword.trim() : keyword))
+      : body.keywords,
+    exclude_keywords: body.exclude_keywords ?? [],
+    required_keywords: body.required_keywords ?? [],
+    ignore_negation: Boolean(body.ignore_negation),
+    examples: Array.isArray(body.examples)
+      ? body.examples.map(example => (typeof example === 'string' ? example.trim() : example))
+      : body.examples ?? [],
+    semantic_aggregation: body.semantic_aggregation ?? null,
+    conditions: body.conditions ?? {},
+    captures: body.captures ?? null,
+    response_pool: body.response_pool,
+    follow_up: body.follow_up ?? null,
+    translations: body.translations ?? null
+  };
+}
+
+/**
+ * @function normalizePersona
+ * @description Trims a validated persona's text and drops empty optional fields.
+ * @param {object} persona - Validated persona.
+ * @returns {object} The persona to store.
+ */
+function normalizePersona(persona) {
+  const trimmed = { name: persona.name.trim() };
+  for (const field of ['title', 'lifespan', 'portrait', 'summary', 'biography', 'speaking_style', 'knowledge_cutoff']) {
+    if (persona[field]?.trim()) trimmed[field] = persona[field].trim();
+  }
+  if (persona.principles?.length) {
+    trimmed.principles = persona.principles.map(({ name, description }) => ({ name: name.trim(), description: description.trim() }));
+  }
+  if (persona.suggested_prompts?.length) trimmed.suggested_prompts = persona.suggested_prompts.map(prompt => prompt.trim());
+  if (persona.forbidden_topics?.length) trimmed.forbidden_topics = persona.forbidden_topics.map(topic => topic.trim());
+  if (persona.few_shot_examples?.length) {
+    trimmed.few_shot_examples = persona.few_shot_examples.map(({ user, assistant }) => ({ user: user.trim(), assistant: assistant.trim() }));
+  }
+  if (persona.generation) trimmed.generation = persona.generation;
+  return trimmed;
+}
+
+/**
+ * @function saveRules
+ * @description Validates a full rule list, commits it as a new version and hot-reloads the logic engine.
+ * @param {Array} rules - The new rule list.
+ * @param {object} meta - { author, changeNote }.
+ * @param {string} personaId - Persona whose script is edited.
+ * @returns {Promise<{ errors: Array<string>, warnings: Array<string>, version?: number }>} Validation result (nothing saved if errors).
+ */
+async function saveRules(rules, meta, personaId) {
+  const result = validateRules(rules);
+  if (result.errors.length > 0) return result;
+
+  const saved = await commitScriptVersion({ rules }, meta, personaId);
+  await reloadScript(personaId);
+  return { ...result, version: saved.version };
+}
+
+/**
+ * @function getScript
+ * @description Gets the whole script (persona, general responses and rules).
+ */
+export const getScript = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    res.json({
+      version: scriptDoc.version,
+      persona: scriptDoc.persona,
+      language: scriptDoc.language,
+      general_responses: scriptDoc.general_responses,
+      translations: scriptDoc.translations,
+      rules: scriptDoc.rules
+    });
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function listRules
+ * @description Lists all rules in matching order.
+ */
+export const listRules = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    res.json(scriptDoc.rules);
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function getRule
+ * @description Gets a single rule by its id.
+ */
+export const getRule = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    const rule = scriptDoc.rules.find(r => r.id === req.params.ruleId);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function createRule
+ * @description Appends a new rule (rules are matched in order, so new rules go last).
+ */
+export const createRule = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    const rule = normalizeRule(req.body);
+
+    const rules = toPlainRules(scriptDoc);
+    if (rules.some(r => r.id === rule.id)) {
+      return res.status(409).json({ error: `Rule "${rule.id}" already exists.` });
+    }
+
+    const { errors, warnings, version } = await saveRules([...rules, rule], getChangeMeta(req, `Create rule ${rule.id}`), getPersonaId(req));
+    if (errors.length > 0) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    res.status(201).json({ rule, warnings, version });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: VERSION_CONFLICT });
+    console.error("Rule Create Error:", error);
+    res.status(500).json({ error: "Failed to create rule" });
+  }
+};
+
+/**
+ * @function updateRule
+ * @description Replaces a rule in place (keeping its position). The id may be renamed.
+ */
+export const updateRule = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    const rules = toPlainRules(scriptDoc);
+
+    const index = rules.findIndex(r => r.id === req.params.ruleId);
+    if (index === -1) return res.status(404).json({ error: 'Rule not found' });
+
+    const rule = normalizeRule({ id: req.params.ruleId, ...req.body });
+    if (rule.id !== req.params.ruleId && rules.some(r => r.id === rule.id)) {
+      return res.status(409).json({ error: `Rule "${rule.id}" already exists.` });
+    }
+
+    rules[index] = rule;
+    const { errors, warnings, version } = await saveRules(rules, getChangeMeta(req, `Update rule ${req.params.ruleId}`), getPersonaId(req));
+    if (errors.length > 0) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    res.json({ rule, warnings, version });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: VERSION_CONFLICT });
+    console.error("Rule Update Error:", error);
+    res.status(500).json({ error: "Failed to update rule" });
+  }
+};
+
+/**
+ * @function deleteRule
+ * @description Deletes a rule by its id.
+ */
+export const deleteRule = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    const rules = toPlainRules(scriptDoc);
+
+    const remaining = rules.filter(r => r.id !== req.params.ruleId);
+    if (remaining.length === rules.length) return res.status(404).json({ error: 'Rule not found' });
+
+    const { errors, version } = await saveRules(remaining, getChangeMeta(req, `Delete rule ${req.params.ruleId}`), getPersonaId(req));
+    if (errors.length > 0) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    res.json({ message: 'Deleted', version });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: VERSION_CONFLICT });
+    console.error("Rule Delete Error:", error);
+    res.status(500).json({ error: "Delete failed" });
+  }
+};
+
+/**
+ * @function getOverlaps
+ * @description Reports keywords that can trigger more than one rule, so curators can set priorities.
+ */
+export const getOverlaps = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    res.json(findKeywordOverlaps(toPlainRules(scriptDoc), req.query.language || scriptDoc.language, scriptDoc.language));
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function getExampleSuggestions
+ * @description Suggests example utterances for rules from visitor messages no rule answered.
+ * Query: conversations (how many recent ones to scan), minSimilarity, perRule.
+ */
+export const getExampleSuggestions = async (req, res) => {
+  try {
+    await connectToDatabase();
+    res.json(await suggestExamples({
+      conversationLimit: Number(req.query.conversations) || undefined,
+      minSimilarity: Number(req.query.minSimilarity) || undefined,
+      perRule: Number(req.query.perRule) || undefined,
+      persona: getPersonaId(req)
+    }));
+  } catch (error) {
+    console.error("Example Suggestion Error:", error);
+    res.status(500).json({ error: "Could not suggest examples" });
+  }
+};
+
+/**
+ * @function getGeneralResponses
+ * @description Gets the general (fallback) response pool.
+ */
+export const getGeneralResponses = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    res.json(scriptDoc.general_responses);
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function updateGeneralResponses
+ * @description Replaces the general (fallback) response pool.
+ */
+export const updateGeneralResponses = async (req, res) => {
+  try {
+    await connectToDatabase();
+    // Accept a bare array, or { responses, author, changeNote }
+    const pool = Array.isArray(req.body) ? req.body : req.body?.responses;
+
+    const errors = validateResponsePool(pool, 'General responses');
+    if (errors.length > 0) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    const scriptDoc = await commitScriptVersion(
+      { general_responses: pool.map(({ probability, response }) => ({ probability, response: response.trim() })) },
+      getChangeMeta(req, 'Update general responses'),
+      getPersonaId(req)
+    );
+    await reloadScript(getPersonaId(req));
+
+    res.json(scriptDoc.general_responses);
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: VERSION_CONFLICT });
+    console.error("General Responses Update Error:", error);
+    res.status(500).json({ error: "Failed to update general responses" });
+  }
+};
+
+/**
+ * @function getPersona
+ * @description Gets the persona used to prompt the language model.
+ */
+export const getPersona = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await findScript(getPersonaId(req));
+    res.json(scriptDoc.persona ?? null);
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function updatePersona
+ * @description Replaces the persona (biography, speaking style, forbidden topics, knowledge cutoff,
+ * few-shot examples, generation parameters). The next generated reply uses it.
+ */
+export const updatePersona = async (req, res) => {
+  try {
+    await connectToDatabase();
+    // Accept the persona itself, or { persona, author, changeNote }
+    const body = req.body || {};
+    // author and changeNote are version metadata (read by getChangeMeta), not persona fields
+    const { author, changeNote, ...persona } = body.persona !== undefined ? body.persona || {} : body;
+
+    const errors = validatePersona(persona);
+    if (errors.length > 0) return res.status(400).json({ error: 'Validation failed', details: errors });
+
+    const scriptDoc = await commitScriptVersion({ persona: normalizePersona(persona) }, getChangeMeta(req, 'Update persona'), getPersonaId(req));
+    await reloadScript(getPersonaId(req));
+
+    res.json(scriptDoc.persona);
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: VERSION_CONFLICT });
+    console.error("Persona Update Error:", error);
+    res.status(500).json({ error: "Failed to update persona" });
+  }
+};
+
+/**
+ * @function reloadScriptCache
+ * @description Forces a reload of the cached script (e.g. after editing the DB by hand).
+ */
+export const reloadScriptCache = async (req, res) => {
+  try {
+    await connectToDatabase();
+    await reloadScript(getPersonaId(req));
+    res.json({ message: 'Script reloaded' });
+  } catch (error) {
+    res.status(500).json({ error: "Reload failed" });
+  }
+};
+
+/**
+ * @function listVersions
+ * @description Lists script versions (newest first) and which one is live.
+ */
+export const listVersions = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const versions = await listScriptVersions(getPersonaId(req));
+    res.json({ loaded: getLoadedScriptVersion(getPersonaId(req)), versions });
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function getVersion
+ * @description Gets the full content of one script version.
+ */
+export const getVersion = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const scriptDoc = await getScriptVersion(Number(req.params.version), getPersonaId(req));
+    if (!scriptDoc) return res.status(404).json({ error: 'Version not found' });
+    res.json(scriptDoc);
+  } catch (error) {
+    res.status(500).json({ error: "DB Error" });
+  }
+};
+
+/**
+ * @function rollbackVersion
+ * @description Restores an old version as the newest version and hot-reloads it.
+ */
+export const rollbackVersion = async (req, res) => {
+  try {
+    await connectToDatabase();
+    const version = Number(req.params.version);
+    const { author, changeNote } = getChangeMeta(req, `Rollback to version ${version}`);
+
+    const scriptDoc = await rollbackToVersion(version, { author, changeNote }, getPersonaId(req));
+    if (!scriptDoc) return res.status(404).json({ error: 'Version not found' });
+
+    await reloadScript(getPersonaId(req));
+    res.json({ message: `Restored version ${version}`, version: scriptDoc.version, diff: scriptDoc.diff });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: VERSION_CONFLICT });
+    console.error("Rollback Error:", error);
+    res.status(500).json({ error: "Rollback failed" });
+  }
+};
@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+
+// Header carrying the shared admin token (ADMIN_API_TOKEN)
+export const ADMIN_TOKEN_HEADER = 'X-Admin-Token';
+
+/**
+ * @description Checks a token against ADMIN_API_TOKEN in constant time. Always false when it is not set.
+ */
+const matchesAdminToken = (token) => {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken || !token) return false;
+
+  // Hashing both sides gives equal lengths, as timingSafeEqual requires
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const received = crypto.createHash('sha256').update(String(token)).digest();
+  return crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * @description Requires the shared admin token in the X-Admin-Token header.
+ * Responds 401 if it is missing or wrong, and to every request while ADMIN_API_TOKEN is not set.
+ */
+export const requireAdminToken = (req, res, next) => {
+  if (!matchesAdminToken(req.get(ADMIN_TOKEN_HEADER))) {
+    return res.status(401).json({ error: 'A valid admin token is required.' });
+  }
+  next();
+};
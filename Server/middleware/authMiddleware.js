@@ -0,0 +1,66 @@
+import { verifyToken } from '../utils/authTokens.js';
+import { createDeviceSession, refreshDeviceSession } from '../services/authService.js';
+
+// Response headers carrying a new or refreshed anonymous session (exposed to the client by CORS in server.js)
+export const SESSION_TOKEN_HEADER = 'X-Session-Token';
+export const SESSION_EXPIRES_HEADER = 'X-Session-Expires';
+
+/**
+ * @description Reads the session from "Authorization: Bearer <token>", or null if there is none or it is invalid.
+ */
+const readSession = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' ? verifyToken(token) : null;
+};
+
+/**
+ * @description Requires a signed-in visitor (a session from /api/auth, not an anonymous one).
+ * Sets req.user to { id, email, anonymous }; responds 401 if the token is missing, invalid, expired or anonymous.
+ */
+export const requireAuth = (req, res, next) => {
+  const user = readSession(req);
+  if (!user || user.anonymous) {
+    return res.status(401).json({ error: 'Sign in to see and continue your conversations.' });
+  }
+  req.user = user;
+  next();
+};
+
+/**
+ * @description Accepts a signed-in visitor or an anonymous device session, and starts one on the first visit.
+ * Anonymous sessions are re-issued on every request (X-Session-Token / X-Session-Expires headers), so they expire
+ * after DEVICE_SESSION_IDLE_MINUTES of inactivity. Responds 401 if a token was sent but is invalid or expired,
+ * so the client can forget the old session rather than silently starting a new one.
+ */
+export const resolveSession = (req, res, next) => {
+  const hasToken = Boolean(req.get('Authorization'));
+  let user = readSession(req);
+  if (hasToken && !user) {
+    return res.status(401).json({ error: 'Your session has expired.' });
+  }
+
+  let session;
+  if (!user) {
+    session = createDeviceSession();
+    user = session.user;
+  } else if (user.anonymous) {
+    session = refreshDeviceSession(user);
+  }
+  if (session) {
+    res.set(SESSION_TOKEN_HEADER, session.token);
+    res.set(SESSION_EXPIRES_HEADER, session.expiresAt.toISOString());
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * @description Like resolveSession but never starts or requires one: sets req.deviceSession to a valid
+ * anonymous session if one was sent (so signing in can keep its conversations), otherwise null.
+ */
+export const readDeviceSession = (req, res, next) => {
+  const session = readSession(req);
+  req.deviceSession = session?.anonymous ? session : null;
+  next();
+};
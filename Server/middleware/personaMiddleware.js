@@ -0,0 +1,15 @@
+import { DEFAULT_PERSONA_ID, isValidPersonaId } from '../utils/personas.js';
+
+/**
+ * @description Reads the persona a script admin request is about (/api/personas/:personaId/script...).
+ * Sets req.personaId; routes mounted without the parameter act on Marcus Aurelius.
+ * Responds 400 if the id is malformed.
+ */
+export const resolvePersona = (req, res, next) => {
+  const personaId = req.params.personaId ?? DEFAULT_PERSONA_ID;
+  if (!isValidPersonaId(personaId)) {
+    return res.status(400).json({ error: 'Invalid persona id (use lowercase letters, digits and underscores)' });
+  }
+  req.personaId = personaId;
+  next();
+};
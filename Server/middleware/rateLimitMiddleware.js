@@ -12,4 +12,16 @@ export const limiter = rateLimit({
   message: {
     error: "Too many requests, please contemplate in silence for a while."
   }
-});
\ No newline at end of file
+});
+/**
+ * @description Rate Limiting for sign-in and registration.
+ * Window: 15 minutes.
+ * Max: 20 requests.
+ */
+export const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: {
+    error: "Too many sign-in attempts. Please wait a few minutes and try again."
+  }
+});
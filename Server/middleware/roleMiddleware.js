@@ -0,0 +1,39 @@
+import connectToDatabase from '../utils/db.js';
+import { hasRole } from '../utils/roles.js';
+import { getAccount } from '../services/authService.js';
+import { requireAuth } from './authMiddleware.js';
+import { ADMIN_TOKEN_HEADER, requireAdminToken } from './adminMiddleware.js';
+
+/**
+ * @description Requires an account with at least the given role (see utils/roles.js). Use after requireAuth.
+ * The role is read from the database, so promotions and demotions apply immediately.
+ * Sets req.user.role; responds 403 if the role is insufficient.
+ * @param {string} minimum - Least privileged role allowed ('curator' or 'admin').
+ */
+export const requireRole = (minimum) => async (req, res, next) => {
+  try {
+    await connectToDatabase();
+    const account = await getAccount(req.user.id);
+    if (!account || !hasRole(account.role, minimum)) {
+      return res.status(403).json({ error: `This requires the ${ minimum } role.` });
+    }
+    req.user.role = account.role;
+    next();
+  } catch (error) {
+    console.error("Role Check Error:", error);
+    res.status(500).json({ error: "Permission check failed" });
+  }
+};
+
+/**
+ * @description Accepts the shared admin token (X-Admin-Token, see requireAdminToken) or, without one,
+ * a signed-in account with at least the given role (requireAuth then requireRole).
+ * A request that sends the header is judged by the token alone: a wrong token is refused with 401.
+ * @param {string} minimum - Least privileged role allowed for accounts ('curator' or 'admin').
+ */
+export const requireRoleOrAdminToken = (minimum) => {
+  const checkRole = requireRole(minimum);
+  return (req, res, next) => req.get(ADMIN_TOKEN_HEADER)
+    ? requireAdminToken(req, res, next)
+    : requireAuth(req, res, () => checkRole(req, res, next));
+};
@@ -13,6 +13,28 @@ const AttachmentSchema = new mongoose.Schema({
   data: String // Base64 data URI string
 }, { _id: false });
 
+// Sub-Schema for a section of the Meditations cited by a generated reply
+const CitationSchema = new mongoose.Schema({
+  book: Number,
+  section: Number,
+  reference: String // "IV.49"
+}, { _id: false });
+
+// Sub-Schema for Response Provenance (why a bot reply was chosen)
+const ProvenanceSchema = new mongoose.Schema({
+  source: { type: String, enum: ['dialogue', 'keyword', 'fuzzy', 'semantic', 'llm', 'fallback'] },
+  ruleId: String,
+  responseId: String, // Which scripted line was used ("<pool>#<index>"), so it is not repeated soon
+  matchedKeyword: String,
+  score: Number, // 1 for exact keyword, Jaro-Winkler for fuzzy, cosine for semantic
+  specificity: Number, // Summed keyword weights of the winning rule
+  language: String, // Detected language of the visitor's message
+  latencyMs: Number,
+  provider: String,
+  model: String,
+  citations: { type: [CitationSchema], default: undefined } // Passages of the Meditations the reply quotes
+}, { _id: false });
+
 // Message Schema
 const MessageSchema = new mongoose.Schema({
   id: { type: String, required: true },
@@ -22,42 +44,144 @@ const MessageSchema = new mongoose.Schema({
   attachment: {
     type: AttachmentSchema,
     default: null
-  }
+  },
+  provenance: {
+    type: ProvenanceSchema,
+    default: null
+  },
+  interrupted: Boolean // The visitor left mid-stream; text holds only what had been generated
 });
 
+// Sub-Schema for a pending follow-up question of a multi-turn rule
+const DialogueStateSchema = new mongoose.Schema({
+  ruleId: String,
+  path: [String], // Option values chosen so far (locates nested follow-ups)
+  attempts: { type: Number, default: 0 }, // Unrecognized answers to the current question
+  startedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 // Conversation Schema
 const ConversationSchema = new mongoose.Schema({
   id: { type: String, required: true, unique: true },
   title: { type: String, default: 'New Council' },
+  personaId: { type: String, default: 'marcus_aurelius' }, // Who the visitor is talking to (see utils/personas.js)
+  ownerId: { type: String, default: null, index: true }, // User.id of the visitor who started it; null for legacy chats
   messages: [MessageSchema],
+  dialogueState: { type: DialogueStateSchema, default: null }, // null when no question is pending
+  slots: { type: Map, of: String, default: () => ({}) }, // Answers collected by follow-ups (e.g. last_exhibit)
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Full-text search over titles and every message (see services/conversationSearchService.js); a title hit ranks higher
+ConversationSchema.index(
+  { title: 'text', 'messages.text': 'text' },
+  { name: 'conversation_text', weights: { title: 3, 'messages.text': 1 } }
+);
+
+// Sub-Schema for a pending magic sign-in link
+const LoginTokenSchema = new mongoose.Schema({
+  hash: String, // SHA-256 of the token sent by email; the token itself is never stored
+  expiresAt: Date
+}, { _id: false });
+
+// Visitor account (see services/authService.js)
+const UserSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, default: null }, // "salt:hash" (scrypt); null for magic-link-only accounts
+  role: { type: String, enum: ['visitor', 'curator', 'admin'], default: 'visitor' }, // See utils/roles.js
+  loginToken: { type: LoginTokenSchema, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastLoginAt: { type: Date, default: null }
+});
+
 // Script Schemas
 const ResponseOptionSchema = new mongoose.Schema({
   probability: Number,
   response: String
 }, { _id: false });
 
+// Conditions on conversation state
+const RuleConditionsSchema = new mongoose.Schema({
+  first_message_only: { type: Boolean, default: false },
+  after_rules: [String] // Only once one of these rules has replied earlier in the conversation
+}, { _id: false });
+
 const RuleSchema = new mongoose.Schema({
   id: String,
+  priority: { type: Number, default: 0 }, // Higher wins when several rules match
   keywords: [String],
-  response_pool: [ResponseOptionSchema]
+  exclude_keywords: [String], // Any of these present → rule does not fire
+  required_keywords: [String], // All of these must also be present
+  ignore_negation: { type: Boolean, default: false }, // Fire even for "not <keyword>"
+  examples: [String], // Example visitor messages, embedded for semantic matching
+  semantic_aggregation: { type: String, enum: ['max', 'centroid', null], default: null }, // null → SEMANTIC_AGGREGATION
+  captures: { type: mongoose.Schema.Types.Mixed, default: null }, // slot name → regex whose first group is stored
+  conditions: { type: RuleConditionsSchema, default: () => ({}) },
+  response_pool: [ResponseOptionSchema],
+  // Optional question asked after the reply: { slot, prompt, options: [{ value, keywords, response_pool, follow_up }],
+  // unmatched_pool, max_attempts }. Options nest, so the shape is checked by scriptValidator instead of here.
+  follow_up: { type: mongoose.Schema.Types.Mixed, default: null },
+  // Per-language overrides: { es: { keywords, exclude_keywords, required_keywords, examples, response_pool } }
+  translations: { type: mongoose.Schema.Types.Mixed, default: null }
 }, { _id: false });
 
+// Summary of what changed relative to the previous version
+const ScriptDiffSchema = new mongoose.Schema({
+  rulesAdded: [String],
+  rulesRemoved: [String],
+  rulesChanged: [String],
+  generalResponsesChanged: Boolean,
+  personaChanged: Boolean,
+  translationsChanged: Boolean
+}, { _id: false });
+
+// Each document is one immutable version of a script; the highest version is live
 const ScriptSchema = new mongoose.Schema({
-  configId: { type: String, default: 'main_config', unique: true },
-  persona: String,
+  configId: { type: String, required: true }, // Persona id (see utils/personas.js)
+  version: { type: Number, default: 1 },
+  author: { type: String, default: 'system' },
+  changeNote: { type: String, default: '' },
+  diff: { type: ScriptDiffSchema, default: null },
+  createdAt: { type: Date, default: Date.now },
+  // { name, biography, speaking_style, forbidden_topics, knowledge_cutoff, few_shot_examples: [{ user, assistant }],
+  // generation: { temperature, top_p, max_tokens }, plus the profile shown to visitors: title, lifespan, portrait,
+  // summary, principles: [{ name, description }], suggested_prompts }. Older versions store just the name as a string.
+  persona: { type: mongoose.Schema.Types.Mixed, default: null },
+  language: { type: String, default: 'en' }, // Language of the base keywords and responses
   general_responses: [ResponseOptionSchema],
+  translations: { type: mongoose.Schema.Types.Mixed, default: null }, // { es: { general_responses } }
   rules: [RuleSchema]
 });
 
+ScriptSchema.index({ configId: 1, version: -1 }, { unique: true });
+
+// Cached keyword or example embedding, keyed by model and a hash of the text (see utils/embeddingStore.js)
+const KeywordEmbeddingSchema = new mongoose.Schema({
+  model: { type: String, required: true },
+  hash: { type: String, required: true }, // SHA-256 of the text
+  text: String,
+  vector: Buffer, // Float32 values
+  createdAt: { type: Date, default: Date.now }
+});
+
+KeywordEmbeddingSchema.index({ model: 1, hash: 1 }, { unique: true });
+
 // Auto-update timestamp
 ConversationSchema.pre('save', async function() {
   this.updatedAt = Date.now();
 });
 
+// Script versions are append-only: edits and rollbacks create a new version
+ScriptSchema.pre('save', async function() {
+  if (!this.isNew) {
+    throw new Error('Script versions are immutable. Commit a new version instead.');
+  }
+});
+
 // Exports
 export const Conversation = mongoose.model('Conversation', ConversationSchema);
-export const Script = mongoose.model('Script', ScriptSchema);
\ No newline at end of file
+export const User = mongoose.model('User', UserSchema);
+export const Script = mongoose.model('Script', ScriptSchema);
+export const KeywordEmbedding = mongoose.model('KeywordEmbedding', KeywordEmbeddingSchema);
\ No newline at end of file
@@ -0,0 +1,36 @@
+/**
+ * @file adminRoutes.js
+ * @description Definition of API endpoints for the curator console.
+ * Curators review transcripts and usage; admins also delete transcripts and manage roles.
+ * @author Group 1
+ */
+
+import express from 'express';
+import {
+  listTranscripts,
+  getTranscript,
+  deleteTranscript,
+  getUsage,
+  listUsers,
+  updateUserRole
+} from '../controllers/adminController.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+router.use('/admin', requireAuth, requireRole('curator'));
+
+// Transcripts
+router.get('/admin/conversations', listTranscripts);
+router.get('/admin/conversations/:id', getTranscript);
+router.delete('/admin/conversations/:id', requireRole('admin'), deleteTranscript);
+
+// Usage
+router.get('/admin/usage', getUsage);
+
+// Accounts
+router.get('/admin/users', requireRole('admin'), listUsers);
+router.put('/admin/users/:id/role', requireRole('admin'), updateUserRole);
+
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * @file authRoutes.js
+ * @description Definition of API endpoints for visitor accounts.
+ * @author Group 1
+ */
+
+import express from 'express';
+import { register, login, requestMagicLink, verifyMagicLink, startDeviceSession, getCurrentUser, setPassword } from '../controllers/authController.js';
+import { requireAuth, readDeviceSession } from '../middleware/authMiddleware.js';
+import { authLimiter } from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+// Sign-in (stricter rate limit against password guessing and mail flooding)
+router.post('/auth/register', authLimiter, readDeviceSession, register);
+router.post('/auth/login', authLimiter, readDeviceSession, login);
+router.post('/auth/magic-link', authLimiter, requestMagicLink);
+router.post('/auth/magic-link/verify', authLimiter, readDeviceSession, verifyMagicLink);
+
+// Session
+router.post('/auth/session', startDeviceSession);
+router.get('/auth/me', requireAuth, getCurrentUser);
+
+// Account (magic-link accounts add a password here once signed in)
+router.put('/auth/password', authLimiter, requireAuth, setPassword);
+
+export default router;
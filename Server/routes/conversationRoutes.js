@@ -1,6 +1,8 @@
 /**
  * @file conversationRoutes.js
  * @description Definition of API endpoints for conversation management.
+ * Conversation routes act on the caller's own conversations only: those of their account, or of their
+ * anonymous device session (started on the first visit, see resolveSession).
  * @author Group 1
  */
 
@@ -8,22 +10,29 @@ import express from 'express';
 import {
   getHealth,
   getAllConversations,
+  searchConversations,
   getConversationById,
   createConversation,
   deleteConversation,
   deleteAllConversations,
   importConversations,
-  sendMessage
+  sendMessage,
+  streamMessage
 } from '../controllers/conversationController.js';
 import { upload } from '../middleware/uploadMiddleware.js';
+import { resolveSession } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Health Check
 router.get('/health', getHealth);
 
+// Everything below belongs to the visitor's account or device session
+router.use('/conversations', resolveSession);
+
 // Conversation CRUD
 router.get('/conversations', getAllConversations);
+router.get('/conversations/search', searchConversations); // Before /:id, which would otherwise match "search"
 router.get('/conversations/:id', getConversationById);
 router.post('/conversations', createConversation);
 router.delete('/conversations/:id', deleteConversation);
@@ -34,5 +43,6 @@ router.post('/conversations/import', importConversations);
 
 // Messaging (with upload middleware)
 router.post('/conversations/:id/messages', upload.single('attachment'), sendMessage);
+router.post('/conversations/:id/messages/stream', upload.single('attachment'), streamMessage);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * @file personaRoutes.js
+ * @description Definition of API endpoints for the personas visitors can talk to.
+ * Each persona's script is administered under /api/personas/:personaId/script (see scriptRoutes.js).
+ * @author Group 1
+ */
+
+import express from 'express';
+import { listPersonas, getPersona } from '../controllers/personaController.js';
+
+const router = express.Router();
+
+router.get('/personas', listPersonas);
+router.get('/personas/:personaId', getPersona);
+
+export default router;
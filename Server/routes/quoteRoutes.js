@@ -0,0 +1,15 @@
+/**
+ * @file quoteRoutes.js
+ * @description Definition of API endpoints for looking up quotations in the Meditations.
+ * @author Group 1
+ */
+
+import express from 'express';
+import { searchQuotes, getQuote } from '../controllers/quoteController.js';
+
+const router = express.Router();
+
+router.get('/quotes/search', searchQuotes);
+router.get('/quotes/:reference', getQuote);
+
+export default router;
@@ -0,0 +1,61 @@
+/**
+ * @file scriptRoutes.js
+ * @description Definition of API endpoints for administering the logic engine script.
+ * Mounted at /api (Marcus Aurelius) and at /api/personas/:personaId (any persona).
+ * Curators and admins only, or tools sending the shared admin token (X-Admin-Token, see ADMIN_API_TOKEN).
+ * @author Group 1
+ */
+
+import express from 'express';
+import {
+  getScript,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  getGeneralResponses,
+  updateGeneralResponses,
+  reloadScriptCache,
+  getOverlaps,
+  getExampleSuggestions,
+  getPersona,
+  updatePersona,
+  listVersions,
+  getVersion,
+  rollbackVersion
+} from '../controllers/scriptController.js';
+import { resolvePersona } from '../middleware/personaMiddleware.js';
+import { requireRoleOrAdminToken } from '../middleware/roleMiddleware.js';
+
+const router = express.Router({ mergeParams: true });
+
+router.use('/script', requireRoleOrAdminToken('curator'), resolvePersona);
+
+// Whole Script
+router.get('/script', getScript);
+router.post('/script/reload', reloadScriptCache);
+
+// Rule CRUD
+router.get('/script/rules', listRules);
+router.get('/script/overlaps', getOverlaps);
+router.get('/script/example-suggestions', getExampleSuggestions);
+router.get('/script/rules/:ruleId', getRule);
+router.post('/script/rules', createRule);
+router.put('/script/rules/:ruleId', updateRule);
+router.delete('/script/rules/:ruleId', deleteRule);
+
+// Persona (LLM prompt and generation parameters)
+router.get('/script/persona', getPersona);
+router.put('/script/persona', updatePersona);
+
+// General Response Pool
+router.get('/script/general-responses', getGeneralResponses);
+router.put('/script/general-responses', updateGeneralResponses);
+
+// Version History
+router.get('/script/versions', listVersions);
+router.get('/script/versions/:version', getVersion);
+router.post('/script/versions/:version/rollback', rollbackVersion);
+
+export default router;
@@ -0,0 +1,143 @@
+/**
+ * @file scripts/benchmarkVectorIndex.js
+ * @description Compares semantic lookup strategies on synthetic embeddings:
+ * the original linear scan (number arrays, reduce dot product), an exact Float32Array scan,
+ * and the HNSW graph from utils/vectorIndex.js. Reports build time, query latency and recall@k.
+ * Usage:
+ *   node scripts/benchmarkVectorIndex.js [--size 5000] [--dimensions 384] [--queries 200] [--k 10]
+ * No model or database is needed; the vectors are clustered like utterances of the same rule.
+ */
+
+import { performance } from 'perf_hooks';
+import { createVectorIndex } from '../utils/vectorIndex.js';
+
+/**
+ * @function parseArgs
+ * @description Reads "--name value" pairs.
+ * @param {Array<string>} args - Command-line arguments.
+ * @returns {{ size: number, dimensions: number, queries: number, k: number }} Benchmark settings.
+ */
+function parseArgs(args) {
+  const value = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : Number(args[index + 1]) || fallback;
+  };
+
+  return {
+    size: value('--size', 5000),
+    dimensions: value('--dimensions', 384),
+    queries: value('--queries', 200),
+    k: value('--k', 10)
+  };
+}
+
+/**
+ * @function createRandom
+ * @description Seeded generator (mulberry32) so runs are comparable.
+ * @param {number} seed - Seed.
+ * @returns {Function} () => number in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * @function createVectors
+ * @description Clustered unit vectors: each cluster stands for one rule's keywords and examples.
+ * @param {number} count - Number of vectors.
+ * @param {number} dimensions - Vector length.
+ * @param {Function} random - Seeded generator.
+ * @returns {Array<Array<number>>} Normalized vectors.
+ */
+function createVectors(count, dimensions, random) {
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  const normalize = vector => {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  };
+
+  const centres = Array.from({ length: Math.max(1, Math.round(count / 20)) }, () =>
+    normalize(Array.from({ length: dimensions }, gaussian)));
+
+  return Array.from({ length: count }, () => {
+    const centre = centres[Math.floor(random() * centres.length)];
+    return normalize(centre.map(value => value + gaussian() * 0.02));
+  });
+}
+
+/**
+ * @function linearSearch
+ * @description The lookup findSemanticMatch used before the vector index.
+ * @param {Array<number>} query - Query vector.
+ * @param {Array<Array<number>>} vectors - All vectors.
+ * @param {number} k - Number of results.
+ * @returns {Array<number>} Indexes of the k most similar vectors.
+ */
+function linearSearch(query, vectors, k) {
+  return vectors
+    .map((vector, index) => ({ index, score: vector.reduce((sum, a, i) => sum + a * query[i], 0) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(hit => hit.index);
+}
+
+/**
+ * @function time
+ * @description Runs a function and measures it.
+ * @param {Function} fn - Function to time.
+ * @returns {{ result: *, ms: number }} Result and elapsed milliseconds.
+ */
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+function main() {
+  const { size, dimensions, queries, k } = parseArgs(process.argv.slice(2));
+  const random = createRandom(42);
+  const vectors = createVectors(size, dimensions, random);
+  const queryVectors = createVectors(queries, dimensions, createRandom(7))
+    .map((noise, index) => vectors[Math.floor(random() * size)].map((value, i) => value + noise[i] * 0.05 * (index % 3)));
+
+  console.log(`${size} vectors × ${dimensions} dimensions, ${queries} queries, k = ${k}\n`);
+
+  const flat = createVectorIndex({ exactBelow: Infinity });
+  const graph = createVectorIndex();
+  const flatBuild = time(() => vectors.forEach((vector, index) => flat.add(String(index), vector)));
+  const graphBuild = time(() => vectors.forEach((vector, index) => graph.add(String(index), vector)));
+
+  const truth = time(() => queryVectors.map(query => linearSearch(query, vectors, k)));
+  const flatRun = time(() => queryVectors.map(query => flat.search(query, k).map(hit => Number(hit.id))));
+  const graphRun = time(() => queryVectors.map(query => graph.search(query, k).map(hit => Number(hit.id))));
+
+  const recall = results => {
+    let found = 0;
+    results.forEach((ids, index) => {
+      const expected = new Set(truth.result[index]);
+      found += ids.filter(id => expected.has(id)).length;
+    });
+    return found / (queries * k);
+  };
+
+  const rows = [
+    ['linear scan (reduce)', '-', truth.ms / queries, 1],
+    ['flat Float32Array', flatBuild.ms, flatRun.ms / queries, recall(flatRun.result)],
+    ['HNSW', graphBuild.ms, graphRun.ms / queries, recall(graphRun.result)]
+  ];
+
+  console.log('strategy               build ms   ms/query   recall@k');
+  for (const [name, build, perQuery, rowRecall] of rows) {
+    const buildText = typeof build === 'number' ? build.toFixed(0) : build;
+    console.log(`${name.padEnd(22)} ${buildText.padStart(8)} ${perQuery.toFixed(3).padStart(10)} ${rowRecall.toFixed(3).padStart(10)}`);
+  }
+  console.log(`\nHNSW graph: ${JSON.stringify(graph.stats())}`);
+}
+
+main();
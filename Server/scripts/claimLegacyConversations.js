@@ -0,0 +1,43 @@
+/**
+ * @file scripts/claimLegacyConversations.js
+ * @description One-off migration for databases from before visitor accounts. Conversations saved then have no owner,
+ * so no session can list them; this hands all of them to one account (e.g. the curator who ran the exhibition).
+ * Without an email it only counts them.
+ * Usage: node scripts/claimLegacyConversations.js [email]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Conversation, User } from '../models/Conversations.js';
+import { claimLegacyConversations, normalizeEmail } from '../services/authService.js';
+
+dotenv.config();
+
+async function claim(email) {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is missing from .env');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    if (!email) {
+      const count = await Conversation.countDocuments({ ownerId: null });
+      console.log(`${ count } conversations have no owner. Usage: node scripts/claimLegacyConversations.js <email>`);
+      return;
+    }
+
+    const user = await User.findOne({ email: normalizeEmail(email) });
+    if (!user) throw new Error(`No account for ${ email }. Register or request a sign-in link first.`);
+
+    const moved = await claimLegacyConversations(user.id);
+    console.log(`Success: ${ moved } conversations now belong to ${ user.email }.`);
+  } catch (error) {
+    console.error(`Failed: ${ error.message }`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+claim(process.argv[2]);
@@ -0,0 +1,152 @@
+/**
+ * @file scripts/importMeditations.js
+ * @description Builds data/meditations.json from the Project Gutenberg plain text of the Meditations
+ * (George Long's translation, eBook #2680: https://www.gutenberg.org/ebooks/2680).
+ * Usage:
+ *   node scripts/importMeditations.js [path to pg2680.txt] [output file]
+ *   node scripts/importMeditations.js --if-missing
+ * Without a path the text is downloaded from Project Gutenberg. --if-missing (run by npm install as postinstall)
+ * skips an existing corpus and only warns on failure, so installs without network access still succeed.
+ * Books are found by their headings ("THE FIRST BOOK" or "BOOK I") and sections by their numbers
+ * ("1." or "I."); the translator's introduction, footnote markers and closing notes are left out.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'data', 'meditations.json');
+const GUTENBERG_URL = 'https://www.gutenberg.org/cache/epub/2680/pg2680.txt';
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+const ORDINALS = ['FIRST', 'SECOND', 'THIRD', 'FOURTH', 'FIFTH', 'SIXTH', 'SEVENTH', 'EIGHTH', 'NINTH', 'TENTH', 'ELEVENTH', 'TWELFTH'];
+const ROMAN_VALUES = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+
+/**
+ * @function fromRoman
+ * @description Converts a Roman numeral (or plain digits) to a number.
+ * @param {string} numeral - "XIV" or "14".
+ * @returns {number} The value.
+ */
+function fromRoman(numeral) {
+  if (/^\d+$/.test(numeral)) return Number(numeral);
+
+  let total = 0;
+  for (let i = 0; i < numeral.length; i++) {
+    const value = ROMAN_VALUES[numeral[i]];
+    const next = ROMAN_VALUES[numeral[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+}
+
+/**
+ * @function parseBookHeading
+ * @description Recognizes a book heading.
+ * @param {string} paragraph - One paragraph of the text.
+ * @returns {number|null} The book number, or null.
+ */
+function parseBookHeading(paragraph) {
+  const ordinal = paragraph.match(/^THE\s+([A-Z]+)\s+BOOK\.?$/);
+  if (ordinal && ORDINALS.includes(ordinal[1])) return ORDINALS.indexOf(ordinal[1]) + 1;
+
+  const numbered = paragraph.match(/^BOOK\s+([IVXLC]+|\d+)\.?$/i);
+  return numbered ? fromRoman(numbered[1].toUpperCase()) : null;
+}
+
+/**
+ * @function parseMeditations
+ * @description Extracts the numbered sections of all twelve books.
+ * @param {string} raw - The Gutenberg plain text.
+ * @returns {Array<{ book: number, section: number, text: string }>} Sections in order.
+ */
+function parseMeditations(raw) {
+  // Drop the Gutenberg licence header and footer
+  const body = raw.split(/\*\*\* ?START OF.*\*\*\*/)[1]?.split(/\*\*\* ?END OF.*\*\*\*/)[0] ?? raw;
+  const paragraphs = body.replace(/\r/g, '').split(/\n\s*\n/).map(paragraph => paragraph.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  const sections = [];
+  let book = 0;
+  let current = null;
+
+  for (const paragraph of paragraphs) {
+    const heading = parseBookHeading(paragraph);
+    if (heading) {
+      // The introduction may mention books before the text starts; only ascending headings count
+      if (heading === book + 1) {
+        book = heading;
+        current = null;
+      }
+      continue;
+    }
+    if (book === 0) continue;
+
+    // After the twelfth book, an all-capitals heading starts the notes or index
+    if (book === 12 && /^[A-Z][A-Z\s.,]{3,}$/.test(paragraph)) break;
+
+    const numbered = paragraph.match(/^([IVXLC]+|\d+)\.\s+(.*)$/);
+    const number = numbered && fromRoman(numbered[1]);
+    const last = current?.book === book ? current.section : 0;
+
+    if (numbered && number > last && number <= last + 3) {
+      current = { book, section: number, text: numbered[2] };
+      sections.push(current);
+    } else if (current && current.book === book) {
+      current.text += ` ${paragraph}`;
+    }
+  }
+
+  return sections.map(section => ({
+    ...section,
+    text: section.text.replace(/\s*\[[A-Z0-9]+\]/g, '').replace(/\s+/g, ' ').trim()
+  }));
+}
+
+/**
+ * @function readSource
+ * @description Reads the Gutenberg text from a file, or downloads it when no file is given.
+ * @param {string} [input] - Path to pg2680.txt.
+ * @returns {Promise<string>} The plain text.
+ */
+async function readSource(input) {
+  if (input) return fs.readFileSync(input, 'utf8');
+
+  console.log(`Downloading the Meditations from ${GUTENBERG_URL}...`);
+  const response = await fetch(GUTENBERG_URL, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`download failed with HTTP ${response.status}`);
+  return response.text();
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const ifMissing = args.includes('--if-missing');
+  const [input, output = DEFAULT_OUTPUT] = args.filter(arg => arg !== '--if-missing');
+
+  if (ifMissing && fs.existsSync(output)) return;
+
+  try {
+    const sections = parseMeditations(await readSource(input));
+    const books = new Set(sections.map(section => section.book));
+    if (books.size !== 12) console.warn(`Warning: found ${books.size} of 12 books. Check the input file.`);
+    if (sections.length === 0) throw new Error('no sections found');
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, `${JSON.stringify({
+      title: 'Meditations',
+      translator: 'George Long',
+      source: 'Project Gutenberg eBook #2680 (public domain)',
+      sections
+    }, null, 2)}\n`);
+    console.log(`Success: ${sections.length} sections from ${books.size} books written to ${output}.`);
+  } catch (error) {
+    if (ifMissing) {
+      console.warn(`Warning: could not build the Meditations corpus (${ error.message }). Run npm run import-meditations once you are online.`);
+      return;
+    }
+    console.error(`Failed: ${ error.message }`);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -8,7 +8,10 @@ import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { Conversation, Script } from '../models/Conversations.js';
+import { Conversation } from '../models/Conversations.js';
+import { commitScriptVersion } from '../services/scriptVersionService.js';
+import { isValidPersonaId } from '../utils/personas.js';
+import { validateScript } from '../utils/scriptValidator.js';
 
 dotenv.config();
 
@@ -17,7 +20,8 @@ const __dirname = dirname(__filename);
 
 // Paths to your CURRENT local files
 const CONVERSATIONS_FILE = join(__dirname, '../data/conversations.json');
-const SCRIPT_FILE = join(__dirname, '../data/script.json');
+// One script per persona: data/scripts/<persona id>.json
+const SCRIPTS_DIR = join(__dirname, '../data/scripts');
 
 async function migrate() {
   if (!process.env.MONGODB_URI) {
@@ -45,19 +49,40 @@ async function migrate() {
       console.warn(`Could not migrate conversations: ${err.message}`);
     }
 
-    // MIGRATE SCRIPT
-    console.log('Reading local script...');
+    // MIGRATE SCRIPTS
+    console.log('Reading local scripts...');
     try {
-      const scriptData = await fs.readFile(SCRIPT_FILE, 'utf8');
-      const scriptJson = JSON.parse(scriptData);
+      const files = (await fs.readdir(SCRIPTS_DIR)).filter(file => file.endsWith('.json'));
+      for (const file of files) {
+        const personaId = file.replace(/\.json$/, '');
+        if (!isValidPersonaId(personaId)) {
+          console.warn(`Skipped ${file}: not a valid persona id.`);
+          continue;
+        }
 
-      scriptJson.configId = 'main_config';
+        try {
+          const scriptJson = JSON.parse(await fs.readFile(join(SCRIPTS_DIR, file), 'utf8'));
 
-      await Script.deleteMany({});
-      await Script.create(scriptJson);
-      console.log(`Uploaded Logic Script to DB.`);
+          // The editor validates every change; files edited by hand are checked the same way
+          const { errors, warnings } = validateScript(scriptJson);
+          if (warnings.length > 0) console.warn(`${file}: ${warnings.length} warnings (e.g. ${warnings[0]})`);
+          if (errors.length > 0) {
+            console.warn(`Skipped ${file}:\n  ${errors.join('\n  ')}`);
+            continue;
+          }
+
+          // Committed as a new version, so earlier scripts stay available for rollback
+          const scriptDoc = await commitScriptVersion(scriptJson, {
+            author: 'migrateToMongo',
+            changeNote: `Imported from data/scripts/${file}`
+          }, personaId);
+          console.log(`Uploaded ${personaId} script to DB as version ${scriptDoc.version}.`);
+        } catch (err) {
+          console.warn(`Could not migrate ${file}: ${ err.message }`);
+        }
+      }
     } catch (err) {
-      console.warn(`Could not migrate script: ${ err.message }`);
+      console.warn(`Could not migrate scripts: ${ err.message }`);
     }
 
     console.log('Migration Complete!');
@@ -0,0 +1,94 @@
+/**
+ * @file scripts/scriptVersions.js
+ * @description CLI for the logic script version history.
+ * Usage:
+ *   node scripts/scriptVersions.js list
+ *   node scripts/scriptVersions.js show <version>
+ *   node scripts/scriptVersions.js rollback <version> [note]
+ * Add --persona <id> to work on another persona's script (default marcus_aurelius).
+ * A running server picks up a rollback on its next reload (POST /api/script/reload) or restart.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { listScriptVersions, getScriptVersion, rollbackToVersion } from '../services/scriptVersionService.js';
+import { DEFAULT_PERSONA_ID } from '../utils/personas.js';
+
+dotenv.config();
+
+/**
+ * @function formatDiff
+ * @description One-line summary of a version diff.
+ * @param {object} diff - Stored diff.
+ * @returns {string} Summary.
+ */
+function formatDiff(diff) {
+  if (!diff) return '';
+  const parts = [];
+  if (diff.rulesAdded?.length) parts.push(`+${diff.rulesAdded.join(', +')}`);
+  if (diff.rulesRemoved?.length) parts.push(`-${diff.rulesRemoved.join(', -')}`);
+  if (diff.rulesChanged?.length) parts.push(`~${diff.rulesChanged.join(', ~')}`);
+  if (diff.generalResponsesChanged) parts.push('general responses');
+  if (diff.personaChanged) parts.push('persona');
+  if (diff.translationsChanged) parts.push('translations');
+  return parts.join(' ');
+}
+
+async function run(command, args, personaId) {
+  switch (command) {
+    case 'list': {
+      const versions = await listScriptVersions(personaId);
+      if (versions.length === 0) console.log('No script versions found.');
+      for (const v of versions) {
+        console.log(`v${v.version}  ${new Date(v.createdAt).toISOString()}  ${v.author}  ${v.changeNote || ''}`);
+        const summary = formatDiff(v.diff);
+        if (summary) console.log(`      ${summary}`);
+      }
+      break;
+    }
+
+    case 'show': {
+      const scriptDoc = await getScriptVersion(Number(args[0]), personaId);
+      if (!scriptDoc) throw new Error(`Version ${args[0]} not found`);
+      console.log(JSON.stringify(scriptDoc.toObject(), null, 2));
+      break;
+    }
+
+    case 'rollback': {
+      const version = Number(args[0]);
+      const scriptDoc = await rollbackToVersion(version, {
+        author: process.env.USER || 'cli',
+        changeNote: args.slice(1).join(' ') || undefined
+      }, personaId);
+      if (!scriptDoc) throw new Error(`Version ${args[0]} not found`);
+      console.log(`Success: version ${version} restored as version ${scriptDoc.version}.`);
+      break;
+    }
+
+    default:
+      console.log('Usage Error. Commands: list | show <version> | rollback <version> [note], optionally with --persona <id>');
+      console.log('Example: node scripts/scriptVersions.js rollback 3 "Undo broken greeting edit"');
+  }
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is missing from .env');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const args = process.argv.slice(3);
+    const personaIndex = args.indexOf('--persona');
+    const personaId = personaIndex === -1 ? DEFAULT_PERSONA_ID : args.splice(personaIndex, 2)[1];
+    await run(process.argv[2], args, personaId);
+  } catch (error) {
+    console.error(`Failed: ${ error.message }`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main();
@@ -0,0 +1,44 @@
+/**
+ * @file scripts/setRole.js
+ * @description Gives an account a role (visitor, curator or admin). Use it to create the first admin;
+ * after that, admins manage roles from the curator console.
+ * Usage: node scripts/setRole.js <email> <role>
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { User } from '../models/Conversations.js';
+import { setAccountRole, normalizeEmail } from '../services/authService.js';
+import { isValidRole, ROLES } from '../utils/roles.js';
+
+dotenv.config();
+
+async function setRole(email, role) {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is missing from .env');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const user = await User.findOne({ email: normalizeEmail(email) });
+    if (!user) throw new Error(`No account for ${ email }. Register or request a sign-in link first.`);
+
+    const account = await setAccountRole(user.id, role);
+    console.log(`Success: ${ account.email } is now ${ account.role }.`);
+  } catch (error) {
+    console.error(`Failed: ${ error.message }`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+const [email, role] = process.argv.slice(2);
+
+if (email && isValidRole(role)) {
+  setRole(email, role);
+} else {
+  console.log(`Usage: node scripts/setRole.js <email> <${ ROLES.join('|') }>`);
+  process.exitCode = 1;
+}
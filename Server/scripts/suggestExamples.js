@@ -0,0 +1,84 @@
+/**
+ * @file scripts/suggestExamples.js
+ * @description CLI that suggests example utterances for rules from visitor messages no rule answered.
+ * Usage:
+ *   node scripts/suggestExamples.js [--persona marcus_aurelius] [--conversations 200] [--min-similarity 0.45] [--per-rule 5] [--json]
+ * Suggestions are only printed; add the good ones to a rule's "examples" through the script API.
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { suggestExamples } from '../services/exampleSuggestionService.js';
+
+dotenv.config();
+
+/**
+ * @function parseArgs
+ * @description Reads "--name value" pairs and flags.
+ * @param {Array<string>} args - Command-line arguments.
+ * @returns {object} Options for suggestExamples plus { json }.
+ */
+function parseArgs(args) {
+  const value = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : Number(args[index + 1]) || undefined;
+  };
+
+  const personaIndex = args.indexOf('--persona');
+  return {
+    persona: personaIndex === -1 ? undefined : args[personaIndex + 1],
+    conversationLimit: value('--conversations'),
+    minSimilarity: value('--min-similarity'),
+    perRule: value('--per-rule'),
+    json: args.includes('--json')
+  };
+}
+
+/**
+ * @function printReport
+ * @description Prints suggestions grouped by rule.
+ * @param {object} report - Result of suggestExamples.
+ */
+function printReport(report) {
+  console.log(`Scanned ${report.scannedConversations} conversations, ${report.unmatchedMessages} unmatched messages.`);
+
+  if (report.suggestions.length === 0) console.log('\nNo suggestions.');
+  for (const { ruleId, examples } of report.suggestions) {
+    console.log(`\n${ruleId}`);
+    for (const example of examples) {
+      const language = example.language ? ` [${example.language}]` : '';
+      console.log(`  ${example.similarity.toFixed(2)}${language} "${example.text}"  (closest: "${example.nearest}")`);
+    }
+  }
+
+  if (report.unassigned.length > 0) {
+    console.log('\nFar from every rule (new rule candidates?):');
+    for (const message of report.unassigned) console.log(`  ${message.similarity.toFixed(2)} "${message.text}"`);
+  }
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI is missing from .env');
+    process.exit(1);
+  }
+
+  const { json, ...options } = parseArgs(process.argv.slice(2));
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    const report = await suggestExamples(options);
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+  } catch (error) {
+    console.error(`Failed: ${ error.message }`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+main();
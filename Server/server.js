@@ -14,10 +14,20 @@ import helmet from 'helmet';
 // Logic & DB
 import connectToDatabase from './utils/db.js';
 import { loadScript } from './utils/logicEngine.js';
+import { listPersonaIds } from './services/scriptVersionService.js';
+import { initializeSemanticEngine } from './utils/semanticEngine.js';
+import { loadCorpus, prepareCorpus } from './utils/meditationsCorpus.js';
+import { getPipelineConfig } from './services/responsePipeline.js';
 
 // Routes & Middleware
 import conversationRoutes from './routes/conversationRoutes.js';
+import scriptRoutes from './routes/scriptRoutes.js';
+import quoteRoutes from './routes/quoteRoutes.js';
+import personaRoutes from './routes/personaRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 import { limiter } from './middleware/rateLimitMiddleware.js';
+import { SESSION_TOKEN_HEADER, SESSION_EXPIRES_HEADER } from './middleware/authMiddleware.js';
 
 // CONFIGURATION
 dotenv.config();
@@ -32,7 +42,8 @@ app.use(helmet());
 // Cors
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:5173', 'https://marcusaurelius-client.vercel.app'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: [SESSION_TOKEN_HEADER, SESSION_EXPIRES_HEADER] // Anonymous device sessions (see authMiddleware.js)
 }));
 
 // Apply Rate Limiting globally to /api routes
@@ -42,23 +53,42 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 
 // Mount Routes
+app.use('/api', authRoutes);
 app.use('/api', conversationRoutes);
+app.use('/api', scriptRoutes);
+app.use('/api', quoteRoutes);
+app.use('/api', personaRoutes);
+app.use('/api', adminRoutes);
+app.use('/api/personas/:personaId', scriptRoutes);
 
 // Startup Logic (Local vs Serverless)
 if (process.argv[1].endsWith('server.js')) {
   app.listen(PORT, async () => {
     await connectToDatabase();
 
-    // Initialize semantic engine (loads ML model)
-    try {
-      console.log('Initializing NLP Semantic Engine...');
-      await initializeSemanticEngine();
-      console.log('Semantic Engine Ready');
-    } catch (error) {
-      console.warn('Semantic Engine failed to load. Using keyword-only matching:', error.message);
+    // Initialize semantic engine (loads ML model) eagerly when running as a long-lived server.
+    // Serverless instances skip this block and load the model on the first semantic lookup.
+    if (getPipelineConfig().stages.includes('semantic')) {
+      try {
+        console.log('Initializing NLP Semantic Engine...');
+        await initializeSemanticEngine();
+        console.log('Semantic Engine Ready');
+      } catch (error) {
+        console.warn('Semantic Engine failed to load. Using keyword-only matching:', error.message);
+      }
+    }
+
+    for (const persona of await listPersonaIds()) await loadScript({ persona });
+
+    // Read the Meditations now, so a corpus that was never imported is reported at startup
+    const { error: corpusError } = loadCorpus();
+
+    // Embed the Meditations in the background so the first generated reply can quote it
+    const { stages, ragPassages } = getPipelineConfig();
+    if (!corpusError && stages.includes('llm') && ragPassages > 0) {
+      prepareCorpus().catch(error => console.warn('Meditations corpus unavailable. Generated replies will not be grounded:', error.message));
     }
 
-    await loadScript();
     console.log(`\n Marcus Aurelius Server running on port ${ PORT }`);
     console.log(`Connected to MongoDB Atlas`);
   });
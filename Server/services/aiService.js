@@ -1,72 +1,307 @@
 /**
  * @file aiService.js
- * @description Service layer for handling external AI API interactions (Hugging Face).
+ * @description Service layer for LLM interactions. Assembles the prompt and
+ * delegates transport to the configured provider (see services/providers).
  * @author Group 1
  */
 
 import dotenv from 'dotenv';
+import { createProvider } from './providers/index.js';
+import { DEFAULT_LANGUAGE, getLanguage } from '../utils/languages.js';
 
 dotenv.config();
 
-const HF_ROUTER_URL = 'https://router.huggingface.co/v1/chat/completions';
-const MODEL_ID = 'meta-llama/Llama-3.1-8B-Instruct';
-const HF_API_KEY = process.env.HUGGINGFACE_API_KEY;
+// Used when the script has no persona, or only names one
+const DEFAULT_PERSONA = { name: 'Marcus Aurelius', speaking_style: 'Be stoic, wise, and concise.' };
+const MAX_TOKENS = 500;
+
+// Conversation memory budget (approximate tokens of prior turns sent with each request)
+const HISTORY_TOKEN_BUDGET = Number(process.env.LLM_HISTORY_TOKEN_BUDGET) || 1500;
+const CHARS_PER_TOKEN = 4;
+const SUMMARY_TOPIC_LIMIT = 5;
+const SUMMARY_SNIPPET_LENGTH = 80;
+
+// Provider is created on first use so dotenv has populated process.env
+let provider = null;
 
 /**
- * @function fetchWithTimeout
- * @description Wrapper for fetch with a timeout controller.
- * @param {string} url - The URL to fetch.
- * @param {object} options - Fetch options.
- * @param {number} timeout - Timeout in milliseconds (default 40000).
- * @returns {Promise<Response>} The fetch response.
+ * @function getProvider
+ * @description Returns the configured LLM provider, creating it on first use.
+ * @returns {object} The provider.
  */
-async function fetchWithTimeout(url, options, timeout = 40000) {
-  // AbortController allows us to cancel the fetch if it takes too long
-  // 40 seconds is generous for LLM inference (average: 2-5s, worst case: 30s)
-  // Without this, a hung connection would block the server indefinitely
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  try {
-    const res = await fetch(url, { ...options, signal: controller.signal });
-    return res;
-  } finally {
-    clearTimeout(id);
+function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+    console.log(`[AI Service] Using ${provider.name} provider (${provider.model}).`);
   }
+  return provider;
+}
+
+/**
+ * @function getProviderInfo
+ * @description Describes the active provider (for health checks and provenance).
+ * @returns {{ provider: string, model: string, configured: boolean }} Provider details.
+ */
+export function getProviderInfo() {
+  const active = getProvider();
+  return { provider: active.name, model: active.model, configured: active.isConfigured() };
+}
+
+/**
+ * @function estimateTokens
+ * @description Rough token estimate (~4 characters per token for English text).
+ * @param {string} text - Text to measure.
+ * @returns {number} Estimated token count.
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * @function summarizeTurns
+ * @description Condenses turns that fell outside the window into a short recap of what the visitor raised.
+ * Kept extractive (no extra LLM call) so it costs nothing and cannot hallucinate.
+ * @param {Array} turns - Chat messages ({ role, content }) that were trimmed.
+ * @returns {string|null} A recap for the system prompt, or null if nothing was trimmed.
+ */
+function summarizeTurns(turns) {
+  const topics = turns
+    .filter(turn => turn.role === 'user')
+    .slice(-SUMMARY_TOPIC_LIMIT)
+    .map(turn => {
+      const snippet = turn.content.replace(/\s+/g, ' ').trim();
+      return snippet.length > SUMMARY_SNIPPET_LENGTH ? `${snippet.substring(0, SUMMARY_SNIPPET_LENGTH)}...` : snippet;
+    });
+
+  if (topics.length === 0) return null;
+  return `Earlier in this conversation the visitor spoke of: ${topics.map(topic => `"${topic}"`).join('; ')}.`;
+}
+
+/**
+ * @function buildContextWindow
+ * @description Converts stored messages into chat turns, keeping the most recent ones that fit the token budget.
+ * @param {Array} history - Prior conversation messages ({ text, isUser }).
+ * @param {number} budget - Maximum estimated tokens of history to send.
+ * @returns {{ turns: Array, summary: string|null }} The kept turns and a recap of the trimmed ones.
+ */
+export function buildContextWindow(history = [], budget = HISTORY_TOKEN_BUDGET) {
+  const allTurns = history
+    .filter(message => message.text && message.text.trim())
+    .map(message => ({ role: message.isUser ? 'user' : 'assistant', content: message.text }));
+
+  // Walk backwards from the newest turn until the budget is spent
+  const turns = [];
+  let used = 0;
+  for (let i = allTurns.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(allTurns[i].content);
+    if (used + cost > budget) break;
+    turns.unshift(allTurns[i]);
+    used += cost;
+  }
+
+  const trimmed = allTurns.slice(0, allTurns.length - turns.length);
+  return { turns, summary: summarizeTurns(trimmed) };
+}
+
+/**
+ * @function resolvePersona
+ * @description Fills in the default persona. Scripts saved before personas were structured store only a name.
+ * @param {object|string|null} persona - The script's persona.
+ * @returns {object} Persona with at least a name.
+ */
+function resolvePersona(persona) {
+  if (typeof persona === 'string' && persona.trim()) return { ...DEFAULT_PERSONA, name: persona.trim() };
+  if (!persona || typeof persona !== 'object' || !persona.name) return DEFAULT_PERSONA;
+  return persona;
+}
+
+/**
+ * @function buildPersonaPrompt
+ * @description Assembles the character part of the system prompt from the persona definition.
+ * @param {object} persona - Resolved persona.
+ * @returns {string} The prompt.
+ */
+function buildPersonaPrompt(persona) {
+  const parts = [`You are ${persona.name}.`];
+  if (persona.biography) parts.push(persona.biography.trim());
+  if (persona.speaking_style) parts.push(persona.speaking_style.trim());
+  if (persona.knowledge_cutoff) {
+    parts.push(`You know nothing of events after ${persona.knowledge_cutoff.trim()}. `
+      + 'If the visitor asks about later times, say plainly that they lie beyond your life, and do not guess.');
+  }
+  if (persona.forbidden_topics?.length > 0) {
+    parts.push(`Never discuss ${persona.forbidden_topics.join('; ')}. `
+      + 'If the visitor raises one of these, decline briefly and in character, then turn to another subject.');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * @function buildFewShotTurns
+ * @description Turns the persona's example exchanges into chat turns placed before the real conversation.
+ * @param {object} persona - Resolved persona.
+ * @returns {Array} Chat messages ({ role, content }).
+ */
+function buildFewShotTurns(persona) {
+  return (persona.few_shot_examples || []).flatMap(example => [
+    { role: 'user', content: example.user },
+    { role: 'assistant', content: example.assistant }
+  ]);
+}
+
+/**
+ * @function getGenerationParams
+ * @description Provider request parameters from the persona (max_tokens, temperature, top_p).
+ * @param {object} persona - Resolved persona.
+ * @returns {{ maxTokens: number, temperature: number|undefined, topP: number|undefined }} Parameters.
+ */
+function getGenerationParams(persona) {
+  const generation = persona.generation || {};
+  return {
+    maxTokens: generation.max_tokens || MAX_TOKENS,
+    temperature: generation.temperature ?? undefined,
+    topP: generation.top_p ?? undefined
+  };
+}
+
+/**
+ * @function buildGroundingPrompt
+ * @description Lists retrieved passages of the Meditations for the system prompt, so the model quotes
+ * the real text (and cites it) instead of quoting from memory.
+ * @param {Array} passages - Passages ({ reference, text }) from retrievePassages.
+ * @returns {string|null} The prompt section, or null without passages.
+ */
+function buildGroundingPrompt(passages = []) {
+  if (passages.length === 0) return null;
+
+  const listed = passages.map(passage => `[${passage.reference}] "${passage.text}"`).join('\n');
+  return 'Passages from your Meditations that may bear on the question:\n'
+    + `${listed}\n`
+    + 'If you quote or paraphrase your writings, use only these passages and cite them by number, '
+    + `e.g. (Meditations ${passages[0].reference}). Never invent a quotation.`;
+}
+
+/**
+ * @function buildMessages
+ * @description Builds the chat messages shared by the blocking and streaming calls.
+ * @param {string} fullPrompt - The combined context and user text.
+ * @param {Array} history - Prior conversation messages ({ text, isUser }).
+ * @param {string} [language] - Language code the visitor wrote in.
+ * @param {Array} [passages] - Retrieved passages of the Meditations to ground the reply.
+ * @param {object} [persona] - Resolved persona.
+ * @returns {Array} Chat messages ({ role, content }).
+ */
+function buildMessages(fullPrompt, history = [], language = DEFAULT_LANGUAGE, passages = [], persona = DEFAULT_PERSONA) {
+  const { turns, summary } = buildContextWindow(history);
+  const personaPrompt = buildPersonaPrompt(persona);
+  let systemPrompt = summary ? `${personaPrompt}\n\n${summary}` : personaPrompt;
+  const grounding = buildGroundingPrompt(passages);
+  if (grounding) systemPrompt += `\n\n${grounding}`;
+  if (language !== DEFAULT_LANGUAGE) {
+    systemPrompt += `\n\nThe visitor is writing in ${getLanguage(language).name}. Reply in ${getLanguage(language).name}.`;
+  }
+
+  return [
+    { role: "system", content: systemPrompt },
+    ...buildFewShotTurns(persona),
+    ...turns,
+    { role: "user", content: fullPrompt }
+  ];
+}
+
+/**
+ * @function cleanModelText
+ * @description Strips special Llama control tokens (e.g. <|eot_id|>) from generated text.
+ * @param {string} text - Raw model output.
+ * @returns {string} The cleaned text.
+ */
+function cleanModelText(text) {
+  return text.replace(/<\|.*?\|>/g, '');
+}
+
+// Longest control token held back while waiting for its end; anything longer is ordinary text
+const MAX_CONTROL_TOKEN_LENGTH = 32;
+
+/**
+ * @function findPartialControlToken
+ * @description Finds a control token that has started at the end of the text but not yet ended
+ * (e.g. "<|eot" waiting for "_id|>"), so a stream can hold it back until the next chunk.
+ * @param {string} text - Streamed text not yet relayed.
+ * @returns {number} Where the unfinished token starts, or the text's length if there is none.
+ */
+export function findPartialControlToken(text) {
+  if (text.endsWith('<')) return text.length - 1;
+
+  const start = text.lastIndexOf('<|');
+  const unfinished = start !== -1 && !text.includes('|>', start + 2) && text.length - start < MAX_CONTROL_TOKEN_LENGTH;
+  return unfinished ? start : text.length;
 }
 
 /**
  * @function generateAIResponse
- * @description Sends the prompt to Hugging Face and retrieves the AI response.
+ * @description Sends the prompt to the configured provider and retrieves the AI response.
  * @param {string} fullPrompt - The combined context and user text.
+ * @param {Array} history - Prior conversation messages ({ text, isUser }), oldest first.
+ * @param {object} options - Optional settings.
+ * @param {string} options.language - Language code to reply in (default English).
+ * @param {Array} options.passages - Passages of the Meditations to quote from (see utils/meditationsCorpus.js).
+ * @param {object|string} options.persona - The script's persona (prompt and generation parameters).
  * @returns {Promise<string|null>} The AI generated text or null if failed.
  */
-export async function generateAIResponse(fullPrompt) {
-  if (!HF_API_KEY) return null;
+export async function generateAIResponse(fullPrompt, history = [], { language, passages, persona } = {}) {
+  const active = getProvider();
+  if (!active.isConfigured()) return null;
 
   try {
-    const aiRes = await fetchWithTimeout(HF_ROUTER_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${HF_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: MODEL_ID,
-        messages: [
-          { role: "system", content: "You are Marcus Aurelius. Be stoic, wise, and concise." },
-          { role: "user", content: fullPrompt }
-        ],
-        max_tokens: 500
-      })
+    const resolved = resolvePersona(persona);
+    const text = await active.complete({
+      messages: buildMessages(fullPrompt, history, language, passages, resolved),
+      ...getGenerationParams(resolved)
     });
-
-    const data = await aiRes.json();
-    if (data.choices?.[0]?.message?.content) {
-      return data.choices[0].message.content.replace(/<\|.*?\|>/g, '').trim();
-    }
+    return text ? cleanModelText(text).trim() || null : null;
+  } catch (error) {
+    console.error(`AI Error (${active.name}), using fallback:`, error.message);
     return null;
+  }
+}
+
+/**
+ * @function streamAIResponse
+ * @description Streams the completion from the configured provider, relaying each text chunk as it arrives.
+ * @param {string} fullPrompt - The combined context and user text.
+ * @param {Function} onDelta - Called with each new piece of text.
+ * @param {object} options - Optional settings.
+ * @param {Array} options.history - Prior conversation messages ({ text, isUser }), oldest first.
+ * @param {AbortSignal} options.signal - Aborts the upstream request (e.g. client disconnected).
+ * @param {string} options.language - Language code to reply in (default English).
+ * @param {Array} options.passages - Passages of the Meditations to quote from (see utils/meditationsCorpus.js).
+ * @param {object|string} options.persona - The script's persona (prompt and generation parameters).
+ * @returns {Promise<string|null>} The full generated text or null if failed.
+ */
+export async function streamAIResponse(fullPrompt, onDelta, { history = [], signal, language, passages, persona } = {}) {
+  const active = getProvider();
+  if (!active.isConfigured()) return null;
+
+  try {
+    const resolved = resolvePersona(persona);
+    const request = { messages: buildMessages(fullPrompt, history, language, passages, resolved), ...getGenerationParams(resolved), signal };
+    // A control token can arrive split across chunks, so an unfinished one waits for the rest
+    let pending = '';
+    const relay = (final) => {
+      const cut = final ? pending.length : findPartialControlToken(pending);
+      const cleaned = cleanModelText(pending.slice(0, cut));
+      pending = pending.slice(cut);
+      if (cleaned) onDelta(cleaned);
+    };
+
+    const text = await active.stream(request, (delta) => {
+      pending += delta;
+      relay(false);
+    });
+    relay(true);
+    return text ? cleanModelText(text).trim() || null : null;
   } catch (error) {
-    console.error("AI Error, using fallback");
+    console.error(`AI Stream Error (${active.name}), using fallback:`, error.message);
     return null;
   }
-}
\ No newline at end of file
+}
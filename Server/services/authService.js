@@ -0,0 +1,293 @@
+/**
+ * @file services/authService.js
+ * @description Visitor accounts. Visitors sign in with an email and password, or ask for a one-time
+ * magic link sent through the local mail stand-in (services/mailService.js). A successful sign-in returns
+ * a signed session token (utils/authTokens.js) that scopes conversations to their owner.
+ * Passwords are hashed with scrypt; magic-link tokens are stored as SHA-256 hashes and expire.
+ * Walk-up visitors who never sign in get an anonymous device session instead; signing in later
+ * moves that session's conversations to the account. Accounts have a role (utils/roles.js); the role is
+ * read from the database on each privileged request, so changes apply without signing in again.
+ * @author Group 1
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { User, Conversation } from '../models/Conversations.js';
+import { createToken } from '../utils/authTokens.js';
+import { DEFAULT_ROLE } from '../utils/roles.js';
+import { sendMail } from './mailService.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @function normalizeEmail
+ * @description Trims and lowercases an email address.
+ * @param {string} email - Address as typed.
+ * @returns {string} Normalized address ('' if not a string).
+ */
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * @function validateCredentials
+ * @description Checks an email address and, unless it is omitted, a password.
+ * @param {object} credentials - { email, password }.
+ * @param {object} options - { requirePassword } (default true).
+ * @returns {Array<string>} Error messages (empty if valid).
+ */
+export function validateCredentials({ email, password }, { requirePassword = true } = {}) {
+  const errors = [];
+  const normalized = normalizeEmail(email);
+  if (!normalized || normalized.length > 254 || !EMAIL_PATTERN.test(normalized)) {
+    errors.push('A valid email address is required');
+  }
+  if (requirePassword) errors.push(...validatePassword(password));
+  return errors;
+}
+
+/**
+ * @function validatePassword
+ * @description Checks a new password's length.
+ * @param {string} password - Plain password.
+ * @returns {Array<string>} Error messages (empty if valid).
+ */
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return [`Password must be at least ${ MIN_PASSWORD_LENGTH } characters`];
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) return [`Password must be at most ${ MAX_PASSWORD_LENGTH } characters`];
+  return [];
+}
+
+/**
+ * @function hashPassword
+ * @description Hashes a password with a random salt.
+ * @param {string} password - Plain password.
+ * @returns {Promise<string>} "salt:hash" (hex).
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${ salt }:${ hash.toString('hex') }`;
+}
+
+/**
+ * @function verifyPassword
+ * @description Compares a password with a stored hash in constant time.
+ * @param {string} password - Plain password.
+ * @param {string|null} stored - "salt:hash" from hashPassword.
+ * @returns {Promise<boolean>} True if they match.
+ */
+export async function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash || typeof password !== 'string') return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashLoginToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * @function toAccount
+ * @description Public fields of an account.
+ * @param {object} user - User document.
+ * @returns {object} { id, email, role, anonymous: false }.
+ */
+function toAccount(user) {
+  return { id: user.id, email: user.email, role: user.role || DEFAULT_ROLE, anonymous: false };
+}
+
+/**
+ * @function issueSession
+ * @description Records the sign-in and creates a session token.
+ * @param {object} user - User document.
+ * @returns {Promise<object>} { token, expiresAt, user: { id, email, role, anonymous: false } }.
+ */
+async function issueSession(user) {
+  user.lastLoginAt = new Date();
+  await user.save();
+  return { ...createToken(user), user: toAccount(user) };
+}
+
+/**
+ * @function getAccount
+ * @description Looks up an account by id.
+ * @param {string} id - User id.
+ * @returns {Promise<object|null>} Account (see toAccount), or null if there is none.
+ */
+export async function getAccount(id) {
+  const user = await User.findOne({ id });
+  return user ? toAccount(user) : null;
+}
+
+/**
+ * @function listAccounts
+ * @description Lists every account, newest first.
+ * @returns {Promise<Array<object>>} { id, email, role, createdAt, lastLoginAt }.
+ */
+export async function listAccounts() {
+  const users = await User.find({}, 'id email role createdAt lastLoginAt').sort({ createdAt: -1 }).lean();
+  return users.map(({ id, email, role, createdAt, lastLoginAt }) => ({ id, email, role: role || DEFAULT_ROLE, createdAt, lastLoginAt }));
+}
+
+/**
+ * @function setAccountRole
+ * @description Changes an account's role.
+ * @param {string} id - User id.
+ * @param {string} role - New role (already validated).
+ * @returns {Promise<object|null>} Updated account, or null if there is none.
+ */
+export async function setAccountRole(id, role) {
+  const user = await User.findOne({ id });
+  if (!user) return null;
+  user.role = role;
+  await user.save();
+  console.log(`[Auth] ${ user.email } is now ${ role }`);
+  return toAccount(user);
+}
+
+/**
+ * @function createDeviceSession
+ * @description Starts an anonymous session for a visitor without an account (one per device or kiosk visit).
+ * Nothing is stored: the session is the signed token itself.
+ * @returns {object} { token, expiresAt, user: { id, email: null, anonymous: true } }.
+ */
+export function createDeviceSession() {
+  const device = { id: uuidv4(), email: null, anonymous: true };
+  return { ...createToken(device), user: device };
+}
+
+/**
+ * @function refreshDeviceSession
+ * @description Re-issues an anonymous session's token so it expires after inactivity rather than at a fixed time.
+ * @param {object} device - { id } of the device session.
+ * @returns {object} { token, expiresAt }.
+ */
+export function refreshDeviceSession(device) {
+  return createToken({ id: device.id, anonymous: true });
+}
+
+/**
+ * @function claimDeviceConversations
+ * @description Moves an anonymous session's conversations to the account the visitor signed in to.
+ * @param {string} deviceId - Id of the anonymous session.
+ * @param {string} userId - Id of the account.
+ * @returns {Promise<number>} Conversations moved.
+ */
+export async function claimDeviceConversations(deviceId, userId) {
+  const result = await Conversation.updateMany({ ownerId: deviceId }, { $set: { ownerId: userId } });
+  if (result.modifiedCount > 0) console.log(`[Auth] ${ result.modifiedCount } anonymous conversations moved to an account`);
+  return result.modifiedCount || 0;
+}
+
+/**
+ * @function claimLegacyConversations
+ * @description Gives an account the conversations saved before accounts existed (no owner), which nobody can see otherwise.
+ * @param {string} userId - Id of the account.
+ * @returns {Promise<number>} Conversations moved.
+ */
+export async function claimLegacyConversations(userId) {
+  const result = await Conversation.updateMany({ ownerId: null }, { $set: { ownerId: userId } });
+  if (result.modifiedCount > 0) console.log(`[Auth] ${ result.modifiedCount } legacy conversations moved to an account`);
+  return result.modifiedCount || 0;
+}
+
+/**
+ * @function registerUser
+ * @description Creates an account with a password and signs it in.
+ * Any existing account is refused, including magic-link accounts without a password: registering proves
+ * nothing about owning the address. Those accounts sign in by link and then add a password (setAccountPassword).
+ * @param {object} credentials - { email, password } (already validated).
+ * @returns {Promise<object|null>} Session (see issueSession), or null if the email is already registered.
+ */
+export async function registerUser({ email, password }) {
+  const normalized = normalizeEmail(email);
+  if (await User.findOne({ email: normalized })) return null;
+
+  const user = new User({ id: uuidv4(), email: normalized });
+  user.passwordHash = await hashPassword(password);
+
+  console.log(`[Auth] Registered ${ normalized }`);
+  return issueSession(user);
+}
+
+/**
+ * @function setAccountPassword
+ * @description Sets or changes the password of a signed-in account. Changing an existing password
+ * needs the current one; accounts created by a magic link can add their first password without it.
+ * @param {string} id - User id (from the session).
+ * @param {object} passwords - { password, currentPassword } (password already validated).
+ * @returns {Promise<boolean|null>} True if saved, false if the current password is wrong, null if there is no account.
+ */
+export async function setAccountPassword(id, { password, currentPassword }) {
+  const user = await User.findOne({ id });
+  if (!user) return null;
+  if (user.passwordHash && !await verifyPassword(currentPassword, user.passwordHash)) return false;
+
+  user.passwordHash = await hashPassword(password);
+  await user.save();
+  console.log(`[Auth] Password set for ${ user.email }`);
+  return true;
+}
+
+/**
+ * @function loginWithPassword
+ * @description Signs in with an email and password.
+ * @param {object} credentials - { email, password }.
+ * @returns {Promise<object|null>} Session (see issueSession), or null if the credentials are wrong.
+ */
+export async function loginWithPassword({ email, password }) {
+  const user = await User.findOne({ email: normalizeEmail(email) });
+  if (!user || !await verifyPassword(password, user.passwordHash)) return null;
+  return issueSession(user);
+}
+
+/**
+ * @function requestMagicLink
+ * @description Emails a one-time sign-in link, creating the account on first use.
+ * The link opens the client (CLIENT_URL) with ?magic_token=..., which the client exchanges for a session.
+ * @param {string} email - Address (already validated).
+ * @returns {Promise<boolean>} False if the email could not be sent.
+ */
+export async function requestMagicLink(email) {
+  const normalized = normalizeEmail(email);
+  const user = (await User.findOne({ email: normalized })) || new User({ id: uuidv4(), email: normalized });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  user.loginToken = { hash: hashLoginToken(token), expiresAt: new Date(Date.now() + MAGIC_LINK_TTL_MS) };
+  await user.save();
+
+  const link = `${ (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '') }/?magic_token=${ token }`;
+  const sent = await sendMail({
+    to: normalized,
+    subject: 'Your sign-in link for the Marcus Aurelius exhibition',
+    text: `Open this link to sign in and continue your conversations:\n\n${ link }\n\nThe link works once and expires in ${ MAGIC_LINK_TTL_MS / 60000 } minutes. If you did not ask for it, ignore this email.`
+  });
+  return sent !== null;
+}
+
+/**
+ * @function verifyMagicLink
+ * @description Exchanges a magic-link token for a session. Each link works once.
+ * @param {string} token - Token from the link.
+ * @returns {Promise<object|null>} Session (see issueSession), or null if the link is unknown, used or expired.
+ */
+export async function verifyMagicLink(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const user = await User.findOne({ 'loginToken.hash': hashLoginToken(token), 'loginToken.expiresAt': { $gt: new Date() } });
+  if (!user) return null;
+
+  user.loginToken = null;
+  return issueSession(user);
+}
@@ -0,0 +1,213 @@
+/**
+ * @file services/conversationSearchService.js
+ * @description Full-text search over a visitor's conversations: titles and every message.
+ * The MongoDB text index on Conversation finds and ranks the conversations; this service then picks out the
+ * messages that matched and cuts a snippet around the matched words, split into highlighted segments.
+ * @author Group 1
+ */
+
+import { Conversation } from '../models/Conversations.js';
+import { getLanguage } from '../utils/languages.js';
+
+// Characters of context shown before the first matched word, and the snippet's total length
+const SNIPPET_CONTEXT = 40;
+const SNIPPET_LENGTH = 160;
+
+// Matched messages returned per conversation (matchCount has the full number)
+const MAX_MATCHES_PER_CONVERSATION = 3;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:'\p{L}+)?/gu;
+
+// The text index uses English stemming, so "fears" finds "fear" and "fearing"
+const english = getLanguage('en');
+
+/**
+ * @function stemWord
+ * @description Lowercases and stems a word the way the search query's words are stemmed.
+ * @param {string} word - One word.
+ * @returns {string} Stem.
+ */
+function stemWord(word) {
+  return english.stemmer.stem(word.toLowerCase().replace(/'s$/, ''));
+}
+
+/**
+ * @function parseQuery
+ * @description Reads a $text search string the way MongoDB does: "quoted phrases", -excluded words and words.
+ * Excluded words and stop words are not highlighted.
+ * @param {string} query - Search string.
+ * @returns {{ stems: Set<string>, phrases: Array<string> }} What to highlight.
+ */
+function parseQuery(query) {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1].trim().toLowerCase()).filter(Boolean);
+  const words = query.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(word => word && !word.startsWith('-'));
+
+  const stems = new Set();
+  for (const word of words) {
+    for (const [token] of word.matchAll(WORD_PATTERN)) {
+      if (!english.ignored.has(token.toLowerCase())) stems.add(stemWord(token));
+    }
+  }
+  return { stems, phrases };
+}
+
+/**
+ * @function findRanges
+ * @description Finds the matched words and phrases in a text.
+ * @param {string} text - Text to search.
+ * @param {{ stems: Set<string>, phrases: Array<string> }} terms - Output of parseQuery.
+ * @returns {Array<[number, number]>} Sorted, non-overlapping [start, end) ranges.
+ */
+function findRanges(text, { stems, phrases }) {
+  const ranges = [];
+  const lower = text.toLowerCase();
+
+  for (const phrase of phrases) {
+    for (let index = lower.indexOf(phrase); index !== -1; index = lower.indexOf(phrase, index + phrase.length)) {
+      ranges.push([index, index + phrase.length]);
+    }
+  }
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    if (stems.has(stemWord(match[0]))) ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+    return merged;
+  }, []);
+}
+
+/**
+ * @function toSegments
+ * @description Splits part of a text into plain and highlighted segments.
+ * @param {string} text - Full text.
+ * @param {Array<[number, number]>} ranges - Matched ranges (from findRanges).
+ * @param {number} start - Start of the part to keep.
+ * @param {number} end - End of the part to keep.
+ * @returns {Array<{ text: string, match: boolean }>} Segments, in order.
+ */
+function toSegments(text, ranges, start, end) {
+  const segments = [];
+  let cursor = start;
+
+  for (const [from, to] of ranges) {
+    if (to <= start || from >= end) continue;
+    const matchStart = Math.max(from, start);
+    const matchEnd = Math.min(to, end);
+    if (matchStart > cursor) segments.push({ text: text.slice(cursor, matchStart), match: false });
+    segments.push({ text: text.slice(matchStart, matchEnd), match: true });
+    cursor = matchEnd;
+  }
+  if (cursor < end) segments.push({ text: text.slice(cursor, end), match: false });
+  return segments;
+}
+
+/**
+ * @function buildSnippet
+ * @description Cuts a snippet around the first match without splitting words, with an ellipsis where text was cut.
+ * @param {string} text - Message text (whitespace collapsed).
+ * @param {Array<[number, number]>} ranges - Matched ranges (at least one).
+ * @returns {Array<{ text: string, match: boolean }>} Snippet segments.
+ */
+function buildSnippet(text, ranges) {
+  const [firstStart, firstEnd] = ranges[0];
+  let start = Math.max(0, firstStart - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, Math.max(start + SNIPPET_LENGTH, firstEnd));
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < firstStart) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space >= firstEnd) end = space;
+  }
+
+  const segments = toSegments(text, ranges, start, end);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+/**
+ * @function toResult
+ * @description Summarizes one matching conversation: its highlighted title and first matched messages.
+ * @param {object} convo - Lean conversation with its text score.
+ * @param {{ stems: Set<string>, phrases: Array<string> }} terms - Output of parseQuery.
+ * @returns {object} Search result.
+ */
+function toResult(convo, terms) {
+  const title = convo.title || '';
+  const titleRanges = findRanges(title, terms);
+
+  const matched = (convo.messages || [])
+    .map(message => {
+      const text = (message.text || '').replace(/\s+/g, ' ').trim();
+      return { message, text, ranges: findRanges(text, terms) };
+    })
+    .filter(({ ranges }) => ranges.length > 0);
+
+  return {
+    id: convo.id,
+    title,
+    personaId: convo.personaId,
+    createdAt: convo.createdAt,
+    updatedAt: convo.updatedAt,
+    score: Math.round(convo.score * 1000) / 1000,
+    titleHighlights: titleRanges.length > 0 ? toSegments(title, titleRanges, 0, title.length) : null,
+    matchCount: matched.length,
+    matches: matched.slice(0, MAX_MATCHES_PER_CONVERSATION).map(({ message, text, ranges }) => ({
+      messageId: message.id,
+      isUser: message.isUser,
+      timestamp: message.timestamp,
+      snippet: buildSnippet(text, ranges)
+    }))
+  };
+}
+
+/**
+ * @function searchConversations
+ * @description Searches one visitor's conversations, best match first (then most recent).
+ * @param {string} ownerId - Account or device session id.
+ * @param {string} query - MongoDB $text search string (words, "phrases", -excluded words).
+ * @param {object} [options]
+ * @param {number} [options.page=1] - Page, from 1.
+ * @param {number} [options.limit=10] - Conversations per page.
+ * @returns {Promise<object>} { results, total, page, pages }; each result has { id, title, personaId, createdAt,
+ * updatedAt, score, titleHighlights, matchCount, matches: [{ messageId, isUser, timestamp, snippet }] },
+ * where highlights and snippets are arrays of { text, match } segments.
+ */
+export async function searchConversations(ownerId, query, { page = 1, limit = 10 } = {}) {
+  const filter = { ownerId, $text: { $search: query } };
+  const [total, conversations] = await Promise.all([
+    Conversation.countDocuments(filter),
+    Conversation.find(filter, {
+      _id: 0,
+      score: { $meta: 'textScore' },
+      id: 1,
+      title: 1,
+      personaId: 1,
+      createdAt: 1,
+      updatedAt: 1,
+      'messages.id': 1,
+      'messages.text': 1,
+      'messages.isUser': 1,
+      'messages.timestamp': 1
+    })
+      .sort({ score: { $meta: 'textScore' }, updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean()
+  ]);
+
+  const terms = parseQuery(query);
+  return {
+    results: conversations.map(convo => toResult(convo, terms)),
+    total,
+    page,
+    pages: Math.max(1, Math.ceil(total / limit))
+  };
+}
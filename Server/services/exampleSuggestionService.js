@@ -0,0 +1,113 @@
+/**
+ * @file services/exampleSuggestionService.js
+ * @description Suggests new example utterances for rules from real visitor messages no rule answered
+ * (the reply came from the LLM or the general fallback). Each message is ranked against the rules
+ * semantically; close-but-not-close-enough messages are proposed as examples for the nearest rule.
+ * Nothing is saved: curators review the suggestions and add the good ones through the script API.
+ * @author Group 1
+ */
+
+import { Conversation } from '../models/Conversations.js';
+import { rankSemanticRules } from '../utils/logicEngine.js';
+import { detectLanguage } from '../utils/languages.js';
+import { DEFAULT_PERSONA_ID } from '../utils/personas.js';
+
+// Replies that mean "no rule matched this message"
+const UNMATCHED_SOURCES = ['llm', 'fallback'];
+
+// A message this similar to an existing example adds nothing new
+const DUPLICATE_SIMILARITY = 0.95;
+
+// Very short or very long messages make poor examples
+const MIN_WORDS = 2;
+const MAX_LENGTH = 200;
+
+/**
+ * @function collectUnmatchedMessages
+ * @description Finds visitor messages whose reply did not come from the script.
+ * @param {Array} conversations - Lean conversation documents.
+ * @returns {Array<{ text: string, conversationId: string }>} Unique messages, newest conversations first.
+ */
+function collectUnmatchedMessages(conversations) {
+  const seen = new Set();
+  const messages = [];
+
+  for (const conversation of conversations) {
+    const history = conversation.messages || [];
+    history.forEach((message, index) => {
+      const reply = history[index + 1];
+      if (!message.isUser || !reply || reply.isUser) return;
+      if (!UNMATCHED_SOURCES.includes(reply.provenance?.source)) return;
+
+      const text = (message.text || '').trim();
+      const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+      if (text.length > MAX_LENGTH || normalized.split(' ').length < MIN_WORDS || seen.has(normalized)) return;
+
+      seen.add(normalized);
+      messages.push({ text, conversationId: conversation.id });
+    });
+  }
+  return messages;
+}
+
+/**
+ * @function suggestExamples
+ * @description Proposes example utterances for each of a persona's rules from unmatched visitor messages
+ * in conversations with that persona.
+ * @param {object} options - Optional settings.
+ * @param {number} options.conversationLimit - Most recent conversations to scan (default 200).
+ * @param {number} options.minSimilarity - Weakest similarity worth suggesting (default 0.45).
+ * @param {number} options.perRule - Suggestions kept per rule (default 5).
+ * @param {string} options.persona - Persona id (default Marcus Aurelius).
+ * @returns {Promise<object>} { scannedConversations, unmatchedMessages, suggestions: [{ ruleId, examples }], unassigned }.
+ */
+export async function suggestExamples({ conversationLimit = 200, minSimilarity = 0.45, perRule = 5, persona = DEFAULT_PERSONA_ID } = {}) {
+  // Conversations saved before there were several personas were all with Marcus Aurelius
+  const personaFilter = persona === DEFAULT_PERSONA_ID ? { $in: [persona, null] } : persona;
+  const conversations = await Conversation.find({ personaId: personaFilter }, { id: 1, messages: 1 })
+    .sort({ updatedAt: -1 })
+    .limit(conversationLimit)
+    .lean();
+
+  const messages = collectUnmatchedMessages(conversations);
+  const byRule = new Map();
+  const unassigned = [];
+
+  for (const message of messages) {
+    const language = detectLanguage(message.text) || undefined;
+    const [nearest] = await rankSemanticRules(message.text, { language, limit: 1, persona });
+    if (!nearest) continue;
+
+    if (nearest.matchedBy !== 'keyword' && nearest.similarity >= DUPLICATE_SIMILARITY) continue;
+
+    const candidate = {
+      text: message.text,
+      language: language || null,
+      similarity: Number(nearest.similarity.toFixed(3)),
+      nearest: nearest.matchedText,
+      conversationId: message.conversationId
+    };
+
+    if (nearest.similarity < minSimilarity) {
+      unassigned.push({ ...candidate, ruleId: nearest.ruleId });
+      continue;
+    }
+    if (!byRule.has(nearest.ruleId)) byRule.set(nearest.ruleId, []);
+    byRule.get(nearest.ruleId).push(candidate);
+  }
+
+  const suggestions = [...byRule.entries()]
+    .map(([ruleId, examples]) => ({
+      ruleId,
+      examples: examples.sort((a, b) => b.similarity - a.similarity).slice(0, perRule)
+    }))
+    .sort((a, b) => b.examples.length - a.examples.length);
+
+  return {
+    scannedConversations: conversations.length,
+    unmatchedMessages: messages.length,
+    suggestions,
+    // Messages far from every rule may call for a new rule rather than an example
+    unassigned: unassigned.sort((a, b) => a.similarity - b.similarity).slice(0, 20)
+  };
+}
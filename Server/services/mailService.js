@@ -0,0 +1,36 @@
+/**
+ * @file services/mailService.js
+ * @description Local stand-in for an email provider. Messages are written as text files to MAIL_OUTBOX_DIR
+ * (default data/outbox), so sign-in links can be opened during development and at the exhibition without
+ * mail credentials. Only recipients and subjects are logged: bodies carry sign-in links.
+ * @author Group 1
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../data/outbox');
+
+/**
+ * @function sendMail
+ * @description "Sends" an email by writing it to the outbox. A failed write is logged, not thrown,
+ * and the caller decides what to tell the visitor.
+ * @param {object} message - { to, subject, text }.
+ * @returns {Promise<string|null>} Path of the written file, or null if it could not be written.
+ */
+export async function sendMail({ to, subject, text }) {
+  const outbox = process.env.MAIL_OUTBOX_DIR ? path.resolve(process.env.MAIL_OUTBOX_DIR) : DEFAULT_OUTBOX_DIR;
+  const file = path.join(outbox, `${ new Date().toISOString().replace(/[:.]/g, '-') }-${ to.replace(/[^a-z0-9]+/gi, '_') }.txt`);
+
+  console.log(`[Mail] To: ${ to } | ${ subject }`);
+  try {
+    await fs.mkdir(outbox, { recursive: true });
+    await fs.writeFile(file, `To: ${ to }\nSubject: ${ subject }\nDate: ${ new Date().toUTCString() }\n\n${ text }\n`);
+    return file;
+  } catch (error) {
+    console.error(`[Mail] Could not write "${ subject }" to ${ to } to the outbox:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * @file services/personaService.js
+ * @description Public profiles of the personas visitors can talk to (name, portrait, biography, suggested prompts).
+ * A persona exists once its script has been committed; the profile is read from the script's persona field,
+ * so curators edit it through the persona endpoint of the script API.
+ * Marcus Aurelius always exists: before his script is seeded, his replies come from the default persona prompt.
+ * @author Group 1
+ */
+
+import { listPersonaIds } from './scriptVersionService.js';
+import { getPersona } from '../utils/logicEngine.js';
+import { DEFAULT_PERSONA_ID, DEFAULT_PERSONA_NAME, isValidPersonaId } from '../utils/personas.js';
+
+// Profile fields shown to visitors; prompt fields (speaking style, forbidden topics...) stay on the server
+const PROFILE_FIELDS = ['name', 'title', 'lifespan', 'portrait', 'summary', 'principles', 'suggested_prompts'];
+
+/**
+ * @function toProfile
+ * @description Picks the public fields of a persona definition.
+ * @param {string} id - Persona id.
+ * @param {object|string|null} persona - Persona from the script (a bare name in older scripts).
+ * @returns {object} { id, name, title, lifespan, portrait, summary, principles, suggested_prompts }.
+ */
+function toProfile(id, persona) {
+  const definition = typeof persona === 'string' ? { name: persona } : persona || (id === DEFAULT_PERSONA_ID ? { name: DEFAULT_PERSONA_NAME } : {});
+  const profile = { id };
+  for (const field of PROFILE_FIELDS) profile[field] = definition[field] ?? null;
+  profile.name = profile.name || id;
+  return profile;
+}
+
+/**
+ * @function availablePersonaIds
+ * @description Ids of the personas visitors can talk to: Marcus Aurelius and every persona with a script.
+ * @returns {Promise<Array<string>>} Persona ids.
+ */
+async function availablePersonaIds() {
+  const ids = (await listPersonaIds()).filter(isValidPersonaId);
+  return ids.includes(DEFAULT_PERSONA_ID) ? ids : [DEFAULT_PERSONA_ID, ...ids];
+}
+
+/**
+ * @function listPersonas
+ * @description Lists every persona, Marcus Aurelius first and the rest by name.
+ * @returns {Promise<Array<object>>} Profiles.
+ */
+export async function listPersonas() {
+  const ids = await availablePersonaIds();
+  const profiles = await Promise.all(ids.map(async id => toProfile(id, await getPersona(id))));
+
+  return profiles.sort((a, b) => {
+    if (a.id === DEFAULT_PERSONA_ID || b.id === DEFAULT_PERSONA_ID) return a.id === DEFAULT_PERSONA_ID ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * @function personaExists
+ * @description Whether visitors can talk to a persona (Marcus Aurelius, or a persona with a script).
+ * @param {string} id - Persona id.
+ * @returns {Promise<boolean>} True if conversations can be held with it.
+ */
+export async function personaExists(id) {
+  return isValidPersonaId(id) && (await availablePersonaIds()).includes(id);
+}
+
+/**
+ * @function getPersonaProfile
+ * @description One persona's public profile.
+ * @param {string} id - Persona id.
+ * @returns {Promise<object|null>} The profile, or null if the persona does not exist.
+ */
+export async function getPersonaProfile(id) {
+  if (!await personaExists(id)) return null;
+  return toProfile(id, await getPersona(id));
+}
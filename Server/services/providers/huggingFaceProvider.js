@@ -0,0 +1,26 @@
+/**
+ * @file services/providers/huggingFaceProvider.js
+ * @description Hugging Face Inference router (OpenAI-compatible). The default provider.
+ * @author Group 1
+ */
+
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider.js';
+
+const HF_ROUTER_URL = 'https://router.huggingface.co/v1';
+const DEFAULT_MODEL_ID = 'meta-llama/Llama-3.1-8B-Instruct';
+
+/**
+ * @function createHuggingFaceProvider
+ * @description Creates the Hugging Face router provider.
+ * @param {object} env - Environment variables (HUGGINGFACE_API_KEY, LLM_MODEL).
+ * @returns {object} The provider.
+ */
+export function createHuggingFaceProvider(env) {
+  return createOpenAICompatibleProvider({
+    name: 'huggingface',
+    baseUrl: HF_ROUTER_URL,
+    model: env.LLM_MODEL || DEFAULT_MODEL_ID,
+    apiKey: env.HUGGINGFACE_API_KEY,
+    requiresApiKey: true
+  });
+}
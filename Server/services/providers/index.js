@@ -0,0 +1,41 @@
+/**
+ * @file services/providers/index.js
+ * @description Selects the LLM provider from configuration.
+ * LLM_PROVIDER: 'huggingface' (default), 'openai' (any OpenAI-compatible server) or 'mock'.
+ * @author Group 1
+ */
+
+import { createHuggingFaceProvider } from './huggingFaceProvider.js';
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider.js';
+import { createMockProvider } from './mockProvider.js';
+
+/**
+ * @function createProvider
+ * @description Builds the configured provider.
+ * @param {object} env - Environment variables (defaults to process.env).
+ * @returns {object} The provider ({ name, model, isConfigured, complete, stream }).
+ */
+export function createProvider(env = process.env) {
+  const providerName = (env.LLM_PROVIDER || 'huggingface').toLowerCase();
+
+  switch (providerName) {
+    case 'huggingface':
+      return createHuggingFaceProvider(env);
+
+    case 'openai':
+      // e.g. llama.cpp: http://localhost:8080/v1, Ollama: http://localhost:11434/v1
+      return createOpenAICompatibleProvider({
+        name: 'openai',
+        baseUrl: env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        model: env.LLM_MODEL || 'llama3.1',
+        apiKey: env.LLM_API_KEY
+      });
+
+    case 'mock':
+      return createMockProvider(env);
+
+    default:
+      console.warn(`[AI Service] Unknown LLM_PROVIDER "${providerName}". Falling back to huggingface.`);
+      return createHuggingFaceProvider(env);
+  }
+}
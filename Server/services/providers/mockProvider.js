@@ -0,0 +1,73 @@
+/**
+ * @file services/providers/mockProvider.js
+ * @description Deterministic offline provider for tests and CI.
+ * The same conversation always produces the same reply, with no network access.
+ * @author Group 1
+ */
+
+const MOCK_REPLIES = [
+  'You ask of {topic}. Consider what is within your power, and let the rest go.',
+  'On {topic}: the obstacle on the path becomes the path.',
+  'Of {topic}, I can say only this: waste no more time arguing what a good man should be. Be one.',
+  'You speak of {topic}. Very little is needed to make a happy life; it is all within yourself.'
+];
+
+/**
+ * @function hashString
+ * @description Small stable string hash (djb2) used to pick a reply.
+ * @param {string} text - Input text.
+ * @returns {number} A non-negative integer.
+ */
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * @function createMockProvider
+ * @description Creates the mock provider.
+ * @param {object} env - Environment variables (LLM_MODEL, MOCK_LLM_REPLY).
+ * @returns {object} The provider.
+ */
+export function createMockProvider(env) {
+  // A fixed reply can be forced for assertions in integration tests
+  const fixedReply = env.MOCK_LLM_REPLY;
+
+  const reply = (messages) => {
+    if (fixedReply) return fixedReply;
+
+    // Quote the first retrieved passage, as a grounded model would
+    const grounding = messages[0]?.content.match(/^\[([IVXLC]+\.\d+)\] "([^.!?"]+[.!?]?)/m);
+    if (grounding) return `As I once wrote, "${grounding[2].trim()}" (Meditations ${grounding[1]}).`;
+
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = (lastUser?.content || '').replace(/\s+/g, ' ').trim();
+    const topic = text.length > 60 ? `${text.substring(0, 60)}...` : (text || 'silence');
+    return MOCK_REPLIES[hashString(text) % MOCK_REPLIES.length].replace('{topic}', `"${topic}"`);
+  };
+
+  return {
+    name: 'mock',
+    model: env.LLM_MODEL || 'mock-stoic-1',
+
+    isConfigured() {
+      return true;
+    },
+
+    async complete({ messages }) {
+      return reply(messages);
+    },
+
+    async stream({ messages }, onDelta) {
+      const text = reply(messages);
+      // Emit word-by-word so clients exercise the same streaming path as a real model
+      for (const word of text.match(/\S+\s*/g) || []) {
+        onDelta(word);
+      }
+      return text;
+    }
+  };
+}
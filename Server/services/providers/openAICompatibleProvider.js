@@ -0,0 +1,142 @@
+/**
+ * @file services/providers/openAICompatibleProvider.js
+ * @description LLM provider for any OpenAI-compatible /chat/completions endpoint
+ * (Hugging Face router, llama.cpp server, Ollama, vLLM, ...).
+ * @author Group 1
+ */
+
+/**
+ * @function fetchWithTimeout
+ * @description Wrapper for fetch with a timeout controller that also covers reading the body.
+ * The timer runs until `read` has finished; a streaming reader calls `keepAlive` on each chunk,
+ * so the timeout applies to silence between chunks rather than to the whole reply.
+ * @param {string} url - The URL to fetch.
+ * @param {object} options - Fetch options.
+ * @param {number} timeout - Timeout in milliseconds (default 40000).
+ * @param {Function} read - Reads the response ((res, keepAlive) => Promise); defaults to returning it unread.
+ * @returns {Promise<*>} Whatever `read` returns.
+ */
+async function fetchWithTimeout(url, options, timeout = 40000, read = res => res) {
+  // AbortController allows us to cancel the fetch if it takes too long
+  // 40 seconds is generous for LLM inference (average: 2-5s, worst case: 30s)
+  // Without this, a hung connection would block the server indefinitely
+  const controller = new AbortController();
+  let id = null;
+  const keepAlive = () => {
+    clearTimeout(id);
+    id = setTimeout(() => controller.abort(), timeout);
+  };
+
+  // Forward an external abort (e.g. the client closed the SSE connection)
+  const forwardAbort = () => controller.abort();
+  if (options.signal?.aborted) controller.abort();
+  options.signal?.addEventListener('abort', forwardAbort, { once: true });
+
+  keepAlive();
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    return await read(res, keepAlive);
+  } finally {
+    clearTimeout(id);
+    options.signal?.removeEventListener('abort', forwardAbort);
+  }
+}
+
+/**
+ * @function createOpenAICompatibleProvider
+ * @description Creates a provider that talks to an OpenAI-compatible chat completions API.
+ * @param {object} config - Provider configuration.
+ * @param {string} config.name - Provider name (for logs and provenance).
+ * @param {string} config.baseUrl - API root, e.g. 'http://localhost:11434/v1'.
+ * @param {string} config.model - Model identifier sent with each request.
+ * @param {string} [config.apiKey] - Bearer token, if the endpoint needs one.
+ * @param {boolean} [config.requiresApiKey] - Treat the provider as unconfigured without a key.
+ * @param {number} [config.timeout] - Request timeout in milliseconds.
+ * @returns {object} The provider ({ name, model, isConfigured, complete, stream }).
+ */
+export function createOpenAICompatibleProvider({ name, baseUrl, model, apiKey, requiresApiKey = false, timeout = 40000 }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const buildHeaders = (extra = {}) => ({
+    'Content-Type': 'application/json',
+    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+    ...extra
+  });
+
+  return {
+    name,
+    model,
+
+    isConfigured() {
+      return Boolean(baseUrl && model && (apiKey || !requiresApiKey));
+    },
+
+    /**
+     * Requests a full completion.
+     * @param {object} request - { messages, maxTokens, temperature, topP }.
+     * @returns {Promise<string|null>} The generated text.
+     */
+    async complete({ messages, maxTokens = 500, temperature, topP }) {
+      return fetchWithTimeout(url, {
+        method: 'POST',
+        headers: buildHeaders(),
+        body: JSON.stringify({ model, messages, max_tokens: maxTokens, temperature, top_p: topP })
+      }, timeout, async (res) => {
+        if (!res.ok) throw new Error(`${name} responded with HTTP ${res.status}`);
+        const data = await res.json();
+        return data.choices?.[0]?.message?.content || null;
+      });
+    },
+
+    /**
+     * Streams a completion. The API speaks SSE: `data: {json}` lines terminated by `data: [DONE]`.
+     * The timeout restarts with every chunk, so only a stalled stream is cut off.
+     * @param {object} request - { messages, maxTokens, temperature, topP, signal }.
+     * @param {Function} onDelta - Called with each new piece of text.
+     * @returns {Promise<string>} The full generated text.
+     */
+    async stream({ messages, maxTokens = 500, temperature, topP, signal }, onDelta) {
+      return fetchWithTimeout(url, {
+        method: 'POST',
+        headers: buildHeaders({ 'Accept': 'text/event-stream' }),
+        body: JSON.stringify({ model, messages, max_tokens: maxTokens, temperature, top_p: topP, stream: true }),
+        signal
+      }, timeout, async (res, keepAlive) => {
+        if (!res.ok || !res.body) throw new Error(`${name} responded with HTTP ${res.status}`);
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+
+        for await (const chunk of res.body) {
+          keepAlive();
+          buffer += decoder.decode(chunk, { stream: true });
+
+          // Keep the trailing partial line in the buffer until the next chunk completes it
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+
+          for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') return fullText;
+
+            try {
+              const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+              if (delta) {
+                fullText += delta;
+                onDelta(delta);
+              }
+            } catch {
+              // Ignore keep-alive comments and malformed chunks
+            }
+          }
+        }
+
+        return fullText;
+      });
+    }
+  };
+}
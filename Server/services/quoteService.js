@@ -0,0 +1,169 @@
+/**
+ * @file services/quoteService.js
+ * @description Answers "did Marcus really say X?" by searching the local text of the Meditations.
+ * Passages are scored by keyword overlap (stemmed, with Long's archaic pronouns read as modern ones)
+ * and by semantic similarity; a verbatim hit scores 1. Results name the book and section.
+ * Without the embedding model the search falls back to keywords alone.
+ * @author Group 1
+ */
+
+import { getLanguage } from '../utils/languages.js';
+import { getCorpus, retrievePassages, findSection, parseReference } from '../utils/meditationsCorpus.js';
+
+// Semantic candidates examined before scores are combined
+const SEMANTIC_CANDIDATES = 20;
+
+// A verbatim match needs a few words; "the" appears everywhere
+const MIN_EXACT_WORDS = 3;
+
+// George Long translates into 19th-century English; visitors quote modern translations
+const ARCHAIC_WORDS = {
+  thou: 'you',
+  thee: 'you',
+  ye: 'you',
+  thy: 'your',
+  thine: 'your',
+  thyself: 'yourself',
+  art: 'are',
+  hast: 'have',
+  hath: 'has',
+  dost: 'do',
+  doth: 'does',
+  wilt: 'will',
+  shalt: 'shall',
+  wert: 'were',
+  canst: 'can'
+};
+
+// Function words on top of the engine's ignored list; matching only these says nothing about a quotation
+const FUNCTION_WORDS = new Set(['you', 'your', 'yourself', 'he', 'him', 'his', 'we', 'they', 'them', 'me', 'my', 'be', 'are', 'was', 'were', 'has', 'have', 'do', 'does', 'will', 'shall', 'can', 'not', 'no', 'that', 'this', 'for', 'with', 'as', 'by', 'all', 'so', 'if', 'but', 'what', 'who']);
+
+const english = getLanguage('en');
+let keywordCache = { passages: null, stems: null };
+
+/**
+ * @function normalizeText
+ * @description Lowercases, drops punctuation and modernizes archaic words, for verbatim comparison.
+ * @param {string} text - Any text.
+ * @returns {string} Space-separated words.
+ */
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ARCHAIC_WORDS[word] || word)
+    .join(' ');
+}
+
+/**
+ * @function contentStems
+ * @description Stems of the words that carry meaning (function words are ignored).
+ * @param {string} normalized - Output of normalizeText.
+ * @returns {Set<string>} Unique stems.
+ */
+function contentStems(normalized) {
+  return new Set(normalized.split(' ')
+    .filter(word => word && !english.ignored.has(word) && !FUNCTION_WORDS.has(word))
+    .map(word => english.stemmer.stem(word)));
+}
+
+/**
+ * @function getPassageStems
+ * @description Stems and normalized text of every passage, computed once per loaded corpus.
+ * @param {Array<object>} passages - Corpus passages.
+ * @returns {Map<string, { normalized: string, stems: Set<string> }>} Keyed by passage id.
+ */
+function getPassageStems(passages) {
+  if (keywordCache.passages !== passages) {
+    keywordCache = {
+      passages,
+      stems: new Map(passages.map(passage => {
+        const normalized = normalizeText(passage.text);
+        return [passage.id, { normalized, stems: contentStems(normalized) }];
+      }))
+    };
+  }
+  return keywordCache.stems;
+}
+
+/**
+ * @function searchQuotes
+ * @description Finds the sections of the Meditations that best match a quotation or paraphrase.
+ * @param {string} query - The quotation to check.
+ * @param {object} options - Optional settings.
+ * @param {number} options.limit - Most sections returned (default 5).
+ * @param {number} options.minScore - Weakest combined score kept (default 0.5).
+ * @returns {Promise<object>} { query, semantic, results: [{ reference, book, section, text, score, matchedBy, keywordScore, semanticScore }], corpus }.
+ */
+export async function searchQuotes(query, { limit = 5, minScore = 0.5 } = {}) {
+  const corpus = getCorpus();
+  const normalizedQuery = normalizeText(query);
+  const queryStems = contentStems(normalizedQuery);
+  const passageStems = getPassageStems(corpus.passages);
+
+  let semantic = true;
+  const semanticScores = new Map();
+  try {
+    const hits = await retrievePassages(query, { limit: SEMANTIC_CANDIDATES, minSimilarity: 0 });
+    hits.forEach(hit => semanticScores.set(hit.id, hit.similarity));
+  } catch (error) {
+    console.warn('[Quotes] Semantic search unavailable, using keywords only:', error.message);
+    semantic = false;
+  }
+
+  const bySection = new Map();
+  for (const passage of corpus.passages) {
+    const { normalized, stems } = passageStems.get(passage.id);
+    const exact = normalizedQuery.split(' ').length >= MIN_EXACT_WORDS && ` ${normalized} `.includes(` ${normalizedQuery} `);
+
+    let shared = 0;
+    queryStems.forEach(stem => { if (stems.has(stem)) shared++; });
+    const keywordScore = queryStems.size > 0 ? shared / queryStems.size : 0;
+    const semanticScore = semanticScores.get(passage.id) ?? 0;
+
+    const score = exact ? 1 : Math.max(keywordScore, semanticScore);
+    if (score < minScore) continue;
+
+    const matchedBy = exact ? 'exact' : keywordScore >= semanticScore ? 'keyword' : 'semantic';
+    const previous = bySection.get(passage.reference);
+    if (previous && previous.score >= score) continue;
+
+    // Split sections report the matching passage, not the whole section
+    bySection.set(passage.reference, {
+      reference: passage.reference,
+      book: passage.book,
+      section: passage.section,
+      text: passage.text,
+      score: Number(score.toFixed(3)),
+      matchedBy,
+      keywordScore: Number(keywordScore.toFixed(3)),
+      semanticScore: semantic ? Number(semanticScore.toFixed(3)) : null
+    });
+  }
+
+  return {
+    query,
+    semantic,
+    results: [...bySection.values()].sort((a, b) => b.score - a.score).slice(0, limit),
+    corpus: {
+      title: corpus.title,
+      translator: corpus.translator,
+      source: corpus.source,
+      sections: corpus.sections.length
+    }
+  };
+}
+
+/**
+ * @function getQuote
+ * @description Full text of one section, by citation.
+ * @param {string} reference - Citation such as "IV.49" or "4.49".
+ * @returns {object|null} { book, section, reference, text, translator }, or null if unknown.
+ */
+export function getQuote(reference) {
+  const location = parseReference(reference);
+  const section = location && findSection(location);
+  return section ? { ...section, translator: getCorpus().translator } : null;
+}
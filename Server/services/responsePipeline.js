@@ -0,0 +1,208 @@
+/**
+ * @file services/responsePipeline.js
+ * @description Routes each user message through the response stages in order:
+ * pending follow-up → scripted keyword → semantic match → LLM → general fallback.
+ * Stages and thresholds are configurable via environment variables.
+ * @author Group 1
+ */
+
+import dotenv from 'dotenv';
+import { matchScriptedRule, matchSemanticRule, matchFollowUp, selectFallback, renderResponse, detectMessageLanguage, getPersona } from '../utils/logicEngine.js';
+import { generateAIResponse, streamAIResponse, getProviderInfo } from './aiService.js';
+import { retrievePassages, findCitedPassages } from '../utils/meditationsCorpus.js';
+import { DEFAULT_PERSONA_ID } from '../utils/personas.js';
+
+dotenv.config();
+
+const KNOWN_STAGES = ['keyword', 'semantic', 'llm'];
+
+/**
+ * @function getPipelineConfig
+ * @description Reads the pipeline configuration.
+ * RESPONSE_STAGES: comma-separated stage order (default "keyword,semantic,llm"). The fallback always runs last.
+ * SEMANTIC_THRESHOLD: minimum cosine similarity for a semantic match (default 0.65).
+ * RAG_PASSAGES: passages of the Meditations given to the LLM (default 3, 0 turns grounding off).
+ * RAG_MIN_SIMILARITY: weakest passage similarity worth including (default 0.35).
+ * @returns {{ stages: Array<string>, semanticThreshold: number, ragPassages: number, ragMinSimilarity: number }} The configuration.
+ */
+export function getPipelineConfig() {
+  const stages = (process.env.RESPONSE_STAGES || KNOWN_STAGES.join(','))
+    .split(',')
+    .map(stage => stage.trim().toLowerCase())
+    .filter(stage => KNOWN_STAGES.includes(stage));
+
+  return {
+    stages,
+    semanticThreshold: Number(process.env.SEMANTIC_THRESHOLD) || 0.65,
+    ragPassages: process.env.RAG_PASSAGES !== undefined && process.env.RAG_PASSAGES !== '' ? Number(process.env.RAG_PASSAGES) || 0 : 3,
+    ragMinSimilarity: Number(process.env.RAG_MIN_SIMILARITY) || 0.35
+  };
+}
+
+/**
+ * @function retrieveGrounding
+ * @description Looks up the passages of the Meditations closest to the visitor's message.
+ * Retrieval is optional: without the embedding model the LLM simply answers ungrounded.
+ * The corpus is Marcus's own writing, so other personas are never grounded in it.
+ * @param {string} text - The user's message.
+ * @param {string} persona - Persona id of the conversation.
+ * @param {object} config - Pipeline configuration.
+ * @returns {Promise<Array>} Passages ({ book, section, reference, text, similarity }).
+ */
+async function retrieveGrounding(text, persona, config) {
+  if (config.ragPassages <= 0 || (persona && persona !== DEFAULT_PERSONA_ID)) return [];
+
+  try {
+    return await retrievePassages(text, { limit: config.ragPassages, minSimilarity: config.ragMinSimilarity });
+  } catch (error) {
+    console.warn('[Pipeline] Passage retrieval failed, answering without the corpus:', error.message);
+    return [];
+  }
+}
+
+/**
+ * @function runStage
+ * @description Runs a single stage. Errors are logged and treated as "no answer" so the next stage can try.
+ * @param {string} stage - Stage name.
+ * @param {object} request - The routing request (see routeResponse).
+ * @param {object} config - Pipeline configuration.
+ * @returns {Promise<object|null>} { text, ...match details } or null.
+ */
+async function runStage(stage, { text, fullPrompt, history, language, persona, onDelta, signal }, config) {
+  try {
+    switch (stage) {
+      case 'keyword': {
+        const match = await matchScriptedRule(text, { history, language, persona });
+        if (!match) return null;
+        // Jaro-Winkler typo hits are reported separately from exact phrase/stem hits
+        return {
+          text: match.response,
+          source: match.matchType === 'fuzzy' ? 'fuzzy' : 'keyword',
+          ruleId: match.ruleId,
+          responseId: match.responseId,
+          matchedKeyword: match.matchedKeyword,
+          score: match.score,
+          specificity: match.specificity,
+          slots: match.slots,
+          dialogueState: match.dialogueState
+        };
+      }
+
+      case 'semantic': {
+        const match = await matchSemanticRule(text, config.semanticThreshold, { history, language, persona });
+        if (!match) return null;
+        return {
+          text: match.response,
+          source: 'semantic',
+          ruleId: match.ruleId,
+          responseId: match.responseId,
+          matchedKeyword: match.matchedKeyword,
+          score: match.score,
+          slots: match.slots,
+          dialogueState: match.dialogueState
+        };
+      }
+
+      case 'llm': {
+        // Only call expensive API if no script match found
+        const passages = await retrieveGrounding(text, persona, config);
+        const profile = await getPersona(persona);
+        const reply = onDelta
+          ? await streamAIResponse(fullPrompt, onDelta, { history, signal, language, passages, persona: profile })
+          : await generateAIResponse(fullPrompt, history, { language, passages, persona: profile });
+        if (!reply) return null;
+
+        const { provider, model } = getProviderInfo();
+        const citations = findCitedPassages(reply, passages).map(({ book, section, reference }) => ({ book, section, reference }));
+        return { text: reply, source: 'llm', provider, model, citations };
+      }
+
+      default:
+        return null;
+    }
+  } catch (error) {
+    console.warn(`[Pipeline] Stage "${stage}" failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * @function runFollowUp
+ * @description Checks the visitor's message against the conversation's pending follow-up question.
+ * @param {object} request - The routing request (see routeResponse).
+ * @returns {Promise<object|null>} { answered, text, ...match details } or null if no flow is pending.
+ */
+async function runFollowUp({ text, history, language, persona, dialogueState }) {
+  if (!dialogueState) return null;
+
+  try {
+    const match = await matchFollowUp(text, dialogueState, { history, language, persona });
+    if (!match) return null;
+    return {
+      answered: match.answered,
+      text: match.response,
+      source: 'dialogue',
+      ruleId: match.ruleId,
+      responseId: match.responseId,
+      matchedKeyword: match.matchedKeyword,
+      slots: match.slots,
+      dialogueState: match.dialogueState
+    };
+  } catch (error) {
+    console.warn('[Pipeline] Follow-up check failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * @function routeResponse
+ * @description Finds the persona's reply by trying each configured stage until one answers.
+ * A recognized answer to a pending follow-up question wins outright. An unrecognized one is only
+ * asked again if no keyword rule matches, so visitors can change the subject mid-flow.
+ * @param {object} request - The routing request.
+ * @param {string} request.text - The user's message text (used for matching).
+ * @param {string} request.fullPrompt - Text plus attachment context (sent to the LLM).
+ * @param {Array} request.history - Prior conversation messages, oldest first.
+ * @param {string} [request.persona] - Persona id of the conversation (default Marcus Aurelius).
+ * @param {object|null} [request.dialogueState] - The conversation's pending follow-up, if any.
+ * @param {object} [request.slots] - Values collected earlier in the conversation (template variables).
+ * @param {Function} [request.onDelta] - If set, the LLM stage streams its output through it.
+ * @param {AbortSignal} [request.signal] - Aborts a streaming LLM call.
+ * @returns {Promise<{ text: string, provenance: object, dialogueState: object|null, slots: object }>}
+ * The reply, why it was chosen (source, ruleId, matchedKeyword, score, language, latencyMs, provider, model, citations),
+ * the conversation's next dialogue state and the slot values this message filled.
+ */
+export async function routeResponse(request) {
+  const config = getPipelineConfig();
+  const startedAt = Date.now();
+
+  // Every stage answers in the visitor's language
+  const language = await detectMessageLanguage(request.text, request.history, request.persona);
+  request = { ...request, language };
+
+  // Scripted replies are templates; generated text is used as-is
+  const finish = ({ text, answered, dialogueState = null, slots = {}, ...provenance }) => ({
+    text: provenance.source === 'llm'
+      ? text
+      : renderResponse(text, { slots: { ...request.slots, ...slots }, matchedKeyword: provenance.matchedKeyword, language }),
+    provenance: { ...provenance, language, latencyMs: Date.now() - startedAt },
+    dialogueState,
+    slots
+  });
+
+  const followUp = await runFollowUp(request);
+  if (followUp?.answered) return finish(followUp);
+
+  for (const stage of config.stages) {
+    if (request.signal?.aborted) break;
+    if (followUp && stage !== 'keyword') return finish(followUp);
+
+    const result = await runStage(stage, request, config);
+    if (result) return finish(result);
+  }
+
+  if (followUp) return finish(followUp);
+
+  const fallback = selectFallback({ history: request.history, language, persona: request.persona });
+  return finish({ text: fallback.response, source: 'fallback', responseId: fallback.responseId });
+}
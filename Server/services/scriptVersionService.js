@@ -0,0 +1,196 @@
+/**
+ * @file services/scriptVersionService.js
+ * @description Version history for the logic engine script.
+ * Every edit is committed as a new immutable Script document (author, note, diff);
+ * rollback re-commits an old version's content as the newest version.
+ * Each persona has its own history: Script.configId is the persona id.
+ * @author Group 1
+ */
+
+import { Script } from '../models/Conversations.js';
+import { DEFAULT_PERSONA_ID, LEGACY_CONFIG_ID } from '../utils/personas.js';
+
+// Fields that make up a script's content (everything except version metadata)
+const CONTENT_FIELDS = ['persona', 'language', 'general_responses', 'translations', 'rules'];
+
+let collectionPrepared = false;
+
+/**
+ * @function prepareVersionedCollection
+ * @description One-time upgrade for databases created before versioning and personas:
+ * swaps the old unique configId index for the (configId, version) index, numbers the legacy document
+ * as version 1 and hands the single-persona script ('main_config') to Marcus Aurelius.
+ */
+export async function prepareVersionedCollection() {
+  if (collectionPrepared) return;
+
+  await Script.syncIndexes();
+  await Script.updateMany(
+    { version: { $exists: false } },
+    { $set: { version: 1, author: 'system', changeNote: 'Initial version', createdAt: new Date() } }
+  );
+  await Script.updateMany({ configId: LEGACY_CONFIG_ID }, { $set: { configId: DEFAULT_PERSONA_ID } });
+  collectionPrepared = true;
+}
+
+/**
+ * @function stableStringify
+ * @description JSON.stringify with sorted object keys, so equal content compares equal.
+ * @param {any} value - Value to serialize.
+ * @returns {string} Canonical JSON.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * @function toPlainContent
+ * @description Extracts the script content from a document or plain object.
+ * @param {object} script - Script document or { persona, general_responses, rules }.
+ * @returns {object} Plain content.
+ */
+function toPlainContent(script) {
+  const plain = script?.toObject ? script.toObject() : (script || {});
+  return {
+    persona: plain.persona,
+    language: plain.language || 'en',
+    general_responses: plain.general_responses || [],
+    translations: plain.translations || null,
+    rules: plain.rules || []
+  };
+}
+
+/**
+ * @function diffScripts
+ * @description Summarizes what changed between two script contents.
+ * @param {object} previous - Previous content (or null for the first version).
+ * @param {object} next - New content.
+ * @returns {object} { rulesAdded, rulesRemoved, rulesChanged, generalResponsesChanged, personaChanged, translationsChanged }.
+ */
+export function diffScripts(previous, next) {
+  const before = new Map((previous?.rules || []).map(rule => [rule.id, stableStringify(rule)]));
+  const after = new Map((next.rules || []).map(rule => [rule.id, stableStringify(rule)]));
+
+  return {
+    rulesAdded: [...after.keys()].filter(id => !before.has(id)),
+    rulesRemoved: [...before.keys()].filter(id => !after.has(id)),
+    rulesChanged: [...after.keys()].filter(id => before.has(id) && before.get(id) !== after.get(id)),
+    generalResponsesChanged: stableStringify(previous?.general_responses || []) !== stableStringify(next.general_responses || []),
+    personaChanged: stableStringify(previous?.persona) !== stableStringify(next.persona),
+    translationsChanged: stableStringify(previous?.translations) !== stableStringify(next.translations)
+      || (previous?.language ?? 'en') !== (next.language ?? 'en')
+  };
+}
+
+/**
+ * @function getLatestScript
+ * @description Gets a persona's live (highest) script version.
+ * @param {string} personaId - Persona (default Marcus Aurelius).
+ * @returns {Promise<object|null>} The Script document.
+ */
+export async function getLatestScript(personaId = DEFAULT_PERSONA_ID) {
+  await prepareVersionedCollection();
+  return Script.findOne({ configId: personaId }).sort({ version: -1 });
+}
+
+/**
+ * @function getLatestVersionNumber
+ * @description Gets the number of a persona's live version without loading its rules.
+ * @param {string} personaId - Persona (default Marcus Aurelius).
+ * @returns {Promise<number|null>} The version number, or null if the persona has no script.
+ */
+export async function getLatestVersionNumber(personaId = DEFAULT_PERSONA_ID) {
+  await prepareVersionedCollection();
+  const latest = await Script.findOne({ configId: personaId }).sort({ version: -1 }).select('version').lean();
+  return latest?.version ?? null;
+}
+
+/**
+ * @function getScriptVersion
+ * @description Gets one script version of a persona.
+ * @param {number} version - Version number.
+ * @param {string} personaId - Persona (default Marcus Aurelius).
+ * @returns {Promise<object|null>} The Script document.
+ */
+export async function getScriptVersion(version, personaId = DEFAULT_PERSONA_ID) {
+  await prepareVersionedCollection();
+  return Script.findOne({ configId: personaId, version });
+}
+
+/**
+ * @function listScriptVersions
+ * @description Lists a persona's version metadata, newest first (without the rule bodies).
+ * @param {string} personaId - Persona (default Marcus Aurelius).
+ * @returns {Promise<Array>} Versions ({ version, author, changeNote, diff, createdAt }).
+ */
+export async function listScriptVersions(personaId = DEFAULT_PERSONA_ID) {
+  await prepareVersionedCollection();
+  return Script.find({ configId: personaId }, 'version author changeNote diff createdAt')
+    .sort({ version: -1 })
+    .lean();
+}
+
+/**
+ * @function listPersonaIds
+ * @description Lists the personas that have a script.
+ * @returns {Promise<Array<string>>} Persona ids.
+ */
+export async function listPersonaIds() {
+  await prepareVersionedCollection();
+  return Script.distinct('configId');
+}
+
+/**
+ * @function commitScriptVersion
+ * @description Saves new script content as a persona's next version (the first commit creates the persona).
+ * @param {object} content - { persona, general_responses, rules }; omitted fields carry over from the live version.
+ * @param {object} meta - Change metadata.
+ * @param {string} meta.author - Who made the change.
+ * @param {string} meta.changeNote - Why it was made.
+ * @param {string} personaId - Persona (default Marcus Aurelius).
+ * @returns {Promise<object>} The new Script document.
+ * Rejects with a duplicate key error (code 11000) when a concurrent edit took the same version number first;
+ * the caller's content was built from the older version, so it is not retried (callers answer 409).
+ */
+export async function commitScriptVersion(content, { author = 'system', changeNote = '' } = {}, personaId = DEFAULT_PERSONA_ID) {
+  await prepareVersionedCollection();
+
+  const latest = await getLatestScript(personaId);
+  const previous = latest ? toPlainContent(latest) : null;
+  const next = { ...(previous || { general_responses: [], rules: [] }) };
+  for (const field of CONTENT_FIELDS) {
+    if (content[field] !== undefined) next[field] = content[field];
+  }
+
+  return Script.create({
+    configId: personaId,
+    version: (latest?.version || 0) + 1,
+    author,
+    changeNote,
+    diff: diffScripts(previous, next),
+    ...next
+  });
+}
+
+/**
+ * @function rollbackToVersion
+ * @description Restores an old version by committing its content as the newest version.
+ * History is never rewritten, so a rollback can itself be rolled back.
+ * @param {number} version - Version to restore.
+ * @param {object} meta - { author, changeNote }.
+ * @param {string} personaId - Persona (default Marcus Aurelius).
+ * @returns {Promise<object|null>} The new Script document, or null if the version does not exist.
+ */
+export async function rollbackToVersion(version, { author = 'system', changeNote } = {}, personaId = DEFAULT_PERSONA_ID) {
+  const target = await getScriptVersion(version, personaId);
+  if (!target) return null;
+
+  return commitScriptVersion(toPlainContent(target), {
+    author,
+    changeNote: changeNote || `Rollback to version ${version}`
+  }, personaId);
+}
@@ -0,0 +1,90 @@
+/**
+ * @file services/usageService.js
+ * @description Usage figures for curators: conversations and messages over a recent window,
+ * broken down by persona, day, reply source (keyword, semantic, LLM...) and most-used rules.
+ * Figures cover conversations started in the window.
+ * @author Group 1
+ */
+
+import { Conversation, User } from '../models/Conversations.js';
+import { DEFAULT_PERSONA_ID } from '../utils/personas.js';
+import { ROLES } from '../utils/roles.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_RULES = 10;
+
+/**
+ * @function getUsage
+ * @description Aggregates usage over the last `days` days.
+ * @param {object} options - Optional settings.
+ * @param {number} options.days - Window length in days (default 30).
+ * @returns {Promise<object>} { days, since, conversations, messages, visitorMessages, visitors, accounts,
+ * byPersona: [{ personaId, conversations }], perDay: [{ date, conversations }],
+ * replySources: [{ source, count, avgLatencyMs }], topRules: [{ personaId, ruleId, count }] }.
+ */
+export async function getUsage({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * DAY_MS);
+  const bot = { 'messages.isUser': false };
+
+  const [facets] = await Conversation.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            conversations: { $sum: 1 },
+            messages: { $sum: { $size: { $ifNull: ['$messages', []] } } },
+            visitorMessages: { $sum: { $size: { $filter: { input: { $ifNull: ['$messages', []] }, cond: '$$this.isUser' } } } }
+          }
+        }],
+        visitors: [{ $group: { _id: '$ownerId' } }, { $count: 'count' }],
+        byPersona: [
+          { $group: { _id: { $ifNull: ['$personaId', DEFAULT_PERSONA_ID] }, conversations: { $sum: 1 } } },
+          { $sort: { conversations: -1 } }
+        ],
+        perDay: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, conversations: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        replySources: [
+          { $unwind: '$messages' },
+          { $match: bot },
+          { $group: { _id: { $ifNull: ['$messages.provenance.source', 'unknown'] }, count: { $sum: 1 }, avgLatencyMs: { $avg: '$messages.provenance.latencyMs' } } },
+          { $sort: { count: -1 } }
+        ],
+        topRules: [
+          { $unwind: '$messages' },
+          { $match: { ...bot, 'messages.provenance.ruleId': { $type: 'string' } } },
+          { $group: { _id: { personaId: { $ifNull: ['$personaId', DEFAULT_PERSONA_ID] }, ruleId: '$messages.provenance.ruleId' }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: TOP_RULES }
+        ]
+      }
+    }
+  ]);
+
+  const accounts = Object.fromEntries(ROLES.map(role => [role, 0]));
+  for (const { _id, count } of await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])) {
+    accounts[_id || 'visitor'] = (accounts[_id || 'visitor'] || 0) + count;
+  }
+
+  const totals = facets.totals[0] || { conversations: 0, messages: 0, visitorMessages: 0 };
+  return {
+    days,
+    since,
+    conversations: totals.conversations,
+    messages: totals.messages,
+    visitorMessages: totals.visitorMessages,
+    visitors: facets.visitors[0]?.count || 0,
+    accounts,
+    byPersona: facets.byPersona.map(({ _id, conversations }) => ({ personaId: _id, conversations })),
+    perDay: facets.perDay.map(({ _id, conversations }) => ({ date: _id, conversations })),
+    replySources: facets.replySources.map(({ _id, count, avgLatencyMs }) => ({
+      source: _id,
+      count,
+      avgLatencyMs: avgLatencyMs === null ? null : Math.round(avgLatencyMs)
+    })),
+    topRules: facets.topRules.map(({ _id, count }) => ({ ..._id, count }))
+  };
+}
@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import { requireAdminToken } from '../middleware/adminMiddleware.js';
+
+// roleMiddleware imports utils/db.js, which needs a connection string (no connection is opened here)
+process.env.MONGODB_URI ||= 'mongodb://127.0.0.1:27017/test';
+const { requireRoleOrAdminToken } = await import('../middleware/roleMiddleware.js');
+
+const run = (token, middleware = requireAdminToken) => {
+  const req = { get: name => (name === 'X-Admin-Token' ? token : undefined) };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  middleware(req, res, next);
+  return { res, next };
+};
+
+const original = process.env.ADMIN_API_TOKEN;
+afterEach(() => {
+  if (original === undefined) delete process.env.ADMIN_API_TOKEN;
+  else process.env.ADMIN_API_TOKEN = original;
+});
+
+describe('requireAdminToken', () => {
+  test('lets the configured token through', () => {
+    process.env.ADMIN_API_TOKEN = 'correct horse battery staple';
+    expect(run('correct horse battery staple').next).toHaveBeenCalled();
+  });
+
+  test('refuses a missing or wrong token with 401', () => {
+    process.env.ADMIN_API_TOKEN = 'correct horse battery staple';
+    for (const token of [undefined, '', 'correct horse']) {
+      const { res, next } = run(token);
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    }
+  });
+
+  test('refuses everything while no token is configured', () => {
+    delete process.env.ADMIN_API_TOKEN;
+    expect(run('').res.status).toHaveBeenCalledWith(401);
+    expect(run('anything').next).not.toHaveBeenCalled();
+  });
+});
+
+describe('requireRoleOrAdminToken', () => {
+  const requireCurator = requireRoleOrAdminToken('curator');
+
+  test('lets the configured token through without an account', () => {
+    process.env.ADMIN_API_TOKEN = 'correct horse battery staple';
+    expect(run('correct horse battery staple', requireCurator).next).toHaveBeenCalled();
+  });
+
+  test('judges a request with the header by the token alone', () => {
+    process.env.ADMIN_API_TOKEN = 'correct horse battery staple';
+    const { res, next } = run('wrong', requireCurator);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ error: 'A valid admin token is required.' });
+  });
+
+  test('without the header, asks for a signed-in account', () => {
+    const { res, next } = run(undefined, requireCurator);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Sign in to see and continue your conversations.' });
+  });
+});
@@ -0,0 +1,63 @@
+import { buildContextWindow, findPartialControlToken } from '../services/aiService.js';
+
+const message = (text, isUser) => ({ text, isUser });
+
+describe('buildContextWindow', () => {
+  test('keeps every turn that fits, as chat roles, oldest first', () => {
+    const { turns, summary } = buildContextWindow([
+      message('What is virtue?', true),
+      message('Virtue is the only good.', false),
+      message('   ', true)
+    ], 100);
+
+    expect(turns).toEqual([
+      { role: 'user', content: 'What is virtue?' },
+      { role: 'assistant', content: 'Virtue is the only good.' }
+    ]);
+    expect(summary).toBeNull();
+  });
+
+  test('drops the oldest turns once the budget is spent and recaps what the visitor raised', () => {
+    const history = [
+      message('Tell me about fear of death.', true),
+      message('a'.repeat(40), false),
+      message('b'.repeat(40), true),
+      message('c'.repeat(40), false)
+    ];
+
+    // 40 characters is about 10 tokens, so a budget of 20 keeps the last two turns
+    const { turns, summary } = buildContextWindow(history, 20);
+
+    expect(turns.map(turn => turn.content)).toEqual(['b'.repeat(40), 'c'.repeat(40)]);
+    expect(summary).toBe('Earlier in this conversation the visitor spoke of: "Tell me about fear of death.".');
+  });
+
+  test('shortens long topics and recaps only the last five', () => {
+    const history = Array.from({ length: 7 }, (_, index) => message(`Question ${index} ${'x'.repeat(100)}`, true));
+    const { turns, summary } = buildContextWindow(history, 0);
+
+    expect(turns).toEqual([]);
+    expect(summary).not.toContain('Question 1 ');
+    expect(summary).toContain(`"Question 2 ${'x'.repeat(69)}..."`);
+    expect(summary.match(/"Question/g)).toHaveLength(5);
+  });
+});
+
+describe('findPartialControlToken', () => {
+  test('holds back a control token that has not ended yet', () => {
+    expect(findPartialControlToken('The obstacle is the way.<|eot')).toBe(24);
+    expect(findPartialControlToken('The obstacle is the way.<|')).toBe(24);
+    expect(findPartialControlToken('The obstacle is the way.<')).toBe(24);
+  });
+
+  test('releases text once the token has ended or there is none', () => {
+    expect(findPartialControlToken('Done.<|eot_id|>')).toBe(15);
+    expect(findPartialControlToken('a < b')).toBe(5);
+    expect(findPartialControlToken('')).toBe(0);
+  });
+
+  test('treats a long unterminated "<|" as ordinary text', () => {
+    const text = `<|${'x'.repeat(40)}`;
+    expect(findPartialControlToken(text)).toBe(text.length);
+  });
+});
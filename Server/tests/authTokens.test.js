@@ -0,0 +1,80 @@
+import { jest } from '@jest/globals';
+import { createToken, verifyToken, getTokenTtl, getDeviceSessionTtl } from '../utils/authTokens.js';
+
+const user = { id: '64f0c0ffee0000000000abcd', email: 'visitor@example.com' };
+const savedEnv = {
+  AUTH_SECRET: process.env.AUTH_SECRET,
+  AUTH_TOKEN_TTL: process.env.AUTH_TOKEN_TTL,
+  DEVICE_SESSION_IDLE_MINUTES: process.env.DEVICE_SESSION_IDLE_MINUTES
+};
+
+beforeEach(() => {
+  process.env.AUTH_SECRET = 'test-secret';
+  delete process.env.AUTH_TOKEN_TTL;
+  delete process.env.DEVICE_SESSION_IDLE_MINUTES;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+describe('authTokens', () => {
+  test('a fresh token verifies to its user', () => {
+    const { token, expiresAt } = createToken(user);
+
+    expect(verifyToken(token)).toEqual({ ...user, anonymous: false });
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now() + (getTokenTtl() - 5) * 1000);
+  });
+
+  test('sessions last 7 days unless AUTH_TOKEN_TTL says otherwise', () => {
+    expect(getTokenTtl()).toBe(7 * 24 * 60 * 60);
+    process.env.AUTH_TOKEN_TTL = '60';
+    expect(getTokenTtl()).toBe(60);
+  });
+
+  test('device sessions are anonymous and expire after the idle window', () => {
+    const { token, expiresAt } = createToken({ id: 'device-1', anonymous: true });
+
+    expect(verifyToken(token)).toEqual({ id: 'device-1', email: null, anonymous: true });
+    expect(getDeviceSessionTtl()).toBe(30 * 60);
+    expect(expiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 30 * 60 * 1000);
+
+    jest.useFakeTimers({ now: Date.now() + 31 * 60 * 1000 });
+    expect(verifyToken(token)).toBeNull();
+  });
+
+  test('rejects a tampered payload or signature', () => {
+    const { token } = createToken(user);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'someone-else', email: user.email, exp: 9999999999 })).toString('base64url');
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+    expect(verifyToken(`${forged}.${signature}`)).toBeNull();
+    expect(verifyToken(`${payload}.${flipped}`)).toBeNull();
+    expect(verifyToken(`${payload}.${signature}.extra`)).toBeNull();
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const { token } = createToken(user);
+    process.env.AUTH_SECRET = 'rotated-secret';
+    expect(verifyToken(token)).toBeNull();
+  });
+
+  test('rejects expired tokens', () => {
+    process.env.AUTH_TOKEN_TTL = '60';
+    const { token } = createToken(user);
+
+    jest.useFakeTimers({ now: Date.now() + 61 * 1000 });
+    expect(verifyToken(token)).toBeNull();
+  });
+
+  test('rejects missing and malformed tokens', () => {
+    expect(verifyToken(undefined)).toBeNull();
+    expect(verifyToken('')).toBeNull();
+    expect(verifyToken('not-a-token')).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+// No database or response stages: the handlers only see these stand-ins
+jest.unstable_mockModule('../utils/db.js', () => ({ default: async () => {} }));
+const routeResponse = jest.fn();
+jest.unstable_mockModule('../services/responsePipeline.js', () => ({ routeResponse }));
+
+const { Conversation } = await import('../models/Conversations.js');
+const { sendMessage, streamMessage } = await import('../controllers/conversationController.js');
+
+let conversation;
+
+const fakeConversation = (messages = []) => ({
+  id: 'c1',
+  title: 'New Council',
+  personaId: 'marcus_aurelius',
+  messages,
+  dialogueState: null,
+  slots: new Map(),
+  save: jest.fn(async () => {})
+});
+
+const fakeResponse = () => Object.assign(new EventEmitter(), {
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+  set: jest.fn(),
+  flushHeaders: jest.fn(),
+  write: jest.fn(),
+  end: jest.fn()
+});
+
+const request = text => ({ params: { id: 'c1' }, body: { text }, user: { id: 'u1' } });
+
+beforeEach(() => {
+  conversation = fakeConversation();
+  Conversation.findOne = jest.fn(async () => conversation);
+  routeResponse.mockReset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('streamMessage', () => {
+  test('saves what was streamed as an interrupted reply when the visitor leaves', async () => {
+    const res = fakeResponse();
+    routeResponse.mockImplementation(async ({ onDelta }) => {
+      onDelta('Begin the morning ');
+      res.emit('close');
+      return { text: 'The mind must remain firm.', provenance: { source: 'fallback' }, dialogueState: { ruleId: 'x' } };
+    });
+
+    await streamMessage(request('How should I start the day?'), res);
+
+    expect(conversation.messages).toHaveLength(2);
+    expect(conversation.messages[1]).toMatchObject({ isUser: false, text: 'Begin the morning', interrupted: true });
+    expect(conversation.dialogueState).toBeNull();
+    expect(conversation.save).toHaveBeenCalledTimes(2);
+    expect(res.write.mock.calls.some(([event]) => event.startsWith('event: done'))).toBe(false);
+  });
+
+  test('titles the conversation from the first message, like sendMessage', async () => {
+    routeResponse.mockResolvedValue({ text: 'Reply', provenance: { source: 'keyword' } });
+
+    await streamMessage(request('How should I start the day?'), fakeResponse());
+    expect(conversation.title).toBe('How should I start the day?');
+
+    await streamMessage(request('And how should I end it?'), fakeResponse());
+    expect(conversation.title).toBe('How should I start the day?');
+
+    conversation = fakeConversation();
+    await sendMessage(request('How should I start the day?'), fakeResponse());
+    await sendMessage(request('And how should I end it?'), fakeResponse());
+    expect(conversation.title).toBe('How should I start the day?');
+  });
+
+  test('titles from the first message even when its reply was interrupted', async () => {
+    conversation = fakeConversation([
+      { id: 'm1', text: 'Who are you?', isUser: true },
+      { id: 'm2', text: '', isUser: false, interrupted: true }
+    ]);
+    conversation.title = 'Who are you?';
+    routeResponse.mockResolvedValue({ text: 'Reply', provenance: { source: 'keyword' } });
+
+    await streamMessage(request('Tell me about duty'), fakeResponse());
+    expect(conversation.title).toBe('Who are you?');
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * @file tests/helpers/scriptStore.js
+ * @description Serves Script documents from memory, so the logic engine can be tested without MongoDB.
+ * Replaces the query methods the engine uses on the Script model.
+ * @author Group 1
+ */
+
+import { Script } from '../../models/Conversations.js';
+
+/**
+ * @function query
+ * @description A chainable, awaitable stand-in for a Mongoose query.
+ * @param {*} result - What the query resolves to.
+ * @returns {object} Query with sort/lean/select/exec.
+ */
+function query(result) {
+  const chain = {
+    sort: () => chain,
+    lean: () => chain,
+    select: () => chain,
+    exec: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+}
+
+/**
+ * @function serveScripts
+ * @description Makes Script queries answer from the given documents (newest version first).
+ * Index and legacy-data upgrades (see prepareVersionedCollection) do nothing.
+ * @param {Array<object>} documents - Script documents ({ configId, version, rules, general_responses, ... }).
+ */
+export function serveScripts(documents) {
+  const matching = (filter = {}) => documents
+    .filter(doc => Object.entries(filter).every(([field, value]) => typeof value === 'object' || doc[field] === value))
+    .sort((a, b) => (b.version || 0) - (a.version || 0));
+
+  Script.findOne = filter => query(matching(filter)[0] || null);
+  Script.find = filter => query(matching(filter));
+  Script.distinct = field => query([...new Set(documents.map(doc => doc[field]))]);
+  Script.syncIndexes = async () => [];
+  Script.updateMany = async () => ({ modifiedCount: 0 });
+}
@@ -0,0 +1,237 @@
+import { jest } from '@jest/globals';
+import { serveScripts } from './helpers/scriptStore.js';
+import { DEFAULT_PERSONA_ID } from '../utils/personas.js';
+import { loadScript, matchScriptedRule, findKeywordOverlaps, selectFallback } from '../utils/logicEngine.js';
+
+const pool = text => [{ probability: 1, response: text }];
+const rule = (id, keywords, extra = {}) => ({ id, keywords, response_pool: pool(`${id} reply`), ...extra });
+
+async function useRules(rules) {
+  serveScripts([{ configId: DEFAULT_PERSONA_ID, version: 1, rules, general_responses: pool('fallback') }]);
+  await loadScript();
+}
+
+beforeAll(() => {
+  // Keyword embeddings are not persisted between tests (the default store is MongoDB)
+  process.env.EMBEDDING_STORE = 'memory';
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('matchScriptedRule', () => {
+  test('a higher priority wins over a more specific match', async () => {
+    await useRules([
+      rule('death', ['death', 'die', 'afraid']),
+      rule('crisis', ['die'], { priority: 10 })
+    ]);
+
+    const match = await matchScriptedRule('I am afraid I will die, death haunts me');
+    expect(match.ruleId).toBe('crisis');
+    expect(match.response).toBe('crisis reply');
+  });
+
+  test('more keyword hits beat fewer at equal priority', async () => {
+    await useRules([
+      rule('anger', ['angry']),
+      rule('grief', ['loss', 'grief', 'angry'])
+    ]);
+
+    const match = await matchScriptedRule('My grief over the loss makes me angry');
+    expect(match.ruleId).toBe('grief');
+    expect(match.specificity).toBe(6);
+  });
+
+  test('a phrase beats a single word', async () => {
+    await useRules([
+      rule('work', ['work']),
+      rule('burnout', ['tired of work'])
+    ]);
+
+    const match = await matchScriptedRule('I am so tired of work');
+    expect(match).toMatchObject({ ruleId: 'burnout', matchType: 'phrase', specificity: 4 });
+  });
+
+  test('inflections of one word count once, and ties go to rule order', async () => {
+    await useRules([
+      rule('anxiety', ['fear', 'fears']),
+      rule('worry', ['fears'])
+    ]);
+
+    const match = await matchScriptedRule('What are your fears?');
+    expect(match).toMatchObject({ ruleId: 'anxiety', specificity: 2 });
+  });
+
+  test('tolerates typos through fuzzy matching', async () => {
+    await useRules([rule('stoicism', ['stoic'])]);
+
+    const match = await matchScriptedRule('how to be more stoick');
+    expect(match.ruleId).toBe('stoicism');
+    expect(match.matchType).toBe('fuzzy');
+    expect(match.score).toBeGreaterThanOrEqual(0.85);
+  });
+
+  test('returns null when nothing matches', async () => {
+    await useRules([rule('stoicism', ['stoic'])]);
+    expect(await matchScriptedRule('What a lovely morning')).toBeNull();
+  });
+
+  test('each persona matches against its own script', async () => {
+    serveScripts([
+      { configId: DEFAULT_PERSONA_ID, version: 1, rules: [rule('duty', ['duty'])], general_responses: pool('fallback') },
+      { configId: 'seneca', version: 1, rules: [rule('time', ['time'])], general_responses: pool('fallback') }
+    ]);
+    await loadScript();
+    await loadScript({ persona: 'seneca' });
+
+    expect((await matchScriptedRule('my time and my duty')).ruleId).toBe('duty');
+    expect((await matchScriptedRule('my time and my duty', { persona: 'seneca' })).ruleId).toBe('time');
+  });
+});
+
+describe('rule guards', () => {
+  test('a negated keyword does not count', async () => {
+    await useRules([rule('anxiety', ['anxious'])]);
+
+    expect(await matchScriptedRule('I am not anxious today')).toBeNull();
+    expect(await matchScriptedRule("I don't feel anxious")).toBeNull();
+    expect((await matchScriptedRule('I am anxious today')).ruleId).toBe('anxiety');
+  });
+
+  test('negation only reaches two words back, and ignore_negation turns it off', async () => {
+    await useRules([rule('anxiety', ['anxious'])]);
+    expect((await matchScriptedRule('not that I mind, but I feel anxious')).ruleId).toBe('anxiety');
+
+    await useRules([rule('farewell', ['forget'], { ignore_negation: true })]);
+    expect((await matchScriptedRule('never forget me')).ruleId).toBe('farewell');
+  });
+
+  test('exclusion keywords rule a match out', async () => {
+    await useRules([rule('restroom', ['toilet'], { exclude_keywords: ['painting'] })]);
+
+    expect(await matchScriptedRule('Why is there a toilet in the painting?')).toBeNull();
+    expect((await matchScriptedRule('Where is the toilet?')).ruleId).toBe('restroom');
+  });
+
+  test('required keywords must all appear', async () => {
+    await useRules([rule('exam_fear', ['afraid'], { required_keywords: ['exam'] })]);
+
+    expect(await matchScriptedRule('I am afraid of the dark')).toBeNull();
+    expect((await matchScriptedRule('I am afraid of my exam')).ruleId).toBe('exam_fear');
+  });
+
+  test('conversation conditions use the prior messages', async () => {
+    await useRules([
+      rule('greeting', ['hello'], { conditions: { first_message_only: true } }),
+      rule('followup', ['more'], { conditions: { after_rules: ['greeting'] } })
+    ]);
+    const history = [
+      { isUser: true, text: 'hello' },
+      { isUser: false, text: 'greeting reply', provenance: { ruleId: 'greeting' } }
+    ];
+
+    expect((await matchScriptedRule('hello')).ruleId).toBe('greeting');
+    expect(await matchScriptedRule('hello', { history })).toBeNull();
+    expect(await matchScriptedRule('tell me more')).toBeNull();
+    expect((await matchScriptedRule('tell me more', { history })).ruleId).toBe('followup');
+  });
+});
+
+describe('repeat avoidance', () => {
+  const lines = ['First.', 'Second.', 'Third.'];
+  const reply = responseId => ({ isUser: false, text: '', provenance: { ruleId: 'fate', responseId } });
+
+  test('does not repeat a line while unused ones remain', async () => {
+    await useRules([rule('fate', ['fate'], { response_pool: lines.map(text => ({ probability: 1, response: text })) })]);
+    const history = [reply('fate#0'), reply('fate#2')];
+
+    for (let i = 0; i < 20; i++) {
+      expect(await matchScriptedRule('what is fate', { history })).toMatchObject({ response: 'Second.', responseId: 'fate#1' });
+    }
+  });
+
+  test('once the pool is used up, never repeats the line just heard', async () => {
+    await useRules([rule('fate', ['fate'], { response_pool: lines.map(text => ({ probability: 1, response: text })) })]);
+    const history = [reply('fate#0'), reply('fate#1'), reply('fate#2')];
+
+    for (let i = 0; i < 20; i++) {
+      expect((await matchScriptedRule('what is fate', { history })).responseId).not.toBe('fate#2');
+    }
+  });
+
+  test('fallback reflections rotate too', async () => {
+    serveScripts([{ configId: DEFAULT_PERSONA_ID, version: 1, rules: [], general_responses: [{ probability: 1, response: 'a' }, { probability: 1, response: 'b' }] }]);
+    await loadScript();
+
+    expect(selectFallback({ history: [{ isUser: false, provenance: { responseId: 'general#0' } }] })).toEqual({ response: 'b', responseId: 'general#1' });
+  });
+});
+
+describe('translations', () => {
+  test('a translated rule answers in its own language', async () => {
+    await useRules([rule('fate', ['fate'], { translations: { fr: { keywords: ['destin'], response_pool: pool('réponse') } } })]);
+
+    expect(await matchScriptedRule('quel est mon destin', { language: 'fr' })).toMatchObject({ response: 'réponse', responseId: 'fate@fr#0' });
+  });
+
+  test('a translation with an empty or missing pool uses the base responses', async () => {
+    await useRules([
+      rule('fate', ['fate'], { translations: { fr: { keywords: ['destin'], response_pool: [] } } }),
+      rule('death', ['death'], { translations: { fr: { keywords: ['mort'] } } })
+    ]);
+
+    expect((await matchScriptedRule('quel est mon destin', { language: 'fr' })).response).toBe('fate reply');
+    expect((await matchScriptedRule('la mort me fait peur', { language: 'fr' })).response).toBe('death reply');
+  });
+});
+
+describe('script freshness', () => {
+  const versions = [
+    { configId: DEFAULT_PERSONA_ID, version: 1, rules: [rule('fate', ['fate'])], general_responses: pool('fallback') },
+    { configId: DEFAULT_PERSONA_ID, version: 2, rules: [rule('fate', ['fate'], { response_pool: pool('edited reply') })], general_responses: pool('fallback') }
+  ];
+
+  let now;
+  beforeEach(() => { now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000); });
+  afterEach(() => now.mockRestore());
+
+  test('picks up a version saved by another instance once the refresh interval has passed', async () => {
+    serveScripts(versions.slice(0, 1));
+    await loadScript();
+    serveScripts(versions);
+
+    expect((await matchScriptedRule('what is fate')).response).toBe('fate reply');
+    now.mockReturnValue(1_030_000);
+    expect((await matchScriptedRule('what is fate')).response).toBe('edited reply');
+  });
+
+  test('a pinned version stays loaded', async () => {
+    serveScripts(versions);
+    await loadScript({ version: 1 });
+
+    now.mockReturnValue(1_030_000);
+    expect((await matchScriptedRule('what is fate')).response).toBe('fate reply');
+    await loadScript({ version: null });
+  });
+});
+
+describe('findKeywordOverlaps', () => {
+  test('reports duplicate, stem and phrase overlaps', () => {
+    const overlaps = findKeywordOverlaps([
+      rule('death', ['death', 'fear']),
+      rule('illness', ['fears', 'death']),
+      rule('anxiety', ['fear of death'])
+    ]);
+
+    expect(overlaps).toEqual(expect.arrayContaining([
+      expect.objectContaining({ type: 'duplicate', term: 'death' }),
+      expect.objectContaining({ type: 'stem', term: 'fear' }),
+      expect.objectContaining({ type: 'phrase', term: 'fear of death' })
+    ]));
+  });
+
+  test('keywords within one rule do not count', () => {
+    expect(findKeywordOverlaps([rule('anxiety', ['fear', 'fears', 'fear of death'])])).toEqual([]);
+  });
+});
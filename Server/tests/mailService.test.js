@@ -0,0 +1,39 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sendMail } from '../services/mailService.js';
+
+const message = { to: 'visitor@example.com', subject: 'Your sign-in link', text: 'Open https://example.com/?magic_token=secret-token' };
+const outbox = path.join(os.tmpdir(), `outbox-${process.pid}`);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.MAIL_OUTBOX_DIR;
+  fs.rmSync(outbox, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe('sendMail', () => {
+  test('writes the email to the outbox', async () => {
+    process.env.MAIL_OUTBOX_DIR = outbox;
+
+    const file = await sendMail(message);
+    expect(fs.readFileSync(file, 'utf8')).toContain(message.text);
+  });
+
+  test('reports a failed write without logging the body', async () => {
+    // A file where the outbox directory should be makes every write fail
+    fs.writeFileSync(outbox, '');
+    process.env.MAIL_OUTBOX_DIR = outbox;
+
+    expect(await sendMail(message)).toBeNull();
+    const logged = [...console.log.mock.calls, ...console.error.mock.calls].flat().join(' ');
+    expect(logged).toContain('visitor@example.com');
+    expect(logged).not.toContain('secret-token');
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * @file tests/mocks/transformers.js
+ * @description Stand-in for @xenova/transformers in unit tests (mapped in package.json "jest").
+ * The embedding "model" hashes each word into one of 64 dimensions, so texts sharing words are similar
+ * and tests never download a model.
+ * @author Group 1
+ */
+
+const DIMENSIONS = 64;
+
+export const env = {};
+
+export async function pipeline() {
+  return async (text) => {
+    const vector = new Float32Array(DIMENSIONS);
+    for (const word of String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)) {
+      let hash = 0;
+      for (const char of word) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+      vector[hash % DIMENSIONS] += 1;
+    }
+    const norm = Math.hypot(...vector) || 1;
+    return { data: vector.map(value => value / norm), dims: [1, DIMENSIONS] };
+  };
+}
@@ -0,0 +1,28 @@
+import { jest } from '@jest/globals';
+import { searchQuotes } from '../controllers/quoteController.js';
+
+const search = async (query) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  await searchQuotes({ query }, res);
+  return res;
+};
+
+describe('searchQuotes', () => {
+  test('rejects limits that are not whole numbers of at least 1', async () => {
+    for (const limit of ['-3', '0', '2.5', 'ten']) {
+      const res = await search({ q: 'obstacle', limit });
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: 'limit must be a whole number of at least 1' });
+    }
+  });
+
+  test('rejects a minScore outside 0 to 1', async () => {
+    const res = await search({ q: 'obstacle', minScore: '1.5' });
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('requires a query', async () => {
+    const res = await search({ q: '  ' });
+    expect(res.json).toHaveBeenCalledWith({ error: 'Query parameter "q" is required' });
+  });
+});
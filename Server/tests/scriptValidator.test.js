@@ -0,0 +1,83 @@
+import { validateResponsePool, validateRule, validateRules, validateScript } from '../utils/scriptValidator.js';
+
+const pool = [{ probability: 1, response: 'The obstacle is the way.' }];
+const rule = (overrides = {}) => ({ id: 'obstacles', keywords: ['obstacle'], response_pool: pool, ...overrides });
+
+describe('validateResponsePool', () => {
+  test('accepts weights that do not sum to 1', () => {
+    expect(validateResponsePool([{ probability: 0.2, response: 'a' }, { probability: 0.3, response: 'b' }], 'Pool')).toEqual([]);
+  });
+
+  test('rejects an empty pool, empty text and out-of-range probabilities', () => {
+    expect(validateResponsePool([], 'Pool')).toEqual(['Pool: response pool must contain at least one response.']);
+    expect(validateResponsePool([{ probability: 1, response: ' ' }], 'Pool')).toEqual(['Pool: response #1 is empty.']);
+    expect(validateResponsePool([{ probability: 1.5, response: 'a' }], 'Pool')).toEqual(['Pool: response #1 needs a probability between 0 and 1.']);
+  });
+
+  test('needs at least one positive probability', () => {
+    expect(validateResponsePool([{ probability: 0, response: 'a' }], 'Pool')).toEqual(['Pool: at least one response must have a probability above 0.']);
+  });
+});
+
+describe('validateRule', () => {
+  test('accepts a well-formed rule', () => {
+    expect(validateRule(rule())).toEqual([]);
+  });
+
+  test('reports a bad id, missing keywords and duplicate keywords', () => {
+    expect(validateRule(rule({ id: 'Bad Id' }))).toEqual(['Rule "Bad Id": id must be lowercase letters, digits and underscores.']);
+    expect(validateRule(rule({ keywords: [] }))).toEqual(['Rule "obstacles": at least one keyword is required.']);
+    expect(validateRule(rule({ keywords: ['Fear', 'fear '] }))).toEqual(['Rule "obstacles": duplicate keyword "fear ".']);
+  });
+
+  test('checks exclusion/required keyword lists and conditions', () => {
+    expect(validateRule(rule({ exclude_keywords: 'painting' }))).toEqual(['Rule "obstacles": exclude_keywords must be a list of non-empty strings.']);
+    expect(validateRule(rule({ required_keywords: [''] }))).toEqual(['Rule "obstacles": required_keywords must be a list of non-empty strings.']);
+    expect(validateRule(rule({ conditions: [] }))).toEqual(['Rule "obstacles": conditions must be an object.']);
+    expect(validateRule(rule({ conditions: { after_rules: 'greeting' } }))).toEqual(['Rule "obstacles": conditions.after_rules must be a list of rule ids.']);
+  });
+});
+
+describe('validateRules', () => {
+  test('rejects duplicate ids', () => {
+    expect(validateRules([rule(), rule()]).errors).toContain('Rule "obstacles": id is already in use.');
+  });
+
+  test('only warns when two rules share a keyword', () => {
+    const result = validateRules([rule(), rule({ id: 'hardship', keywords: ['Obstacle', 'hardship'] })]);
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual(['Rule "hardship": keyword "Obstacle" is also used by rule "obstacles".']);
+  });
+
+  test('reports list fields of the wrong type instead of throwing', () => {
+    expect(validateRules('obstacles')).toEqual({ errors: ['Rules must be a list of rules.'], warnings: [] });
+
+    const result = validateRules([rule({ keywords: 'obstacle', conditions: { after_rules: 'greeting' } })]);
+    expect(result.errors).toEqual([
+      'Rule "obstacles": at least one keyword is required.',
+      'Rule "obstacles": conditions.after_rules must be a list of rule ids.'
+    ]);
+    expect(result.warnings).toEqual([]);
+    expect(validateRule(rule({ conditions: { after_rules: [42] } }))).toContain('Rule "obstacles": conditions.after_rules must be a list of rule ids.');
+  });
+
+  test('warns about conditions on unknown rules', () => {
+    const result = validateRules([rule({ conditions: { after_rules: ['greeting'] } })]);
+    expect(result.warnings).toEqual(['Rule "obstacles": condition refers to unknown rule "greeting".']);
+  });
+});
+
+describe('validateScript', () => {
+  const script = (overrides = {}) => ({ rules: [rule()], general_responses: pool, ...overrides });
+
+  test('accepts a script with translated general responses', () => {
+    expect(validateScript(script({ translations: { fr: { general_responses: pool } } }))).toEqual({ errors: [], warnings: [] });
+  });
+
+  test('rejects empty translated pools', () => {
+    expect(validateScript(script({ translations: { fr: { general_responses: [] } } })).errors)
+      .toEqual(['General responses [fr]: response pool must contain at least one response.']);
+    expect(validateScript(script({ rules: [rule({ translations: { fr: { keywords: ['obstacle'], response_pool: [] } } })] })).errors)
+      .toEqual(['Rule "obstacles" [fr]: response pool must contain at least one response.']);
+  });
+});
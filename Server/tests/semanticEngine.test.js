@@ -0,0 +1,42 @@
+import { jest } from '@jest/globals';
+
+let engine;
+
+const rule = (id, keywords, extra = {}) => ({ id, keywords, response_pool: [], ...extra });
+
+beforeAll(async () => {
+  process.env.EMBEDDING_STORE = 'memory';
+  // Always walk the graph, so a search asking for more hits than its index holds would fall back to a scan
+  process.env.VECTOR_INDEX = 'hnsw';
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  engine = await import('../utils/semanticEngine.js');
+  await engine.initializeSemanticEngine();
+  await engine.precomputeKeywordEmbeddings([
+    rule('fate', ['fate and destiny'], { translations: { fr: { keywords: ['le destin'] } } }),
+    rule('anger', ['anger and rage'])
+  ], 'en', 'marcus_aurelius');
+  await engine.precomputeKeywordEmbeddings([rule('letters', ['letters to lucilius', 'fate and destiny'])], 'en', 'seneca');
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+describe('rankSemanticMatches', () => {
+  test('only ranks the rules of the scope and language asked for', async () => {
+    const ranked = await engine.rankSemanticMatches('fate and destiny', { scope: 'marcus_aurelius', language: 'en', limit: 5 });
+
+    expect(ranked.map(match => match.ruleId)).toEqual(['fate', 'anger']);
+    expect(ranked[0]).toMatchObject({ matchedText: 'fate and destiny', matchedBy: 'keyword' });
+    expect((await engine.rankSemanticMatches('le destin', { scope: 'marcus_aurelius', language: 'fr' }))[0])
+      .toMatchObject({ ruleId: 'fate', matchedText: 'le destin' });
+    expect((await engine.rankSemanticMatches('fate and destiny', { scope: 'seneca', language: 'en' }))[0].ruleId).toBe('letters');
+  });
+
+  test('keeps one index per scope and language', () => {
+    const { indexes } = engine.getSemanticEngineStats().vectorIndex;
+
+    expect(Object.keys(indexes).sort()).toEqual(['marcus_aurelius|en', 'marcus_aurelius|fr', 'seneca|en']);
+    expect(indexes['marcus_aurelius|en']).toMatchObject({ size: 2, graph: true });
+  });
+});
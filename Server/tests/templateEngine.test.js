@@ -0,0 +1,75 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadDeploymentVariables, buildTemplateVariables, renderTemplate } from '../utils/templateEngine.js';
+
+describe('renderTemplate', () => {
+  test('fills variables, nested values and defaults', () => {
+    const variables = { museum_name: 'The Stoa', exhibits: { sculpture: 'the equestrian statue' } };
+
+    expect(renderTemplate('Welcome to {{ museum_name }}.', variables)).toBe('Welcome to The Stoa.');
+    expect(renderTemplate('Have you seen {{exhibits.sculpture}}?', variables)).toBe('Have you seen the equestrian statue?');
+    expect(renderTemplate('Greetings, {{visitor_name|friend}}.', variables)).toBe('Greetings, friend.');
+  });
+
+  test('an empty value only closes its own gap', () => {
+    expect(renderTemplate('Welcome {{visitor_name}}, friend.', {})).toBe('Welcome, friend.');
+    expect(renderTemplate('Hello {{visitor_name}} and welcome.', { visitor_name: ' ' })).toBe('Hello and welcome.');
+    expect(renderTemplate('{{visitor_name}} welcome.', {})).toBe('welcome.');
+  });
+
+  test('keeps the response\'s own spacing and case', () => {
+    expect(renderTemplate('Line one  {{x}}\n  indented line', {})).toBe('Line one\n  indented line');
+    expect(renderTemplate('e.g. {{x}}ask the guide', {})).toBe('e.g. ask the guide');
+  });
+
+  test('leaves text without placeholders untouched', () => {
+    expect(renderTemplate('Nothing  to   do ', {})).toBe('Nothing  to   do ');
+    expect(renderTemplate(null, {})).toBeNull();
+  });
+});
+
+describe('buildTemplateVariables', () => {
+  const file = path.join(os.tmpdir(), `variables-${process.pid}.json`);
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fs.writeFileSync(file, JSON.stringify({
+      museum_name: 'The Stoa',
+      timezone: 'Europe/Rome',
+      opening_hours: { monday: 'closed', default: '9:00–18:00' },
+      visitor_name: 'guest'
+    }));
+    process.env.SCRIPT_VARIABLES_FILE = file;
+    loadDeploymentVariables();
+  });
+
+  afterAll(() => {
+    delete process.env.SCRIPT_VARIABLES_FILE;
+    fs.rmSync(file, { force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('uses the deployment timezone for time of day, weekday and opening hours', () => {
+    // 2026-10-19 is a Monday; 10:30 UTC is 12:30 in Rome
+    const variables = buildTemplateVariables({ now: new Date('2026-10-19T10:30:00Z') });
+    expect(variables).toMatchObject({ weekday: 'monday', time_of_day: 'afternoon', opening_hours: 'closed', museum_name: 'The Stoa' });
+
+    const tuesday = buildTemplateVariables({ now: new Date('2026-10-20T06:00:00Z') });
+    expect(tuesday).toMatchObject({ weekday: 'tuesday', time_of_day: 'morning', opening_hours: '9:00–18:00' });
+  });
+
+  test('conversation slots override deployment values', () => {
+    const variables = buildTemplateVariables({ slots: { visitor_name: 'Lucius' }, matchedKeyword: 'fate' });
+    expect(variables).toMatchObject({ visitor_name: 'Lucius', matched_keyword: 'fate' });
+  });
+
+  test('a missing variables file leaves the built-in variables', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.SCRIPT_VARIABLES_FILE = path.join(os.tmpdir(), 'missing-variables.json');
+
+    expect(loadDeploymentVariables()).toEqual({});
+    expect(buildTemplateVariables()).toHaveProperty('time_of_day');
+  });
+});
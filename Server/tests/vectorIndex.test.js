@@ -0,0 +1,114 @@
+import { createVectorIndex } from '../utils/vectorIndex.js';
+
+// Seeded generator (mulberry32), so every run indexes the same vectors
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomVectors(count, dimensions, seed) {
+  const next = random(seed);
+  return Array.from({ length: count }, () => {
+    const vector = Array.from({ length: dimensions }, () => next() * 2 - 1);
+    const norm = Math.hypot(...vector);
+    return vector.map(value => value / norm);
+  });
+}
+
+const ids = hits => hits.map(hit => hit.id);
+
+describe('createVectorIndex', () => {
+  test('HNSW search finds nearly all of the exact nearest neighbours', () => {
+    const index = createVectorIndex();
+    randomVectors(2000, 24, 1).forEach((vector, i) => index.add(`v${i}`, vector, { i }));
+    const queries = randomVectors(50, 24, 2);
+
+    let found = 0;
+    for (const query of queries) {
+      const exact = new Set(ids(index.search(query, 10, { exact: true })));
+      found += ids(index.search(query, 10)).filter(id => exact.has(id)).length;
+    }
+
+    expect(index.stats()).toMatchObject({ size: 2000, graph: true });
+    expect(found / (queries.length * 10)).toBeGreaterThan(0.9);
+  });
+
+  test('returns payloads best first and honours the filter', () => {
+    const index = createVectorIndex();
+    index.add('a', [1, 0], { rule: 'x' });
+    index.add('b', [0.8, 0.6], { rule: 'y' });
+    index.add('c', [0, 1], { rule: 'y' });
+
+    expect(index.search([1, 0], 2)).toEqual([
+      { id: 'a', score: 1, payload: { rule: 'x' } },
+      { id: 'b', score: expect.closeTo(0.8, 5), payload: { rule: 'y' } }
+    ]);
+    expect(ids(index.search([1, 0], 5, { filter: payload => payload.rule === 'y' }))).toEqual(['b', 'c']);
+  });
+
+  test('scans exactly below exactBelow and builds the graph once it is reached', () => {
+    const index = createVectorIndex({ exactBelow: 3 });
+    index.add('a', [1, 0]);
+    index.add('b', [0, 1]);
+    expect(index.stats().graph).toBe(false);
+
+    index.add('c', [0.6, 0.8]);
+    expect(index.stats().graph).toBe(true);
+    expect(ids(index.search([0, 1], 1))).toEqual(['b']);
+  });
+
+  test('rejects vectors of another dimension', () => {
+    const index = createVectorIndex();
+    index.add('a', [1, 0]);
+    expect(() => index.add('b', [1, 0, 0])).toThrow('[Vector Index] Expected 2 dimensions, got 3.');
+    expect(index.search([1, 0, 0], 1)).toEqual([]);
+  });
+
+  test('removed vectors are never returned, and re-adding an id replaces it', () => {
+    const index = createVectorIndex();
+    const vectors = randomVectors(300, 16, 3);
+    vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+
+    for (let i = 0; i < 100; i++) expect(index.remove(`v${i}`)).toBe(true);
+    expect(index.remove('v0')).toBe(false);
+    expect(index.stats()).toMatchObject({ size: 200, deleted: 100 });
+
+    for (const query of vectors.slice(0, 20)) {
+      const hits = index.search(query, 10);
+      expect(hits).toHaveLength(10);
+      expect(hits.every(hit => Number(hit.id.slice(1)) >= 100)).toBe(true);
+    }
+
+    index.add('v150', vectors[0]);
+    expect(index.size).toBe(200);
+    expect(index.search(vectors[0], 1)[0]).toMatchObject({ id: 'v150', score: expect.closeTo(1, 5) });
+  });
+
+  test('compacts once deleted nodes outnumber the live ones', () => {
+    const index = createVectorIndex();
+    const vectors = randomVectors(100, 16, 4);
+    vectors.forEach((vector, i) => index.add(`v${i}`, vector));
+
+    for (let i = 0; i < 50; i++) index.remove(`v${i}`);
+    expect(index.stats()).toMatchObject({ size: 50, deleted: 50 });
+
+    index.remove('v50');
+    expect(index.stats()).toMatchObject({ size: 49, deleted: 0 });
+
+    const exact = ids(index.search(vectors[80], 5, { exact: true }));
+    expect(ids(index.search(vectors[80], 5))).toEqual(exact);
+    expect(exact[0]).toBe('v80');
+  });
+
+  test('clear empties the index', () => {
+    const index = createVectorIndex();
+    index.add('a', [1, 0]);
+    index.clear();
+    expect(index.size).toBe(0);
+    expect(index.search([1, 0], 1)).toEqual([]);
+  });
+});
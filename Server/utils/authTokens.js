@@ -0,0 +1,89 @@
+/**
+ * @file utils/authTokens.js
+ * @description Signed session tokens: base64url(payload).base64url(HMAC-SHA256).
+ * The payload is { sub: user or device id, email, anon, exp: expiry in seconds }. Signed-in visitors get
+ * AUTH_TOKEN_TTL; anonymous device sessions (kiosk walk-ups, anon: true) expire after DEVICE_SESSION_IDLE_MINUTES
+ * and are re-issued on every request, so they only end after inactivity. Tokens are signed with AUTH_SECRET;
+ * without it a random secret is generated, so sessions end whenever the server restarts.
+ * @author Group 1
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_IDLE_MINUTES = 30;
+
+let generatedSecret = null;
+
+/**
+ * @function getSecret
+ * @description Signing secret, read on first use so dotenv has populated process.env.
+ * @returns {string} Secret.
+ */
+function getSecret() {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  if (!generatedSecret) {
+    console.warn('[Auth] AUTH_SECRET is not set. Using a random secret; sessions will not survive a restart.');
+    generatedSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return generatedSecret;
+}
+
+/**
+ * @function getTokenTtl
+ * @description How long a session lasts, in seconds (AUTH_TOKEN_TTL, default 7 days).
+ * @returns {number} Seconds.
+ */
+export function getTokenTtl() {
+  return Number(process.env.AUTH_TOKEN_TTL) || DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * @function getDeviceSessionTtl
+ * @description How long an anonymous device session survives without a request, in seconds
+ * (DEVICE_SESSION_IDLE_MINUTES, default 30 minutes).
+ * @returns {number} Seconds.
+ */
+export function getDeviceSessionTtl() {
+  return (Number(process.env.DEVICE_SESSION_IDLE_MINUTES) || DEFAULT_IDLE_MINUTES) * 60;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * @function createToken
+ * @description Issues a session token for a user or an anonymous device.
+ * @param {object} user - { id, email } of a user, or { id, anonymous: true } of a device session.
+ * @returns {object} { token, expiresAt }.
+ */
+export function createToken(user) {
+  const exp = Math.floor(Date.now() / 1000) + (user.anonymous ? getDeviceSessionTtl() : getTokenTtl());
+  const claims = user.anonymous ? { sub: user.id, anon: true, exp } : { sub: user.id, email: user.email, exp };
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return { token: `${ payload }.${ sign(payload) }`, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * @function verifyToken
+ * @description Checks a token's signature and expiry.
+ * @param {string} token - Token from the Authorization header.
+ * @returns {object|null} { id, email, anonymous } of the session, or null if the token is invalid or expired.
+ */
+export function verifyToken(token) {
+  const [payload, signature, extra] = (token || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+  try {
+    const { sub, email, anon, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof sub !== 'string' || !(exp * 1000 > Date.now())) return null;
+    return anon ? { id: sub, email: null, anonymous: true } : { id: sub, email, anonymous: false };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * @file utils/embeddingStore.js
+ * @description Persistent cache for keyword and example embeddings, so cold starts load vectors instead of
+ * re-embedding the whole script. Entries are keyed by model name and a hash of the text, so a changed
+ * text or a different model simply misses the cache.
+ * EMBEDDING_STORE selects the backend: "mongo" (default), "file" (EMBEDDING_CACHE_FILE) or "memory".
+ * @author Group 1
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { KeywordEmbedding } from '../models/Conversations.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', '.cache', 'embeddings.json');
+
+let store = null;
+
+/**
+ * @function hashText
+ * @description Stable key for an embedded text.
+ * @param {string} text - Keyword or utterance.
+ * @returns {string} SHA-256 hex digest.
+ */
+export function hashText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * @function encodeVector
+ * @description Packs a vector as 32-bit floats (a quarter of the size of a JSON number array).
+ * @param {Array<number>} vector - Embedding.
+ * @returns {Buffer} Binary vector.
+ */
+function encodeVector(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+/**
+ * @function decodeVector
+ * @description Unpacks a vector stored by encodeVector.
+ * @param {Buffer} buffer - Binary vector.
+ * @returns {Array<number>} Embedding.
+ */
+function decodeVector(buffer) {
+  // Copy into a fresh ArrayBuffer: pooled Buffers may start at an offset Float32Array cannot use
+  const bytes = new Uint8Array(buffer.length);
+  bytes.set(buffer);
+  return Array.from(new Float32Array(bytes.buffer));
+}
+
+/**
+ * @function createMongoStore
+ * @description Stores embeddings in the keywordembeddings collection, next to the script.
+ * @returns {object} Store.
+ */
+function createMongoStore() {
+  return {
+    name: 'mongo',
+
+    async load(model, hashes) {
+      const docs = await KeywordEmbedding.find({ model, hash: { $in: hashes } }).lean();
+      return new Map(docs.map(doc => [doc.hash, decodeVector(doc.vector.buffer ?? doc.vector)]));
+    },
+
+    async save(model, entries) {
+      if (entries.length === 0) return;
+      await KeywordEmbedding.bulkWrite(entries.map(({ hash, text, vector }) => ({
+        updateOne: {
+          filter: { model, hash },
+          update: { $set: { text, vector: encodeVector(vector) } },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+  };
+}
+
+/**
+ * @function createFileStore
+ * @description Stores embeddings in a JSON file ({ model: { hash: base64 } }).
+ * On serverless hosts point EMBEDDING_CACHE_FILE at a writable path such as /tmp.
+ * @param {string} file - Cache file path.
+ * @returns {object} Store.
+ */
+function createFileStore(file) {
+  let contents = null;
+
+  const read = async () => {
+    if (contents) return contents;
+    try {
+      contents = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      contents = {};
+    }
+    return contents;
+  };
+
+  return {
+    name: 'file',
+
+    async load(model, hashes) {
+      const entries = (await read())[model] || {};
+      const vectors = new Map();
+      for (const hash of hashes) {
+        if (entries[hash]) vectors.set(hash, decodeVector(Buffer.from(entries[hash], 'base64')));
+      }
+      return vectors;
+    },
+
+    async save(model, entries) {
+      if (entries.length === 0) return;
+      const data = await read();
+      data[model] = data[model] || {};
+      for (const { hash, vector } of entries) data[model][hash] = encodeVector(vector).toString('base64');
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(data));
+    }
+  };
+}
+
+/**
+ * @function createMemoryStore
+ * @description No persistence: every process embeds its keywords again.
+ * @returns {object} Store.
+ */
+function createMemoryStore() {
+  return {
+    name: 'memory',
+    async load() {
+      return new Map();
+    },
+    async save() {}
+  };
+}
+
+/**
+ * @function getEmbeddingStore
+ * @description Returns the configured store (created on first use).
+ * @returns {{ name: string, load: Function, save: Function }} Store with
+ * load(model, hashes) → Map<hash, vector> and save(model, [{ hash, text, vector }]).
+ */
+export function getEmbeddingStore() {
+  if (store) return store;
+
+  switch ((process.env.EMBEDDING_STORE || 'mongo').toLowerCase()) {
+    case 'file':
+      store = createFileStore(process.env.EMBEDDING_CACHE_FILE ? path.resolve(process.env.EMBEDDING_CACHE_FILE) : DEFAULT_CACHE_FILE);
+      break;
+    case 'memory':
+    case 'none':
+      store = createMemoryStore();
+      break;
+    default:
+      store = createMongoStore();
+  }
+  return store;
+}
@@ -0,0 +1,157 @@
+/**
+ * @file utils/languages.js
+ * @description Per-language NLP resources for the logic engine (tokenizer, stemmer, ignored words,
+ * negation words) and a lightweight language detector for visitor messages.
+ * @author Group 1
+ */
+
+import natural from 'natural';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Detection needs evidence: a message scoring below this in every language is "undetermined"
+const MIN_DETECTION_SCORE = 1;
+
+/**
+ * Supported languages.
+ * - ignored: words too common to be keywords
+ * - negations: words that cancel a following single-word keyword ("I am not anxious")
+ * - fragments: leftovers of split contractions, never keywords
+ * - markers: frequent function words used to recognize the language
+ * - letters: characters that are strong evidence for the language
+ */
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    tokenizer: new natural.WordTokenizer(),
+    stemmer: natural.PorterStemmer,
+    ignored: ['the', 'is', 'at', 'which', 'on', 'a', 'an', 'and', 'or', 'to', 'of', 'in', 'it', 'you', 'i'],
+    // WordTokenizer splits "don't" into "don" + "t", hence the bare "t"
+    negations: ['not', 'no', 'never', 'nor', 'without', 'cannot', 't'],
+    // "don", "isn", "m", "ll" cause fuzzy false positives
+    fragments: ['don', 'doesn', 'didn', 'isn', 'aren', 'wasn', 'weren', 'won', 'wouldn', 'couldn', 'shouldn', 'haven', 'hasn', 'm', 's', 're', 'll', 've', 'd'],
+    markers: ['the', 'is', 'are', 'where', 'what', 'how', 'why', 'who', 'you', 'i', 'my', 'me', 'do', 'does', 'can', 'this', 'that', 'it', 'and', 'of', 'to', 'am', 'hello', 'hi', 'thanks', 'please', 'with', 'have', 'not', 'there', 'your'],
+    letters: null
+  },
+  es: {
+    name: 'Spanish',
+    tokenizer: new natural.AggressiveTokenizerEs(),
+    stemmer: natural.PorterStemmerEs,
+    ignored: ['el', 'la', 'los', 'las', 'un', 'una', 'y', 'o', 'de', 'del', 'a', 'al', 'en', 'es', 'que', 'lo', 'se', 'me', 'te', 'yo', 'tu'],
+    negations: ['no', 'nunca', 'jamás', 'ni', 'sin', 'tampoco'],
+    fragments: [],
+    markers: ['el', 'los', 'las', 'es', 'está', 'están', 'dónde', 'donde', 'qué', 'cómo', 'por', 'para', 'con', 'yo', 'tengo', 'hola', 'gracias', 'muy', 'pero', 'una', 'del', 'al', 'estoy', 'soy', 'quiero', 'puedo', 'mi', 'hay', 'y', 'baño'],
+    letters: /[ñ¿¡]/
+  },
+  fr: {
+    name: 'French',
+    tokenizer: new natural.AggressiveTokenizerFr(),
+    stemmer: natural.PorterStemmerFr,
+    ignored: ['le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'à', 'au', 'en', 'est', 'je', 'tu', 'il', 'elle', 'l', 'j', 'c', 'qu'],
+    // "n'ai pas" tokenizes to "n" + "ai" + "pas"
+    negations: ['pas', 'ne', 'n', 'jamais', 'sans', 'ni', 'aucun', 'aucune'],
+    fragments: ['s', 'd', 'm', 't'],
+    markers: ['le', 'les', 'est', 'où', 'je', 'vous', 'suis', 'bonjour', 'merci', 'pas', 'ne', 'une', 'des', 'du', 'et', 'avec', 'pour', 'qui', 'c', 'ça', 'moi', 'mon', 'sont', 'ai', 'peux', 'comment', 'pourquoi', 'salut'],
+    letters: /[çœèêëû]/
+  },
+  de: {
+    name: 'German',
+    tokenizer: new natural.AggressiveTokenizerDe(),
+    stemmer: natural.PorterStemmerDe,
+    ignored: ['der', 'die', 'das', 'den', 'dem', 'ein', 'eine', 'und', 'oder', 'zu', 'in', 'im', 'ist', 'ich', 'du', 'es'],
+    negations: ['nicht', 'kein', 'keine', 'keinen', 'nie', 'niemals', 'ohne'],
+    fragments: [],
+    markers: ['der', 'die', 'das', 'ist', 'wo', 'ich', 'du', 'sie', 'nicht', 'kein', 'keine', 'und', 'mit', 'für', 'hallo', 'danke', 'bin', 'habe', 'ein', 'eine', 'wie', 'warum', 'was', 'mein', 'auf', 'zu', 'gibt', 'bitte'],
+    letters: /[ßäöü]/
+  },
+  it: {
+    name: 'Italian',
+    tokenizer: new natural.AggressiveTokenizerIt(),
+    stemmer: natural.PorterStemmerIt,
+    ignored: ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'una', 'e', 'o', 'di', 'del', 'della', 'a', 'in', 'è', 'che', 'mi', 'io', 'l'],
+    negations: ['non', 'mai', 'senza', 'né', 'nessun', 'nessuno'],
+    fragments: [],
+    markers: ['il', 'gli', 'è', 'dove', 'sono', 'ciao', 'grazie', 'non', 'che', 'per', 'con', 'della', 'mi', 'io', 'come', 'perché', 'cosa', 'sei', 'ho', 'questo', 'qui', 'bagno', 'voglio', 'posso'],
+    letters: /[ìò]/
+  },
+  pt: {
+    name: 'Portuguese',
+    tokenizer: new natural.AggressiveTokenizerPt(),
+    stemmer: natural.PorterStemmerPt,
+    ignored: ['o', 'a', 'os', 'as', 'um', 'uma', 'e', 'ou', 'de', 'do', 'da', 'em', 'no', 'na', 'é', 'que', 'eu', 'me'],
+    negations: ['não', 'nunca', 'jamais', 'sem', 'nem', 'nenhum', 'nenhuma'],
+    fragments: [],
+    markers: ['os', 'é', 'onde', 'estou', 'olá', 'obrigado', 'obrigada', 'não', 'com', 'uma', 'do', 'da', 'eu', 'você', 'tenho', 'meu', 'minha', 'isso', 'aqui', 'banheiro', 'quero', 'posso'],
+    letters: /[ãõ]/
+  }
+};
+
+// Word lists become Sets once, at load time
+const resources = new Map(Object.entries(LANGUAGES).map(([code, language]) => [code, {
+  ...language,
+  code,
+  ignored: new Set(language.ignored),
+  negations: new Set(language.negations),
+  fragments: new Set(language.fragments),
+  markers: new Set(language.markers)
+}]));
+
+/**
+ * @function isSupportedLanguage
+ * @description Whether the engine has resources for a language code.
+ * @param {string} code - ISO 639-1 code (e.g. "es").
+ * @returns {boolean} True if supported.
+ */
+export function isSupportedLanguage(code) {
+  return resources.has(code);
+}
+
+/**
+ * @function getSupportedLanguages
+ * @description Lists the supported languages.
+ * @returns {Array<{ code: string, name: string }>} Language codes and names.
+ */
+export function getSupportedLanguages() {
+  return [...resources.values()].map(({ code, name }) => ({ code, name }));
+}
+
+/**
+ * @function getLanguage
+ * @description Resources for a language, falling back to English for unknown codes.
+ * @param {string} code - ISO 639-1 code.
+ * @returns {object} { code, name, tokenizer, stemmer, ignored, negations, fragments }.
+ */
+export function getLanguage(code) {
+  return resources.get(code) || resources.get(DEFAULT_LANGUAGE);
+}
+
+/**
+ * @function detectLanguage
+ * @description Guesses the language of a message from its function words and letters.
+ * Short messages are often ambiguous ("ok", "Marcus"), so null is returned rather than a guess.
+ * @param {string} text - User message.
+ * @returns {string|null} Language code, or null if undetermined.
+ */
+export function detectLanguage(text) {
+  const lower = (text || '').toLowerCase();
+  const words = lower.split(/[^\p{L}]+/u).filter(Boolean);
+
+  let best = null;
+  let bestScore = MIN_DETECTION_SCORE - 1;
+  let tied = false;
+
+  for (const language of resources.values()) {
+    let score = words.filter(word => language.markers.has(word)).length;
+    if (language.letters?.test(lower)) score += 2;
+
+    if (score > bestScore) {
+      best = language.code;
+      bestScore = score;
+      tied = false;
+    } else if (score === bestScore) {
+      tied = true;
+    }
+  }
+
+  return tied ? null : best;
+}
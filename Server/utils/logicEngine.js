@@ -1,124 +1,792 @@
 /**
  * @file utils/logicEngine.js
  * @description Logic engine that fetches rules from MongoDB instead of a local JSON file.
+ * Every persona has its own script; functions take the persona id in their options (default Marcus Aurelius).
  * @author Group 1
  */
 
 import natural from 'natural';
-import { Script } from '../models/Conversations.js';
-import { findSemanticMatch, precomputeKeywordEmbeddings } from './semanticEngine.js';
+import dotenv from 'dotenv';
+import { getLatestScript, getLatestVersionNumber, getScriptVersion } from '../services/scriptVersionService.js';
+import { buildTemplateVariables, renderTemplate, loadDeploymentVariables } from './templateEngine.js';
+import { DEFAULT_LANGUAGE, getLanguage, detectLanguage } from './languages.js';
+import { DEFAULT_PERSONA_ID } from './personas.js';
+import { findSemanticMatch, rankSemanticMatches, precomputeKeywordEmbeddings, refreshKeywordEmbeddings, ensureSemanticEngine, isSemanticEngineReady } from './semanticEngine.js';
 
-// NLP Tools
-const tokenizer = new natural.WordTokenizer();
-const stemmer = natural.PorterStemmer;
-const IGNORED_WORDS = new Set(['the', 'is', 'at', 'which', 'on', 'a', 'an', 'and', 'or', 'to', 'of', 'in', 'it', 'you', 'i']);
+dotenv.config();
+
+// NLP Tools (tokenizers, stemmers and word lists per language live in languages.js)
 const MIN_FUZZY_LENGTH = 3;
-const FUZZY_THRESHOLD = 0.85;
+const FUZZY_THRESHOLD = Number(process.env.FUZZY_THRESHOLD) || 0.85;
+const DEFAULT_SEMANTIC_THRESHOLD = 0.65;
+
+// Specificity weights: phrases beat exact words, exact words beat typo-tolerant hits.
+// A phrase scores 1 + its word count; a fuzzy hit scores its Jaro-Winkler similarity (< 1).
+const STEM_MATCH_WEIGHT = 2;
+
+// Negation: a single-word keyword does not count when a negation word of the message's language
+// appears up to this many words before it ("I am not anxious")
+const NEGATION_WINDOW = 2;
+
+// Rule fields a translation may replace (see localizeRule)
+const TRANSLATABLE_RULE_FIELDS = ['keywords', 'exclude_keywords', 'required_keywords', 'response_pool'];
+// Response pools a translation must fill to replace; an empty or missing one keeps the base responses
+const RESPONSE_POOL_FIELDS = ['response_pool', 'unmatched_pool'];
 
-// Cache the script in memory so we don't hit the DB on every single message
-let cachedScript = null;
+// Cache each persona's script in memory so we don't hit the DB on every single message
+const cachedScripts = new Map();
+
+// Personas whose keyword embeddings are computed (once the model is loaded, at startup or lazily)
+const embeddingsReady = new Set();
+
+// Pinned script versions by persona (loadScript({ version })); SCRIPT_VERSION pins Marcus Aurelius
+const pinnedVersions = new Map(Number(process.env.SCRIPT_VERSION) ? [[DEFAULT_PERSONA_ID, Number(process.env.SCRIPT_VERSION)]] : []);
+
+// Edits hot-reload only the instance that saved them; the others notice the new version within
+// SCRIPT_REFRESH_SECONDS (default 30, 0 turns the check off on single-instance deployments)
+const SCRIPT_REFRESH_MS = (process.env.SCRIPT_REFRESH_SECONDS ? Number(process.env.SCRIPT_REFRESH_SECONDS) || 0 : 30) * 1000;
+// When each persona's cached script was last compared with the latest version
+const lastVersionCheck = new Map();
 
 /**
  * @function loadScript
- * @description Loads the script from MongoDB into memory.
+ * @description Loads a persona's script from MongoDB into memory.
+ * By default the newest version is loaded; a pinned version stays loaded until unpinned.
+ * @param {object} options - Optional settings.
+ * @param {string} options.persona - Persona id (default Marcus Aurelius).
+ * @param {number|null} options.version - Pin this version (null unpins and follows the latest).
  */
-export async function loadScript() {
+export async function loadScript({ persona = DEFAULT_PERSONA_ID, version } = {}) {
+  if (version !== undefined) {
+    if (version) pinnedVersions.set(persona, version);
+    else pinnedVersions.delete(persona);
+  }
+  const pinnedVersion = pinnedVersions.get(persona);
+  lastVersionCheck.set(persona, Date.now());
+
   try {
-    // Fetch the document with configId 'main_config'
-    const scriptDoc = await Script.findOne({ configId: 'main_config' });
+    const scriptDoc = pinnedVersion ? await getScriptVersion(pinnedVersion, persona) : await getLatestScript(persona);
 
     if (scriptDoc) {
-      cachedScript = scriptDoc;
-      console.log('[Logic Engine] Rules loaded from MongoDB.');
+      cachedScripts.set(persona, scriptDoc);
+      console.log(`[Logic Engine] Rules for ${persona} loaded from MongoDB (version ${scriptDoc.version}${pinnedVersion ? ', pinned' : ''}).`);
 
       try {
-        await precomputeKeywordEmbeddings(scriptDoc.rules || []);
+        await refreshKeywordEmbeddings(scriptDoc.rules || [], scriptDoc.language, persona);
+        if (isSemanticEngineReady()) embeddingsReady.add(persona);
       } catch (error) {
         console.warn('[Logic Engine] Semantic precomputation failed, keyword matching only:', error.message);
       }
     } else {
-      console.warn('[Logic Engine] No script found in DB. Using defaults.');
-      cachedScript = { rules: [], general_responses: [] };
+      console.warn(`[Logic Engine] No script found in DB for ${persona}. Using defaults.`);
+      cachedScripts.set(persona, { rules: [], general_responses: [] });
     }
   } catch (error) {
     console.error('[Logic Engine] DB Error:', error);
-    cachedScript = { rules: [], general_responses: [] };
+    cachedScripts.set(persona, { rules: [], general_responses: [] });
   }
 }
 
 /**
- * @function robustRandomSelect
- * @description Normalizes probabilities and picks a response.
+ * @function getScript
+ * @description A persona's cached script, loaded on first use.
+ * Unless the persona is pinned, the cache is compared with the latest version at most every SCRIPT_REFRESH_SECONDS,
+ * so edits saved through another server instance are picked up.
+ * @param {string} persona - Persona id.
+ * @returns {Promise<object>} The script ({ rules: [] } if none could be loaded).
+ */
+async function getScript(persona = DEFAULT_PERSONA_ID) {
+  if (!cachedScripts.has(persona)) {
+    console.log(`[Logic Engine] Script for ${persona} missing from cache. Loading now...`);
+    await loadScript({ persona });
+  } else if (isVersionCheckDue(persona)) {
+    await refreshIfOutdated(persona);
+  }
+  return cachedScripts.get(persona);
+}
+
+/**
+ * @function isVersionCheckDue
+ * @description Whether a persona's cached script should be compared with the latest version now.
+ * @param {string} persona - Persona id.
+ * @returns {boolean} True if the check is on, the persona is not pinned and the last check is old enough.
+ */
+function isVersionCheckDue(persona) {
+  return SCRIPT_REFRESH_MS > 0 && !pinnedVersions.has(persona) && Date.now() - (lastVersionCheck.get(persona) || 0) >= SCRIPT_REFRESH_MS;
+}
+
+/**
+ * @function refreshIfOutdated
+ * @description Reloads a persona's script if a newer version (an edit or a rollback) was saved elsewhere.
+ * A failed check keeps the cached script serving and is retried after the next interval.
+ * @param {string} persona - Persona id.
+ */
+async function refreshIfOutdated(persona) {
+  // Marked first, so messages arriving during the check do not start their own
+  lastVersionCheck.set(persona, Date.now());
+  try {
+    const latestVersion = await getLatestVersionNumber(persona);
+    if (latestVersion !== null && latestVersion !== cachedScripts.get(persona)?.version) {
+      console.log(`[Logic Engine] Version ${latestVersion} of ${persona}'s script was saved elsewhere. Reloading...`);
+      await reloadScript(persona);
+    }
+  } catch (error) {
+    console.warn(`[Logic Engine] Could not check ${persona}'s script version:`, error.message);
+  }
+}
+
+/**
+ * @function getLoadedScriptVersion
+ * @description Reports which script version is serving a persona's messages.
+ * @param {string} persona - Persona id (default Marcus Aurelius).
+ * @returns {{ version: number|null, pinned: boolean }} The loaded version.
+ */
+export function getLoadedScriptVersion(persona = DEFAULT_PERSONA_ID) {
+  return { version: cachedScripts.get(persona)?.version ?? null, pinned: pinnedVersions.has(persona) };
+}
+
+/**
+ * @function getPersona
+ * @description A persona's definition from its script, used to build the LLM prompt.
+ * @param {string} persona - Persona id (default Marcus Aurelius).
+ * @returns {Promise<object|string|null>} The persona (a bare name in scripts saved before personas were structured).
+ */
+export async function getPersona(persona = DEFAULT_PERSONA_ID) {
+  return (await getScript(persona))?.persona ?? null;
+}
+
+/**
+ * @function reloadScript
+ * @description Drops a persona's cached script and reloads it from MongoDB (hot reload after an admin edit),
+ * along with the deployment's template variables.
+ * Keyword embeddings are refreshed incrementally, so only new keywords are re-embedded.
+ * @param {string} persona - Persona id (default Marcus Aurelius).
+ */
+export async function reloadScript(persona = DEFAULT_PERSONA_ID) {
+  // The old script keeps serving messages until the new one has loaded
+  await loadScript({ persona });
+  loadDeploymentVariables();
+  console.log(`[Logic Engine] Script for ${persona} hot-reloaded.`);
+}
+
+/**
+ * @function weightedIndex
+ * @description Normalizes weights and picks an index with probability proportional to its weight.
+ * @param {Array<number>} weights - Non-negative weights.
+ * @returns {number} The chosen index (0 if every weight is 0).
+ */
+function weightedIndex(weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let randomPoint = Math.random() * totalWeight;
+
+  for (let index = 0; index < weights.length; index++) {
+    if (randomPoint < weights[index]) return index;
+    randomPoint -= weights[index];
+  }
+  return 0;
+}
+
+/**
+ * @function selectResponse
+ * @description Picks a response the visitor has not heard yet in this conversation.
+ * Used entries are excluded while unused ones remain. Once the pool is exhausted, each entry is
+ * weighted by how many replies ago it was last used, and the one just heard is never repeated.
  * @param {Array} pool - Array of response objects.
- * @returns {string} The selected response text.
+ * @param {string} poolId - Stable id of the pool ("<ruleId>", "<ruleId>/<option>", "general", ...).
+ * @param {Map<string, number>} usedResponses - responseId → replies since it was last used.
+ * @returns {{ response: string, responseId: string }|null} The chosen text and its id, or null for an empty pool.
  */
-function robustRandomSelect(pool) {
+function selectResponse(pool, poolId, usedResponses = new Map()) {
   if (!pool || pool.length === 0) return null;
-  const totalWeight = pool.reduce((sum, item) => sum + (item.probability || 0), 0);
-  let randomPoint = Math.random() * totalWeight;
 
-  for (const option of pool) {
-    const weight = option.probability || 0;
-    if (randomPoint < weight) return option.response;
-    randomPoint -= weight;
+  const ages = pool.map((item, index) => usedResponses.get(`${poolId}#${index}`));
+  let weights = pool.map((item, index) => (ages[index] === undefined ? item.probability || 0 : 0));
+
+  if (weights.every(weight => weight === 0)) {
+    weights = pool.map((item, index) => {
+      if (pool.length > 1 && ages[index] === 1) return 0;
+      return (item.probability || 0) * (ages[index] ?? 1);
+    });
   }
-  return pool[0].response;
+
+  const index = weightedIndex(weights);
+  return { response: pool[index].response, responseId: `${poolId}#${index}` };
+}
+
+/**
+ * @function tokenizeInput
+ * @description Tokenizes and stems the input once per message, flagging negated words.
+ * @param {string} input - User message.
+ * @param {string} language - Language code of the message.
+ * @returns {{ inputLower: string, tokens: Array<{ text: string, stem: string, negated: boolean }>, lang: object }} Tokenized input.
+ */
+function tokenizeInput(input, language = DEFAULT_LANGUAGE) {
+  const lang = getLanguage(language);
+  const inputLower = input.toLowerCase().trim();
+  const inputTokens = lang.tokenizer.tokenize(inputLower);
+  const tokens = [];
+
+  inputTokens.forEach((text, index) => {
+    if (lang.ignored.has(text) || lang.negations.has(text) || lang.fragments.has(text)) return;
+    const window = inputTokens.slice(Math.max(0, index - NEGATION_WINDOW), index);
+    tokens.push({ text, stem: lang.stemmer.stem(text), negated: window.some(t => lang.negations.has(t)) });
+  });
+
+  return { inputLower, tokens, lang };
+}
+
+/**
+ * @function matchKeyword
+ * @description Tests one rule keyword against the tokenized input.
+ * @param {string} keyword - Rule keyword or phrase.
+ * @param {object} input - Tokenized input ({ inputLower, tokens, lang }).
+ * @param {object} options - Matching options.
+ * @param {boolean} options.allowFuzzy - Accept typo-tolerant hits (off for exclusion/required terms).
+ * @param {boolean} options.respectNegation - Ignore words preceded by a negation.
+ * @returns {{ matchType: string, score: number }|null} How the keyword matched, or null.
+ */
+function matchKeyword(keyword, { inputLower, tokens, lang }, { allowFuzzy = true, respectNegation = false } = {}) {
+  const keywordLower = keyword.toLowerCase();
+
+  // Phrase match
+  if (keywordLower.includes(' ')) return inputLower.includes(keywordLower) ? { matchType: 'phrase', score: 1 } : null;
+  if (lang.ignored.has(keywordLower)) return null;
+
+  const candidates = respectNegation ? tokens.filter(token => !token.negated) : tokens;
+
+  // Stem match
+  const keywordStem = lang.stemmer.stem(keywordLower);
+  if (candidates.some(token => token.stem === keywordStem)) return { matchType: 'stem', score: 1 };
+
+  // Fuzzy Match (Handle typos, but only for longer words)
+  // Jaro-Winkler scores 0-1 based on character similarity and position
+  // Example: "stoic" vs "stoick" = 0.97 (match), "stoic" vs "happy" = 0.4 (no match)
+  // MIN_FUZZY_LENGTH prevents false positives on short words like "is" vs "it"
+  if (allowFuzzy && keywordLower.length >= MIN_FUZZY_LENGTH) {
+    let bestSimilarity = 0;
+    for (const { text } of candidates) {
+      // Check length
+      if (text.length < MIN_FUZZY_LENGTH) continue;
+      bestSimilarity = Math.max(bestSimilarity, natural.JaroWinklerDistance(text, keywordLower));
+    }
+    if (bestSimilarity >= FUZZY_THRESHOLD) return { matchType: 'fuzzy', score: bestSimilarity };
+  }
+  return null;
+}
+
+/**
+ * @function buildConversationState
+ * @description Derives what rule conditions need to know from the prior messages.
+ * @param {Array} history - Prior conversation messages, oldest first.
+ * @returns {{ isFirstMessage: boolean, firedRules: Set<string>, usedResponses: Map<string, number> }} Conversation state.
+ */
+function buildConversationState(history = []) {
+  const botReplies = history.filter(message => !message.isUser);
+
+  // Replies since each scripted line was last used (1 = the previous reply)
+  const usedResponses = new Map();
+  botReplies.forEach((message, index) => {
+    const responseId = message.provenance?.responseId;
+    if (responseId) usedResponses.set(responseId, botReplies.length - index);
+  });
+
+  return {
+    isFirstMessage: !history.some(message => message.isUser),
+    firedRules: new Set(botReplies.filter(message => message.provenance?.ruleId).map(message => message.provenance.ruleId)),
+    usedResponses
+  };
+}
+
+/**
+ * @function ruleApplies
+ * @description Checks a rule's guards: exclusion keywords, required co-occurring keywords and conversation conditions.
+ * @param {object} rule - Script rule.
+ * @param {object} tokenized - Tokenized input.
+ * @param {object} state - Conversation state from buildConversationState.
+ * @returns {boolean} False if any guard rules the rule out.
+ */
+function ruleApplies(rule, tokenized, state) {
+  const exact = { allowFuzzy: false };
+
+  // "toilet in the painting" should not send visitors to the restroom
+  if ((rule.exclude_keywords || []).some(keyword => matchKeyword(keyword, tokenized, exact))) return false;
+  if (!(rule.required_keywords || []).every(keyword => matchKeyword(keyword, tokenized, exact))) return false;
+
+  const conditions = rule.conditions || {};
+  if (conditions.first_message_only && !state.isFirstMessage) return false;
+  if (conditions.after_rules?.length && !conditions.after_rules.some(ruleId => state.firedRules.has(ruleId))) return false;
+
+  return true;
+}
+
+/**
+ * @function matchWeight
+ * @description Specificity weight of a single keyword hit.
+ * @param {string} keyword - The keyword that matched.
+ * @param {object} match - { matchType, score } from matchKeyword.
+ * @returns {number} Weight.
+ */
+function matchWeight(keyword, match) {
+  if (match.matchType === 'phrase') return 1 + keyword.trim().split(/\s+/).length;
+  if (match.matchType === 'stem') return STEM_MATCH_WEIGHT;
+  return match.score;
+}
+
+/**
+ * @function scoreRule
+ * @description Scores how specifically a rule matches the input.
+ * Every distinct keyword hit adds its weight, so several hits (or one phrase) outrank a single fuzzy hit.
+ * @param {object} rule - Script rule.
+ * @param {object} tokenized - Tokenized input.
+ * @returns {object|null} { specificity, matchedKeyword, matchType, score } for the strongest hit, or null.
+ */
+function scoreRule(rule, tokenized) {
+  let specificity = 0;
+  let best = null;
+  const countedStems = new Set();
+  const options = { respectNegation: !rule.ignore_negation };
+
+  for (const keyword of rule.keywords) {
+    const match = matchKeyword(keyword, tokenized, options);
+    if (!match) continue;
+
+    // Inflections of one word ("die", "dying") only count once per rule
+    if (match.matchType !== 'phrase') {
+      const keywordStem = tokenized.lang.stemmer.stem(keyword.toLowerCase());
+      if (countedStems.has(keywordStem)) continue;
+      countedStems.add(keywordStem);
+    }
+
+    const weight = matchWeight(keyword, match);
+    specificity += weight;
+    if (!best || weight > best.weight) best = { weight, matchedKeyword: keyword, ...match };
+  }
+
+  if (!best) return null;
+  const { weight, ...strongest } = best;
+  return { specificity, ...strongest };
+}
+
+/**
+ * @function captureSlots
+ * @description Extracts slot values from the message with the rule's capture patterns
+ * (e.g. "visitor_name": "my name is ([a-z]+)"). The first capture group becomes the value.
+ * @param {object} rule - The rule that replied.
+ * @param {string} input - User message.
+ * @returns {object} Captured values by slot name.
+ */
+function captureSlots(rule, input) {
+  const slots = {};
+  for (const [slot, pattern] of Object.entries(rule.captures || {})) {
+    try {
+      const value = new RegExp(pattern, 'i').exec(input)?.[1]?.trim();
+      if (value) slots[slot] = value.slice(0, 60);
+    } catch (error) {
+      console.warn(`[Logic Engine] Invalid capture pattern for ${rule.id}.${slot}:`, error.message);
+    }
+  }
+  return slots;
+}
+
+/**
+ * @function startDialogue
+ * @description Opens a multi-turn flow when the replying rule asks a follow-up question.
+ * @param {object} rule - The rule that replied.
+ * @param {Array<string>} path - Option values chosen so far (empty for the rule's own follow-up).
+ * @param {object|null} followUp - The follow-up the reply asks (defaults to the rule's).
+ * @returns {object|null} The new dialogue state, or null if nothing is asked.
+ */
+function startDialogue(rule, path = [], followUp = rule.follow_up) {
+  if (!followUp?.options?.length) return null;
+  return { ruleId: rule.id, path, attempts: 0, startedAt: new Date() };
+}
+
+/**
+ * @function withFollowUpPrompt
+ * @description Appends a follow-up question to a reply.
+ * @param {string} response - Selected response text.
+ * @param {object|null} followUp - Follow-up definition ({ prompt }).
+ * @returns {string} The reply, ending with the question if there is one.
+ */
+function withFollowUpPrompt(response, followUp) {
+  if (!response || !followUp?.prompt) return response;
+  return `${response} ${followUp.prompt}`;
+}
+
+/**
+ * @function resolveFollowUp
+ * @description Walks a rule's nested follow-ups along the chosen option values.
+ * @param {object} rule - Script rule.
+ * @param {Array<string>} path - Option values chosen so far.
+ * @returns {object|null} The pending follow-up, or null if the script no longer has it.
+ */
+function resolveFollowUp(rule, path = []) {
+  let followUp = rule?.follow_up || null;
+  for (const value of path) {
+    followUp = followUp?.options?.find(option => option.value === value)?.follow_up || null;
+  }
+  return followUp;
+}
+
+/**
+ * @function getBaseLanguage
+ * @description Language a script's own keywords and responses are written in.
+ * @param {object} script - Loaded script.
+ * @returns {string} Language code.
+ */
+function getBaseLanguage(script) {
+  return script?.language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * @function localizeRule
+ * @description The rule as seen in a language: a translation's keywords, guards and responses replace the base ones.
+ * A translation without responses answers with the base-language pool rather than with nothing.
+ * @param {object} rule - Script rule.
+ * @param {string} language - Language code of the message.
+ * @param {string} baseLanguage - Language of the script.
+ * @returns {object|null} The localized rule, or null if the rule has no translation for the language.
+ */
+function localizeRule(rule, language, baseLanguage) {
+  if (language === baseLanguage) return rule;
+
+  const translation = rule.translations?.[language];
+  if (!translation) return null;
+
+  const localized = {
+    id: rule.id,
+    priority: rule.priority,
+    ignore_negation: rule.ignore_negation,
+    conditions: rule.conditions,
+    captures: rule.captures,
+    follow_up: rule.follow_up
+  };
+  for (const field of TRANSLATABLE_RULE_FIELDS) localized[field] = translation[field] ?? rule[field];
+  return keepBasePools(localized, rule, translation);
+}
+
+/**
+ * @function localize
+ * @description Overlays a follow-up's or option's translation; the base text is used if there is none.
+ * @param {object|null} node - Follow-up or option.
+ * @param {string} language - Language code of the message.
+ * @param {string} baseLanguage - Language of the script.
+ * @returns {object|null} The localized node.
+ */
+function localize(node, language, baseLanguage) {
+  const translation = language !== baseLanguage ? node?.translations?.[language] : null;
+  return translation ? keepBasePools({ ...node, ...translation }, node, translation) : node;
+}
+
+/**
+ * @function keepBasePools
+ * @description Puts back the base response pools a translation leaves empty or out.
+ * @param {object} localized - Node with the translation applied.
+ * @param {object} node - Untranslated rule, follow-up or option.
+ * @param {object} translation - The language's overrides.
+ * @returns {object} The localized node.
+ */
+function keepBasePools(localized, node, translation) {
+  for (const field of RESPONSE_POOL_FIELDS) {
+    if (node[field] !== undefined && !translation[field]?.length) localized[field] = node[field];
+  }
+  return localized;
+}
+
+/**
+ * @function poolIdFor
+ * @description Response pool id, qualified by language for translated pools.
+ * @param {string} id - Base pool id.
+ * @param {string} language - Language code of the reply.
+ * @param {string} baseLanguage - Language of the script.
+ * @returns {string} Pool id.
+ */
+function poolIdFor(id, language, baseLanguage) {
+  return language === baseLanguage ? id : `${id}@${language}`;
+}
+
+/**
+ * @function detectMessageLanguage
+ * @description Detects the language of a message. Undetermined messages ("ok", a name) keep the
+ * language of the previous reply, or the script's language at the start of a conversation.
+ * @param {string} input - User message.
+ * @param {Array} history - Prior conversation messages, oldest first.
+ * @param {string} persona - Persona id (default Marcus Aurelius).
+ * @returns {Promise<string>} Language code.
+ */
+export async function detectMessageLanguage(input, history = [], persona = DEFAULT_PERSONA_ID) {
+  const detected = detectLanguage(input);
+  if (detected) return detected;
+
+  const previous = [...history].reverse().find(message => !message.isUser && message.provenance?.language);
+  return previous?.provenance.language || getBaseLanguage(await getScript(persona));
+}
+
+/**
+ * @function matchScriptedRule
+ * @description Checks text against loaded rules and reports which rule and keyword matched.
+ * Conflicts are resolved by explicit rule priority, then specificity, then rule order.
+ * @param {string} input - User message.
+ * @param {object} context - Optional conversation context.
+ * @param {Array} context.history - Prior conversation messages (for rule conditions).
+ * @param {string} [context.language] - Language of the message (defaults to the script's language).
+ * @param {string} [context.persona] - Persona whose rules are used (default Marcus Aurelius).
+ * @returns {Promise<object|null>} { response, responseId, ruleId, matchedKeyword, matchType, score, specificity, slots, dialogueState, language } or null if no match.
+ */
+export async function matchScriptedRule(input, { history = [], language, persona = DEFAULT_PERSONA_ID } = {}) {
+  const script = await getScript(persona);
+  if (!script?.rules) return null;
+
+  const baseLanguage = getBaseLanguage(script);
+  language = language || baseLanguage;
+  const tokenized = tokenizeInput(input, language);
+  const state = buildConversationState(history);
+
+  let winner = null;
+  script.rules.forEach((baseRule, index) => {
+    // Rules only answer in languages they have keywords and responses for
+    const rule = localizeRule(baseRule, language, baseLanguage);
+    if (!rule) return;
+
+    const result = scoreRule(rule, tokenized);
+    if (!result || !ruleApplies(rule, tokenized, state)) return;
+
+    const candidate = { rule, index, priority: rule.priority || 0, ...result };
+    const beatsWinner = !winner
+      || candidate.priority > winner.priority
+      || (candidate.priority === winner.priority && candidate.specificity > winner.specificity);
+    if (beatsWinner) winner = candidate;
+  });
+
+  // Matches
+  if (!winner) return null;
+  console.log(`⚡ [Logic Engine] Keyword Match: ${winner.rule.id} (priority ${winner.priority}, specificity ${winner.specificity.toFixed(2)})`);
+
+  const selected = selectResponse(winner.rule.response_pool, poolIdFor(winner.rule.id, language, baseLanguage), state.usedResponses);
+  return {
+    response: withFollowUpPrompt(selected?.response, localize(winner.rule.follow_up, language, baseLanguage)),
+    responseId: selected?.responseId,
+    ruleId: winner.rule.id,
+    matchedKeyword: winner.matchedKeyword,
+    matchType: winner.matchType,
+    score: winner.score,
+    specificity: winner.specificity,
+    slots: captureSlots(winner.rule, input),
+    dialogueState: startDialogue(winner.rule),
+    language
+  };
+}
+
+/**
+ * @function findKeywordOverlaps
+ * @description Reports keywords that could trigger more than one rule.
+ * - duplicate: the same keyword appears in several rules
+ * - stem: different keywords that reduce to the same stem ("die" / "dying")
+ * - phrase: a phrase in one rule contains a single-word keyword of another rule
+ * @param {Array} rules - Script rules.
+ * @param {string} language - Compare the keywords of this language.
+ * @param {string} baseLanguage - Language of the rules' own keywords (defaults to language).
+ * @returns {Array<object>} Overlaps ({ type, term, rules: [{ ruleId, keyword }] }).
+ */
+export function findKeywordOverlaps(rules = [], language = DEFAULT_LANGUAGE, baseLanguage = language) {
+  const { stemmer, tokenizer, ignored } = getLanguage(language);
+  rules = rules.map(rule => localizeRule(rule, language, baseLanguage)).filter(Boolean);
+
+  const byText = new Map();
+  const byStem = new Map();
+  const add = (map, key, entry) => map.set(key, [...(map.get(key) || []), entry]);
+
+  for (const rule of rules) {
+    for (const keyword of rule.keywords || []) {
+      const keywordLower = keyword.toLowerCase().trim();
+      add(byText, keywordLower, { ruleId: rule.id, keyword });
+      if (!keywordLower.includes(' ')) add(byStem, stemmer.stem(keywordLower), { ruleId: rule.id, keyword });
+    }
+  }
+
+  const spansRules = entries => new Set(entries.map(entry => entry.ruleId)).size > 1;
+  const overlaps = [];
+
+  for (const [term, entries] of byText) {
+    if (spansRules(entries)) overlaps.push({ type: 'duplicate', term, rules: entries });
+  }
+
+  for (const [term, entries] of byStem) {
+    const distinctKeywords = new Set(entries.map(entry => entry.keyword.toLowerCase().trim()));
+    if (spansRules(entries) && distinctKeywords.size > 1) overlaps.push({ type: 'stem', term, rules: entries });
+  }
+
+  for (const [phrase, phraseEntries] of byText) {
+    if (!phrase.includes(' ')) continue;
+    for (const word of new Set(tokenizer.tokenize(phrase))) {
+      if (ignored.has(word)) continue;
+      const others = (byStem.get(stemmer.stem(word)) || []).filter(entry => !phraseEntries.some(p => p.ruleId === entry.ruleId));
+      if (others.length > 0) overlaps.push({ type: 'phrase', term: phrase, rules: [...phraseEntries, ...others] });
+    }
+  }
+
+  return overlaps;
 }
 
 /**
  * @function checkScriptedResponse
  * @description Checks text against loaded rules.
  * @param {string} input - User message.
- * @returns {string|null} The scripted response or null if no match.
+ * @param {object} context - Optional conversation context ({ history }).
+ * @returns {Promise<string|null>} The scripted response or null if no match.
+ */
+export async function checkScriptedResponse(input, context = {}) {
+  const match = await matchScriptedRule(input, context);
+  return match ? renderResponse(match.response, { slots: match.slots, matchedKeyword: match.matchedKeyword }) : null;
+}
+
+/**
+ * @function prepareSemanticEngine
+ * @description Loads a persona's script, the embedding model and the rule embeddings if not done yet.
+ * The model loads on first use when it was not loaded at startup (serverless).
+ * @param {string} persona - Persona id.
+ * @returns {Promise<object|null>} The script, or null if there are no rules to match against.
  */
-export async function checkScriptedResponse(input) {
-  if (!cachedScript) {
-    console.log('[Logic Engine] Script missing from cache. Loading now...');
-    await loadScript();
+async function prepareSemanticEngine(persona) {
+  const script = await getScript(persona);
+  if (!script?.rules) return null;
+
+  await ensureSemanticEngine();
+  if (!embeddingsReady.has(persona)) {
+    await precomputeKeywordEmbeddings(script.rules, getBaseLanguage(script), persona);
+    embeddingsReady.add(persona);
   }
-  if (!cachedScript || !cachedScript.rules) return null;
+  return script;
+}
 
-  const inputLower = input.toLowerCase().trim();
-  const inputTokens = tokenizer.tokenize(inputLower);
-  const importantTokens = inputTokens.filter(t => !IGNORED_WORDS.has(t));
-  const importantStems = importantTokens.map(t => stemmer.stem(t));
-
-  for (const rule of cachedScript.rules) {
-    const matchFound = rule.keywords.some(keyword => {
-      const keywordLower = keyword.toLowerCase();
-
-      // Phrase match
-      if (keywordLower.includes(' ')) return inputLower.includes(keywordLower);
-      if (IGNORED_WORDS.has(keywordLower)) return false;
-
-      // Stem match
-      const keywordStem = stemmer.stem(keywordLower);
-      if (importantStems.includes(keywordStem)) return true;
-
-      // Fuzzy Match (Handle typos, but only for longer words)
-      // Jaro-Winkler scores 0-1 based on character similarity and position
-      // Example: "stoic" vs "stoick" = 0.97 (match), "stoic" vs "happy" = 0.4 (no match)
-      // MIN_FUZZY_LENGTH prevents false positives on short words like "is" vs "it"
-      if (keywordLower.length >= MIN_FUZZY_LENGTH) {
-        return importantTokens.some(token => {
-          // Check length
-          if (token.length < MIN_FUZZY_LENGTH) return false;
-          const similarity = natural.JaroWinklerDistance(token, keywordLower);
-          return similarity >= FUZZY_THRESHOLD;
-        });
-      }
-      return false;
-    });
+/**
+ * @function matchSemanticRule
+ * @description Finds the rule whose keywords or example utterances are closest in meaning to the input.
+ * @param {string} input - User message.
+ * @param {number} threshold - Minimum cosine similarity (0-1).
+ * @param {object} context - Optional conversation context ({ history, language, aggregation, persona }).
+ * @returns {Promise<object|null>} { response, responseId, ruleId, matchedKeyword, matchType, score, slots, dialogueState, language } or null if nothing is similar enough.
+ */
+export async function matchSemanticRule(input, threshold = DEFAULT_SEMANTIC_THRESHOLD, { history = [], language, aggregation, persona = DEFAULT_PERSONA_ID } = {}) {
+  const script = await prepareSemanticEngine(persona);
+  if (!script) return null;
+  const baseLanguage = getBaseLanguage(script);
+  language = language || baseLanguage;
 
-    // Matches
-    if (matchFound) {
-      console.log(`⚡ [Logic Engine] Keyword Match: ${rule.id}`);
-      return robustRandomSelect(rule.response_pool);
-    }
+  const semanticMatch = await findSemanticMatch(input, threshold, { scope: persona, language, aggregation });
+  if (!semanticMatch) return null;
+
+  const baseRule = script.rules.find(r => r.id === semanticMatch.ruleId);
+  const rule = baseRule && localizeRule(baseRule, language, baseLanguage);
+  if (!rule || !rule.response_pool) return null;
+
+  // Exclusions and conditions apply to paraphrases too
+  const state = buildConversationState(history);
+  if (!ruleApplies(rule, tokenizeInput(input, language), state)) return null;
+
+  const selected = selectResponse(rule.response_pool, poolIdFor(rule.id, language, baseLanguage), state.usedResponses);
+  return {
+    response: withFollowUpPrompt(selected?.response, localize(rule.follow_up, language, baseLanguage)),
+    responseId: selected?.responseId,
+    ruleId: rule.id,
+    matchedKeyword: semanticMatch.matchedKeyword,
+    matchType: semanticMatch.matchedBy,
+    score: semanticMatch.similarity,
+    slots: captureSlots(rule, input),
+    dialogueState: startDialogue(rule),
+    language
+  };
+}
+
+/**
+ * @function rankSemanticRules
+ * @description Lists the rules closest in meaning to a message, however weak the match.
+ * Used to suggest new example utterances from messages no rule answered.
+ * @param {string} input - User message.
+ * @param {object} options - Optional settings ({ language, aggregation, limit, persona }).
+ * @returns {Promise<Array<object>>} [{ ruleId, similarity, matchedText, matchedBy }] best first.
+ */
+export async function rankSemanticRules(input, { language, aggregation, limit = 3, persona = DEFAULT_PERSONA_ID } = {}) {
+  const script = await prepareSemanticEngine(persona);
+  if (!script) return [];
+  return rankSemanticMatches(input, { scope: persona, language: language || getBaseLanguage(script), aggregation, limit });
+}
+
+/**
+ * @function matchFollowUp
+ * @description Interprets the visitor's answer to a pending follow-up question.
+ * The best-matching option fills the follow-up's slot and replies (possibly asking the next question).
+ * An unrecognized answer is asked again from unmatched_pool until max_attempts is used up.
+ * @param {string} input - User message.
+ * @param {object} dialogueState - The conversation's pending state ({ ruleId, path, attempts }).
+ * @param {object} context - Optional conversation context ({ history, language, persona }).
+ * @returns {Promise<object|null>} { answered, response, responseId, ruleId, matchedKeyword, slots, dialogueState },
+ * or null if the flow is over (the message then goes through the normal stages).
+ */
+export async function matchFollowUp(input, dialogueState, { history = [], language, persona = DEFAULT_PERSONA_ID } = {}) {
+  const script = await getScript(persona);
+  if (!dialogueState || !script?.rules) return null;
+  const baseLanguage = getBaseLanguage(script);
+  language = language || baseLanguage;
+
+  const rule = script.rules.find(r => r.id === dialogueState.ruleId);
+  const path = dialogueState.path || [];
+  const followUp = localize(resolveFollowUp(rule, path), language, baseLanguage);
+  if (!followUp) return null;
+
+  const { usedResponses } = buildConversationState(history);
+
+  // Options are scored like rules, so a phrase beats a bare word and negated words don't count
+  const tokenized = tokenizeInput(input, language);
+  let best = null;
+  for (const option of (followUp.options || []).map(o => localize(o, language, baseLanguage))) {
+    const result = scoreRule({ keywords: option.keywords || [] }, tokenized);
+    if (result && (!best || result.specificity > best.specificity)) best = { option, ...result };
+  }
+
+  if (best) {
+    const { option } = best;
+    console.log(`⚡ [Logic Engine] Follow-up answered: ${rule.id} ${followUp.slot}=${option.value}`);
+    const selected = selectResponse(option.response_pool, poolIdFor([rule.id, ...path, option.value].join('/'), language, baseLanguage), usedResponses);
+    return {
+      answered: true,
+      response: withFollowUpPrompt(selected?.response, localize(option.follow_up, language, baseLanguage)),
+      responseId: selected?.responseId,
+      ruleId: rule.id,
+      matchedKeyword: best.matchedKeyword,
+      slots: followUp.slot ? { [followUp.slot]: option.value } : {},
+      dialogueState: startDialogue(rule, [...path, option.value], option.follow_up || null)
+    };
+  }
+
+  const attempts = dialogueState.attempts || 0;
+  if (followUp.unmatched_pool?.length && attempts < (followUp.max_attempts ?? 1)) {
+    const selected = selectResponse(followUp.unmatched_pool, poolIdFor(`${[rule.id, ...path].join('/')}:unmatched`, language, baseLanguage), usedResponses);
+    return {
+      answered: false,
+      response: selected?.response,
+      responseId: selected?.responseId,
+      ruleId: rule.id,
+      slots: {},
+      dialogueState: { ruleId: rule.id, path, attempts: attempts + 1, startedAt: dialogueState.startedAt }
+    };
   }
+
   return null;
 }
 
+/**
+ * @function checkSemanticResponse
+ * @description Semantic-only lookup returning just the response text.
+ * @param {string} input - User message.
+ * @param {number} threshold - Minimum cosine similarity (0-1).
+ * @returns {Promise<string|null>} The scripted response or null if nothing is similar enough.
+ */
+export async function checkSemanticResponse(input, threshold = DEFAULT_SEMANTIC_THRESHOLD) {
+  const match = await matchSemanticRule(input, threshold);
+  return match ? renderResponse(match.response, { slots: match.slots, matchedKeyword: match.matchedKeyword }) : null;
+}
+
 /**
  * HYBRID APPROACH: Try multiple methods to find best response
  * @param {string} input - User message
@@ -127,7 +795,7 @@ export async function checkScriptedResponse(input) {
 export async function getHybridResponse(input) {
   // STEP 1: Try exact keyword matching (fastest)
   // This catches common queries like "hello" or "what is stoicism" in <5ms
-  const keywordMatch = checkScriptedResponse(input);
+  const keywordMatch = await checkScriptedResponse(input);
   if (keywordMatch) {
     return keywordMatch;
   }
@@ -136,22 +804,53 @@ export async function getHybridResponse(input) {
   // This catches paraphrased queries like "tell me about staying calm" → "stoic mindset"
   // Takes ~20ms but understands intent, not just keywords
   try {
-    const semanticMatch = await findSemanticMatch(input, 0.65); // 65% similarity threshold
-    if (semanticMatch) {
-      const rule = cachedScript.rules.find(r => r.id === semanticMatch.ruleId);
-      if (rule && rule.response_pool) {
-        return robustRandomSelect(rule.response_pool);
-      }
-    }
+    return await checkSemanticResponse(input);
   } catch (error) {
     console.error('[Logic Engine] Semantic matching failed:', error);
   }
 
-  // No match found, return null (will trigger LLM in server.js)
+  // No match found, return null (will trigger the LLM stage)
   return null;
 }
 
+/**
+ * @function renderResponse
+ * @description Fills a scripted response's template variables ({{visitor_name}}, {{time_of_day}},
+ * {{opening_hours}}, {{exhibits.<name>}}, {{matched_keyword}}, ...) at reply time.
+ * @param {string} text - Selected response text.
+ * @param {object} context - { slots, matchedKeyword, language } for this reply.
+ * @returns {string} The rendered response.
+ */
+export function renderResponse(text, context = {}) {
+  return renderTemplate(text, buildTemplateVariables(context));
+}
+
+/**
+ * @function selectFallback
+ * @description Picks a general reflection the visitor has not heard recently.
+ * Translated reflections are used when the script has them for the language.
+ * Uses the persona's script as already loaded (the earlier stages load it).
+ * @param {object} context - Optional conversation context ({ history, language, persona }).
+ * @returns {{ response: string, responseId: string|null }} The reply and its id.
+ */
+export function selectFallback({ history = [], language, persona = DEFAULT_PERSONA_ID } = {}) {
+  const script = cachedScripts.get(persona);
+  const baseLanguage = getBaseLanguage(script);
+  language = language || baseLanguage;
+
+  const translated = script?.translations?.[language]?.general_responses;
+  const pool = translated?.length ? translated : script?.general_responses;
+  const selected = pool?.length
+    ? selectResponse(pool, poolIdFor('general', translated?.length ? language : baseLanguage, baseLanguage), buildConversationState(history).usedResponses)
+    : null;
+  return selected || { response: "The mind must remain firm.", responseId: null };
+}
+
+/**
+ * @function getFallback
+ * @description General reflection without conversation context.
+ * @returns {string} The reply text.
+ */
 export function getFallback() {
-  if (!cachedScript || !cachedScript.general_responses) return "The mind must remain firm.";
-  return robustRandomSelect(cachedScript.general_responses);
-}
\ No newline at end of file
+  return selectFallback().response;
+}
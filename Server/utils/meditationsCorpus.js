@@ -0,0 +1,242 @@
+/**
+ * @file utils/meditationsCorpus.js
+ * @description Local text of the Meditations, used to ground LLM replies in what Marcus actually wrote.
+ * Sections are split into passages of a few sentences, embedded with the semantic engine's model
+ * (vectors are kept in the embedding store like keyword embeddings) and searched through a vector index.
+ * MEDITATIONS_CORPUS_FILE points at the corpus (default data/meditations.json). The file is not bundled:
+ * npm install builds it from the Project Gutenberg text (scripts/importMeditations.js). If that failed, e.g.
+ * offline, the corpus is empty and getCorpusError explains how to import it.
+ * @author Group 1
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { ensureSemanticEngine, embedTextsCached, getEmbedding, createEmbeddingIndex } from './semanticEngine.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CORPUS_FILE = path.join(__dirname, '..', 'data', 'meditations.json');
+
+// Long sections are split so a retrieved passage fits comfortably in the prompt
+const MAX_PASSAGE_WORDS = 120;
+const IMPORT_COMMAND = 'npm run import-meditations';
+const ROMAN_NUMERALS = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+
+let corpus = null;
+let passageIndex = null;
+let preparePromise = null;
+
+/**
+ * @function toRoman
+ * @description Roman numeral for a book number (the Meditations has twelve books).
+ * @param {number} number - Positive integer.
+ * @returns {string} Roman numeral.
+ */
+function toRoman(number) {
+  let remaining = number;
+  let numeral = '';
+  for (const [value, symbol] of ROMAN_NUMERALS) {
+    while (remaining >= value) {
+      numeral += symbol;
+      remaining -= value;
+    }
+  }
+  return numeral;
+}
+
+// "I" to "XII", for reading citations back
+const BOOK_NUMERALS = Array.from({ length: 12 }, (_, index) => toRoman(index + 1));
+
+/**
+ * @function formatReference
+ * @description Conventional citation for a section ("IV.49" is Book 4, section 49).
+ * @param {{ book: number, section: number }} location - Book and section numbers.
+ * @returns {string} The reference.
+ */
+export function formatReference({ book, section }) {
+  return `${toRoman(book)}.${section}`;
+}
+
+/**
+ * @function parseReference
+ * @description Reads a citation such as "IV.49", "4.49" or "Book 4, 49".
+ * @param {string} reference - Citation text.
+ * @returns {{ book: number, section: number }|null} Book and section numbers, or null if unreadable.
+ */
+export function parseReference(reference) {
+  const match = String(reference || '').trim().toUpperCase().match(/^(?:BOOK\s+)?([IVX]+|\d+)\s*[.,:]\s*(\d+)$/);
+  if (!match) return null;
+
+  const book = /^\d+$/.test(match[1]) ? Number(match[1]) : BOOK_NUMERALS.indexOf(match[1]) + 1;
+  const section = Number(match[2]);
+  return book >= 1 && book <= 12 && section >= 1 ? { book, section } : null;
+}
+
+/**
+ * @function splitIntoPassages
+ * @description Splits a section into passages of whole sentences, at most MAX_PASSAGE_WORDS long.
+ * @param {{ book: number, section: number, text: string }} section - One numbered section.
+ * @returns {Array<object>} Passages ({ id, book, section, reference, text }).
+ */
+function splitIntoPassages({ book, section, text }) {
+  const reference = formatReference({ book, section });
+  const sentences = text.replace(/\s+/g, ' ').trim().match(/[^.!?]+[.!?]+["'”’)]*\s*|[^.!?]+$/g) || [];
+
+  const chunks = [];
+  let current = [];
+  let words = 0;
+  for (const sentence of sentences) {
+    const length = sentence.split(/\s+/).filter(Boolean).length;
+    if (current.length > 0 && words + length > MAX_PASSAGE_WORDS) {
+      chunks.push(current.join('').trim());
+      current = [];
+      words = 0;
+    }
+    current.push(sentence);
+    words += length;
+  }
+  if (current.length > 0) chunks.push(current.join('').trim());
+
+  return chunks.map((chunk, part) => ({
+    id: chunks.length > 1 ? `${reference}#${part + 1}` : reference,
+    book,
+    section,
+    reference,
+    text: chunk
+  }));
+}
+
+/**
+ * @function loadCorpus
+ * @description Reads the corpus file and splits it into passages.
+ * A missing, unreadable or empty file leaves an empty corpus with an error saying how to import the text.
+ * @returns {object} { title, translator, source, sections, passages, error }.
+ */
+export function loadCorpus() {
+  const file = process.env.MEDITATIONS_CORPUS_FILE
+    ? path.resolve(process.env.MEDITATIONS_CORPUS_FILE)
+    : DEFAULT_CORPUS_FILE;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const sections = (data.sections || []).filter(section => section.book && section.section && section.text);
+    if (sections.length === 0) throw new Error(`${file} has no sections`);
+
+    corpus = { ...data, sections, passages: sections.flatMap(splitIntoPassages), error: null };
+    console.log(`[Corpus] Loaded ${sections.length} sections of the Meditations (${corpus.passages.length} passages).`);
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? `${file} does not exist` : error.message;
+    corpus = {
+      sections: [],
+      passages: [],
+      error: `The Meditations have not been imported. Run \`${IMPORT_COMMAND}\` in Server/.`
+    };
+    console.error(`[Corpus] ${corpus.error} (${reason}) Replies will not be grounded and quotations cannot be checked.`);
+  }
+
+  passageIndex = null;
+  preparePromise = null;
+  return corpus;
+}
+
+/**
+ * @function getCorpus
+ * @description The loaded corpus (read on first use).
+ * @returns {object} { title, translator, source, sections, passages, error }.
+ */
+export function getCorpus() {
+  return corpus || loadCorpus();
+}
+
+/**
+ * @function getCorpusError
+ * @description Why the corpus is empty, if it is.
+ * @returns {string|null} The error (with the import command), or null once the text is loaded.
+ */
+export function getCorpusError() {
+  return getCorpus().error;
+}
+
+/**
+ * @function findSection
+ * @description Looks up one numbered section.
+ * @param {{ book: number, section: number }} location - Book and section numbers.
+ * @returns {object|null} { book, section, reference, text }, or null if the corpus does not contain it.
+ */
+export function findSection({ book, section }) {
+  const found = getCorpus().sections.find(entry => entry.book === book && entry.section === section);
+  return found ? { book, section, reference: formatReference(found), text: found.text } : null;
+}
+
+/**
+ * @function prepareCorpus
+ * @description Embeds every passage and builds the passage index (once; concurrent callers share the work).
+ * Loads the embedding model first if needed. A failure can be retried by the next call.
+ * @returns {Promise<void>}
+ */
+export async function prepareCorpus() {
+  if (passageIndex) return;
+
+  if (!preparePromise) {
+    preparePromise = (async () => {
+      await ensureSemanticEngine();
+      const { passages } = getCorpus();
+      const vectors = await embedTextsCached(passages.map(passage => passage.text), 'Meditations passage');
+
+      const index = createEmbeddingIndex();
+      for (const passage of passages) {
+        if (vectors.has(passage.text)) index.add(passage.id, vectors.get(passage.text), passage);
+      }
+      passageIndex = index;
+    })().catch((error) => {
+      preparePromise = null;
+      throw error;
+    });
+  }
+
+  await preparePromise;
+}
+
+/**
+ * @function retrievePassages
+ * @description Finds the passages closest in meaning to a question.
+ * @param {string} question - The visitor's message.
+ * @param {object} options - Optional settings.
+ * @param {number} options.limit - Most passages returned (default 3).
+ * @param {number} options.minSimilarity - Weakest cosine similarity kept (default 0.35).
+ * @returns {Promise<Array<object>>} Passages ({ id, book, section, reference, text, similarity }), best first.
+ */
+export async function retrievePassages(question, { limit = 3, minSimilarity = 0.35 } = {}) {
+  if (!question || !question.trim() || limit <= 0) return [];
+
+  await prepareCorpus();
+  if (passageIndex.size === 0) return [];
+
+  const vector = await getEmbedding(question);
+  if (!vector) return [];
+
+  return passageIndex.search(vector, limit)
+    .filter(hit => hit.score >= minSimilarity)
+    .map(({ score, payload }) => ({ ...payload, similarity: score }));
+}
+
+/**
+ * @function findCitedPassages
+ * @description Picks the passages a reply cites by reference (e.g. "(Meditations IV.49)").
+ * @param {string} reply - Generated text.
+ * @param {Array<object>} passages - Passages given to the model.
+ * @returns {Array<object>} The cited passages, one per section.
+ */
+export function findCitedPassages(reply, passages = []) {
+  const cited = new Map();
+  for (const passage of passages) {
+    if (cited.has(passage.reference)) continue;
+    // "II.1" must not match inside "XII.1" or "II.10"
+    const pattern = new RegExp(`(?<![IVXLC])${passage.reference.replace('.', '\\.')}(?!\\d)`);
+    if (pattern.test(reply || '')) cited.set(passage.reference, passage);
+  }
+  return [...cited.values()];
+}
@@ -0,0 +1,22 @@
+/**
+ * @file utils/personas.js
+ * @description Identifiers of the historical figures visitors can talk to.
+ * Each persona owns a versioned script (Script.configId is the persona id) and its conversations.
+ * @author Group 1
+ */
+
+export const DEFAULT_PERSONA_ID = 'marcus_aurelius';
+export const DEFAULT_PERSONA_NAME = 'Marcus Aurelius';
+
+// Script documents saved before there were several personas belong to Marcus Aurelius
+export const LEGACY_CONFIG_ID = 'main_config';
+
+/**
+ * @function isValidPersonaId
+ * @description Whether a string can name a persona (lowercase letters, digits and underscores, like rule ids).
+ * @param {string} personaId - Candidate id.
+ * @returns {boolean} True if valid.
+ */
+export function isValidPersonaId(personaId) {
+  return typeof personaId === 'string' && /^[a-z0-9_]{1,40}$/.test(personaId);
+}
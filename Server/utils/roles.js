@@ -0,0 +1,31 @@
+/**
+ * @file utils/roles.js
+ * @description Account roles, from least to most privileged. Each role can do everything the ones before it can:
+ * visitors chat, curators also edit scripts and review transcripts and usage, admins also manage accounts.
+ * @author Group 1
+ */
+
+export const ROLES = ['visitor', 'curator', 'admin'];
+
+export const DEFAULT_ROLE = 'visitor';
+
+/**
+ * @function isValidRole
+ * @description Whether a string names a role.
+ * @param {string} role - Candidate role.
+ * @returns {boolean} True if valid.
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * @function hasRole
+ * @description Whether a role grants at least the privileges of another.
+ * @param {string} role - The account's role (unknown roles count as visitor).
+ * @param {string} minimum - Role required.
+ * @returns {boolean} True if allowed.
+ */
+export function hasRole(role, minimum) {
+  return ROLES.indexOf(isValidRole(role) ? role : DEFAULT_ROLE) >= ROLES.indexOf(minimum);
+}
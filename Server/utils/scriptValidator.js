@@ -0,0 +1,452 @@
+/**
+ * @file utils/scriptValidator.js
+ * @description Validation for script rules, response pools and the persona before they are saved.
+ * Each validator returns a list of human-readable problems (empty when valid).
+ * @author Group 1
+ */
+
+import { isSupportedLanguage, getSupportedLanguages } from './languages.js';
+
+// Fields each kind of translation may override
+const RULE_TRANSLATION_FIELDS = ['keywords', 'exclude_keywords', 'required_keywords', 'examples', 'response_pool'];
+const SEMANTIC_AGGREGATIONS = ['max', 'centroid'];
+const FOLLOW_UP_TRANSLATION_FIELDS = ['prompt', 'unmatched_pool'];
+const OPTION_TRANSLATION_FIELDS = ['keywords', 'response_pool'];
+const SCRIPT_TRANSLATION_FIELDS = ['general_responses'];
+
+const PERSONA_FIELDS = [
+  'name', 'biography', 'speaking_style', 'forbidden_topics', 'knowledge_cutoff', 'few_shot_examples', 'generation',
+  // Shown to visitors (persona picker, chat header, guide) rather than sent to the model
+  'title', 'lifespan', 'portrait', 'summary', 'principles', 'suggested_prompts'
+];
+// Most suggested prompts offered to visitors per persona
+const MAX_SUGGESTED_PROMPTS = 6;
+// Accepted range of each LLM generation parameter
+const GENERATION_LIMITS = { temperature: [0, 2], top_p: [0, 1], max_tokens: [1, 4000] };
+
+/**
+ * @function validateResponsePool
+ * @description Checks a response pool: non-empty, text in every entry, sane probabilities.
+ * Probabilities do not need to sum to 1 (the logic engine normalizes them), but at least one must be positive.
+ * @param {Array} pool - Array of { probability, response }.
+ * @param {string} label - Where the pool lives (for error messages).
+ * @returns {Array<string>} Validation errors.
+ */
+export function validateResponsePool(pool, label) {
+  if (!Array.isArray(pool) || pool.length === 0) {
+    return [`${label}: response pool must contain at least one response.`];
+  }
+
+  const errors = [];
+  let totalWeight = 0;
+
+  pool.forEach((option, index) => {
+    if (!option || typeof option.response !== 'string' || !option.response.trim()) {
+      errors.push(`${label}: response #${index + 1} is empty.`);
+    }
+
+    const probability = option?.probability;
+    if (typeof probability !== 'number' || !Number.isFinite(probability) || probability < 0 || probability > 1) {
+      errors.push(`${label}: response #${index + 1} needs a probability between 0 and 1.`);
+    } else {
+      totalWeight += probability;
+    }
+  });
+
+  if (errors.length === 0 && totalWeight <= 0) {
+    errors.push(`${label}: at least one response must have a probability above 0.`);
+  }
+
+  return errors;
+}
+
+/**
+ * @function validateTranslations
+ * @description Checks a translations map ({ <language>: { ...overrides } }).
+ * @param {object} translations - Translations by language code.
+ * @param {string} label - Where the translations live (for error messages).
+ * @param {Array<string>} allowedFields - Fields a translation may override.
+ * @param {Function} validateEntry - (entry, label) => errors for one language's overrides.
+ * @returns {Array<string>} Validation errors.
+ */
+function validateTranslations(translations, label, allowedFields, validateEntry) {
+  if (typeof translations !== 'object' || Array.isArray(translations)) {
+    return [`${label}: translations must map language codes to overrides.`];
+  }
+
+  const errors = [];
+  for (const [language, entry] of Object.entries(translations)) {
+    const entryLabel = `${label} [${language}]`;
+
+    if (!isSupportedLanguage(language)) {
+      const supported = getSupportedLanguages().map(({ code }) => code).join(', ');
+      errors.push(`${entryLabel}: unsupported language (supported: ${supported}).`);
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${entryLabel}: translation must be an object.`);
+      continue;
+    }
+
+    const unknown = Object.keys(entry).filter(field => !allowedFields.includes(field));
+    if (unknown.length > 0) errors.push(`${entryLabel}: cannot translate ${unknown.join(', ')}.`);
+
+    errors.push(...validateEntry(entry, entryLabel));
+  }
+  return errors;
+}
+
+/**
+ * @function validateTranslatedKeywords
+ * @description Checks a translation's keyword lists: keywords are required, guards are optional.
+ * @param {object} entry - One language's overrides.
+ * @param {string} label - Where the translation lives (for error messages).
+ * @returns {Array<string>} Validation errors.
+ */
+function validateTranslatedKeywords(entry, label) {
+  const errors = [];
+  const isTermList = terms => Array.isArray(terms) && terms.every(term => typeof term === 'string' && term.trim());
+
+  if (!isTermList(entry.keywords) || entry.keywords.length === 0) {
+    errors.push(`${label}: keywords must be a non-empty list of strings.`);
+  }
+  for (const field of ['exclude_keywords', 'required_keywords']) {
+    if (entry[field] !== undefined && !isTermList(entry[field])) errors.push(`${label}: ${field} must be a list of non-empty strings.`);
+  }
+  if (entry.examples !== undefined) errors.push(...validateExamples(entry.examples, label));
+  return errors;
+}
+
+/**
+ * @function validateExamples
+ * @description Checks a list of example utterances ("where can I find the toilets?").
+ * @param {Array} examples - Example visitor messages.
+ * @param {string} label - Where the examples live (for error messages).
+ * @returns {Array<string>} Validation errors.
+ */
+function validateExamples(examples, label) {
+  if (!Array.isArray(examples)) return [`${label}: examples must be a list of sentences.`];
+
+  const errors = [];
+  const seen = new Set();
+  for (const example of examples) {
+    if (typeof example !== 'string' || !example.trim()) {
+      errors.push(`${label}: examples must be non-empty strings.`);
+      continue;
+    }
+    const normalized = example.toLowerCase().trim();
+    if (seen.has(normalized)) errors.push(`${label}: duplicate example "${example}".`);
+    seen.add(normalized);
+  }
+  return errors;
+}
+
+/**
+ * @function validateFollowUp
+ * @description Checks a follow-up question and, recursively, the follow-ups of its options.
+ * @param {object} followUp - { slot, prompt, options, unmatched_pool, max_attempts }.
+ * @param {string} label - Where the follow-up lives (for error messages).
+ * @returns {Array<string>} Validation errors.
+ */
+export function validateFollowUp(followUp, label) {
+  if (typeof followUp !== 'object' || Array.isArray(followUp)) return [`${label}: follow_up must be an object.`];
+
+  const errors = [];
+
+  if (followUp.slot !== undefined && (typeof followUp.slot !== 'string' || !/^[a-z0-9_]+$/.test(followUp.slot))) {
+    errors.push(`${label}: slot must be lowercase letters, digits and underscores.`);
+  }
+  if (typeof followUp.prompt !== 'string' || !followUp.prompt.trim()) {
+    errors.push(`${label}: prompt (the question to ask) is required.`);
+  }
+  if (followUp.max_attempts !== undefined && (!Number.isInteger(followUp.max_attempts) || followUp.max_attempts < 0)) {
+    errors.push(`${label}: max_attempts must be a whole number of 0 or more.`);
+  }
+  if (followUp.unmatched_pool !== undefined) {
+    errors.push(...validateResponsePool(followUp.unmatched_pool, `${label} unmatched_pool`));
+  }
+
+  if (!Array.isArray(followUp.options) || followUp.options.length === 0) {
+    errors.push(`${label}: at least one option is required.`);
+    return errors;
+  }
+
+  const values = new Set();
+  followUp.options.forEach((option, index) => {
+    const optionLabel = `${label} option "${option?.value || `#${index + 1}`}"`;
+
+    if (typeof option?.value !== 'string' || !option.value.trim()) {
+      errors.push(`${optionLabel}: value is required.`);
+    } else if (values.has(option.value)) {
+      errors.push(`${optionLabel}: value is used by another option.`);
+    }
+    values.add(option?.value);
+
+    if (!Array.isArray(option?.keywords) || option.keywords.length === 0 || option.keywords.some(k => typeof k !== 'string' || !k.trim())) {
+      errors.push(`${optionLabel}: keywords must be a non-empty list of strings.`);
+    }
+
+    errors.push(...validateResponsePool(option?.response_pool, optionLabel));
+    if (option?.follow_up) errors.push(...validateFollowUp(option.follow_up, `${optionLabel} follow_up`));
+
+    if (option?.translations) {
+      errors.push(...validateTranslations(option.translations, optionLabel, OPTION_TRANSLATION_FIELDS, (entry, entryLabel) => [
+        ...validateTranslatedKeywords(entry, entryLabel),
+        ...validateResponsePool(entry.response_pool, entryLabel)
+      ]));
+    }
+  });
+
+  if (followUp.translations) {
+    errors.push(...validateTranslations(followUp.translations, label, FOLLOW_UP_TRANSLATION_FIELDS, (entry, entryLabel) => {
+      const entryErrors = [];
+      if (typeof entry.prompt !== 'string' || !entry.prompt.trim()) entryErrors.push(`${entryLabel}: prompt is required.`);
+      if (entry.unmatched_pool !== undefined) entryErrors.push(...validateResponsePool(entry.unmatched_pool, `${entryLabel} unmatched_pool`));
+      return entryErrors;
+    }));
+  }
+
+  return errors;
+}
+
+/**
+ * @function validateRule
+ * @description Checks a single rule's shape: id, keywords, guards, examples, follow-ups, translations and response pool.
+ * @param {object} rule - { id, priority, keywords, response_pool }.
+ * @returns {Array<string>} Validation errors.
+ */
+export function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return ['Rule must be an object.'];
+
+  const label = `Rule "${rule.id || '?'}"`;
+  const errors = [];
+
+  if (typeof rule.id !== 'string' || !/^[a-z0-9_]+$/.test(rule.id)) {
+    errors.push(`${label}: id must be lowercase letters, digits and underscores.`);
+  }
+
+  if (rule.priority !== undefined && (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority))) {
+    errors.push(`${label}: priority must be a number.`);
+  }
+
+  if (!Array.isArray(rule.keywords) || rule.keywords.length === 0) {
+    errors.push(`${label}: at least one keyword is required.`);
+  } else {
+    const seen = new Set();
+    for (const keyword of rule.keywords) {
+      if (typeof keyword !== 'string' || !keyword.trim()) {
+        errors.push(`${label}: keywords must be non-empty strings.`);
+        continue;
+      }
+      const normalized = keyword.toLowerCase().trim();
+      if (seen.has(normalized)) errors.push(`${label}: duplicate keyword "${keyword}".`);
+      seen.add(normalized);
+    }
+  }
+
+  for (const field of ['exclude_keywords', 'required_keywords']) {
+    const terms = rule[field];
+    if (terms !== undefined && (!Array.isArray(terms) || terms.some(term => typeof term !== 'string' || !term.trim()))) {
+      errors.push(`${label}: ${field} must be a list of non-empty strings.`);
+    }
+  }
+
+  if (rule.examples !== undefined && rule.examples !== null) errors.push(...validateExamples(rule.examples, label));
+  if (rule.semantic_aggregation !== undefined && rule.semantic_aggregation !== null && !SEMANTIC_AGGREGATIONS.includes(rule.semantic_aggregation)) {
+    errors.push(`${label}: semantic_aggregation must be one of ${SEMANTIC_AGGREGATIONS.join(', ')}.`);
+  }
+
+  const conditions = rule.conditions;
+  if (conditions !== undefined && conditions !== null) {
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+      errors.push(`${label}: conditions must be an object.`);
+    } else if (conditions.after_rules !== undefined && (!Array.isArray(conditions.after_rules) || conditions.after_rules.some(id => typeof id !== 'string'))) {
+      errors.push(`${label}: conditions.after_rules must be a list of rule ids.`);
+    }
+  }
+
+  const captures = rule.captures;
+  if (captures !== undefined && captures !== null) {
+    if (typeof captures !== 'object' || Array.isArray(captures)) {
+      errors.push(`${label}: captures must map slot names to patterns.`);
+    } else {
+      for (const [slot, pattern] of Object.entries(captures)) {
+        if (!/^[a-z0-9_]+$/.test(slot)) errors.push(`${label}: capture slot "${slot}" must be lowercase letters, digits and underscores.`);
+        try {
+          // Matching "" against "<pattern>|" always succeeds and reveals the number of groups
+          if (typeof pattern !== 'string' || new RegExp(`${pattern}|`).exec('').length < 2) {
+            errors.push(`${label}: capture "${slot}" needs a pattern with a (group) for the value.`);
+          }
+        } catch {
+          errors.push(`${label}: capture "${slot}" is not a valid regular expression.`);
+        }
+      }
+    }
+  }
+
+  if (rule.follow_up !== undefined && rule.follow_up !== null) {
+    errors.push(...validateFollowUp(rule.follow_up, `${label} follow_up`));
+  }
+
+  if (rule.translations !== undefined && rule.translations !== null) {
+    errors.push(...validateTranslations(rule.translations, label, RULE_TRANSLATION_FIELDS, (entry, entryLabel) => [
+      ...validateTranslatedKeywords(entry, entryLabel),
+      ...validateResponsePool(entry.response_pool, entryLabel)
+    ]));
+  }
+
+  return errors.concat(validateResponsePool(rule.response_pool, label));
+}
+
+/**
+ * @function validateRules
+ * @description Validates every rule plus cross-rule constraints.
+ * Duplicate ids are errors. A keyword shared by two rules is only a warning: priority, specificity
+ * and then rule order decide the winner (see findKeywordOverlaps for the full report).
+ * List fields of the wrong type are reported by validateRule and skipped by the cross-rule checks.
+ * @param {Array} rules - The full rule list.
+ * @returns {{ errors: Array<string>, warnings: Array<string> }} Validation result.
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) return { errors: ['Rules must be a list of rules.'], warnings: [] };
+
+  const errors = [];
+  const warnings = [];
+  const ids = new Set();
+  const keywordOwners = new Map();
+
+  for (const rule of rules) {
+    errors.push(...validateRule(rule));
+
+    if (ids.has(rule?.id)) errors.push(`Rule "${rule.id}": id is already in use.`);
+    ids.add(rule?.id);
+
+    for (const keyword of Array.isArray(rule?.keywords) ? rule.keywords : []) {
+      if (typeof keyword !== 'string') continue;
+      const normalized = keyword.toLowerCase().trim();
+      const owner = keywordOwners.get(normalized);
+      if (owner && owner !== rule.id) {
+        warnings.push(`Rule "${rule.id}": keyword "${keyword}" is also used by rule "${owner}".`);
+      } else {
+        keywordOwners.set(normalized, rule.id);
+      }
+    }
+  }
+
+  // Conditions pointing at rules that do not exist can never be met
+  for (const rule of rules) {
+    const afterRules = rule?.conditions?.after_rules;
+    for (const ruleId of Array.isArray(afterRules) ? afterRules : []) {
+      if (!ids.has(ruleId)) warnings.push(`Rule "${rule.id}": condition refers to unknown rule "${ruleId}".`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * @function validatePersona
+ * @description Checks a persona definition: a name, optional prompt text, few-shot examples, generation parameters
+ * and the profile shown to visitors.
+ * @param {object} persona - { name, biography, speaking_style, forbidden_topics, knowledge_cutoff, few_shot_examples, generation,
+ * title, lifespan, portrait, summary, principles, suggested_prompts }.
+ * @returns {Array<string>} Validation errors.
+ */
+export function validatePersona(persona) {
+  if (!persona || typeof persona !== 'object' || Array.isArray(persona)) return ['Persona must be an object.'];
+
+  const errors = [];
+  const unknown = Object.keys(persona).filter(field => !PERSONA_FIELDS.includes(field));
+  if (unknown.length > 0) errors.push(`Persona: unknown fields ${unknown.join(', ')}.`);
+
+  if (typeof persona.name !== 'string' || !persona.name.trim()) errors.push('Persona: name is required.');
+  for (const field of ['biography', 'speaking_style', 'knowledge_cutoff', 'title', 'lifespan', 'portrait', 'summary']) {
+    if (persona[field] !== undefined && persona[field] !== null && typeof persona[field] !== 'string') {
+      errors.push(`Persona: ${field} must be text.`);
+    }
+  }
+
+  const topics = persona.forbidden_topics;
+  if (topics !== undefined && topics !== null && (!Array.isArray(topics) || topics.some(topic => typeof topic !== 'string' || !topic.trim()))) {
+    errors.push('Persona: forbidden_topics must be a list of non-empty strings.');
+  }
+
+  if (typeof persona.portrait === 'string' && persona.portrait.trim() && !/^(\/|https?:\/\/)/.test(persona.portrait.trim())) {
+    errors.push('Persona: portrait must be a path (starting with /) or an http(s) URL.');
+  }
+
+  const prompts = persona.suggested_prompts;
+  if (prompts !== undefined && prompts !== null) {
+    if (!Array.isArray(prompts) || prompts.some(prompt => typeof prompt !== 'string' || !prompt.trim())) {
+      errors.push('Persona: suggested_prompts must be a list of non-empty strings.');
+    } else if (prompts.length > MAX_SUGGESTED_PROMPTS) {
+      errors.push(`Persona: at most ${MAX_SUGGESTED_PROMPTS} suggested_prompts.`);
+    }
+  }
+
+  const principles = persona.principles;
+  if (principles !== undefined && principles !== null) {
+    if (!Array.isArray(principles)) {
+      errors.push('Persona: principles must be a list of { name, description } entries.');
+    } else {
+      principles.forEach((principle, index) => {
+        if (!principle || typeof principle.name !== 'string' || !principle.name.trim() || typeof principle.description !== 'string' || !principle.description.trim()) {
+          errors.push(`Persona: principle #${index + 1} needs both a name and a description.`);
+        }
+      });
+    }
+  }
+
+  const examples = persona.few_shot_examples;
+  if (examples !== undefined && examples !== null) {
+    if (!Array.isArray(examples)) {
+      errors.push('Persona: few_shot_examples must be a list of { user, assistant } exchanges.');
+    } else {
+      examples.forEach((example, index) => {
+        if (!example || typeof example.user !== 'string' || !example.user.trim() || typeof example.assistant !== 'string' || !example.assistant.trim()) {
+          errors.push(`Persona: few-shot example #${index + 1} needs both a user and an assistant message.`);
+        }
+      });
+    }
+  }
+
+  const generation = persona.generation;
+  if (generation !== undefined && generation !== null) {
+    if (typeof generation !== 'object' || Array.isArray(generation)) {
+      errors.push('Persona: generation must be an object.');
+    } else {
+      for (const [field, [min, max]] of Object.entries(GENERATION_LIMITS)) {
+        const value = generation[field];
+        if (value === undefined || value === null) continue;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (field === 'max_tokens' && !Number.isInteger(value))) {
+          errors.push(`Persona: generation.${field} must be a number between ${min} and ${max}.`);
+        }
+      }
+      const unknownParams = Object.keys(generation).filter(field => !(field in GENERATION_LIMITS));
+      if (unknownParams.length > 0) errors.push(`Persona: unknown generation parameters ${unknownParams.join(', ')}.`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * @function validateScript
+ * @description Validates a whole script file before it is imported: rules, general responses
+ * (and their translations) and the persona.
+ * @param {object} script - { persona, language, translations, general_responses, rules }.
+ * @returns {{ errors: Array<string>, warnings: Array<string> }} Validation result.
+ */
+export function validateScript(script) {
+  if (!script || typeof script !== 'object' || Array.isArray(script)) return { errors: ['Script must be an object.'], warnings: [] };
+
+  const { errors, warnings } = validateRules(script.rules);
+  errors.push(...validateResponsePool(script.general_responses, 'General responses'));
+
+  if (script.translations !== undefined && script.translations !== null) {
+    errors.push(...validateTranslations(script.translations, 'General responses', SCRIPT_TRANSLATION_FIELDS,
+      (entry, entryLabel) => validateResponsePool(entry.general_responses, entryLabel)));
+  }
+  if (script.persona !== undefined && script.persona !== null) errors.push(...validatePersona(script.persona));
+
+  return { errors, warnings };
+}
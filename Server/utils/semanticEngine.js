@@ -2,22 +2,68 @@
  * @file utils/semanticEngine.js
  * @description Semantic similarity matching using transformer embeddings
  * Converts text to vectors and compares semantic meaning instead of keywords
+ * Each persona's rules live in their own scope, so personas can reuse rule ids and keywords
  */
 
 import { pipeline } from '@xenova/transformers';
+import dotenv from 'dotenv';
+import { getEmbeddingStore, hashText } from './embeddingStore.js';
+import { createVectorIndex } from './vectorIndex.js';
+
+dotenv.config();
+
+// all-MiniLM-L6-v2 is English only; set EMBEDDING_MODEL=Xenova/paraphrase-multilingual-MiniLM-L12-v2
+// (or another multilingual model) to match paraphrases across languages
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+const MODEL_NAME = process.env.EMBEDDING_MODEL || DEFAULT_MODEL;
+const IS_MULTILINGUAL = /multilingual|labse/i.test(MODEL_NAME);
+
+// How a rule's examples are combined into one score: "max" (closest example) or "centroid" (their average)
+const AGGREGATIONS = ['max', 'centroid'];
+const DEFAULT_AGGREGATION = AGGREGATIONS.includes(process.env.SEMANTIC_AGGREGATION) ? process.env.SEMANTIC_AGGREGATION : 'max';
+
+// VECTOR_INDEX: "auto" (default) scans small scripts exactly and switches to the HNSW graph at
+// ANN_MIN_SIZE vectors; "hnsw" always uses the graph, "flat" always scans
+const ANN_MIN_SIZE = 1000;
+const INDEX_MODES = { auto: ANN_MIN_SIZE, hnsw: 0, flat: Infinity };
+const INDEX_MODE = INDEX_MODES[process.env.VECTOR_INDEX] !== undefined ? process.env.VECTOR_INDEX : 'auto';
+
+// Several texts usually belong to one rule, so each ranked rule fetches this many nearest texts
+// (capped at the size of the index searched)
+const NEIGHBOURS_PER_RULE = 20;
+
+// Scope of callers that do not name one
+const DEFAULT_SCOPE = 'default';
 
 let embeddingPipeline = null;
+let initializationPromise = null;
 const embeddingCache = new Map();
+// One index per scope and language ("scope|language"), so a search never filters out other personas' texts
+const vectorIndexes = new Map(); // "scope|language" → {scope, language, index}; same keys as embeddingCache
+const ruleAggregation = new Map(); // "scope|ruleId" → aggregation, for rules that set semantic_aggregation
+let centroids = null; // Rebuilt lazily after the cache changes
 
+/**
+ * Create a vector index configured by VECTOR_INDEX (shared by rule matching and passage retrieval)
+ * @returns {Object} - Index from createVectorIndex
+ */
+export function createEmbeddingIndex() {
+  return createVectorIndex({ exactBelow: INDEX_MODES[INDEX_MODE] });
+}
+
+/**
+ * Load the embedding model into memory
+ * Called eagerly at local startup; serverless instances use ensureSemanticEngine() instead
+ */
 export async function initializeSemanticEngine() {
   try {
-    console.log('[Semantic Engine] Loading embedding model...');
+    console.log(`[Semantic Engine] Loading embedding model ${MODEL_NAME}...`);
     // all-MiniLM-L6-v2 is small (22MB), fast, and accurate for semantic search
     // This transformer model converts text into 384-dimensional vectors that capture semantic meaning
     // allowing us to find similar phrases even if they use completely different words
     embeddingPipeline = await pipeline(
       'feature-extraction',
-      'Xenova/all-MiniLM-L6-v2'
+      MODEL_NAME
     );
     console.log('[Semantic Engine] ✓ Model loaded successfully');
   } catch (error) {
@@ -26,6 +72,32 @@ export async function initializeSemanticEngine() {
   }
 }
 
+/**
+ * Load the model on first use (serverless mode)
+ * Concurrent callers share one load; a failed load can be retried by the next request
+ * @returns {Promise<void>}
+ */
+export async function ensureSemanticEngine() {
+  if (embeddingPipeline) return;
+
+  if (!initializationPromise) {
+    initializationPromise = initializeSemanticEngine().catch((error) => {
+      initializationPromise = null;
+      throw error;
+    });
+  }
+
+  await initializationPromise;
+}
+
+/**
+ * Whether the embedding model is loaded
+ * @returns {boolean}
+ */
+export function isSemanticEngineReady() {
+  return embeddingPipeline !== null;
+}
+
 /**
  * Generate embedding vector for a piece of text
  * @param {string} text - Input text
@@ -63,88 +135,318 @@ export function cosineSimilarity(vecA, vecB) {
   // Since vectors are normalized, dot product = cosine similarity
   // This measures the angle between two vectors: 1.0 = identical meaning, 0.0 = unrelated
   // Example: "happy" and "joyful" might score 0.85, while "happy" and "car" scores 0.1
-  const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
+  let dotProduct = 0;
+  for (let i = 0; i < vecA.length; i++) dotProduct += vecA[i] * vecB[i];
   return dotProduct;
 }
 
 /**
- * Pre-compute embeddings for all keywords in rules
- * This happens once at startup to make runtime matching fast
- * @param {Array} rules - Array of rule objects with keywords
+ * List every text of a rule that is embedded: keywords and example utterances, with translations
+ * @param {Object} rule - Rule object with keywords, optional examples and optional translations
+ * @param {string} baseLanguage - Language of the rule's own keywords and examples
+ * @param {string} scope - Scope (persona) the rule belongs to
+ * @returns {Array<{text: string, language: string, kind: string, scope: string, key: string}>} - Texts keyed by scope and language
  */
-export async function precomputeKeywordEmbeddings(rules) {
+function ruleTexts(rule, baseLanguage, scope) {
+  const entries = [];
+  const add = (texts, language, kind) => {
+    if (!Array.isArray(texts)) return;
+    for (const text of texts) entries.push({ text, language, kind, scope, key: `${scope}|${language}:${text}` });
+  };
+
+  add(rule.keywords, baseLanguage, 'keyword');
+  add(rule.examples, baseLanguage, 'example');
+  for (const [language, translation] of Object.entries(rule.translations || {})) {
+    add(translation?.keywords, language, 'keyword');
+    add(translation?.examples, language, 'example');
+  }
+  return entries;
+}
+
+/**
+ * Read the aggregation a rule asks for, falling back to SEMANTIC_AGGREGATION
+ * @param {string} aggregation - "max" or "centroid" (anything else → default)
+ * @returns {string} - Valid aggregation
+ */
+function normalizeAggregation(aggregation) {
+  return AGGREGATIONS.includes(aggregation) ? aggregation : DEFAULT_AGGREGATION;
+}
+
+/**
+ * Get the vector index holding a scope's texts in one language, creating it on first use
+ * @param {string} scope - Scope (persona)
+ * @param {string} language - Language of the texts
+ * @returns {Object} - Index from createEmbeddingIndex
+ */
+function indexFor(scope, language) {
+  const name = `${scope}|${language}`;
+  if (!vectorIndexes.has(name)) vectorIndexes.set(name, { scope, language, index: createEmbeddingIndex() });
+  return vectorIndexes.get(name).index;
+}
+
+/**
+ * Add a vector to the in-memory cache
+ * @param {Object} entry - {key, text, language, kind, scope, ruleId}
+ * @param {Array<number>} vector - Text embedding
+ */
+function cacheText({ key, text, language, kind, scope, ruleId }, vector) {
+  const cached = { ruleId, vector, text, language, kind, scope };
+  embeddingCache.set(key, cached);
+  indexFor(scope, language).add(key, vector, cached);
+  centroids = null;
+}
+
+/**
+ * Average each rule's example vectors (per language) into one normalized centroid
+ * @returns {Array<Object>} - [{ruleId, scope, language, vector, examples}]
+ */
+function buildCentroids() {
+  const groups = new Map();
+  for (const cached of embeddingCache.values()) {
+    if (cached.kind !== 'example') continue;
+
+    const key = `${cached.scope}|${cached.ruleId}|${cached.language}`;
+    if (!groups.has(key)) {
+      groups.set(key, { ruleId: cached.ruleId, scope: cached.scope, language: cached.language, vector: new Array(cached.vector.length).fill(0), examples: [] });
+    }
+    const group = groups.get(key);
+    cached.vector.forEach((value, i) => { group.vector[i] += value; });
+    group.examples.push(cached);
+  }
+
+  // Re-normalize so the dot product with an input is still a cosine
+  for (const group of groups.values()) {
+    const norm = Math.sqrt(group.vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    group.vector = group.vector.map(value => value / norm);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Embed texts, loading vectors saved by earlier runs from the embedding store first (no model needed)
+ * Only texts the store does not have are embedded, and those are saved for the next cold start
+ * @param {Array<string>} texts - Texts to embed
+ * @param {string} label - What the texts are, for logs (default: 'texts')
+ * @returns {Promise<Map<string, Array<number>>>} - text → vector (texts that could not be embedded are left out)
+ */
+export async function embedTextsCached(texts, label = 'texts') {
+  const vectors = new Map();
+  const hashes = new Map([...new Set(texts)].map(text => [text, hashText(text)]));
+  if (hashes.size === 0) return vectors;
+
+  const store = getEmbeddingStore();
+  let stored = new Map();
+  try {
+    stored = await store.load(MODEL_NAME, [...new Set(hashes.values())]);
+  } catch (error) {
+    console.warn(`[Semantic Engine] Could not read stored embeddings (${store.name}):`, error.message);
+  }
+
+  const missing = [];
+  for (const [text, hash] of hashes) {
+    if (stored.has(hash)) {
+      vectors.set(text, stored.get(hash));
+    } else {
+      missing.push(text);
+    }
+  }
+  if (stored.size > 0) console.log(`[Semantic Engine] ✓ Loaded ${vectors.size} ${label} embeddings from ${store.name} store`);
+  if (missing.length === 0) return vectors;
+
   if (!embeddingPipeline) {
-    console.warn('[Semantic Engine] Model not ready. Skipping precomputation.');
-    return;
+    console.warn(`[Semantic Engine] Model not ready. Skipping precomputation of ${missing.length} ${label}.`);
+    return vectors;
   }
 
-  console.log('[Semantic Engine] Pre-computing keyword embeddings...');
-  let computedCount = 0;
+  console.log(`[Semantic Engine] Pre-computing ${label} embeddings...`);
+  const computed = [];
 
   // Pre-computing embeddings at startup is crucial for performance:
   // - Computing an embedding takes ~50ms per keyword
   // - Doing this at runtime would delay every user message
   // - By caching upfront, we reduce response time from 200ms to <10ms
+  for (const text of missing) {
+    try {
+      const embedding = await getEmbedding(text);
+      if (embedding) {
+        vectors.set(text, embedding);
+        computed.push({ hash: hashes.get(text), text, vector: embedding });
+      }
+    } catch (error) {
+      console.error(`[Semantic Engine] Failed to embed "${text}":`, error);
+    }
+  }
+
+  try {
+    await store.save(MODEL_NAME, computed);
+  } catch (error) {
+    console.warn(`[Semantic Engine] Could not save embeddings (${store.name}):`, error.message);
+  }
+
+  console.log(`[Semantic Engine] ✓ Pre-computed ${computed.length} ${label} embeddings`);
+  return vectors;
+}
+
+/**
+ * Pre-compute embeddings for all keywords and example utterances in rules
+ * This happens once at startup to make runtime matching fast
+ * Vectors saved by earlier runs are loaded from the embedding store (see embedTextsCached),
+ * so only new or edited texts are embedded
+ * @param {Array} rules - Array of rule objects with keywords and examples
+ * @param {string} baseLanguage - Language of the rules' own keywords (default: 'en')
+ * @param {string} scope - Scope (persona) the rules belong to (default: 'default')
+ */
+export async function precomputeKeywordEmbeddings(rules, baseLanguage = 'en', scope = DEFAULT_SCOPE) {
+  // Texts not in memory yet; the first rule in order owns a shared text
+  const pending = new Map();
+  for (const key of ruleAggregation.keys()) {
+    if (key.startsWith(`${scope}|`)) ruleAggregation.delete(key);
+  }
+  for (const rule of rules) {
+    if (rule.semantic_aggregation) ruleAggregation.set(`${scope}|${rule.id}`, normalizeAggregation(rule.semantic_aggregation));
+
+    for (const entry of ruleTexts(rule, baseLanguage, scope)) {
+      if (embeddingCache.has(entry.key) || pending.has(entry.key)) continue;
+      pending.set(entry.key, { ...entry, ruleId: rule.id });
+    }
+  }
+  centroids = null;
+  if (pending.size === 0) return;
+
+  const vectors = await embedTextsCached([...pending.values()].map(entry => entry.text), 'keyword and example');
+  for (const entry of pending.values()) {
+    if (vectors.has(entry.text)) cacheText(entry, vectors.get(entry.text));
+  }
+}
+
+/**
+ * Bring the cached embeddings in line with an edited rule set (hot reload)
+ * Drops keywords and examples that no longer exist, re-points moved ones to their new rule,
+ * and only loads or embeds texts that are new
+ * @param {Array} rules - Array of rule objects with keywords and examples
+ * @param {string} baseLanguage - Language of the rules' own keywords (default: 'en')
+ * @param {string} scope - Scope (persona) the rules belong to; other scopes are left alone (default: 'default')
+ */
+export async function refreshKeywordEmbeddings(rules, baseLanguage = 'en', scope = DEFAULT_SCOPE) {
+  // First rule in order owns a shared text, matching the keyword engine
+  const owners = new Map();
   for (const rule of rules) {
-    if (!rule.keywords || !Array.isArray(rule.keywords)) continue;
-
-    for (const keyword of rule.keywords) {
-      if (embeddingCache.has(keyword)) continue;
-
-      try {
-        const embedding = await getEmbedding(keyword);
-        if (embedding) {
-          embeddingCache.set(keyword, {
-            ruleId: rule.id,
-            vector: embedding,
-            text: keyword
-          });
-          computedCount++;
-        }
-      } catch (error) {
-        console.error(`[Semantic Engine] Failed to embed keyword "${keyword}":`, error);
+    for (const { key, kind } of ruleTexts(rule, baseLanguage, scope)) {
+      if (!owners.has(key)) owners.set(key, { ruleId: rule.id, kind });
+    }
+  }
+
+  for (const [key, cached] of embeddingCache.entries()) {
+    if (cached.scope !== scope) continue;
+    if (!owners.has(key)) {
+      embeddingCache.delete(key);
+      indexFor(cached.scope, cached.language).remove(key);
+    } else {
+      Object.assign(cached, owners.get(key));
+    }
+  }
+
+  await precomputeKeywordEmbeddings(rules, baseLanguage, scope);
+}
+
+/**
+ * Score the rules nearest to an input embedding
+ * "max": a rule scores its single closest keyword or example
+ * "centroid": a rule's examples are averaged into one vector, so one odd example cannot win alone;
+ * its keywords are still compared one by one
+ * Keywords and examples are looked up in the scope's vector indexes; centroids (one per rule) are compared directly
+ * @param {Array<number>} inputEmbedding - Embedded user message
+ * @param {Object} options - {scope, language, aggregation, limit}
+ * @returns {Array<Object>} - [{ruleId, similarity, matchedText, matchedBy}] best first
+ */
+function scoreRules(inputEmbedding, { scope, language, aggregation, limit }) {
+  const fallback = normalizeAggregation(aggregation);
+  const usesCentroid = ruleId => (ruleAggregation.get(`${scope}|${ruleId}`) || fallback) === 'centroid';
+  const inLanguage = entry => !language || IS_MULTILINGUAL || entry.language === language;
+
+  const best = new Map();
+  const consider = (ruleId, similarity, matchedText, matchedBy) => {
+    const current = best.get(ruleId);
+    if (!current || similarity > current.similarity) best.set(ruleId, { ruleId, similarity, matchedText, matchedBy });
+  };
+
+  // Asking an index for more hits than it holds would make it fall back to a full scan
+  for (const { scope: indexScope, language: indexLanguage, index } of vectorIndexes.values()) {
+    if (indexScope !== scope || !inLanguage({ language: indexLanguage }) || index.size === 0) continue;
+
+    const hits = index.search(inputEmbedding, Math.min(limit * NEIGHBOURS_PER_RULE, index.size), {
+      filter: cached => !(cached.kind === 'example' && usesCentroid(cached.ruleId))
+    });
+    for (const { score, payload: cached } of hits) consider(cached.ruleId, score, cached.text, cached.kind);
+  }
+
+  centroids = centroids || buildCentroids();
+  for (const centroid of centroids) {
+    if (centroid.scope !== scope || !inLanguage(centroid) || !usesCentroid(centroid.ruleId)) continue;
+
+    // Report the closest example so logs and provenance still show a concrete phrase
+    let nearest = centroid.examples[0];
+    let nearestScore = -Infinity;
+    for (const example of centroid.examples) {
+      const score = cosineSimilarity(inputEmbedding, example.vector);
+      if (score > nearestScore) {
+        nearest = example;
+        nearestScore = score;
       }
     }
+    consider(centroid.ruleId, cosineSimilarity(inputEmbedding, centroid.vector), nearest.text, 'centroid');
   }
 
-  console.log(`[Semantic Engine] ✓ Pre-computed ${computedCount} keyword embeddings`);
+  return [...best.values()].sort((a, b) => b.similarity - a.similarity).slice(0, limit);
 }
 
 /**
- * Find best semantic match for user input
+ * Rank rules by similarity to the input, without a threshold
+ * Used by findSemanticMatch and by the example suggestion tool
  * @param {string} input - User message
- * @param {number} threshold - Minimum similarity score (default: 0.65)
- * @returns {Promise<Object|null>} - {ruleId, similarity, matchedKeyword} or null
+ * @param {Object} options - Optional settings
+ * @param {string} options.scope - Scope (persona) whose rules are ranked (default: 'default')
+ * @param {string} options.language - Language of the input (all texts if omitted)
+ * @param {string} options.aggregation - "max" or "centroid" for rules without their own setting
+ * @param {number} options.limit - Number of rules returned (default: 5)
+ * @returns {Promise<Array<Object>>} - [{ruleId, similarity, matchedText, matchedBy}] best first
  */
-export async function findSemanticMatch(input, threshold = 0.65) {
+export async function rankSemanticMatches(input, { scope = DEFAULT_SCOPE, language, aggregation, limit = 5 } = {}) {
   if (!embeddingPipeline) {
-    return null;
+    return [];
   }
 
+  const inputEmbedding = await getEmbedding(input);
+  if (!inputEmbedding) return [];
+
+  return scoreRules(inputEmbedding, { scope, language, aggregation, limit });
+}
+
+/**
+ * Find best semantic match for user input
+ * An English-only model compares the input with keywords and examples of its own language only;
+ * a multilingual model compares it with those of every language
+ * @param {string} input - User message
+ * @param {number} threshold - Minimum similarity score (default: 0.65)
+ * @param {Object} options - Optional settings
+ * @param {string} options.scope - Scope (persona) whose rules are searched (default: 'default')
+ * @param {string} options.language - Language of the input (all texts if omitted)
+ * @param {string} options.aggregation - "max" or "centroid" (default: SEMANTIC_AGGREGATION)
+ * @returns {Promise<Object|null>} - {ruleId, similarity, matchedKeyword, matchedBy} or null
+ */
+export async function findSemanticMatch(input, threshold = 0.65, { scope, language, aggregation } = {}) {
   try {
-    const inputEmbedding = await getEmbedding(input);
-    if (!inputEmbedding) return null;
-
-    let bestMatch = null;
-    let bestScore = threshold;
-
-    for (const [keyword, cached] of embeddingCache.entries()) {
-      const similarity = cosineSimilarity(inputEmbedding, cached.vector);
-
-      if (similarity > bestScore) {
-        bestScore = similarity;
-        bestMatch = {
-          ruleId: cached.ruleId,
-          similarity: similarity,
-          matchedKeyword: keyword
-        };
-      }
-    }
+    const [top] = await rankSemanticMatches(input, { scope, language, aggregation, limit: 1 });
+    if (!top || top.similarity <= threshold) return null;
 
-    if (bestMatch) {
-      console.log(`🧠 [Semantic Engine] Match found: "${bestMatch.matchedKeyword}" (${(bestMatch.similarity * 100).toFixed(1)}% similar) → ${bestMatch.ruleId}`);
-    }
+    const bestMatch = {
+      ruleId: top.ruleId,
+      similarity: top.similarity,
+      matchedKeyword: top.matchedText,
+      matchedBy: top.matchedBy
+    };
 
+    console.log(`🧠 [Semantic Engine] Match found: "${bestMatch.matchedKeyword}" (${bestMatch.matchedBy}, ${(bestMatch.similarity * 100).toFixed(1)}% similar) → ${bestMatch.ruleId}`);
     return bestMatch;
   } catch (error) {
     console.error('[Semantic Engine] Matching failed:', error);
@@ -160,6 +462,14 @@ export function getSemanticEngineStats() {
   return {
     modelLoaded: embeddingPipeline !== null,
     cachedEmbeddings: embeddingCache.size,
-    modelName: 'Xenova/all-MiniLM-L6-v2'
+    cachedExamples: [...embeddingCache.values()].filter(cached => cached.kind === 'example').length,
+    aggregation: DEFAULT_AGGREGATION,
+    vectorIndex: {
+      mode: INDEX_MODE,
+      indexes: Object.fromEntries([...vectorIndexes].map(([name, { index }]) => [name, index.stats()]))
+    },
+    modelName: MODEL_NAME,
+    multilingual: IS_MULTILINGUAL,
+    embeddingStore: getEmbeddingStore().name
   };
 }
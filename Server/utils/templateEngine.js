@@ -0,0 +1,126 @@
+/**
+ * @file utils/templateEngine.js
+ * @description Resolves template variables in scripted responses at reply time.
+ * Syntax: {{name}} or {{name|default}}; nested values use dots ({{exhibits.sculpture}}).
+ * Deployment variables (museum name, opening hours, exhibit names, timezone) come from a JSON file,
+ * so one script can serve several galleries.
+ * @author Group 1
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_VARIABLES_FILE = path.join(__dirname, '..', 'data', 'variables.json');
+const PLACEHOLDER = /\{\{\s*([a-z0-9_.]+)\s*(?:\|([^}]*))?\}\}/gi;
+// Stands in for placeholders that resolved to nothing, so only the spacing around them is tidied
+const EMPTY_VALUE = '\u0000';
+const EMPTY_GAP = /[ \t]*\u0000(?:[ \t]*\u0000)*[ \t]*/g;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Deployment variables are read once and re-read on hot reload
+let deploymentVariables = null;
+
+/**
+ * @function loadDeploymentVariables
+ * @description Reads the deployment's variables file (SCRIPT_VARIABLES_FILE, default data/variables.json).
+ * A missing or malformed file leaves only the built-in variables.
+ * @returns {object} The deployment variables.
+ */
+export function loadDeploymentVariables() {
+  const file = process.env.SCRIPT_VARIABLES_FILE
+    ? path.resolve(process.env.SCRIPT_VARIABLES_FILE)
+    : DEFAULT_VARIABLES_FILE;
+
+  try {
+    deploymentVariables = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`[Templates] Deployment variables loaded from ${path.basename(file)}.`);
+  } catch (error) {
+    console.warn(`[Templates] Could not read variables file (${error.message}). Using built-in variables only.`);
+    deploymentVariables = {};
+  }
+  return deploymentVariables;
+}
+
+/**
+ * @function getLocalTime
+ * @description Current hour and weekday in the deployment's timezone.
+ * @param {Date} now - The reply time.
+ * @param {string} [timeZone] - IANA timezone (server time if unset or invalid).
+ * @returns {{ hour: number, weekday: string }} Local hour (0-23) and lowercase weekday.
+ */
+function getLocalTime(now, timeZone) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: 'numeric', hourCycle: 'h23', weekday: 'long' })
+      .formatToParts(now);
+    return {
+      hour: Number(parts.find(part => part.type === 'hour').value),
+      weekday: parts.find(part => part.type === 'weekday').value.toLowerCase()
+    };
+  } catch {
+    return { hour: now.getHours(), weekday: WEEKDAYS[now.getDay()] };
+  }
+}
+
+/**
+ * @function buildTemplateVariables
+ * @description Collects every variable a response may use.
+ * Conversation slots (e.g. visitor_name, last_exhibit) override deployment values of the same name,
+ * and the variables file's "translations.<language>" overrides apply to replies in that language.
+ * @param {object} context - Reply context.
+ * @param {object} [context.slots] - The conversation's collected slots.
+ * @param {string} [context.matchedKeyword] - The keyword that triggered the rule.
+ * @param {string} [context.language] - Language of the reply.
+ * @param {Date} [context.now] - The reply time.
+ * @returns {object} Variables by name.
+ */
+export function buildTemplateVariables({ slots = {}, matchedKeyword, language, now = new Date() } = {}) {
+  const { translations, ...base } = deploymentVariables || loadDeploymentVariables();
+  const deployment = { ...base, ...translations?.[language] };
+  const { hour, weekday } = getLocalTime(now, deployment.timezone);
+  const timeOfDay = hour < 12 ? 'morning' : hour < 18 ? 'afternoon' : 'evening';
+
+  // Opening hours may be one string or a per-weekday object with a "default"
+  const hours = deployment.opening_hours;
+  const openingHours = hours && typeof hours === 'object' ? hours[weekday] ?? hours.default : hours;
+
+  return {
+    ...deployment,
+    time_of_day: deployment.time_of_day_names?.[timeOfDay] ?? timeOfDay,
+    weekday,
+    opening_hours: openingHours,
+    matched_keyword: matchedKeyword,
+    ...slots
+  };
+}
+
+/**
+ * @function renderTemplate
+ * @description Replaces {{placeholders}} in a response.
+ * A variable without a value uses its default ({{visitor_name|friend}}), or disappears.
+ * @param {string} text - Response text.
+ * @param {object} variables - Variables from buildTemplateVariables.
+ * @returns {string} The rendered text.
+ */
+export function renderTemplate(text, variables) {
+  if (typeof text !== 'string' || !text.includes('{{')) return text;
+
+  const rendered = text.replace(PLACEHOLDER, (placeholder, name, fallback) => {
+    const value = name.split('.').reduce((scope, key) => scope?.[key], variables);
+    if (value !== undefined && value !== null && typeof value !== 'object' && String(value).trim()) return String(value);
+    return fallback?.trim() || EMPTY_VALUE;
+  });
+
+  // Close the gap an empty placeholder leaves ("Welcome {{name}}, friend" → "Welcome, friend");
+  // the rest of the response keeps its own spacing and case
+  return rendered.replace(EMPTY_GAP, (gap, offset, whole) => {
+    const before = whole[offset - 1];
+    const after = whole[offset + gap.length];
+    if (before === undefined || before === '\n' || after === undefined || after === '\n' || /[,.!?;:]/.test(after)) return '';
+    return /[ \t]/.test(gap) ? ' ' : '';
+  });
+}
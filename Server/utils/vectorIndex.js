@@ -0,0 +1,380 @@
+/**
+ * @file utils/vectorIndex.js
+ * @description In-memory nearest-neighbour index for embedding vectors.
+ * Vectors live in one growable Float32Array. Large indexes are searched through an HNSW graph
+ * (Hierarchical Navigable Small World, Malkov & Yashunin 2016), which visits a few hundred vectors
+ * instead of all of them; small ones are scanned exactly.
+ * Vectors are expected to be normalized, so the dot product is the cosine similarity.
+ * @author Group 1
+ */
+
+// Links per node (twice as many on the bottom layer); more links → better recall, slower inserts
+const DEFAULT_M = 12;
+// Candidate list sizes while inserting and searching; larger → better recall, slower
+const DEFAULT_EF_CONSTRUCTION = 80;
+const DEFAULT_EF_SEARCH = 48;
+// Deleted nodes keep routing searches until they make up this share of the graph, then it is rebuilt
+const MAX_DELETED_RATIO = 0.5;
+
+/**
+ * @function createHeap
+ * @description Binary heap ordered by a comparator (smallest first).
+ * @param {Function} compare - (a, b) => negative if a comes first.
+ * @returns {object} { size, peek, push, pop, toArray }.
+ */
+function createHeap(compare) {
+  const items = [];
+
+  return {
+    get size() {
+      return items.length;
+    },
+
+    peek: () => items[0],
+
+    push(item) {
+      items.push(item);
+      let index = items.length - 1;
+      while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (compare(items[index], items[parent]) >= 0) break;
+        [items[index], items[parent]] = [items[parent], items[index]];
+        index = parent;
+      }
+    },
+
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length === 0) return top;
+
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let first = index;
+        if (left < items.length && compare(items[left], items[first]) < 0) first = left;
+        if (right < items.length && compare(items[right], items[first]) < 0) first = right;
+        if (first === index) break;
+        [items[index], items[first]] = [items[first], items[index]];
+        index = first;
+      }
+      return top;
+    },
+
+    toArray: () => items.slice()
+  };
+}
+
+const bestFirst = (a, b) => b.score - a.score;
+const worstFirst = (a, b) => a.score - b.score;
+
+/**
+ * @function createVectorIndex
+ * @description Creates an empty index.
+ * @param {object} options - Optional settings.
+ * @param {number} options.m - Links per node (default 12).
+ * @param {number} options.efConstruction - Candidates considered per insert (default 80).
+ * @param {number} options.efSearch - Candidates considered per search (default 48).
+ * @param {number} options.exactBelow - Scan exactly while the index holds fewer vectors (0 = always use the graph).
+ * The graph is only built once the index reaches that size (or on the first graph search).
+ * @returns {object} Index with add(id, vector, payload), remove(id), has(id), search(query, k, options), clear() and stats().
+ */
+export function createVectorIndex({
+  m = DEFAULT_M,
+  efConstruction = DEFAULT_EF_CONSTRUCTION,
+  efSearch = DEFAULT_EF_SEARCH,
+  exactBelow = 0
+} = {}) {
+  const levelFactor = 1 / Math.log(m);
+
+  let dimensions = 0;
+  let data = new Float32Array(0); // Node i's vector is data[i * dimensions .. (i + 1) * dimensions)
+  let count = 0; // Nodes allocated, deleted ones included
+  let ids = [];
+  let payloads = [];
+  let links = []; // links[node][level] → neighbour nodes
+  let deleted = new Set();
+  let nodeById = new Map();
+  let entryPoint = -1;
+  let maxLevel = -1;
+  let graphReady = false;
+  // visitMarks[node] === visitEpoch marks nodes seen by the current search, without allocating a Set
+  let visitMarks = new Uint32Array(0);
+  let visitEpoch = 0;
+
+  // Hot loop: locals instead of closure variables let V8 keep everything in registers
+  const dot = (node, query) => {
+    const vectors = data;
+    const length = dimensions;
+    const offset = node * length;
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += vectors[offset + i] * query[i];
+    return sum;
+  };
+  const vectorOf = node => data.subarray(node * dimensions, (node + 1) * dimensions);
+
+  function ensureCapacity() {
+    if ((count + 1) * dimensions <= data.length) return;
+    const capacity = Math.max(64, count * 2);
+    const grown = new Float32Array(capacity * dimensions);
+    grown.set(data);
+    data = grown;
+    visitMarks = new Uint32Array(capacity);
+    visitEpoch = 0;
+  }
+
+  function nextVisitEpoch() {
+    if (visitEpoch === 0xFFFFFFFF) {
+      visitMarks.fill(0);
+      visitEpoch = 0;
+    }
+    return ++visitEpoch;
+  }
+
+  /**
+   * Best-first search of one layer, keeping the ef best nodes that pass "accept".
+   * Rejected nodes are still followed, so a filter narrows the results without cutting the graph.
+   */
+  function searchLayer(query, entries, ef, level, accept = () => true) {
+    const epoch = nextVisitEpoch();
+    for (const entry of entries) visitMarks[entry.node] = epoch;
+    const candidates = createHeap(bestFirst);
+    const results = createHeap(worstFirst);
+
+    for (const entry of entries) {
+      candidates.push(entry);
+      if (accept(entry.node)) results.push(entry);
+    }
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score < results.peek().score) break;
+
+      for (const neighbor of links[current.node][level]) {
+        if (visitMarks[neighbor] === epoch) continue;
+        visitMarks[neighbor] = epoch;
+
+        const score = dot(neighbor, query);
+        if (results.size < ef || score > results.peek().score) {
+          candidates.push({ node: neighbor, score });
+          if (accept(neighbor)) {
+            results.push({ node: neighbor, score });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.toArray().sort(bestFirst);
+  }
+
+  /**
+   * Picks up to max neighbours, skipping candidates closer to an already chosen neighbour than to
+   * the node itself (keeps links pointing in different directions), then tops up with the nearest.
+   */
+  function selectNeighbors(candidates, max) {
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      const vector = vectorOf(candidate.node);
+      if (selected.every(chosen => dot(chosen.node, vector) < candidate.score)) selected.push(candidate);
+    }
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      if (!selected.includes(candidate)) selected.push(candidate);
+    }
+    return selected;
+  }
+
+  function insert(node) {
+    const level = Math.floor(-Math.log(1 - Math.random()) * levelFactor);
+    links[node] = Array.from({ length: level + 1 }, () => []);
+
+    if (entryPoint === -1) {
+      entryPoint = node;
+      maxLevel = level;
+      return;
+    }
+
+    const query = vectorOf(node);
+    let entries = [{ node: entryPoint, score: dot(entryPoint, query) }];
+    for (let layer = maxLevel; layer > level; layer--) entries = searchLayer(query, entries, 1, layer);
+
+    for (let layer = Math.min(level, maxLevel); layer >= 0; layer--) {
+      const found = searchLayer(query, entries, efConstruction, layer);
+      const maxLinks = layer === 0 ? m * 2 : m;
+
+      const neighbors = selectNeighbors(found, m);
+      links[node][layer] = neighbors.map(neighbor => neighbor.node);
+
+      for (const { node: neighbor } of neighbors) {
+        const neighborLinks = links[neighbor][layer];
+        neighborLinks.push(node);
+        if (neighborLinks.length > maxLinks) {
+          // Dropping the farthest link is much cheaper than re-running the heuristic, at little cost in recall
+          const neighborVector = vectorOf(neighbor);
+          let farthest = 0;
+          let farthestScore = Infinity;
+          neighborLinks.forEach((other, position) => {
+            const score = dot(other, neighborVector);
+            if (score < farthestScore) {
+              farthest = position;
+              farthestScore = score;
+            }
+          });
+          neighborLinks.splice(farthest, 1);
+        }
+      }
+      entries = found;
+    }
+
+    if (level > maxLevel) {
+      maxLevel = level;
+      entryPoint = node;
+    }
+  }
+
+  function scan(query, k, accept) {
+    const results = createHeap(worstFirst);
+    let worst = -Infinity;
+    for (let node = 0; node < count; node++) {
+      if (!accept(node)) continue;
+      const score = dot(node, query);
+      if (results.size < k) {
+        results.push({ node, score });
+        if (results.size === k) worst = results.peek().score;
+      } else if (score > worst) {
+        results.pop();
+        results.push({ node, score });
+        worst = results.peek().score;
+      }
+    }
+    return results.toArray().sort(bestFirst);
+  }
+
+  // Links every live node; until then the index is scanned
+  function buildGraph() {
+    graphReady = true;
+    for (let node = 0; node < count; node++) {
+      if (!deleted.has(node)) insert(node);
+    }
+  }
+
+  function reset() {
+    data = new Float32Array(0);
+    count = 0;
+    ids = [];
+    payloads = [];
+    links = [];
+    deleted = new Set();
+    nodeById = new Map();
+    entryPoint = -1;
+    maxLevel = -1;
+    graphReady = false;
+    visitMarks = new Uint32Array(0);
+    visitEpoch = 0;
+  }
+
+  // Rebuilds the graph from the live nodes, dropping deleted ones
+  function compact() {
+    const live = [...nodeById.entries()].map(([id, node]) => ({ id, vector: vectorOf(node).slice(), payload: payloads[node] }));
+    reset();
+    for (const { id, vector, payload } of live) index.add(id, vector, payload);
+  }
+
+  const index = {
+    get size() {
+      return nodeById.size;
+    },
+
+    /**
+     * Adds a vector (or replaces the vector stored under the same id).
+     * @param {string} id - Unique id.
+     * @param {Array<number>|Float32Array} vector - Normalized vector.
+     * @param {*} payload - Returned with search hits.
+     */
+    add(id, vector, payload = null) {
+      if (!dimensions) dimensions = vector.length;
+      if (vector.length !== dimensions) {
+        throw new Error(`[Vector Index] Expected ${dimensions} dimensions, got ${vector.length}.`);
+      }
+      if (nodeById.has(id)) index.remove(id);
+
+      ensureCapacity();
+      const node = count++;
+      data.set(vector, node * dimensions);
+      ids[node] = id;
+      payloads[node] = payload;
+      nodeById.set(id, node);
+      if (graphReady) {
+        insert(node);
+      } else if (nodeById.size >= exactBelow) {
+        buildGraph();
+      }
+    },
+
+    /**
+     * Removes a vector. Its node keeps routing searches until the graph is compacted.
+     * @param {string} id - Id given to add().
+     * @returns {boolean} False if the id was not indexed.
+     */
+    remove(id) {
+      const node = nodeById.get(id);
+      if (node === undefined) return false;
+
+      nodeById.delete(id);
+      deleted.add(node);
+      payloads[node] = null;
+      if (deleted.size > count * MAX_DELETED_RATIO) compact();
+      return true;
+    },
+
+    has: id => nodeById.has(id),
+
+    /**
+     * Finds the k vectors most similar to a query.
+     * @param {Array<number>|Float32Array} query - Normalized query vector.
+     * @param {number} k - Number of results.
+     * @param {object} options - Optional settings.
+     * @param {Function} options.filter - (payload, id) => whether a vector may be returned.
+     * @param {number} options.ef - Candidates considered (at least k).
+     * @param {boolean} options.exact - Scan every vector instead of walking the graph.
+     * @returns {Array<{ id: string, score: number, payload: * }>} Best first.
+     */
+    search(query, k = 10, { filter, ef = efSearch, exact = nodeById.size < exactBelow } = {}) {
+      if (nodeById.size === 0 || k <= 0 || query.length !== dimensions) return [];
+
+      const vector = query instanceof Float32Array ? query : Float32Array.from(query);
+      const accept = node => !deleted.has(node) && (!filter || filter(payloads[node], ids[node]));
+
+      let hits;
+      if (exact) {
+        hits = scan(vector, k, accept);
+      } else {
+        if (!graphReady) buildGraph();
+        let entries = [{ node: entryPoint, score: dot(entryPoint, vector) }];
+        for (let layer = maxLevel; layer > 0; layer--) entries = searchLayer(vector, entries, 1, layer);
+        hits = searchLayer(vector, entries, Math.max(ef, k), 0, accept).slice(0, k);
+
+        // Too few hits means the walk ran out of reachable nodes; a scan also finds any it could not reach
+        if (hits.length < k) hits = scan(vector, k, accept);
+      }
+
+      return hits.map(({ node, score }) => ({ id: ids[node], score, payload: payloads[node] }));
+    },
+
+    clear: reset,
+
+    /**
+     * @returns {object} { size, deleted, dimensions, graph, levels }.
+     */
+    stats() {
+      return { size: nodeById.size, deleted: deleted.size, dimensions, graph: graphReady, levels: maxLevel + 1 };
+    }
+  };
+
+  return index;
+}
@@ -6,6 +6,7 @@
  */
 
 const BASE_URL = 'http://localhost:5000/api';
+let authToken = null;
 
 // Color setup
 const COLORS = {
@@ -16,12 +17,28 @@ const COLORS = {
   yellow: "\x1b[33m"
 };
 
+/**
+ * Helper functions - sign in
+ * Registers a throwaway account, since conversations belong to a signed-in visitor.
+ * @returns {string} Session token
+ */
+async function signIn() {
+  const res = await fetch(`${BASE_URL}/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: `test-${Date.now()}@example.com`, password: 'stoic-test-password' })
+  });
+  if (!res.ok) throw new Error(`Failed to sign in (HTTP ${res.status})`);
+  const data = await res.json();
+  return data.token;
+}
+
 /**
  * Helper functions - create conversation
  * @returns {string} Conversation ID
  */
 async function createConversation() {
-  const res = await fetch(`${BASE_URL}/conversations`, { method: 'POST' });
+  const res = await fetch(`${BASE_URL}/conversations`, { method: 'POST', headers: { Authorization: `Bearer ${authToken}` } });
   if (!res.ok) throw new Error("Failed to create conversation");
   const data = await res.json();
   return data.id;
@@ -36,7 +53,7 @@ async function createConversation() {
 async function sendMessage(id, text) {
   const res = await fetch(`${BASE_URL}/conversations/${id}/messages`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
     body: JSON.stringify({ text })
   });
   if (!res.ok) throw new Error(`HTTP ${res.status}`);
@@ -108,6 +125,7 @@ async function runNLPTest() {
       process.exit(1);
     });
     console.log(`${ COLORS.green }Server Detected.${ COLORS.reset }`);
+    authToken = await signIn();
     await runProbabilityTest();
     await runNLPTest();
   } catch (err) {
@@ -5,10 +5,27 @@
  */
 
 const BASE_URL = 'http://localhost:5000/api';
+let authToken = null;
 // Color setup
 const COLORS = { reset: "\x1b[0m", cyan: "\x1b[36m", yellow: "\x1b[33m", green: "\x1b[32m", red: "\x1b[31m", gray: "\x1b[90m" };
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Helper functions - sign in
+ * Registers a throwaway account, since conversations belong to a signed-in visitor.
+ * @returns {string} Session token
+ */
+async function signIn() {
+  const res = await fetch(`${BASE_URL}/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: `test-${Date.now()}@example.com`, password: 'stoic-test-password' })
+  });
+  if (!res.ok) throw new Error(`Failed to sign in (HTTP ${res.status})`);
+  const data = await res.json();
+  return data.token;
+}
+
 /**
  * Helper functions - create conversation
  * @returns {string} Conversation ID
@@ -17,7 +34,7 @@ async function createConversation() {
   const MAX_RETRIES = 3;
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      const res = await fetch(`${BASE_URL}/conversations`, { method: 'POST' });
+      const res = await fetch(`${BASE_URL}/conversations`, { method: 'POST', headers: { Authorization: `Bearer ${authToken}` } });
       if (!res.ok) throw new Error("Server error");
       const data = await res.json();
       return data.id;
@@ -47,7 +64,7 @@ async function askMarcus(id, text) {
   try {
     const res = await fetch(`${BASE_URL}/conversations/${id}/messages`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${authToken}` },
       body: JSON.stringify({ text }),
       signal: controller.signal
     });
@@ -70,6 +87,10 @@ async function askMarcus(id, text) {
  */
 (async () => {
   console.log(`\n${ COLORS.green } STARTING AI AMBITION TEST (Llama 3.1)...${ COLORS.reset }\n`);
+  authToken = await signIn().catch((error) => {
+    console.error(`\n${COLORS.red}Critical Error: ${error.message}${COLORS.reset}`);
+    process.exit(1);
+  });
   const id = await createConversation();
   console.log(`${ COLORS.gray } Conversation ID: ${id}${ COLORS.reset }`);
 
@@ -2,6 +2,7 @@
 
 # Configuration
 URL="http://localhost:5000/api/conversations"
+AUTH_URL="http://localhost:5000/api/auth"
 RED='\033[0;31m'
 GREEN='\033[0;32m'
 CYAN='\033[0;36m'
@@ -9,9 +10,20 @@ NC='\033[0m'
 
 echo -e "${CYAN} Starting Marcus Aurelius Stress Test...${NC}"
 
+# Register a throwaway account (conversations belong to a signed-in visitor)
+echo -e "\n${CYAN}[Setup] Signing in...${NC}"
+TOKEN=$(curl -s -X POST "$AUTH_URL/register" \
+  -H "Content-Type: application/json" \
+  -d "{\"email\": \"stress-$(date +%s)@example.com\", \"password\": \"stoic-test-password\"}" | jq -r '.token')
+
+if [ "$TOKEN" == "null" ] || [ -z "$TOKEN" ]; then
+  echo -e "${RED} Failed to sign in. Is server running?${NC}"
+  exit 1
+fi
+
 # Create a Conversation to get an ID
 echo -e "\n${CYAN}[Setup] Creating Conversation...${NC}"
-RESPONSE=$(curl -s -X POST "$URL")
+RESPONSE=$(curl -s -X POST "$URL" -H "Authorization: Bearer $TOKEN")
 CONV_ID=$(echo $RESPONSE | jq -r '.id')
 
 if [ "$CONV_ID" == "null" ]; then
@@ -24,6 +36,7 @@ echo -e "${GREEN} Conversation Created: $CONV_ID${NC}"
 ask_marcus() {
   curl -s -X POST "$URL/$CONV_ID/messages" \
     -H "Content-Type: application/json" \
+    -H "Authorization: Bearer $TOKEN" \
     -d "{\"text\": \"$msg\"}" | jq -r '.marcusMessage.text'
 }
 